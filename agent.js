@@ -8,13 +8,97 @@
  *  2. Correlate weak signals across time/domains
  *  3. Rank root causes with mathematical confidence
  *  4. Quantify financial risk & generate preventive guardrails
+ *
+ *  Hypotheses come from the data, not from a fixed list. The leak onset is
+ *  the invoice change point (change_points.js) inside the dashboard's
+ *  timeline, and every candidate explanation found in the inputs is scored
+ *  against it:
+ *
+ *    DEPLOYMENT              every deployment in the timeline (causal_attribution.js)
+ *    PRICING_VERSION         every pricing version taking effect in the timeline
+ *    PAYMENT_FAILURES        runs of days with an elevated failed-transaction rate
+ *    CURRENCY_CONCENTRATION  the currency most over-represented among leaking invoices
+ *    REGION_CONCENTRATION    the same for regions
+ *    PLAN_SKEW               the same for subscription plans
+ *
+ *  A hypothesis is rejected when a check it depends on fails (it started
+ *  after the leak, the rate did not move, the skew is within noise, the
+ *  data cannot tell) or its confidence stays below MIN_CONFIDENCE. Rejected
+ *  hypotheses are kept in the output with the reason.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { recommendActions } = require('./rollback');
+const { summarizeInvoices } = require('./data_layer');
+const { ELEVATED_FACTOR, MIN_RATE_SHIFT, locateIncidentWindow } = require('./change_points');
+const { attributeIncident, getConfig: getCausalityConfig } = require('./causal_attribution');
+const { normalizeCustomerId, indexSubscriptions, findSubscription, reconcileInvoices } = require('./reconciliation');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const INPUT_FILE = path.join(DATA_DIR, 'executive_dashboard.json');
+const EVENTS_FILE = path.join(DATA_DIR, 'system_events.json');
+const INVOICES_FILE = path.join(DATA_DIR, 'invoices.json');
+const TRANSACTIONS_FILE = path.join(DATA_DIR, 'transactions.json');
+const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'subscriptions.json');
+const PRICING_FILE = path.join(DATA_DIR, 'pricing_versions.json');
+const OUTPUT_FILE = path.join(DATA_DIR, 'agent_intelligence.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_CONFIDENCE = 0.4;         // accepted hypotheses score at least this
+const MIN_ALIGNMENT = 0.05;         // temporal alignment below this cannot explain the onset
+const CONCENTRATION_LIFT = 1.25;    // share among leaking invoices ÷ share among all
+const MIN_EXCESS_Z = 1.96;          // standard errors the leaking share must exceed the overall share by
+const MIN_SEGMENT_LEAKS = 3;        // leaking invoices a currency / region / plan needs to be considered
+const MIN_JOINED_INVOICES = 10;     // leaking invoices that must join a subscription to judge plans or pricing
+const MIN_CLUSTER_FAILURES = 3;     // failed transactions an elevated day needs
+
+const clamp01 = n => Math.min(1, Math.max(0, n));
+const round2 = n => parseFloat(n.toFixed(2));
+const pct = (k, n) => (n > 0 ? round2(k / n * 100) : 0);
+const smoothed = (k, n) => (k + 1) / (n + 2); // Beta(1, 1) posterior mean, so empty windows are never 0
+const hoursBetween = (from, to) => round2((Date.parse(to) - Date.parse(from)) / HOUR_MS);
+const fmt = ts => `${ts.slice(0, 10)} ${ts.slice(11, 16)} UTC`;
+const RELATION_TEXT = { SAME_SERVICE: 'Deployed to', DEPENDENCY: 'A dependency of', UNRELATED: 'Unrelated to' };
+const isUnderbilled = inv => inv.amountBilled < inv.amountExpected;
+
+// Share of the later rate that the earlier one does not explain
+const stepShare = (after, before) => clamp01(1 - before / after);
+// 0 when the rate did not rise, 1 at a tenfold rise
+const deviation = (after, before) => clamp01(Math.log10(after / before));
+// How far a segment's share of n leaking invoices sits above its overall share, in standard errors
+const excessZ = (leakShare, baseShare, n) =>
+    (baseShare > 0 && baseShare < 1 && n > 0 ? (leakShare - baseShare) / Math.sqrt(baseShare * (1 - baseShare) / n) : 0);
+
+function readJSON(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+function countBy(items, keyOf) {
+    const counts = {};
+    items.forEach(item => {
+        const key = keyOf(item);
+        if (key !== null && key !== undefined) counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
 
-const INPUT_FILE = path.join(__dirname, 'data', 'executive_dashboard.json');
-const OUTPUT_FILE = path.join(__dirname, 'data', 'agent_intelligence.json');
+/**
+ * How well a change at `timestamp` lines up with the leak onset: 1 inside
+ * the onset interval, decaying with the hours before it (the causality
+ * config's lagScaleHours), 0 after it.
+ */
+function alignment(timestamp, onset) {
+    if (timestamp > onset.interval.to) {
+        return { factor: 0, detail: `${hoursBetween(onset.timestamp, timestamp)}h after the leak began` };
+    }
+    const gap = hoursBetween(timestamp, onset.interval.from);
+    if (gap <= 0) return { factor: 1, detail: 'inside the onset interval' };
+    return {
+        factor: Math.exp(-gap / getCausalityConfig().lagScaleHours),
+        detail: `${gap}h before the onset interval`,
+    };
+}
 
 class RevenueLeakAgent {
     constructor() {
@@ -37,17 +121,26 @@ class RevenueLeakAgent {
         }
 
         const rawData = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf8'));
+        const inputs = {
+            events: readJSON(EVENTS_FILE),
+            invoices: readJSON(INVOICES_FILE),
+            transactions: readJSON(TRANSACTIONS_FILE),
+            subscriptions: readJSON(SUBSCRIPTIONS_FILE),
+            pricingVersions: readJSON(PRICING_FILE),
+        };
 
         // Internal Reasoning Sequence
-        const decomposition = this.decompose(rawData);
-        const temporalCorrelations = this.correlate(decomposition);
-        const hypotheses = this.generateHypotheses(temporalCorrelations);
-        const rankedCauses = this.scoreAndRank(hypotheses, rawData);
+        const decomposition = this.decompose(rawData, inputs);
+        const correlation = this.correlate(decomposition);
+        const hypotheses = this.generateHypotheses(correlation);
+        const { ranked: rankedCauses, rejected } = this.scoreAndRank(hypotheses);
 
         const intelligence = {
             verdict: this.synthesizeVerdict(rankedCauses),
             confidence: rankedCauses[0]?.confidence || 0,
+            leak_onset: correlation.onset,
             root_causes: rankedCauses,
+            rejected_hypotheses: rejected,
             financial_impact: {
                 ...rawData.financials,
                 churn_impact: {
@@ -56,7 +149,7 @@ class RevenueLeakAgent {
                 }
             },
             preventive_intelligence: this.generatePreventiveIntelligence(rankedCauses),
-            recommended_actions: this.generateActions(rankedCauses)
+            recommended_actions: this.generateActions(rankedCauses, rawData, inputs.events)
         };
 
         fs.writeFileSync(OUTPUT_FILE, JSON.stringify(intelligence, null, 2));
@@ -64,88 +157,415 @@ class RevenueLeakAgent {
         return intelligence;
     }
 
-    decompose(data) {
-        // Splitting signals into specialized domain buckets
+    /**
+     * Cut every input down to the dashboard timeline, so hypotheses are only
+     * drawn from what happened in the period under investigation.
+     */
+    decompose(data, inputs) {
+        const dates = data.timeline.map(t => t.date);
+        const range = dates.length
+            ? { from: `${dates[0]}T00:00:00.000Z`, to: `${dates[dates.length - 1]}T23:59:59.999Z` }
+            : null;
+        const inRange = item => range !== null && item.timestamp >= range.from && item.timestamp <= range.to;
+
         return {
+            range,
             billing: data.timeline.filter(t => t.leak > 0),
-            transaction: data.anomalies.filter(a => a.anomaly_score > 1.2),
-            sentiment: data.root_causes.some(r => r.evidence.toLowerCase().includes('sentiment'))
+            invoices: inputs.invoices.filter(inRange),
+            transactions: inputs.transactions.filter(inRange),
+            deployments: inputs.events.filter(e => e.eventType === 'deployment'),
+            pricingVersions: inputs.pricingVersions,
+            subscriptions: inputs.subscriptions
         };
     }
 
+    /**
+     * Locate the leak onset and split the invoices around it. The onset is
+     * the change point of the underbilling rate over all invoices; without
+     * one, the first leaking day of the timeline stands in for it.
+     */
     correlate(decomposition) {
-        // Temporal alignment logic
-        // We look for sequences where transaction anomalies precede or coincide with billing leaks
+        const { invoices, billing } = decomposition;
+        const evaluatedAt = decomposition.range ? decomposition.range.to : null;
+        const window = locateIncidentWindow(summarizeInvoices(invoices, 'hour'), { evaluatedAt });
+
+        let onset = null;
+        if (window.incident) {
+            const { timestamp, interval, rateBefore, rateAfter } = window.incident.onset;
+            onset = { timestamp, interval: { from: interval.from, to: interval.to }, source: 'invoices', rateBefore, rateAfter };
+        } else if (billing.length) {
+            const from = `${billing[0].date}T00:00:00.000Z`;
+            onset = { timestamp: from, interval: { from, to: new Date(Date.parse(from) + 24 * HOUR_MS).toISOString() }, source: 'timeline' };
+        }
+
+        const before = onset ? invoices.filter(inv => inv.timestamp < onset.timestamp) : invoices;
+        const since = onset ? invoices.filter(inv => inv.timestamp >= onset.timestamp) : [];
+        const leaking = since.filter(isUnderbilled);
+        const byService = Object.entries(countBy(leaking, inv => inv.service)).sort((a, b) => b[1] - a[1]);
+
         return {
-            event_alignment: 0.92, // Mocked based on Feb 7 deployment fixed date
-            cross_domain_overlap: decomposition.transaction.length > 0 ? 0.85 : 0.4
+            ...decomposition,
+            onset,
+            window,
+            before,
+            since,
+            leaking,
+            leakingService: byService.length ? byService[0][0] : null
         };
     }
 
-    generateHypotheses(correlations) {
+    generateHypotheses(ctx) {
+        if (!ctx.onset) return [];
+        const index = indexSubscriptions(ctx.subscriptions);
+        // Product invoices join by customer, plan charges by their subscriptionId
+        const subscriptionOf = inv => findSubscription(index, inv);
+        const planOf = inv => {
+            const sub = subscriptionOf(inv);
+            return sub ? sub.plan : null;
+        };
         return [
-            {
-                cause: "Billing Deployment Regression",
-                primary_sig: "Deployment of billing-service v2.4.1",
-                base_confidence: 0.7
-            },
-            {
-                cause: "Pricing Version Mismatch",
-                primary_sig: "Invoice delta shift",
-                base_confidence: 0.5
+            ...this.deploymentHypotheses(ctx),
+            ...this.pricingVersionHypotheses(ctx, subscriptionOf),
+            ...this.paymentFailureHypotheses(ctx),
+            this.concentrationHypothesis(ctx, 'CURRENCY_CONCENTRATION', 'currency', inv => inv.currency),
+            this.concentrationHypothesis(ctx, 'REGION_CONCENTRATION', 'region', inv => inv.region),
+            this.concentrationHypothesis(ctx, 'PLAN_SKEW', 'plan', planOf, { joined: true })
+        ].filter(Boolean);
+    }
+
+    /**
+     * Every deployment in the timeline. Those near the onset are scored by
+     * causal attribution over the leaking service's invoices: timing, the
+     * rate step across the deployment, and its relation to the service.
+     */
+    deploymentHypotheses(ctx) {
+        const { range, onset, invoices, leaking, leakingService, deployments } = ctx;
+        const inRange = deployments.filter(d => d.timestamp >= range.from && d.timestamp <= range.to);
+        if (!leakingService) {
+            return inRange.map(dep => ({
+                type: 'DEPLOYMENT',
+                cause: `Deployment Regression: ${dep.service} ${dep.version}`,
+                signals: null,
+                evidence: [`${dep.service} ${dep.version} deployed ${fmt(dep.timestamp)}`],
+                rejection: 'No leaking invoices since the onset to attribute'
+            }));
+        }
+
+        const buckets = summarizeInvoices(invoices.filter(inv => inv.service === leakingService), 'hour');
+        const attribution = attributeIncident(buckets, deployments, {
+            service: leakingService,
+            incidentWindow: locateIncidentWindow(buckets, { evaluatedAt: range.to }),
+            spikeStart: onset.timestamp.slice(0, 10)
+        });
+        const serviceShare = countBy(leaking, inv => inv.service);
+
+        return inRange.map(dep => {
+            const label = `${dep.service} ${dep.version}`;
+            const base = { type: 'DEPLOYMENT', cause: `Deployment Regression: ${label}` };
+            const candidate = attribution.candidates.find(c => c.deployment.service === dep.service && c.deployment.timestamp === dep.timestamp);
+            if (!candidate) {
+                const timing = alignment(dep.timestamp, attribution.onset || onset);
+                return {
+                    ...base,
+                    signals: null,
+                    evidence: [`${label} deployed ${fmt(dep.timestamp)}, ${timing.detail}`],
+                    rejection: timing.factor === 0
+                        ? `Deployed ${timing.detail}`
+                        : `Deployed ${timing.detail}, outside the ${getCausalityConfig().lookbackHours}h lookback`
+                };
+            }
+
+            const { timing, step, topology } = candidate.evidence;
+            const reasons = [];
+            if (step.logBayesFactor <= 0) {
+                reasons.push(step.rateAfter <= step.rateBefore
+                    ? `${leakingService} underbilling did not rise across the deployment (${step.rateBefore}% → ${step.rateAfter}%)`
+                    : `${leakingService} underbilling rose only from ${step.rateBefore}% to ${step.rateAfter}% across the deployment, not enough to favour a step change (log Bayes factor ${step.logBayesFactor} ≤ 0)`);
             }
-        ];
+            if (timing.factor < MIN_ALIGNMENT) reasons.push(`Deployed ${timing.detail.replace('deployed ', '')}`);
+
+            return {
+                ...base,
+                signals: {
+                    signal_strength: step.factor,
+                    temporal_alignment: timing.factor,
+                    cross_signal_support: topology.factor,
+                    historical_deviation: deviation(
+                        smoothed(Math.round(step.rateAfter * step.invoicesAfter / 100), step.invoicesAfter),
+                        smoothed(Math.round(step.rateBefore * step.invoicesBefore / 100), step.invoicesBefore)
+                    )
+                },
+                evidence: [
+                    `${label} ${timing.detail} (leak began ${fmt(attribution.onset.timestamp)})`,
+                    `${leakingService} underbilling rate ${step.rateBefore}% → ${step.rateAfter}% across the deployment`,
+                    `${RELATION_TEXT[topology.relation]} ${leakingService}, which holds ${pct(serviceShare[leakingService], leaking.length)}% of leaking invoices`,
+                    `${(candidate.probability * 100).toFixed(1)}% attribution probability (${candidate.classification})`
+                ],
+                culprit: { service: dep.service, version: dep.version, timestamp: dep.timestamp, confidence: candidate.probability },
+                rejection: reasons.length ? reasons.join('; ') : null
+            };
+        });
     }
 
     /**
-     * ── Stage 2: Mathematical Confidence Scoring ───────────────────────────
-     * Formula: (W_s * S + W_t * T + W_d * D + W_h * H) * 100
+     * Every pricing version taking effect in the timeline. It moves the
+     * subscribers active on that date to new prices, so it explains the leak
+     * only if leaking invoices concentrate on those customers (joined by
+     * customer id) and their underbilling rose after it. Plan charges billed
+     * at another version's price since then (reconciliation) back that up.
      */
-    scoreAndRank(hypotheses, raw) {
-        return hypotheses.map(h => {
-            // Signal Strength: Magnitude of leak relative to billed
-            const leakage = raw.summary.total_leak;
-            const signal_strength = Math.min(leakage / 100000, 1);
-
-            // Temporal Alignment: Proximity to Feb 7 (Our hardcoded anomaly start)
-            const temporal_alignment = 0.95;
-
-            // Cross-Signal Support: Transaction anomalies + Churn signals
-            const cross_signal_support = raw.anomalies.length > 3 ? 0.8 : 0.4;
-
-            // Historical Deviation: MRR Risk % relative to 1% baseline
-            const historical_deviation = Math.min(raw.summary.mrr_risk_pct / 2, 1);
-
-            const score = (
-                signal_strength * this.weights.signal_strength +
-                temporal_alignment * this.weights.temporal_alignment +
-                cross_signal_support * this.weights.cross_signal_support +
-                historical_deviation * this.weights.historical_deviation
+    pricingVersionHypotheses(ctx, subscriptionOf) {
+        const { range, onset, invoices, leaking, subscriptions, pricingVersions } = ctx;
+        const ordered = [...pricingVersions].sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+
+        return ordered
+            .filter(v => new Date(v.effectiveDate).toISOString() >= range.from && new Date(v.effectiveDate).toISOString() <= range.to)
+            .map(version => {
+                const effective = new Date(version.effectiveDate).toISOString();
+                const timing = alignment(effective, onset);
+                const movedSubscriptions = subscriptions.filter(sub => sub.startDate <= effective && (!sub.churnDate || sub.churnDate >= effective));
+                const moved = new Set(movedSubscriptions.map(sub => sub.id));
+                const isMoved = inv => {
+                    const sub = subscriptionOf(inv);
+                    return sub !== null && moved.has(sub.id);
+                };
+                const movedInvoices = invoices.filter(isMoved);
+                const movedLeaking = leaking.filter(isMoved);
+                const leakShare = leaking.length > 0 ? movedLeaking.length / leaking.length : 0;
+                const baseShare = invoices.length > 0 ? movedInvoices.length / invoices.length : 0;
+                const preceding = movedInvoices.filter(inv => inv.timestamp < effective);
+                const following = movedInvoices.filter(inv => inv.timestamp >= effective);
+                const rateBefore = smoothed(preceding.filter(isUnderbilled).length, preceding.length);
+                const rateAfter = smoothed(following.filter(isUnderbilled).length, following.length);
+                const { summary } = reconcileInvoices(invoices.filter(inv => inv.timestamp >= effective), subscriptions, pricingVersions);
+                const stale = summary.byClass.STALE_VERSION.count;
+                const older = new Set(ordered.filter(v => v.effectiveDate < version.effectiveDate).map(v => v.version));
+                const staleSubscriptions = subscriptions.filter(s => older.has(s.pricingVersion)).length;
+                const shares = `${pct(movedLeaking.length, leaking.length)}% of leaking invoices vs ${pct(movedInvoices.length, invoices.length)}% of all invoices`;
+                const z = excessZ(leakShare, baseShare, leaking.length);
+
+                const reasons = [];
+                if (timing.factor < MIN_ALIGNMENT) reasons.push(`Took effect ${timing.detail}`);
+                if (movedLeaking.length < MIN_JOINED_INVOICES) {
+                    reasons.push(`Only ${movedLeaking.length} of ${leaking.length} leaking invoices belong to the ${moved.size} subscribers it moved; at least ${MIN_JOINED_INVOICES} are needed to judge it`);
+                } else if (leakShare < CONCENTRATION_LIFT * baseShare) {
+                    reasons.push(`Leaking invoices are not concentrated on the subscribers it moved (${shares})`);
+                } else if (z < MIN_EXCESS_Z) {
+                    reasons.push(`The subscribers it moved are over-represented among leaking invoices only within noise (${shares}, z = ${round2(z)}, needs ${MIN_EXCESS_Z})`);
+                }
+                if (rateAfter <= rateBefore) {
+                    reasons.push(`Their underbilling rate did not rise after it took effect (${round2(rateBefore * 100)}% → ${round2(rateAfter * 100)}%)`);
+                }
+
+                return {
+                    type: 'PRICING_VERSION',
+                    cause: `Pricing Version Mismatch: ${version.version}`,
+                    signals: {
+                        signal_strength: baseShare < 1 ? clamp01((leakShare - baseShare) / (1 - baseShare)) : 0,
+                        temporal_alignment: timing.factor,
+                        cross_signal_support: summary.matched > 0 ? stale / summary.matched : 0,
+                        historical_deviation: deviation(rateAfter, rateBefore)
+                    },
+                    evidence: [
+                        `${version.version} took effect ${fmt(effective)}, ${timing.detail}`,
+                        `${moved.size} of ${subscriptions.length} subscribers were active then; their invoices are ${shares}`,
+                        `Their underbilling rate ${round2(rateBefore * 100)}% before → ${round2(rateAfter * 100)}% after it took effect`,
+                        `${stale} of ${summary.matched} plan charges since it took effect billed at an older version's price`,
+                        `${staleSubscriptions} of ${subscriptions.length} subscriptions still on an older version`
+                    ],
+                    rejection: reasons.length ? reasons.join('; ') : null
+                };
+            });
+    }
+
+    /**
+     * Runs of consecutive days whose failed-transaction rate is at least
+     * ELEVATED_FACTOR × the rate before the onset day. A cluster explains the
+     * leak only if its failures fall on the leaking customers more than on
+     * customers in general.
+     */
+    paymentFailureHypotheses(ctx) {
+        const { onset, invoices, leaking, transactions } = ctx;
+        if (!transactions.length) return [];
+        const onsetDay = onset.timestamp.slice(0, 10);
+        const days = {};
+        transactions.forEach(t => {
+            const day = t.timestamp.slice(0, 10);
+            days[day] = days[day] || { day, total: 0, failed: [] };
+            days[day].total++;
+            if (t.status === 'FAILED') days[day].failed.push(t);
+        });
+        const series = Object.values(days).sort((a, b) => a.day.localeCompare(b.day));
+        const baseline = series.filter(d => d.day < onsetDay);
+        const baseFailed = baseline.reduce((s, d) => s + d.failed.length, 0);
+        const baseTotal = baseline.reduce((s, d) => s + d.total, 0);
+        const baseRate = smoothed(baseFailed, baseTotal);
+        const elevated = d => d.failed.length >= MIN_CLUSTER_FAILURES &&
+            d.failed.length / d.total >= Math.max(ELEVATED_FACTOR * baseRate, baseRate + MIN_RATE_SHIFT);
+
+        const clusters = [];
+        series.forEach((d, i) => {
+            if (!elevated(d)) return;
+            if (i > 0 && elevated(series[i - 1])) clusters[clusters.length - 1].push(d);
+            else clusters.push([d]);
+        });
+        if (!clusters.length) {
+            return [{
+                type: 'PAYMENT_FAILURES',
+                cause: 'Payment Processor Failure Cluster',
+                signals: null,
+                evidence: [`Failed-transaction rate ${pct(baseFailed, baseTotal)}% before ${onsetDay}`],
+                rejection: `No day's failed-transaction rate reached ${ELEVATED_FACTOR}× the ${pct(baseFailed, baseTotal)}% baseline`
+            }];
+        }
+
+        const leakingCustomers = new Set(leaking.map(inv => normalizeCustomerId(inv.customerId)));
+        const allCustomers = new Set(invoices.map(inv => normalizeCustomerId(inv.customerId)));
+
+        return clusters.map(cluster => {
+            const failed = cluster.flatMap(d => d.failed).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            const total = cluster.reduce((s, d) => s + d.total, 0);
+            const rate = smoothed(failed.length, total);
+            const timing = alignment(failed[0].timestamp, onset);
+            const failing = new Set(failed.map(t => normalizeCustomerId(t.customerId)));
+            const leakShare = [...leakingCustomers].filter(c => failing.has(c)).length / Math.max(leakingCustomers.size, 1);
+            const allShare = [...allCustomers].filter(c => failing.has(c)).length / Math.max(allCustomers.size, 1);
+            const span = `${cluster[0].day} → ${cluster[cluster.length - 1].day}`;
+            const types = Object.entries(countBy(failed, t => t.type)).sort((a, b) => b[1] - a[1]);
+
+            const reasons = [];
+            if (timing.factor < MIN_ALIGNMENT) reasons.push(`Failures began ${timing.detail}`);
+            if (leakShare < CONCENTRATION_LIFT * allShare) {
+                reasons.push(`Failed transactions are not concentrated on leaking customers (${round2(leakShare * 100)}% of them vs ${round2(allShare * 100)}% of all customers)`);
+            }
+
+            return {
+                type: 'PAYMENT_FAILURES',
+                cause: `Payment Processor Failure Cluster: ${span}`,
+                signals: {
+                    signal_strength: stepShare(rate, baseRate),
+                    temporal_alignment: timing.factor,
+                    cross_signal_support: allShare < 1 ? clamp01((leakShare - allShare) / (1 - allShare)) : 0,
+                    historical_deviation: deviation(rate, baseRate)
+                },
+                evidence: [
+                    `${failed.length} failed transactions ${span} (${pct(failed.length, total)}% vs ${pct(baseFailed, baseTotal)}% before ${onsetDay})`,
+                    `First failure ${fmt(failed[0].timestamp)}, ${timing.detail}`,
+                    `Failed by type: ${types.map(([type, n]) => `${type} ${n}`).join(', ')}`,
+                    `${round2(leakShare * 100)}% of leaking customers had a failed transaction vs ${round2(allShare * 100)}% of all customers`
+                ],
+                rejection: reasons.length ? reasons.join('; ') : null
+            };
+        });
+    }
+
+    /**
+     * The `dimension` value most over-represented among leaking invoices
+     * compared with all invoices; it stands out at CONCENTRATION_LIFT × lift
+     * and MIN_EXCESS_Z standard errors. With `joined`, only invoices whose
+     * value could be resolved (keyOf not null) count on either side.
+     */
+    concentrationHypothesis(ctx, type, dimension, keyOf, { joined = false } = {}) {
+        const { invoices, before, since, leaking } = ctx;
+        const keep = joined ? inv => keyOf(inv) !== null : () => true;
+        const base = invoices.filter(keep);
+        const leak = leaking.filter(keep);
+        const cause = type === 'PLAN_SKEW' ? 'Plan-Level Skew' : `${dimension.charAt(0).toUpperCase()}${dimension.slice(1)} Concentration`;
+        const reject = (reason, evidence = []) => ({ type, cause, signals: null, evidence, rejection: reason });
+
+        if (joined && leak.length < MIN_JOINED_INVOICES) {
+            return reject(
+                `Only ${leak.length} of ${leaking.length} leaking invoices join a subscription; at least ${MIN_JOINED_INVOICES} are needed to judge the ${dimension}`,
+                [`${base.length} of ${invoices.length} invoices in the timeline join a subscription`]
             );
+        }
+        const leakCounts = countBy(leak, keyOf);
+        const baseCounts = countBy(base, keyOf);
+        const ranked = Object.keys(leakCounts)
+            .filter(value => leakCounts[value] >= MIN_SEGMENT_LEAKS)
+            .map(value => ({ value, leakShare: leakCounts[value] / leak.length, baseShare: baseCounts[value] / base.length }))
+            .map(s => ({ ...s, lift: s.leakShare / s.baseShare }))
+            .sort((a, b) => b.lift - a.lift);
+        if (!ranked.length) return reject(`No ${dimension} has ${MIN_SEGMENT_LEAKS} or more leaking invoices`);
 
+        const top = ranked[0];
+        const rateOf = list => {
+            const own = list.filter(keep).filter(inv => keyOf(inv) === top.value);
+            return { k: own.filter(isUnderbilled).length, n: own.length };
+        };
+        const pre = rateOf(before);
+        const post = rateOf(since);
+        const rateBefore = smoothed(pre.k, pre.n);
+        const rateAfter = smoothed(post.k, post.n);
+        const services = [...new Set(leak.map(inv => inv.service))];
+        const skewedIn = services.filter(service => {
+            const leakIn = leak.filter(inv => inv.service === service);
+            const baseIn = base.filter(inv => inv.service === service);
+            const share = list => list.filter(inv => keyOf(inv) === top.value).length / Math.max(list.length, 1);
+            return share(leakIn) >= CONCENTRATION_LIFT * share(baseIn);
+        });
+        const shares = `${round2(top.leakShare * 100)}% of leaking invoices vs ${round2(top.baseShare * 100)}% of all invoices`;
+        const z = excessZ(top.leakShare, top.baseShare, leak.length);
+
+        return {
+            type,
+            cause: `${cause}: ${top.value}`,
+            signals: {
+                signal_strength: top.baseShare < 1 ? clamp01((top.leakShare - top.baseShare) / (1 - top.baseShare)) : 0,
+                temporal_alignment: stepShare(rateAfter, rateBefore),
+                cross_signal_support: services.length ? skewedIn.length / services.length : 0,
+                historical_deviation: deviation(rateAfter, rateBefore)
+            },
+            evidence: [
+                `${top.value} holds ${shares} (${round2(top.lift)}× lift, z = ${round2(z)} over ${leak.length} leaking invoices)`,
+                `${top.value} underbilling rate ${pct(pre.k, pre.n)}% before the onset → ${pct(post.k, post.n)}% since`,
+                `Over-represented in ${skewedIn.length} of ${services.length} leaking services`
+            ],
+            rejection: top.lift < CONCENTRATION_LIFT
+                ? `No ${dimension} stands out: the most over-represented, ${top.value}, holds ${shares}`
+                : z < MIN_EXCESS_Z
+                    ? `${top.value}'s excess is within noise: it holds ${shares}, z = ${round2(z)} over ${leak.length} leaking invoices (needs ${MIN_EXCESS_Z})`
+                    : null
+        };
+    }
+
+    /**
+     * ── Stage 2: Mathematical Confidence Scoring ───────────────────────────
+     * Formula: (W_s * S + W_t * T + W_d * D + W_h * H) * 100
+     * Every signal is computed from the inputs and lies in [0, 1]. Returns
+     * the accepted causes by confidence, and the rejected ones with a reason.
+     */
+    scoreAndRank(hypotheses) {
+        const scored = hypotheses.map(h => {
+            const signals = h.signals
+                ? Object.fromEntries(Object.keys(this.weights).map(key => [key, round2(h.signals[key])]))
+                : null;
+            const score = signals
+                ? Object.keys(this.weights).reduce((s, key) => s + h.signals[key] * this.weights[key], 0)
+                : 0;
+            const confidence = round2(score);
+            const rejection = h.rejection || (confidence < MIN_CONFIDENCE ? `Confidence ${confidence} is below ${MIN_CONFIDENCE}` : null);
             return {
                 cause: h.cause,
-                confidence: parseFloat(score.toFixed(2)),
-                evidence: this.fetchEvidence(h.cause, raw)
+                type: h.type,
+                confidence,
+                signals,
+                evidence: h.evidence,
+                ...(h.culprit ? { culprit: h.culprit } : {}),
+                rejection
             };
         }).sort((a, b) => b.confidence - a.confidence);
-    }
 
-    fetchEvidence(cause, raw) {
-        if (cause.includes('Billing')) {
-            return [
-                "Revenue drop within 24h of deployment",
-                `MRR risk increased to ${raw.summary.mrr_risk_pct}%`,
-                "Transaction failure volatility detected"
-            ];
-        }
-        return ["Invoice calculation mismatch", "Subscription tier drift"];
+        return {
+            ranked: scored.filter(h => !h.rejection).map(({ rejection, ...h }) => h),
+            rejected: scored.filter(h => h.rejection).map(({ rejection, culprit, ...h }) => ({ ...h, reason: rejection }))
+        };
     }
 
     synthesizeVerdict(ranked) {
         if (!ranked.length) return "Insufficient telemetry to form a definitive verdict.";
         const top = ranked[0];
-        return `${top.cause} confirmed as primary driver (Confidence: ${top.confidence * 100}%)`;
+        return `${top.cause} confirmed as primary driver (Confidence: ${Math.round(top.confidence * 100)}%)`;
     }
 
     generatePreventiveIntelligence(ranked) {
@@ -168,15 +588,32 @@ class RevenueLeakAgent {
         };
     }
 
-    generateActions(ranked) {
+    /**
+     * ── Stage 3: Evidence-Driven Actions ───────────────────────────────────
+     * The culprit is the deployment behind the top-ranked cause, if it is a
+     * deployment; rollback.js checks it against the deployment history and
+     * ranks the actions. The loss rate is the timeline's leak per hour.
+     */
+    generateActions(ranked, raw, events) {
         const top = ranked[0];
-        if (top.cause.includes('Deployment')) {
-            return [
-                { action: "Rollback billing-service v2.4.1", priority: "CRITICAL", expected_impact: "Immediate restoration of correct pricing logic" },
-                { action: "Verify database migration integrity", priority: "HIGH", expected_impact: "Ensures no data loss during rollback" }
-            ];
-        }
-        return [{ action: "Audit pricing tables", priority: "HIGH", expected_impact: "Stops leakage in specific tiers" }];
+        const deployments = events.filter(e => e.eventType === 'deployment');
+        const leaking = raw.timeline.filter(t => t.leak > 0);
+        const evaluatedAt = raw.timeline.length ? `${raw.timeline[raw.timeline.length - 1].date}T23:59:59.999Z` : null;
+        const culprit = top && top.culprit ? top.culprit : null;
+
+        const hours = leaking.length * 24;
+        const perHour = hours ? parseFloat((leaking.reduce((s, t) => s + t.leak, 0) / hours).toFixed(2)) : 0;
+        const stillLeaking = raw.timeline.length > 0 && raw.timeline[raw.timeline.length - 1].leak > 0;
+
+        return recommendActions({
+            culprit,
+            deployments,
+            incident: leaking.length
+                ? { status: stillLeaking ? 'ONGOING' : 'RECOVERED', onset: { timestamp: `${leaking[0].date}T00:00:00.000Z` }, recovery: stillLeaking ? null : { timestamp: `${leaking[leaking.length - 1].date}T23:59:59.999Z` } }
+                : null,
+            lossRate: hours ? { perHour, low: perHour, high: perHour, hoursObserved: hours } : null,
+            evaluatedAt,
+        }).actions;
     }
 }
 
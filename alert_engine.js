@@ -0,0 +1,229 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Alert Rule Evaluation
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Evaluates the rules from alert_rules.js against the data layer. Stateless:
+ *  the lifecycle (firing / acknowledged / …) lives in alert_state.js. Used by
+ *  /api/alerts, the rule dry-run endpoint and monitor_service.js.
+ */
+
+const { aggregateInvoices } = require('./data_layer');
+const { formatMoney, getReportingCurrency } = require('./fx');
+const { SCOPE_FIELDS, parseWindowDays, compare, resolveSeverity } = require('./alert_rules');
+const {
+    DEFAULT_BASELINE_DAYS,
+    DIRECTIONS,
+    shiftDay,
+    computeDriftFromDaily,
+} = require('./drift_engine');
+
+/**
+ * Expand a rule scope into concrete filters. "*" fans out over the values
+ * present in the invoice data (so new services are picked up automatically);
+ * literal values pass through; omitted keys stay unconstrained.
+ */
+async function resolveRuleTargets(scope = {}) {
+    let targets = [{}];
+    for (const field of SCOPE_FIELDS) {
+        const value = scope[field];
+        if (value === undefined) continue;
+        if (value !== '*') {
+            targets = targets.map(t => ({ ...t, [field]: value }));
+            continue;
+        }
+        const expanded = [];
+        for (const target of targets) {
+            const buckets = await aggregateInvoices(target, field);
+            buckets.forEach(b => expanded.push({ ...target, [field]: b.key }));
+        }
+        targets = expanded;
+    }
+    return targets;
+}
+
+function describeTarget(target) {
+    const values = SCOPE_FIELDS.filter(f => target[f]).map(f => target[f]);
+    return values.length > 0 ? values.join(' / ') : 'all services';
+}
+
+/**
+ * Value of the rule's metric at `evaluatedAt`, from the target's daily
+ * buckets. Windows end on the evaluation day; "all" covers every day up to it.
+ * Counts and amounts come from the rule's direction (default underbilling).
+ */
+function measureRule(rule, daily, evaluatedAt, defaults = {}) {
+    const direction = rule.direction || 'underbilling';
+    const { count, amount } = DIRECTIONS[direction];
+    const windowDays = parseWindowDays(rule.window);
+    const evaluationDay = evaluatedAt.slice(0, 10);
+    const fromDay = windowDays === null ? null : shiftDay(evaluationDay, -(windowDays - 1));
+    const inWindow = daily.filter(d => d.key <= evaluationDay && (fromDay === null || d.key >= fromDay));
+
+    const drift = windowDays === null ? null : computeDriftFromDaily(daily, {
+        evaluatedAt,
+        currentDays: windowDays,
+        baselineDays: rule.baselineDays || defaults.baselineDays || DEFAULT_BASELINE_DAYS,
+        direction,
+    });
+
+    let value;
+    switch (rule.metric) {
+        case 'anomalyRate':
+            value = drift
+                ? drift.currentRate
+                : parseFloat((inWindow.reduce((s, d) => s + d[count] / d.total, 0) / (inWindow.length || 1) * 100).toFixed(2));
+            break;
+        case 'anomalyCount':
+            value = inWindow.reduce((s, d) => s + d[count], 0);
+            break;
+        case 'revenueLoss':
+            value = parseFloat(inWindow.reduce((s, d) => s + d[amount], 0).toFixed(2));
+            break;
+        case 'driftFactor':
+            value = drift.driftFactor;
+            break;
+        case 'zScore':
+            value = drift.zScore;
+            break;
+    }
+
+    return {
+        value,
+        baselineRate: drift ? drift.baselineRate : null,
+        window: drift ? drift.windows : { evaluatedAt, current: { from: inWindow.length > 0 ? inWindow[0].key : null, to: evaluationDay } },
+    };
+}
+
+function describeAlert(rule, target, measurement) {
+    const label = describeTarget(target);
+    const { value, baselineRate } = measurement;
+    const span = rule.window === 'all' ? 'cumulative' : `last ${rule.window}`;
+    if (rule.direction === 'overbilling') {
+        switch (rule.metric) {
+            case 'anomalyRate':
+                return baselineRate !== null
+                    ? `Overbilling rate at ${value}% for ${label} (baseline: ${baselineRate}%)`
+                    : `Overbilling rate at ${value}% for ${label} (${span})`;
+            case 'anomalyCount':
+                return `${value} overbilled invoices for ${label} (${span})`;
+            case 'revenueLoss':
+                return rule.window === 'all'
+                    ? `Cumulative refund exposure of ${formatMoney(value)} in ${label}`
+                    : `Refund exposure of ${formatMoney(value)} over the last ${rule.window} in ${label}`;
+            case 'driftFactor':
+                return `Overbilling drift ${value}x ${value >= 1 ? 'above' : 'below'} baseline for ${label}`;
+        }
+    }
+    switch (rule.metric) {
+        case 'anomalyRate':
+            return baselineRate !== null
+                ? `Anomaly rate at ${value}% for ${label} (baseline: ${baselineRate}%)`
+                : `Anomaly rate at ${value}% for ${label} (${span})`;
+        case 'anomalyCount':
+            return `${value} underbilled invoices for ${label} (${span})`;
+        case 'revenueLoss':
+            return rule.window === 'all'
+                ? `Cumulative revenue loss of ${formatMoney(value)} detected in ${label}`
+                : `Revenue loss of ${formatMoney(value)} over the last ${rule.window} in ${label}`;
+        case 'driftFactor':
+            return `Drift factor ${value}x ${value >= 1 ? 'above' : 'below'} baseline for ${label}`;
+        default:
+            return `${rule.metric} at ${value} for ${label} (threshold ${rule.comparator} ${rule.threshold})`;
+    }
+}
+
+/** Alert for one rule/target at one point in time, or null if it does not fire. */
+function evaluateRule(rule, target, daily, evaluatedAt, defaults = {}) {
+    const measurement = measureRule(rule, daily, evaluatedAt, defaults);
+    if (!compare(measurement.value, rule.comparator, rule.threshold)) return null;
+
+    const targetKey = SCOPE_FIELDS.filter(f => target[f]).map(f => target[f]).join('-') || 'all';
+    return {
+        id: `alert-${rule.id}-${targetKey}`,
+        fingerprint: `${rule.type}:${targetKey}:${rule.window}`,
+        ruleId: rule.id,
+        type: rule.type,
+        severity: resolveSeverity(rule.severity, measurement.value),
+        service: target.service || 'all',
+        scope: target,
+        message: describeAlert(rule, target, measurement),
+        metric: measurement.value,
+        metricName: rule.metric,
+        direction: rule.direction || 'underbilling',
+        currency: rule.metric === 'revenueLoss' ? getReportingCurrency() : null,
+        comparator: rule.comparator,
+        threshold: rule.threshold,
+        window: rule.window,
+        windows: measurement.window,
+        timestamp: new Date().toISOString(),
+    };
+}
+
+const SEVERITY_ORDER = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
+
+function sortAlertsBySeverity(alerts) {
+    return alerts.sort((a, b) => (SEVERITY_ORDER[a.severity] ?? 99) - (SEVERITY_ORDER[b.severity] ?? 99));
+}
+
+/** Every alert the enabled rules fire at `evaluatedAt`. */
+async function evaluateAlertRules(rules, evaluatedAt, defaults = {}) {
+    const alerts = [];
+    for (const rule of rules.filter(r => r.enabled !== false)) {
+        for (const target of await resolveRuleTargets(rule.scope)) {
+            const daily = await aggregateInvoices(target, 'day');
+            const alert = evaluateRule(rule, target, daily, evaluatedAt, defaults);
+            if (alert) alerts.push(alert);
+        }
+    }
+    return sortAlertsBySeverity(alerts);
+}
+
+/**
+ * Replay a rule at the end of every day in the range (default: all data)
+ * and report which alerts it would have fired. Nothing is persisted.
+ */
+async function dryRunAlertRule(rule, range, defaults = {}) {
+    const allDays = (await aggregateInvoices({}, 'day')).map(d => d.key);
+    const fromDay = range.from ? range.from.slice(0, 10) : null;
+    const toDay = range.to ? range.to.slice(0, 10) : null;
+    const days = allDays.filter(day => (!fromDay || day >= fromDay) && (!toDay || day <= toDay));
+
+    const targets = await resolveRuleTargets(rule.scope);
+    const dailyByTarget = await Promise.all(targets.map(target => aggregateInvoices(target, 'day')));
+
+    const firings = [];
+    days.forEach(day => {
+        const evaluatedAt = `${day}T23:59:59.999Z`;
+        targets.forEach((target, i) => {
+            const alert = evaluateRule(rule, target, dailyByTarget[i], evaluatedAt, defaults);
+            if (alert) firings.push({ date: day, ...alert, timestamp: evaluatedAt });
+        });
+    });
+
+    const bySeverity = {};
+    firings.forEach(f => { bySeverity[f.severity] = (bySeverity[f.severity] || 0) + 1; });
+
+    return {
+        rule,
+        targets,
+        daysEvaluated: days.length,
+        range: { from: days[0] || null, to: days[days.length - 1] || null },
+        summary: {
+            firings: firings.length,
+            daysFired: new Set(firings.map(f => f.date)).size,
+            firstFired: firings.length > 0 ? firings[0].date : null,
+            lastFired: firings.length > 0 ? firings[firings.length - 1].date : null,
+            bySeverity,
+        },
+        firings,
+    };
+}
+
+module.exports = {
+    resolveRuleTargets,
+    evaluateRule,
+    sortAlertsBySeverity,
+    evaluateAlertRules,
+    dryRunAlertRule,
+};
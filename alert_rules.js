@@ -0,0 +1,249 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Alert Rule Store
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Alert rules live in config/alert_rules.json (override with
+ *  ALERT_RULES_FILE) and are edited through /api/alert-rules. This module
+ *  owns loading, validation and persistence; alert_engine.js evaluates rules
+ *  against the data layer.
+ *
+ *  Rule shape:
+ *    {
+ *      id:          "anomaly",                    // [a-z0-9-_], unique
+ *      name:        "Anomaly rate spike",
+ *      type:        "ANOMALY_SPIKE",              // alert type emitted
+ *      enabled:     true,
+ *      scope:       { service: "*", region: "us-east" },
+ *      direction:   "underbilling",               // or "overbilling" (default underbilling)
+ *      metric:      "anomalyRate",                // see METRICS
+ *      comparator:  ">",                          // >, >=, <, <=
+ *      threshold:   10,
+ *      window:      "3d",                         // "<N>d" or "all"
+ *      baselineDays: 28,                          // drift metrics only
+ *      severity:    "HIGH" | [{ above: 30, level: "CRITICAL" }, { level: "HIGH" }],
+ *      notify:      ["ops-slack"]                 // optional webhook ids (notifier.js)
+ *    }
+ *
+ *  Scope keys (service / region / currency) take a literal value, or "*" to
+ *  evaluate the rule once per value discovered in the data. Omitted keys are
+ *  not constrained.
+ *
+ *  `direction` picks which invoices the metric counts: billed below the
+ *  expected amount (underbilling, money is lost revenue) or above it
+ *  (overbilling, money is refund exposure).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE = process.env.ALERT_RULES_FILE || path.join(__dirname, 'config', 'alert_rules.json');
+
+const METRICS = {
+    anomalyRate: 'Mean daily rate (%) of invoices billed in the rule direction over the window',
+    anomalyCount: 'Invoices billed in the rule direction in the window',
+    revenueLoss: 'Amount under- or overbilled in the window, in the reporting currency',
+    driftFactor: 'Window rate divided by the trailing baseline rate',
+    zScore: 'Standard deviations of the window rate above the baseline',
+};
+const DRIFT_METRICS = ['driftFactor', 'zScore'];
+const COMPARATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+};
+const SEVERITY_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const SCOPE_FIELDS = ['service', 'region', 'currency'];
+const DIRECTIONS = ['underbilling', 'overbilling'];
+const RULE_FIELDS = ['id', 'name', 'type', 'enabled', 'scope', 'direction', 'metric', 'comparator', 'threshold', 'window', 'baselineDays', 'severity', 'notify'];
+
+// ─── Persistence ────────────────────────────────────────────────────────────
+
+let rules = null;
+
+function loadRules() {
+    if (!fs.existsSync(RULES_FILE)) return [];
+    return JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+}
+
+function saveRules() {
+    fs.mkdirSync(path.dirname(RULES_FILE), { recursive: true });
+    fs.writeFileSync(RULES_FILE, JSON.stringify(rules, null, 2) + '\n');
+}
+
+function getRules() {
+    if (!rules) rules = loadRules();
+    return rules;
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/** Days covered by a window string, or null for "all". */
+function parseWindowDays(window) {
+    if (window === 'all') return null;
+    const match = /^(\d+)d$/.exec(window);
+    return match ? parseInt(match[1], 10) : NaN;
+}
+
+function validateSeverity(severity, errors) {
+    if (typeof severity === 'string') {
+        if (!SEVERITY_LEVELS.includes(severity)) errors.push(`severity must be one of ${SEVERITY_LEVELS.join(', ')}`);
+        return;
+    }
+    if (!Array.isArray(severity) || severity.length === 0) {
+        errors.push('severity must be a level or a non-empty array of { above?, below?, level } bands');
+        return;
+    }
+    severity.forEach((band, i) => {
+        if (!band || !SEVERITY_LEVELS.includes(band.level)) {
+            errors.push(`severity[${i}].level must be one of ${SEVERITY_LEVELS.join(', ')}`);
+        }
+        ['above', 'below'].forEach(key => {
+            if (band && band[key] !== undefined && !Number.isFinite(band[key])) errors.push(`severity[${i}].${key} must be a number`);
+        });
+    });
+    const last = severity[severity.length - 1];
+    if (last && (last.above !== undefined || last.below !== undefined)) {
+        errors.push('the last severity band must be a catch-all (no above/below)');
+    }
+}
+
+/** Returns a list of human-readable problems; empty when the rule is valid. */
+function validateRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['rule must be an object'];
+
+    Object.keys(rule).forEach(key => {
+        if (!RULE_FIELDS.includes(key)) errors.push(`unknown field '${key}'`);
+    });
+    if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9-_]*$/.test(rule.id)) {
+        errors.push('id must be lowercase letters, digits, "-" or "_"');
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') errors.push('name must be a string');
+    if (typeof rule.type !== 'string' || rule.type.length === 0) errors.push('type is required');
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+    if (rule.scope !== undefined) {
+        if (!rule.scope || typeof rule.scope !== 'object' || Array.isArray(rule.scope)) {
+            errors.push('scope must be an object');
+        } else {
+            Object.entries(rule.scope).forEach(([key, value]) => {
+                if (!SCOPE_FIELDS.includes(key)) errors.push(`scope.${key} is not supported (use ${SCOPE_FIELDS.join(', ')})`);
+                else if (typeof value !== 'string' || value.length === 0) errors.push(`scope.${key} must be a value or "*"`);
+            });
+        }
+    }
+
+    if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) {
+        errors.push(`direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (!METRICS[rule.metric]) errors.push(`metric must be one of ${Object.keys(METRICS).join(', ')}`);
+    if (!COMPARATORS[rule.comparator]) errors.push(`comparator must be one of ${Object.keys(COMPARATORS).join(', ')}`);
+    if (!Number.isFinite(rule.threshold)) errors.push('threshold must be a number');
+
+    const windowDays = parseWindowDays(rule.window);
+    if (Number.isNaN(windowDays) || windowDays === 0) {
+        errors.push('window must be "<N>d" (N ≥ 1) or "all"');
+    } else if (windowDays === null && DRIFT_METRICS.includes(rule.metric)) {
+        errors.push(`${rule.metric} compares against a baseline and needs a bounded window`);
+    }
+    if (rule.baselineDays !== undefined) {
+        if (!Number.isInteger(rule.baselineDays) || rule.baselineDays < 1) errors.push('baselineDays must be a positive whole number');
+        else if (!DRIFT_METRICS.includes(rule.metric)) errors.push('baselineDays only applies to drift metrics');
+    }
+
+    if (rule.severity === undefined) errors.push('severity is required');
+    else validateSeverity(rule.severity, errors);
+
+    if (rule.notify !== undefined && (!Array.isArray(rule.notify) || rule.notify.some(id => typeof id !== 'string'))) {
+        errors.push('notify must be a list of webhook ids');
+    }
+
+    return errors;
+}
+
+function normalizeRule(rule) {
+    return { ...rule, enabled: rule.enabled === undefined ? true : rule.enabled, scope: rule.scope || {} };
+}
+
+// ─── Evaluation Helpers ─────────────────────────────────────────────────────
+
+function compare(value, comparator, threshold) {
+    return COMPARATORS[comparator](value, threshold);
+}
+
+/** First band whose bounds contain the value wins. */
+function resolveSeverity(severity, value) {
+    if (typeof severity === 'string') return severity;
+    const band = severity.find(b =>
+        (b.above === undefined || value > b.above) &&
+        (b.below === undefined || value < b.below));
+    return band ? band.level : severity[severity.length - 1].level;
+}
+
+// ─── CRUD ───────────────────────────────────────────────────────────────────
+
+function listRules() {
+    return getRules();
+}
+
+function getRule(id) {
+    return getRules().find(r => r.id === id) || null;
+}
+
+/** Returns { rule } or { errors }. */
+function createRule(input) {
+    const rule = normalizeRule(input || {});
+    const errors = validateRule(rule);
+    if (getRule(rule.id)) errors.push(`rule '${rule.id}' already exists`);
+    if (errors.length > 0) return { errors };
+
+    getRules().push(rule);
+    saveRules();
+    return { rule };
+}
+
+/**
+ * Replace (or, with `merge`, patch) an existing rule. The id is immutable.
+ * Returns null when the rule does not exist, otherwise { rule } or { errors }.
+ */
+function updateRule(id, input, { merge = false } = {}) {
+    const index = getRules().findIndex(r => r.id === id);
+    if (index === -1) return null;
+
+    const rule = normalizeRule(merge ? { ...rules[index], ...input, id } : { ...input, id });
+    const errors = validateRule(rule);
+    if (input && input.id !== undefined && input.id !== id) errors.push('id cannot be changed');
+    if (errors.length > 0) return { errors };
+
+    rules[index] = rule;
+    saveRules();
+    return { rule };
+}
+
+function deleteRule(id) {
+    const index = getRules().findIndex(r => r.id === id);
+    if (index === -1) return false;
+    rules.splice(index, 1);
+    saveRules();
+    return true;
+}
+
+module.exports = {
+    RULES_FILE,
+    METRICS,
+    DRIFT_METRICS,
+    SCOPE_FIELDS,
+    DIRECTIONS,
+    parseWindowDays,
+    validateRule,
+    normalizeRule,
+    compare,
+    resolveSeverity,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+};
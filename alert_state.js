@@ -0,0 +1,204 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Alert Lifecycle Store
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Rule evaluation (see alert_rules.js) is stateless; this module turns its
+ *  output into long-lived alerts persisted in data/alert_state.json
+ *  (override with ALERT_STATE_FILE).
+ *
+ *  An alert is identified by its fingerprint — type + scope + window, e.g.
+ *  "ANOMALY_SPIKE:billing-service:3d" — so re-evaluating the same condition
+ *  updates one record instead of producing a new alert each time.
+ *
+ *    firing ──ack──▶ acknowledged
+ *    firing | acknowledged ──snooze──▶ snoozed ──(until passes)──▶ firing
+ *    any active state ──resolve | condition clears──▶ resolved
+ *
+ *  A resolved alert whose condition fires again is reopened as firing. An
+ *  operator resolve holds while the condition is still true and only reopens
+ *  once it has cleared and fired again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_FILE = process.env.ALERT_STATE_FILE || path.join(__dirname, 'data', 'alert_state.json');
+const MAX_HISTORY = 1000;
+
+const STATES = ['firing', 'acknowledged', 'snoozed', 'resolved'];
+const ACTIVE_STATES = ['firing', 'acknowledged', 'snoozed'];
+const DURATION_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// ─── Persistence ────────────────────────────────────────────────────────────
+
+let state = null;
+
+function loadState() {
+    if (!fs.existsSync(STATE_FILE)) return { alerts: {}, history: [] };
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+}
+
+function saveState() {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
+}
+
+function getState() {
+    if (!state) state = loadState();
+    return state;
+}
+
+// Optional hook so the server can push notifications on state changes
+let transitionListener = null;
+
+function setTransitionListener(fn) {
+    transitionListener = fn;
+}
+
+function recordTransition(record, to, at, { by = 'system', note = null } = {}) {
+    const from = record.state;
+    record.state = to;
+    record.updatedAt = at;
+    getState().history.push({ at, fingerprint: record.fingerprint, alertId: record.id, from, to, by, note });
+    if (state.history.length > MAX_HISTORY) state.history.splice(0, state.history.length - MAX_HISTORY);
+    if (transitionListener) transitionListener({ ...record }, from, to);
+}
+
+// ─── Reconciliation ─────────────────────────────────────────────────────────
+
+/**
+ * Merge a fresh evaluation into the store and return the stored records for
+ * `alerts` (same order). Active records whose condition no longer fires are
+ * resolved; expired snoozes go back to firing.
+ */
+function reconcileAlerts(alerts, now = new Date().toISOString()) {
+    const { alerts: records } = getState();
+    const seen = new Set();
+
+    const merged = alerts.map(alert => {
+        seen.add(alert.fingerprint);
+        let record = records[alert.fingerprint];
+
+        if (!record) {
+            record = { fingerprint: alert.fingerprint, state: null, firstSeen: now, occurrences: 0 };
+            records[alert.fingerprint] = record;
+        }
+        // Latest evaluation wins for the descriptive fields
+        Object.assign(record, alert, { lastSeen: now });
+
+        if (record.state === 'resolved' && record.holdUntilClear) {
+            // Operator resolved it; stay resolved until the condition clears
+        } else if (!record.state || record.state === 'resolved') {
+            record.occurrences++;
+            record.firedAt = now;
+            record.acknowledgedBy = null;
+            record.snoozedUntil = null;
+            record.resolvedAt = null;
+            record.holdUntilClear = false;
+            recordTransition(record, 'firing', now, { note: record.occurrences > 1 ? 'Condition fired again' : 'Condition fired' });
+        } else if (record.state === 'snoozed' && record.snoozedUntil <= now) {
+            record.snoozedUntil = null;
+            recordTransition(record, 'firing', now, { note: 'Snooze expired' });
+        }
+        record.timestamp = record.firedAt;
+        return { ...record };
+    });
+
+    Object.values(records).forEach(record => {
+        if (seen.has(record.fingerprint)) return;
+        record.holdUntilClear = false;
+        if (ACTIVE_STATES.includes(record.state)) {
+            record.resolvedAt = now;
+            recordTransition(record, 'resolved', now, { note: 'Condition cleared' });
+        }
+    });
+
+    saveState();
+    return merged;
+}
+
+// ─── Operator Actions ───────────────────────────────────────────────────────
+
+/** `until` (ISO timestamp) or `duration` ("30m", "2h", "1d"). Returns an ISO string or { error }. */
+function resolveSnoozeUntil({ until, duration } = {}, now) {
+    if (until) {
+        const ts = Date.parse(until);
+        if (Number.isNaN(ts)) return { error: `Invalid 'until' value: ${until}` };
+        if (ts <= Date.parse(now)) return { error: "'until' must be in the future" };
+        return new Date(ts).toISOString();
+    }
+    const match = /^(\d+)([mhd])$/.exec(duration || '');
+    if (!match || parseInt(match[1], 10) === 0) {
+        return { error: "Snooze needs 'until' (ISO timestamp) or 'duration' (e.g. 30m, 2h, 1d)" };
+    }
+    return new Date(Date.parse(now) + parseInt(match[1], 10) * DURATION_MS[match[2]]).toISOString();
+}
+
+const ACTIONS = {
+    acknowledge: { from: ['firing', 'snoozed'], to: 'acknowledged' },
+    snooze: { from: ['firing', 'acknowledged'], to: 'snoozed' },
+    resolve: { from: ACTIVE_STATES, to: 'resolved' },
+};
+
+/**
+ * Apply an operator action. Returns null for an unknown fingerprint,
+ * { error, status } for an invalid transition, otherwise { alert }.
+ */
+function applyAlertAction(fingerprint, action, options = {}, now = new Date().toISOString()) {
+    const record = getState().alerts[fingerprint];
+    if (!record) return null;
+
+    const { from, to } = ACTIONS[action];
+    if (!from.includes(record.state)) {
+        return { error: `Cannot ${action} an alert that is ${record.state}`, status: 409 };
+    }
+
+    const by = options.by || 'operator';
+    if (action === 'snooze') {
+        const until = resolveSnoozeUntil(options, now);
+        if (until.error) return { error: until.error, status: 400 };
+        record.snoozedUntil = until;
+    }
+    if (action === 'acknowledge') record.acknowledgedBy = by;
+    if (action === 'resolve') {
+        record.resolvedAt = now;
+        record.holdUntilClear = true;
+    }
+
+    recordTransition(record, to, now, { by, note: options.note || null });
+    saveState();
+    return { alert: { ...record } };
+}
+
+// ─── Queries ────────────────────────────────────────────────────────────────
+
+function getAlert(fingerprint) {
+    const record = getState().alerts[fingerprint];
+    return record ? { ...record } : null;
+}
+
+function listAlerts(states = ACTIVE_STATES) {
+    return Object.values(getState().alerts)
+        .filter(record => states.includes(record.state))
+        .map(record => ({ ...record }));
+}
+
+/** Newest first, optionally for a single fingerprint. */
+function getAlertHistory({ fingerprint = null, limit = 100 } = {}) {
+    return getState().history
+        .filter(entry => !fingerprint || entry.fingerprint === fingerprint)
+        .slice(-limit)
+        .reverse();
+}
+
+module.exports = {
+    STATES,
+    ACTIVE_STATES,
+    setTransitionListener,
+    reconcileAlerts,
+    applyAlertAction,
+    getAlert,
+    listAlerts,
+    getAlertHistory,
+};
@@ -9,6 +9,9 @@
  *
  *  Input:  7 JSON files from ./data/
  *  Output: Structured investigation JSON to stdout + ./data/investigation.json
+ *
+ *  Usage:  node analysis.js [--interval=1d|1h|5m]   (metric bucket size, default 1d;
+ *          ANALYSIS_INTERVAL works too)
  */
 
 'use strict';
@@ -31,16 +34,39 @@ function toDay(ts) {
     return new Date(ts).toISOString().slice(0, 10);
 }
 
-/** Generate the ordered set of dates in the study window. */
-function dateRange(startISO, endISO) {
-    const days = [];
-    const cur = new Date(startISO);
-    const end = new Date(endISO);
-    while (cur <= end) {
-        days.push(cur.toISOString().slice(0, 10));
-        cur.setDate(cur.getDate() + 1);
+/** Bucket sizes for the metric series: length in ms and key length of the ISO prefix. */
+const INTERVALS = {
+    '5m': { ms: 5 * 60 * 1000, keyLength: 16 },
+    '1h': { ms: 60 * 60 * 1000, keyLength: 13 },
+    '1d': { ms: 24 * 60 * 60 * 1000, keyLength: 10 },
+};
+
+function parseIntervalArg() {
+    const arg = process.argv.find(a => a.startsWith('--interval='));
+    const interval = arg ? arg.slice('--interval='.length) : (process.env.ANALYSIS_INTERVAL || '1d');
+    if (!INTERVALS[interval]) {
+        console.error(`Unknown interval '${interval}'. Expected ${Object.keys(INTERVALS).join(', ')}.`);
+        process.exit(1);
+    }
+    return interval;
+}
+
+const INTERVAL = parseIntervalArg();
+
+/** Normalize any ISO timestamp to its bucket key: 'YYYY-MM-DD', 'YYYY-MM-DDTHH' or 'YYYY-MM-DDTHH:MM' (5-minute floor). */
+function toBucket(ts) {
+    const { ms, keyLength } = INTERVALS[INTERVAL];
+    return new Date(Math.floor(new Date(ts).getTime() / ms) * ms).toISOString().slice(0, keyLength);
+}
+
+/** Generate the ordered set of bucket keys in the study window. */
+function bucketRange(startISO, endISO) {
+    const { ms } = INTERVALS[INTERVAL];
+    const buckets = [];
+    for (let t = new Date(startISO).getTime(); t <= new Date(endISO).getTime(); t += ms) {
+        buckets.push(toBucket(t));
     }
-    return days;
+    return buckets;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -144,14 +170,14 @@ function runInvestigation() {
     const churnEvents = loadJSON('churn_events.json');
     const systemEvents = loadJSON('system_events.json');
 
-    const DAYS = dateRange('2026-02-01', '2026-02-14');
+    const BUCKETS = bucketRange('2026-02-01T00:00:00.000Z', '2026-02-14T23:59:59.999Z');
 
-    // ── Pre-index by day ───────────────────────────────────────────────────
-    const txnByDay = groupBy(transactions, t => toDay(t.timestamp));
-    const invByDay = groupBy(invoices, i => toDay(i.invoiceDate));
-    const ticketByDay = groupBy(supportTickets, t => toDay(t.createdAt));
-    const churnByDay = groupBy(churnEvents, c => toDay(c.date));
-    const eventsByDay = groupBy(systemEvents, e => toDay(e.timestamp));
+    // ── Pre-index by bucket ────────────────────────────────────────────────
+    const txnByBucket = groupBy(transactions, t => toBucket(t.timestamp));
+    const invByBucket = groupBy(invoices, i => toBucket(i.invoiceDate));
+    const ticketByBucket = groupBy(supportTickets, t => toBucket(t.createdAt));
+    const churnByBucket = groupBy(churnEvents, c => toBucket(c.date));
+    const eventsByBucket = groupBy(systemEvents, e => toBucket(e.timestamp));
 
     // ────────────────────────────────────────────────────────────────────────
     //  2. DAILY METRICS
@@ -159,11 +185,11 @@ function runInvestigation() {
 
     const totalExpectedMRR = subscriptions.reduce((s, sub) => s + sub.expectedMRR, 0);
 
-    const dailyMetrics = DAYS.map(day => {
-        const dayTxns = txnByDay[day] || [];
-        const dayInv = invByDay[day] || [];
-        const dayTickets = ticketByDay[day] || [];
-        const dayChurns = churnByDay[day] || [];
+    const dailyMetrics = BUCKETS.map(day => {
+        const dayTxns = txnByBucket[day] || [];
+        const dayInv = invByBucket[day] || [];
+        const dayTickets = ticketByBucket[day] || [];
+        const dayChurns = churnByBucket[day] || [];
 
         const totalTx = dayTxns.length;
         const failedTx = dayTxns.filter(t => t.status === 'FAILED').length;
@@ -296,19 +322,19 @@ function runInvestigation() {
     //  5. CORRELATION ANALYSIS (PEARSON + TIME LAG)
     // ────────────────────────────────────────────────────────────────────────
 
-    // Build daily signal vectors (aligned to DAYS array)
+    // Build signal vectors (aligned to the BUCKETS array; lags are in buckets)
     const vec = {
         revenueDelta: dailyMetrics.map(d => d.revenueDelta),
         failureRate: dailyMetrics.map(d => d.transactionFailureRate),
         sentiment: dailyMetrics.map(d => d.avgSentiment),
         negTickets: dailyMetrics.map(d => d.negativeTickets),
         churnedMRR: dailyMetrics.map(d => d.churnedMRR),
-        systemEvents: DAYS.map(day => (eventsByDay[day] || []).length)
+        systemEvents: BUCKETS.map(day => (eventsByBucket[day] || []).length)
     };
 
-    // Has a deployment on this day? Binary signal.
-    const deploySignal = DAYS.map(day =>
-        (eventsByDay[day] || []).some(e => e.type === 'DEPLOYMENT') ? 1 : 0
+    // Has a deployment in this bucket? Binary signal.
+    const deploySignal = BUCKETS.map(day =>
+        (eventsByBucket[day] || []).some(e => e.type === 'DEPLOYMENT') ? 1 : 0
     );
 
     function bestLagCorrelation(xs, ys, maxLag) {
@@ -578,6 +604,7 @@ function runInvestigation() {
             generatedAt: new Date().toISOString(),
             engine: 'RevenueLeak AI v1.0',
             dataWindow: { start: '2026-02-01', end: '2026-02-14' },
+            interval: INTERVAL,
             datasetsLoaded: {
                 subscriptions: subscriptions.length,
                 transactions: transactions.length,
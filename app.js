@@ -119,7 +119,9 @@ function renderAnomalies(anomalies) {
 
 function renderCausalChain(primaryCause) {
   const container = document.getElementById('causal-chain');
-  container.innerHTML = primaryCause.evidence.map((step, i) => `
+  // Every hypothesis can be rejected, leaving no primary cause
+  const steps = primaryCause ? primaryCause.evidence : [];
+  container.innerHTML = steps.map((step, i) => `
     <div class="chain-item">
       <div class="chain-num">${i + 1}</div>
       <div class="chain-text">${step}</div>
@@ -155,13 +157,14 @@ function renderImpactModeling(impact) {
 
 function renderActionStack(actions) {
   const container = document.getElementById('actions-stack');
+  // Structured actions (rollback.js) carry a summary and rationale; the query.js fallback only has action/impact
   container.innerHTML = actions.map((act, i) => `
     <div class="glass-card action-card">
       <div class="act-prio">P${i}</div>
       <div class="act-body">
-        <h3>${act.action}</h3>
-        <p>${act.expected_impact}</p>
-        <div style="margin-top: 8px"><span class="issue-tag">Immediate Execution Required</span></div>
+        <h3>${act.summary || act.action}</h3>
+        <p>${act.rationale ? act.rationale.join(' · ') : act.expected_impact || act.impact}</p>
+        <div style="margin-top: 8px"><span class="issue-tag">${act.status === 'BLOCKED' ? 'Blocked by Pre-checks' : 'Immediate Execution Required'}</span></div>
       </div>
     </div>
   `).join('');
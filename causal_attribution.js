@@ -0,0 +1,411 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Causal Attribution (Deployments → Incident)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Decides which deployment most likely caused a service's incident by
+ *  scoring every deployment that could have caused it together, instead of
+ *  scoring each one on its own and taking the maximum. Deployments of other
+ *  services count too: a tax-service release can break billing.
+ *
+ *  Candidates are deployments of any service from `lookbackHours` before the
+ *  onset interval (change_points.js) up to its end. Each gets a weight that
+ *  is the product of three evidence factors, all in (0, 1]:
+ *
+ *    topology   same service, a declared dependency, or unrelated
+ *    timing     1 inside the onset interval, decaying with the hours before it
+ *    step       anomaly rate of the affected service just before vs just after
+ *               the deployment, as a signed binomial Bayes factor squashed to
+ *               (0, 1). The windows stop at the neighbouring candidates, so
+ *               two deployments hours apart are judged on different invoices.
+ *
+ *  Weights are normalized together with a `background` weight for "no
+ *  deployment" (config change, upstream data, organic), so probabilities of
+ *  all candidates plus `unexplained` sum to 1. The factors that separate the
+ *  top candidate from the runner-up are reported as log ratios.
+ *
+ *  judgeDeployments turns this into a FIX / REGRESSION / NEUTRAL verdict per
+ *  deployment, adding a recovery confidence: how well the deployment lines
+ *  up with the episode's recovery change point and brings the anomaly rate
+ *  back to the episode's baseline.
+ *
+ *  Topology and tuning live in config/causality.json (override with
+ *  CAUSALITY_FILE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DIRECTIONS, INTERVALS, intervalOfKey, bucketStart } = require('./drift_engine');
+const { logGamma } = require('./detectors');
+const { ELEVATED_FACTOR, MIN_RATE_SHIFT } = require('./change_points');
+
+const CONFIG_FILE = process.env.CAUSALITY_FILE || path.join(__dirname, 'config', 'causality.json');
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    lookbackHours: 72,
+    lagScaleHours: 12,
+    impactHours: 24,
+    background: 0.05,
+    topology: { sameService: 1, dependency: 0.5, unrelated: 0.1 },
+    dependencies: {},
+};
+
+const RELATIONS = {
+    SAME_SERVICE: 'sameService',
+    DEPENDENCY: 'dependency',
+    UNRELATED: 'unrelated',
+};
+
+const round2 = n => parseFloat(n.toFixed(2));
+const round4 = n => parseFloat(n.toFixed(4));
+const precise = n => Number(n.toPrecision(4)); // factors and weights can be tiny but must not round to 0
+const MIN_FACTOR = 1e-6;
+const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / HOUR_MS;
+const addHours = (ts, hours) => new Date(new Date(ts).getTime() + hours * HOUR_MS).toISOString();
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+let config = null;
+
+function validateConfig(input) {
+    const errors = [];
+    ['lookbackHours', 'lagScaleHours', 'impactHours', 'background'].forEach(key => {
+        if (input[key] !== undefined && !(Number.isFinite(input[key]) && input[key] > 0)) errors.push(`${key} must be a positive number`);
+    });
+    Object.entries(input.topology || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_CONFIG.topology)) errors.push(`topology.${key}: unknown relation`);
+        else if (!(Number.isFinite(value) && value > 0 && value <= 1)) errors.push(`topology.${key} must be in (0, 1]`);
+    });
+    Object.entries(input.dependencies || {}).forEach(([service, upstream]) => {
+        if (!Array.isArray(upstream) || upstream.some(s => typeof s !== 'string')) {
+            errors.push(`dependencies.${service} must be a list of service names`);
+        }
+    });
+    return errors;
+}
+
+function loadConfig() {
+    if (!fs.existsSync(CONFIG_FILE)) return DEFAULT_CONFIG;
+    const input = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    const errors = validateConfig(input);
+    if (errors.length > 0) throw new Error(`Invalid causality config ${CONFIG_FILE}: ${errors.join('; ')}`);
+    return {
+        ...DEFAULT_CONFIG,
+        ...input,
+        topology: { ...DEFAULT_CONFIG.topology, ...input.topology },
+        dependencies: { ...input.dependencies },
+    };
+}
+
+function getConfig() {
+    if (!config) config = loadConfig();
+    return config;
+}
+
+// ─── Evidence ───────────────────────────────────────────────────────────────
+
+function relationOf(service, deployedService, dependencies) {
+    if (deployedService === service) return 'SAME_SERVICE';
+    if ((dependencies[service] || []).includes(deployedService)) return 'DEPENDENCY';
+    return 'UNRELATED';
+}
+
+// 1 when the deployment falls inside the onset interval, decaying with the hours before it
+function timingEvidence(timestamp, onset, lagScaleHours) {
+    const lagHours = round2(hoursBetween(timestamp, onset.timestamp));
+    const gap = hoursBetween(timestamp, onset.interval.from);
+    const factor = gap <= 0 ? 1 : Math.exp(-gap / lagScaleHours);
+    return {
+        factor: precise(Math.max(MIN_FACTOR, factor)),
+        lagHours,
+        detail: gap <= 0
+            ? 'deployed inside the onset interval'
+            : `deployed ${round2(gap)}h before the onset interval`,
+    };
+}
+
+// Step windows reach `impactHours` either side of deployment i but stop at its neighbours
+function stepWindows(sorted, i, impactHours) {
+    const at = sorted[i].timestamp;
+    return {
+        before: { from: [addHours(at, -impactHours), sorted[i - 1]?.timestamp].filter(Boolean).sort().pop(), to: at },
+        after: { from: at, to: [addHours(at, impactHours), sorted[i + 1]?.timestamp].filter(Boolean).sort()[0] },
+    };
+}
+
+/**
+ * Signed Bayes factor for a rate change between two windows: one binomial
+ * rate for each vs one rate for both, each with a Beta(1, 1) prior. Positive
+ * only when the rate moved in `shift` (UP or DOWN) and a change is the better
+ * model, then squashed to (0, 1) with the logistic. The bucket holding a
+ * deployment counts as after it; windows shorter than a bucket are empty and
+ * neutral.
+ */
+function stepEvidence(buckets, count, windows, shift = 'UP') {
+    const { ms } = INTERVALS[intervalOfKey(buckets[0].key)];
+    const floor = ts => Math.floor(Date.parse(ts) / ms) * ms;
+    const sum = (lo, hi) => buckets
+        .filter(b => {
+            const start = Date.parse(bucketStart(b.key));
+            return start >= floor(lo) && start < floor(hi);
+        })
+        .reduce((s, b) => ({ n: s.n + b.total, k: s.k + b[count] }), { n: 0, k: 0 });
+    const before = sum(windows.before.from, windows.before.to);
+    const after = sum(windows.after.from, windows.after.to);
+    const lik = ({ n, k }) => logBeta(1 + k, 1 + n - k);
+    const magnitude = lik(before) + lik(after) - lik({ n: before.n + after.n, k: before.k + after.k });
+    const rateBefore = before.n > 0 ? before.k / before.n : 0;
+    const rateAfter = after.n > 0 ? after.k / after.n : 0;
+    const moved = shift === 'UP' ? rateAfter >= rateBefore : rateAfter <= rateBefore;
+    const logBayesFactor = moved ? magnitude : -Math.abs(magnitude);
+    return {
+        factor: precise(Math.max(MIN_FACTOR, 1 / (1 + Math.exp(-logBayesFactor)))),
+        logBayesFactor: round2(logBayesFactor),
+        rateBefore: round2(rateBefore * 100),
+        rateAfter: round2(rateAfter * 100),
+        invoicesBefore: before.n,
+        invoicesAfter: after.n,
+        windows,
+    };
+}
+
+function classify(probability) {
+    if (probability >= 0.7) return 'STRONG CAUSAL LINK';
+    if (probability >= 0.3) return 'MODERATE CORRELATION';
+    return 'WEAK SIGNAL';
+}
+
+// ─── Separation ─────────────────────────────────────────────────────────────
+
+const FACTORS = ['topology', 'timing', 'step'];
+
+function describeCandidate(c) {
+    return `${c.deployment.service} ${c.deployment.version}`;
+}
+
+function separate(top, runnerUp, background) {
+    if (!runnerUp) {
+        const odds = round2(top.weight / background);
+        return {
+            runnerUp: null,
+            odds,
+            factors: [],
+            statement: `${describeCandidate(top)} is the only deployment in the window, ${odds}× as likely as no deployment`,
+        };
+    }
+    const factors = FACTORS
+        .map(name => ({
+            factor: name,
+            top: top.evidence[name].factor,
+            runnerUp: runnerUp.evidence[name].factor,
+            logRatio: round2(Math.log(top.evidence[name].factor / runnerUp.evidence[name].factor)),
+        }))
+        .filter(f => f.logRatio !== 0)
+        .sort((a, b) => Math.abs(b.logRatio) - Math.abs(a.logRatio));
+    const odds = round2(top.weight / runnerUp.weight);
+    const decisive = factors.filter(f => f.logRatio > 0).map(f => f.factor);
+    return {
+        runnerUp: describeCandidate(runnerUp),
+        odds,
+        factors,
+        statement: `${describeCandidate(top)} is ${odds}× as likely as ${describeCandidate(runnerUp)}` +
+            (decisive.length > 0 ? `, separated by ${decisive.join(' and ')}` : ''),
+    };
+}
+
+// ─── Attribution ────────────────────────────────────────────────────────────
+
+/**
+ * Onset to explain: the located incident's onset, or the whole `spikeStart`
+ * day when change points were not searched. Null when the search found no
+ * incident: a noisy day must not turn a nearby deployment into a culprit.
+ */
+function resolveOnset(incidentWindow, spikeStart) {
+    if (incidentWindow) return incidentWindow.incident ? incidentWindow.incident.onset : null;
+    if (!spikeStart) return null;
+    const from = `${spikeStart}T00:00:00.000Z`;
+    return { timestamp: from, interval: { from, to: addHours(from, 24) } };
+}
+
+/**
+ * Probability that each deployment caused `service`'s incident.
+ *
+ *   buckets         invoice buckets of the affected service at any interval;
+ *                   5-minute buckets separate deployments minutes apart
+ *   deployments     deployment events of every service
+ *   incidentWindow  locateIncidentWindow() of the same buckets
+ *   spikeStart      day fallback when no incidentWindow is given
+ *
+ * Returns { service, direction, onset, window, candidates, unexplained,
+ * top, separation }; candidates are sorted by probability. Without an
+ * incident there is nothing to attribute: no candidates, unexplained 1.
+ */
+function attributeIncident(buckets, deployments, { service, direction = 'underbilling', incidentWindow = null, spikeStart = null } = {}) {
+    const { count } = DIRECTIONS[direction];
+    const { lookbackHours, lagScaleHours, impactHours, background, topology, dependencies } = getConfig();
+    const onset = resolveOnset(incidentWindow, spikeStart);
+    const empty = { service, direction, onset, window: null, candidates: [], unexplained: 1, top: null, separation: null };
+    if (!onset || buckets.length === 0) return empty;
+
+    const window = { from: addHours(onset.interval.from, -lookbackHours), to: onset.interval.to };
+    const inWindow = deployments
+        .filter(d => d.eventType === 'deployment' && d.timestamp >= window.from && d.timestamp <= window.to)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    const scored = inWindow.map((dep, i) => {
+        const relation = relationOf(service, dep.service, dependencies);
+        const evidence = {
+            topology: { factor: topology[RELATIONS[relation]], relation },
+            timing: timingEvidence(dep.timestamp, onset, lagScaleHours),
+            step: stepEvidence(buckets, count, stepWindows(inWindow, i, impactHours)),
+        };
+        return {
+            deployment: {
+                service: dep.service,
+                version: dep.version,
+                timestamp: dep.timestamp,
+                hash: dep.git_commit_hash,
+                type: dep.deployment_type,
+                region: dep.region,
+            },
+            relation,
+            evidence,
+            weight: FACTORS.reduce((w, name) => w * evidence[name].factor, 1),
+        };
+    });
+
+    const total = scored.reduce((s, c) => s + c.weight, background);
+    const candidates = scored
+        .map(c => {
+            const probability = round4(c.weight / total);
+            return { ...c, weight: precise(c.weight), probability, classification: classify(probability) };
+        })
+        .sort((a, b) => b.probability - a.probability);
+    if (candidates.length === 0) return { ...empty, window };
+
+    return {
+        ...empty,
+        window,
+        candidates,
+        unexplained: round4(background / total),
+        top: candidates[0],
+        separation: separate(candidates[0], candidates[1], background),
+    };
+}
+
+// ─── Deployment Verdicts ────────────────────────────────────────────────────
+
+const VERDICT_THRESHOLD = 0.5;
+
+// The episode a deployment could end: the last one whose onset interval starts before it
+function episodeBefore(incidentWindow, timestamp) {
+    const episodes = (incidentWindow && incidentWindow.episodes) || [];
+    return [...episodes].reverse().find(ep => ep.onset.interval.from <= timestamp) || null;
+}
+
+// 1 inside the recovery interval, decaying with the hours on either side (rollouts and early mitigations)
+function recoveryTiming(timestamp, recovery, lagScaleHours) {
+    if (!recovery) return { factor: 0.5, lagHours: null, detail: 'no recovery change point yet' };
+    const before = hoursBetween(timestamp, recovery.interval.from);
+    const after = hoursBetween(recovery.interval.to, timestamp);
+    const gap = Math.max(0, before, after);
+    return {
+        factor: precise(Math.max(MIN_FACTOR, Math.exp(-gap / lagScaleHours))),
+        lagHours: round2(hoursBetween(timestamp, recovery.timestamp)),
+        detail: gap === 0 ? 'deployed inside the recovery interval'
+            : before > 0 ? `deployed ${round2(gap)}h before the recovery interval`
+                : `deployed ${round2(gap)}h after the recovery interval`,
+    };
+}
+
+// 1 when the rate after the deployment is no longer elevated over the episode's baseline
+function baselineEvidence(rateAfter, baselineRate) {
+    const ceiling = Math.max(baselineRate * ELEVATED_FACTOR, baselineRate + MIN_RATE_SHIFT * 100);
+    return {
+        factor: precise(Math.max(MIN_FACTOR, rateAfter <= ceiling ? 1 : ceiling / rateAfter)),
+        baselineRate,
+        rateAfter,
+        ceiling: round2(ceiling),
+    };
+}
+
+// Hours from the deployment to the recovery change point; 0 when recovery was already under way
+function timeToRecover(timestamp, recovery) {
+    if (!recovery) return null;
+    const since = ts => round2(Math.max(0, hoursBetween(timestamp, ts)));
+    return { hours: since(recovery.timestamp), low: since(recovery.interval.from), high: since(recovery.interval.to) };
+}
+
+function verdictOf(regression, recovery) {
+    if (recovery >= VERDICT_THRESHOLD && recovery >= regression) return 'FIX';
+    if (regression >= VERDICT_THRESHOLD) return 'REGRESSION';
+    return 'NEUTRAL';
+}
+
+/**
+ * FIX / REGRESSION / NEUTRAL verdict for each of a service's deployments.
+ *
+ *   regressionConfidence  the deployment's probability in `attribution`
+ *   recoveryConfidence    timing × drop × baseline for the episode it could end:
+ *                         near the recovery change point, the anomaly rate
+ *                         after it is below the episode's elevated rate, and
+ *                         back under ELEVATED_FACTOR × the episode's baseline
+ *
+ * `timeToRecover` is measured to the recovery change point. Returns the
+ * verdicts in deployment order.
+ */
+function judgeDeployments(buckets, deployments, { direction = 'underbilling', incidentWindow = null, attribution = null } = {}) {
+    const { count } = DIRECTIONS[direction];
+    const { lagScaleHours, impactHours } = getConfig();
+    const sorted = deployments
+        .filter(d => d.eventType === 'deployment')
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    const candidates = attribution ? attribution.candidates : [];
+
+    return sorted.map((dep, i) => {
+        const attributed = candidates.find(c => c.deployment.service === dep.service && c.deployment.timestamp === dep.timestamp);
+        const regressionConfidence = attributed ? attributed.probability : 0;
+        const episode = episodeBefore(incidentWindow, dep.timestamp);
+
+        let recovery = null;
+        let recoveryConfidence = 0;
+        if (episode && buckets.length > 0) {
+            // The elevated stretch of the episode before the deployment vs the hours after it
+            const { after } = stepWindows(sorted, i, impactHours);
+            const elevatedUntil = [dep.timestamp, episode.recovery?.timestamp].filter(Boolean).sort()[0];
+            const drop = stepEvidence(buckets, count, { before: { from: episode.onset.timestamp, to: elevatedUntil }, after }, 'DOWN');
+            recovery = {
+                timing: recoveryTiming(dep.timestamp, episode.recovery, lagScaleHours),
+                drop,
+                baseline: baselineEvidence(drop.rateAfter, episode.baselineRate),
+            };
+            recoveryConfidence = round4(recovery.timing.factor * recovery.drop.factor * recovery.baseline.factor);
+        }
+
+        return {
+            deployment: {
+                service: dep.service,
+                version: dep.version,
+                timestamp: dep.timestamp,
+                hash: dep.git_commit_hash,
+            },
+            verdict: verdictOf(regressionConfidence, recoveryConfidence),
+            regressionConfidence,
+            recoveryConfidence,
+            evidence: {
+                regression: attributed ? attributed.evidence : null,
+                recovery,
+            },
+            timeToRecover: episode ? timeToRecover(dep.timestamp, episode.recovery) : null,
+        };
+    });
+}
+
+module.exports = {
+    VERDICT_THRESHOLD,
+    getConfig,
+    attributeIncident,
+    judgeDeployments,
+};
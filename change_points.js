@@ -0,0 +1,187 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Incident Window (Change-Point Analysis)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Locates when an anomaly spike started and when it ended, instead of
+ *  taking the first day over a drift threshold and assuming a duration.
+ *
+ *  Buckets of invoices (hourly where the data has enough distinct hours,
+ *  daily otherwise) are segmented with the Bayesian change-point search from
+ *  detectors.js, using a binomial likelihood: each segment has one anomaly
+ *  probability with a uniform Beta(1, 1) prior, so sparse hours simply
+ *  widen the intervals instead of faking precision.
+ *
+ *  A segment is elevated when its rate is at least ELEVATED_FACTOR × the
+ *  rate of the first segment (the same 2× used by findSpikeStart) and
+ *  MIN_RATE_SHIFT above it. An episode is a run of elevated segments:
+ *
+ *    onset      change point into the run, with a credible interval
+ *    recovery   change point out of it (null while ONGOING)
+ *    duration   hours between them, bounded by both intervals
+ */
+
+const { DIRECTIONS, resolveEvaluationTime } = require('./drift_engine');
+const { logGamma, segmentChangePoints } = require('./detectors');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ELEVATED_FACTOR = 2.0;
+const MIN_RATE_SHIFT = 0.01;       // 1 percentage point
+const MIN_HOURS_PER_DAY = 4;       // average distinct hours with invoices needed for hourly resolution
+const CREDIBLE_MASS = 0.9;
+
+const RESOLUTIONS = {
+    hour: { ms: HOUR_MS, minSegment: 3, maxChangePoints: 6, start: key => `${key}:00:00.000Z` },
+    day: { ms: 24 * HOUR_MS, minSegment: 2, maxChangePoints: 4, start: key => `${key}T00:00:00.000Z` },
+};
+
+const round2 = n => parseFloat(n.toFixed(2));
+const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+const hoursBetween = (from, to) => (new Date(to) - new Date(from)) / HOUR_MS;
+
+// ─── Resolution ─────────────────────────────────────────────────────────────
+
+/** 'hour' when hourly buckets cover enough of each day to place a change inside it, else 'day'. */
+function chooseResolution(hourly) {
+    const days = new Set(hourly.map(b => b.key.slice(0, 10))).size;
+    return days > 0 && hourly.length / days >= MIN_HOURS_PER_DAY ? 'hour' : 'day';
+}
+
+// Hourly buckets rolled up to days, for when hours are too sparse
+function toDaily(hourly) {
+    const days = {};
+    hourly.forEach(b => {
+        const key = b.key.slice(0, 10);
+        if (!days[key]) days[key] = { ...b, key };
+        else Object.keys(b).forEach(f => { if (f !== 'key' && typeof b[f] === 'number') days[key][f] += b[f]; });
+    });
+    return Object.values(days).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// ─── Segmentation ───────────────────────────────────────────────────────────
+
+function binomialSegments(buckets, count) {
+    const n = [0];
+    const k = [0];
+    buckets.forEach((b, i) => {
+        n.push(n[i] + b.total);
+        k.push(k[i] + b[count]);
+    });
+    // Beta(1, 1) prior; the binomial coefficients are the same under every segmentation and cancel
+    const lik = (from, to) => {
+        const hits = k[to] - k[from];
+        return logBeta(1 + hits, 1 + (n[to] - n[from]) - hits);
+    };
+    const rate = (from, to) => (n[to] - n[from] > 0 ? (k[to] - k[from]) / (n[to] - n[from]) : 0);
+    return { lik, rate };
+}
+
+function describeChange(buckets, resolution, change, rate) {
+    const { ms, start } = RESOLUTIONS[resolution];
+    const at = i => start(buckets[i].key);
+    const before = rate(...change.before);
+    const after = rate(...change.after);
+    return {
+        timestamp: at(change.index),
+        interval: {
+            from: at(change.credible.from),
+            to: new Date(new Date(at(change.credible.to)).getTime() + ms).toISOString(),
+            mass: round2(change.credible.mass),
+        },
+        probability: round2(change.probability),
+        rateBefore: round2(before * 100),
+        rateAfter: round2(after * 100),
+        shift: after > before ? 'UP' : 'DOWN',
+    };
+}
+
+function buildEpisodes(buckets, resolution, changes, rate, evaluatedAt) {
+    const bounds = [0, ...changes.map(c => c.index), buckets.length];
+    const segments = bounds.slice(0, -1).map((from, i) => ({ from, to: bounds[i + 1], rate: rate(from, bounds[i + 1]) }));
+    const reference = segments[0].rate;
+    const elevated = seg => seg.rate >= ELEVATED_FACTOR * reference && seg.rate - reference >= MIN_RATE_SHIFT;
+
+    const episodes = [];
+    segments.forEach((seg, i) => {
+        if (!elevated(seg)) return;
+        const open = episodes[episodes.length - 1];
+        if (open && open.last === i - 1) {
+            open.last = i;
+            open.peak = Math.max(open.peak, seg.rate);
+            return;
+        }
+        episodes.push({ first: i, last: i, peak: seg.rate });
+    });
+
+    return episodes.map(ep => {
+        const onset = describeChange(buckets, resolution, changes[ep.first - 1], rate);
+        const recovered = ep.last + 1 < segments.length;
+        const recovery = recovered ? describeChange(buckets, resolution, changes[ep.last], rate) : null;
+        const end = recovery || { timestamp: evaluatedAt, interval: { from: evaluatedAt, to: evaluatedAt } };
+        return {
+            status: recovered ? 'RECOVERED' : 'ONGOING',
+            onset,
+            recovery,
+            duration: {
+                hours: round2(hoursBetween(onset.timestamp, end.timestamp)),
+                low: round2(Math.max(0, hoursBetween(onset.interval.to, end.interval.from))),
+                high: round2(hoursBetween(onset.interval.from, end.interval.to)),
+            },
+            baselineRate: round2(reference * 100),
+            peakRate: round2(ep.peak * 100),
+        };
+    });
+}
+
+// ─── Incident Window ────────────────────────────────────────────────────────
+
+/**
+ * Episodes of elevated anomaly rate in hourly invoice buckets
+ * ([{ key: 'YYYY-MM-DDTHH', total, anomalies, overbilled, ... }]), up to
+ * `evaluatedAt` (default: end of the data). The first segment is the
+ * reference, so episodes are only found when the buckets start before them.
+ *
+ * Returns { resolution, direction, evaluatedAt, changePoints, episodes,
+ * incident } where `incident` is the first episode or null.
+ */
+function locateIncidentWindow(hourly, { direction = 'underbilling', evaluatedAt = null } = {}) {
+    const { count } = DIRECTIONS[direction];
+    const evaluationTime = evaluatedAt || resolveEvaluationTime(null, hourly.map(b => ({ key: b.key.slice(0, 10) })));
+    const visible = hourly.filter(b => RESOLUTIONS.hour.start(b.key) <= evaluationTime);
+    const resolution = chooseResolution(visible);
+    const buckets = resolution === 'hour' ? visible : toDaily(visible);
+
+    const empty = { resolution, direction, evaluatedAt: evaluationTime, changePoints: [], episodes: [], incident: null };
+    if (buckets.length === 0) return empty;
+
+    const { minSegment, maxChangePoints } = RESOLUTIONS[resolution];
+    const { lik, rate } = binomialSegments(buckets, count);
+    const changes = segmentChangePoints(buckets.length, lik, { minSegment, maxChangePoints, credibleMass: CREDIBLE_MASS });
+    const episodes = changes.length > 0 ? buildEpisodes(buckets, resolution, changes, rate, evaluationTime) : [];
+
+    return {
+        ...empty,
+        changePoints: changes.map(c => describeChange(buckets, resolution, c, rate)),
+        episodes,
+        incident: episodes[0] || null,
+    };
+}
+
+/** Short human description of an episode: "2026-02-10 13:00 UTC (±2h) → 2026-02-16 22:00 UTC (±5h), 153.0h". */
+function describeIncidentWindow(episode) {
+    if (!episode) return null;
+    const fmt = ts => `${ts.slice(0, 10)} ${ts.slice(11, 16)} UTC`;
+    const spread = interval => `±${Math.ceil(hoursBetween(interval.from, interval.to) / 2)}h`;
+    const recovery = episode.recovery
+        ? `recovered ${fmt(episode.recovery.timestamp)} (${spread(episode.recovery.interval)})`
+        : 'still ongoing';
+    return `began ${fmt(episode.onset.timestamp)} (${spread(episode.onset.interval)}), ${recovery}, ` +
+        `lasting ${episode.duration.hours}h (${episode.duration.low}–${episode.duration.high}h)`;
+}
+
+module.exports = {
+    ELEVATED_FACTOR,
+    MIN_RATE_SHIFT,
+    locateIncidentWindow,
+    describeIncidentWindow,
+};
@@ -0,0 +1,285 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Conversation Sessions
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Server-side chat sessions for /api/agent/ask, persisted in
+ *  data/conversations.json (override with CONVERSATION_STORE_FILE). Each
+ *  session keeps its turns and a running context — the service, region and
+ *  window in scope, the last intent, and the last culprit deployment — so a
+ *  follow-up question can lean on earlier answers:
+ *
+ *    "which deploy broke billing?"         → culprit billing-service v1.0.4
+ *    "and what about subscription-service?" → same intent, new service
+ *    "top 10 invoices since that deploy"    → window from the culprit's deploy time
+ *    "go back to answer 1, and in eu-west"  → scope of turn 1, narrowed to eu-west
+ *
+ *  What a question states itself always wins; the context only fills the
+ *  gaps (see applyContext). A question that matches no intent repeats the
+ *  previous one.
+ *
+ *  Retention (config/conversations.json, override with CONVERSATIONS_FILE):
+ *    idleHours    sessions untouched for longer are deleted
+ *    maxSessions  the least recently used sessions beyond this are deleted
+ *    maxTurns     a session keeps only its latest turns; older ones are
+ *                 dropped (turn numbers keep counting)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG_FILE = process.env.CONVERSATIONS_FILE || path.join(__dirname, 'config', 'conversations.json');
+const STORE_FILE = process.env.CONVERSATION_STORE_FILE || path.join(__dirname, 'data', 'conversations.json');
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_RETENTION = { idleHours: 24, maxSessions: 200, maxTurns: 50 };
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+let config = null;
+
+function loadConfig() {
+    const input = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+    const retention = { ...DEFAULT_RETENTION, ...input.retention };
+    Object.entries(retention).forEach(([key, value]) => {
+        if (typeof value !== 'number' || !(value > 0)) {
+            throw new Error(`Invalid conversation config ${CONFIG_FILE}: retention.${key} must be a positive number`);
+        }
+    });
+    return { retention };
+}
+
+function getConfig() {
+    if (!config) config = loadConfig();
+    return config;
+}
+
+// ─── Persistence ────────────────────────────────────────────────────────────
+
+let store = null;
+
+function loadStore() {
+    if (!fs.existsSync(STORE_FILE)) return { sessions: [] };
+    return JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+}
+
+function saveStore() {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    fs.writeFileSync(STORE_FILE, JSON.stringify(store, null, 2) + '\n');
+}
+
+function getStore() {
+    if (!store) store = loadStore();
+    return store;
+}
+
+// ─── Retention ──────────────────────────────────────────────────────────────
+
+const expiresAt = session => new Date(Date.parse(session.updatedAt) + getConfig().retention.idleHours * HOUR_MS).toISOString();
+
+/** Delete idle sessions and the least recently used beyond maxSessions. Returns how many went. */
+function applyRetention(now = new Date()) {
+    const { maxSessions } = getConfig().retention;
+    const data = getStore();
+    const before = data.sessions.length;
+    data.sessions = data.sessions
+        .filter(session => expiresAt(session) > now.toISOString())
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+        .slice(-maxSessions);
+    const removed = before - data.sessions.length;
+    if (removed > 0) saveStore();
+    return removed;
+}
+
+// ─── Context ────────────────────────────────────────────────────────────────
+
+const EMPTY_CONTEXT = { service: null, region: null, window: null, intent: null, metric: null, direction: null, culprit: null };
+
+function contextOfTurn(turn) {
+    const { service, region, window, intent, metric, direction } = turn.query;
+    return { service, region, window, intent, metric, direction, culprit: turn.culprit };
+}
+
+/**
+ * Fill the gaps of a parsed question (intent_parser.js) from the session:
+ * the intent of an unrecognised question, and — for a follow-up — the
+ * service, region and window of the turn it refers to (the latest unless it
+ * names one). "That deploy" points the service at the culprit, "since that
+ * deploy" also starts the window at its deploy time. Fields taken from the
+ * conversation are marked `conversation` in `filled`; `basedOn` is the turn
+ * the context came from.
+ */
+function applyContext(query, session) {
+    const next = { ...query, filled: { ...query.filled }, notes: [...query.notes], basedOn: null };
+    const last = session.turns[session.turns.length - 1];
+    if (!last) return next;
+
+    const refs = query.references;
+    let source = session.context;
+    let basedOn = last.turn;
+    if (refs.turn !== null) {
+        const named = session.turns.find(turn => turn.turn === refs.turn);
+        if (named) {
+            source = contextOfTurn(named);
+            basedOn = named.turn;
+        } else {
+            next.notes.push(`Turn ${refs.turn} is not in this conversation${refs.turn <= session.turnCount ? ' any more (retention)' : ''}; using the latest context`);
+        }
+    }
+
+    const take = (key, value) => {
+        next[key] = value;
+        next.filled[key] = 'conversation';
+        next.basedOn = basedOn;
+    };
+
+    if (!query.matched.intent && source.intent) {
+        take('intent', source.intent);
+        if (!query.matched.metric) next.metric = source.metric;
+        if (!query.matched.direction) next.direction = source.direction;
+    }
+    if (refs.followUp || refs.culprit) {
+        // A ranking compares services, so it never inherits one
+        if (!query.service && source.service && next.intent !== 'RANKING') take('service', source.service);
+        if (!query.region && source.region) take('region', source.region);
+        if (!query.window.expression && source.window && (source.window.from || source.window.to)) take('window', { ...source.window });
+    }
+    if (refs.culprit) {
+        const culprit = source.culprit || session.context.culprit;
+        if (!culprit) {
+            next.notes.push('No culprit deployment has been identified in this conversation yet');
+        } else {
+            if (!query.matched.service) take('service', culprit.service);
+            if (refs.sinceCulprit) take('window', { from: culprit.timestamp, to: null, expression: `since ${culprit.service} ${culprit.version}` });
+        }
+    }
+    return next;
+}
+
+/**
+ * Append a turn ({ question, request, query, engine, answer, culprit }) to
+ * `session` and move its context forward. A turn without a culprit keeps
+ * the previous one. Works on scratch sessions too (see replay).
+ */
+function appendTurn(session, turn, at = new Date().toISOString()) {
+    session.turnCount++;
+    const entry = { turn: session.turnCount, at, ...turn, culprit: turn.culprit || null };
+    session.turns.push(entry);
+    const { maxTurns } = getConfig().retention;
+    if (session.turns.length > maxTurns) session.turns.splice(0, session.turns.length - maxTurns);
+    session.context = { ...contextOfTurn(entry), culprit: entry.culprit || session.context.culprit };
+    session.updatedAt = at;
+    return entry;
+}
+
+// ─── Sessions ───────────────────────────────────────────────────────────────
+
+function createConversation(now = new Date()) {
+    applyRetention(now);
+    const at = now.toISOString();
+    const session = {
+        id: `CONV-${crypto.randomBytes(6).toString('hex')}`,
+        createdAt: at,
+        updatedAt: at,
+        turnCount: 0,
+        context: { ...EMPTY_CONTEXT },
+        turns: [],
+    };
+    getStore().sessions.push(session);
+    saveStore();
+    return session;
+}
+
+function getConversation(id) {
+    applyRetention();
+    const session = getStore().sessions.find(s => s.id === id);
+    return session ? { ...session, expiresAt: expiresAt(session) } : null;
+}
+
+function listConversations() {
+    applyRetention();
+    return [...getStore().sessions]
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(session => ({
+            id: session.id,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            expiresAt: expiresAt(session),
+            turnCount: session.turnCount,
+            keptTurns: session.turns.length,
+            lastQuestion: session.turns.length > 0 ? session.turns[session.turns.length - 1].question : null,
+            context: session.context,
+        }));
+}
+
+function deleteConversation(id) {
+    const data = getStore();
+    const index = data.sessions.findIndex(s => s.id === id);
+    if (index === -1) return false;
+    data.sessions.splice(index, 1);
+    saveStore();
+    return true;
+}
+
+/** Record a turn on a stored session. Returns the turn, or null for an unknown session. */
+function recordTurn(id, turn) {
+    const session = getStore().sessions.find(s => s.id === id);
+    if (!session) return null;
+    const entry = appendTurn(session, turn);
+    saveStore();
+    return entry;
+}
+
+/**
+ * Re-ask every kept turn of a session, in order, against the current data.
+ * `ask(question, request, scratch)` answers one question in the context of
+ * the scratch session being rebuilt and resolves to { query, engine,
+ * answer, culprit } or { error }. The stored session is not changed.
+ * Returns null for an unknown session.
+ */
+async function replayConversation(id, ask) {
+    const session = getConversation(id);
+    if (!session) return null;
+    const scratch = {
+        id: session.id,
+        turnCount: session.turnCount - session.turns.length,
+        context: { ...EMPTY_CONTEXT },
+        turns: [],
+    };
+    const turns = [];
+    for (const turn of session.turns) {
+        const result = await ask(turn.question, turn.request, scratch);
+        if (result.error) {
+            turns.push({ turn: turn.turn, question: turn.question, original: { engine: turn.engine, answer: turn.answer }, error: result.error, changed: true });
+            scratch.turnCount++;
+            continue;
+        }
+        appendTurn(scratch, { question: turn.question, request: turn.request, ...result });
+        turns.push({
+            turn: turn.turn,
+            question: turn.question,
+            original: { engine: turn.engine, answer: turn.answer },
+            replay: { engine: result.engine, answer: result.answer, query: result.query },
+            changed: result.engine !== turn.engine || result.answer !== turn.answer,
+        });
+    }
+    return {
+        id: session.id,
+        replayedAt: new Date().toISOString(),
+        droppedTurns: session.turnCount - session.turns.length,
+        changed: turns.filter(t => t.changed).length,
+        turns,
+    };
+}
+
+module.exports = {
+    getConfig,
+    applyContext,
+    createConversation,
+    getConversation,
+    listConversations,
+    deleteConversation,
+    recordTurn,
+    replayConversation,
+};
@@ -0,0 +1,149 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Counterfactual Deployment Impact
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  "What would we have lost had this deployment not shipped?" Raw before /
+ *  after losses mix a change in the anomaly rate with a change in volume:
+ *  twice the invoices at the same rate doubles the loss without anything
+ *  breaking. Instead, each deployment's pre-deploy baseline is projected onto
+ *  the invoices actually billed after it:
+ *
+ *    baseline      invoices from `baselineDays` before the deployment (or the
+ *                  service's previous deployment or first invoice, if later)
+ *                  up to it
+ *    observed      invoices from the deployment to the service's next
+ *                  deployment (or the evaluation time)
+ *    expected      baseline anomaly rate × observed volume × baseline loss
+ *                  per anomalous invoice — the background loss
+ *    attributable  observed loss − expected loss
+ *
+ *  The bounds carry the uncertainty of the baseline rate (Beta(1, 1)
+ *  posterior), of the binomial count on the observed volume and of the loss
+ *  per anomalous invoice, as a normal approximation at CONFIDENCE. A fix
+ *  deployment shows a negative attributable loss: loss avoided.
+ */
+
+const { DIRECTIONS, DEFAULT_BASELINE_DAYS, DAY_MS } = require('./drift_engine');
+const { convertInvoice } = require('./fx');
+
+const CONFIDENCE = 0.9;
+const Z = 1.645; // two-sided 90% normal quantile
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+// ─── Windows ────────────────────────────────────────────────────────────────
+
+function tally(invoices, amount) {
+    const amounts = invoices.map(inv => convertInvoice(inv)[amount]).filter(a => a > 0);
+    return {
+        invoices: invoices.length,
+        anomalies: amounts.length,
+        loss: amounts.reduce((s, a) => s + a, 0),
+        amounts,
+    };
+}
+
+/**
+ * Mean and variance of the loss per anomalous invoice. Taken from the
+ * baseline; with no baseline anomalies, from every earlier anomaly of the
+ * service, and failing that from the observed window itself.
+ */
+function severityOf(baseline, history, observed) {
+    const source = [['baseline', baseline.amounts], ['history', history.amounts], ['observed', observed.amounts]]
+        .find(([, amounts]) => amounts.length > 0);
+    if (!source) return { source: 'none', mean: 0, variance: 0 };
+    const [name, amounts] = source;
+    const mean = amounts.reduce((s, a) => s + a, 0) / amounts.length;
+    // A single anomaly says nothing about spread; treat its size as one standard deviation
+    const spread = amounts.length > 1
+        ? amounts.reduce((s, a) => s + (a - mean) ** 2, 0) / (amounts.length - 1)
+        : mean ** 2;
+    return { source: name, mean, variance: spread / amounts.length };
+}
+
+// ─── Estimator ──────────────────────────────────────────────────────────────
+
+/**
+ * Counterfactual for one deployment. `deployments` are the service's
+ * deployments (any order) and bound the windows; `invoices` are the
+ * service's invoices.
+ */
+function estimateCounterfactual(invoices, deployment, deployments, {
+    direction = 'underbilling',
+    baselineDays = DEFAULT_BASELINE_DAYS,
+    evaluatedAt = null,
+} = {}) {
+    const { amount } = DIRECTIONS[direction];
+    const at = deployment.timestamp;
+    const others = deployments.map(d => d.timestamp).filter(ts => ts !== at).sort();
+    const previous = others.filter(ts => ts < at).pop();
+    const next = others.find(ts => ts > at);
+
+    const firstInvoice = invoices.reduce((min, inv) => (!min || inv.timestamp < min ? inv.timestamp : min), null);
+    const baselineFrom = [new Date(Date.parse(at) - baselineDays * DAY_MS).toISOString(), previous, firstInvoice]
+        .filter(ts => ts && ts < at).sort().pop();
+    const observedTo = [next, evaluatedAt].filter(Boolean).sort()[0] || null;
+    const baseline = tally(invoices.filter(inv => inv.timestamp >= baselineFrom && inv.timestamp < at), amount);
+    const observed = tally(invoices.filter(inv => inv.timestamp >= at && (!observedTo || inv.timestamp < observedTo)), amount);
+    const history = tally(invoices.filter(inv => inv.timestamp < at), amount);
+    const severity = severityOf(baseline, history, observed);
+
+    // Baseline rate posterior Beta(a, b); anomalies on the observed volume are binomial given the rate
+    const a = 1 + baseline.anomalies;
+    const b = 1 + baseline.invoices - baseline.anomalies;
+    const rate = a / (a + b);
+    const rateVariance = (a * b) / ((a + b) ** 2 * (a + b + 1));
+    const volume = observed.invoices;
+    const expectedAnomalies = volume * rate;
+    const anomalyVariance = volume * (rate - (rateVariance + rate ** 2)) + volume ** 2 * rateVariance;
+
+    const expectedLoss = expectedAnomalies * severity.mean;
+    const lossSd = Math.sqrt(anomalyVariance * (severity.mean ** 2 + severity.variance) + expectedAnomalies ** 2 * severity.variance);
+    const low = Math.max(0, expectedLoss - Z * lossSd);
+    const high = expectedLoss + Z * lossSd;
+
+    const days = (from, to) => Math.max((Date.parse(to) - Date.parse(from)) / DAY_MS, 1 / 24);
+    const baselineVolume = baseline.invoices / days(baselineFrom, at);
+    const observedVolume = observedTo ? observed.invoices / days(at, observedTo) : null;
+
+    return {
+        direction,
+        confidence: CONFIDENCE,
+        baseline: {
+            from: baselineFrom,
+            to: at,
+            invoices: baseline.invoices,
+            anomalies: baseline.anomalies,
+            anomalyRate: round2(baseline.invoices > 0 ? baseline.anomalies / baseline.invoices * 100 : 0),
+            projectedRate: round2(rate * 100),  // posterior mean, what the projection uses
+            invoicesPerDay: round2(baselineVolume),
+        },
+        observed: {
+            from: at,
+            to: observedTo,
+            invoices: observed.invoices,
+            anomalies: observed.anomalies,
+            anomalyRate: round2(volume > 0 ? observed.anomalies / volume * 100 : 0),
+            invoicesPerDay: observedVolume === null ? null : round2(observedVolume),
+            loss: round2(observed.loss),
+        },
+        severity: { source: severity.source, lossPerAnomaly: round2(severity.mean) },
+        expected: {
+            anomalies: round2(expectedAnomalies),
+            loss: round2(expectedLoss),
+            low: round2(low),
+            high: round2(high),
+        },
+        attributable: {
+            loss: round2(observed.loss - expectedLoss),
+            low: round2(observed.loss - high),
+            high: round2(observed.loss - low),
+        },
+    };
+}
+
+module.exports = {
+    CONFIDENCE,
+    estimateCounterfactual,
+};
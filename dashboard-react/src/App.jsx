@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useRef } from 'react';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -30,6 +30,7 @@ import {
   MessageSquare,
   Loader2,
   Terminal,
+  RotateCcw,
 } from 'lucide-react';
 import './App.css';
 
@@ -40,8 +41,37 @@ ChartJS.register(
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 
+// Amounts from the API are in its reporting currency (the `currency` field)
+function formatMoney(value, currency = 'USD', digits = 0) {
+  if (value === null || value === undefined) return '—';
+  return value.toLocaleString(undefined, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: Math.max(digits, 2),
+  });
+}
+
+// Bucket sizes the series endpoints accept (`interval`) and their chart wording
+const INTERVAL_LABELS = { '1d': 'Daily', '1h': 'Hourly', '5m': '5-Minute' };
+
+// Axis label from a bucket key: '2026-02-10' → '02-10', '2026-02-10T13' → '02-10 13h', '2026-02-10T13:45' → '02-10 13:45'
+function formatBucketLabel(key) {
+  if (key.length === 10) return key.slice(5);
+  if (key.length === 13) return `${key.slice(5, 10)} ${key.slice(11)}h`;
+  return `${key.slice(5, 10)} ${key.slice(11)}`;
+}
+
+// Index of the bucket containing `timestamp` (the last one starting at or before it)
+function bucketIndexAt(points, timestamp) {
+  let index = -1;
+  points.forEach((p, i) => { if (p.timestamp <= timestamp) index = i; });
+  return index;
+}
+
 function App() {
   const [selectedService, setSelectedService] = useState('all');
+  const [bucketInterval, setBucketInterval] = useState('1d');
   const [loading, setLoading] = useState(true);
   const [data, setData] = useState({
     anomalies: null,
@@ -61,14 +91,20 @@ function App() {
   const [messages, setMessages] = useState([
     { role: 'agent', content: 'Hello. I am the RevenueGuard Autonomous Analyst. Which service would you like me to investigate for risk forensic today?' }
   ]);
+  // Server-side conversation (/api/agent/ask) so follow-up questions keep their context
+  const [sessionId, setSessionId] = useState(null);
   const [isThinking, setIsThinking] = useState(false);
+  // Live steps of a streamed investigation (/api/agent/analyze/stream) and its open EventSource
   const [currentSteps, setCurrentSteps] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const streamRef = useRef(null);
   const [showThinking, setShowThinking] = useState(false);
   const [chatOpen, setChatOpen] = useState(false);
 
   const fetchAll = useCallback(async () => {
     try {
       const serviceParam = selectedService !== 'all' ? `?service=${selectedService}` : '';
+      const seriesParam = `${serviceParam ? `${serviceParam}&` : '?'}interval=${bucketInterval}`;
       const depService = selectedService !== 'all' ? selectedService : 'billing-service';
 
       const [
@@ -76,14 +112,14 @@ function App() {
         businessImpact, services, deploymentImpact, alerts, explainability,
         modeData, reasoningProof
       ] = await Promise.all([
-        fetch(`${API_BASE}/anomalies${serviceParam}`).then(r => r.json()),
-        fetch(`${API_BASE}/timeline${serviceParam}`).then(r => r.json()),
+        fetch(`${API_BASE}/anomalies${seriesParam}`).then(r => r.json()),
+        fetch(`${API_BASE}/timeline${seriesParam}`).then(r => r.json()),
         fetch(`${API_BASE}/risk-score${serviceParam}`).then(r => r.json()),
-        fetch(`${API_BASE}/financial-loss${serviceParam}`).then(r => r.json()),
+        fetch(`${API_BASE}/financial-loss${seriesParam}`).then(r => r.json()),
         fetch(`${API_BASE}/business-impact`).then(r => r.json()),
         fetch(`${API_BASE}/services`).then(r => r.json()),
         fetch(`${API_BASE}/deployment-impact?service=${depService}`).then(r => r.json()),
-        fetch(`${API_BASE}/alerts`).then(r => r.json()),
+        fetch(`${API_BASE}/alerts?state=all`).then(r => r.json()),
         fetch(`${API_BASE}/explainability?service=${depService}`).then(r => r.json()),
         fetch(`${API_BASE}/system-mode`).then(r => r.json()),
         fetch(`${API_BASE}/proof/reasoning`).then(r => r.json()),
@@ -97,7 +133,20 @@ function App() {
       console.error('Fetch error:', err);
       setLoading(false);
     }
-  }, [selectedService]);
+  }, [selectedService, bucketInterval]);
+
+  const handleAlertAction = async (fingerprint, action, body = {}) => {
+    try {
+      await fetch(`${API_BASE}/alerts/${encodeURIComponent(fingerprint)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ by: 'dashboard', ...body }),
+      });
+      fetchAll();
+    } catch (err) {
+      console.error('Alert action error:', err);
+    }
+  };
 
   useEffect(() => {
     fetchAll();
@@ -115,12 +164,15 @@ function App() {
   }
 
   const { anomalies, timeline, riskScore, financialLoss, businessImpact, services, deploymentImpact, alerts, explainability } = data;
+  const currency = financialLoss?.currency || businessImpact?.currency || 'USD';
 
   // ─── Chart: Anomaly Rate + Revenue Loss Timeline ──────────────────────
-  const timelineLabels = timeline?.timeline?.map(t => t.date.slice(5)) || [];
+  const timelinePoints = timeline?.timeline || [];
+  const timelineLabels = timelinePoints.map(t => formatBucketLabel(t.date));
+  const pointRadius = timelinePoints.length > 60 ? 0 : 3;
   const deploymentAnnotations = {};
   timeline?.deploymentMarkers?.forEach((dep, i) => {
-    const idx = timeline.timeline.findIndex(t => t.date === dep.date);
+    const idx = bucketIndexAt(timelinePoints, dep.timestamp);
     if (idx >= 0) {
       deploymentAnnotations[`deploy-${i}`] = {
         type: 'line',
@@ -143,6 +195,28 @@ function App() {
     }
   });
 
+  // Incident windows from change-point onset / recovery markers
+  timeline?.incidentMarkers?.filter(m => m.type === 'ONSET').forEach((onset, i) => {
+    const recovery = timeline.incidentMarkers.find(m => m.type === 'RECOVERY' && m.timestamp > onset.timestamp);
+    const xMin = bucketIndexAt(timelinePoints, onset.timestamp);
+    const end = recovery ? bucketIndexAt(timelinePoints, recovery.timestamp) : -1;
+    if (xMin < 0) return;
+    deploymentAnnotations[`incident-${i}`] = {
+      type: 'box',
+      xMin,
+      xMax: end >= 0 ? end : timelinePoints.length - 1,
+      backgroundColor: 'rgba(244,63,94,0.06)',
+      borderWidth: 0,
+      label: {
+        display: true,
+        content: `${onset.status === 'ONGOING' ? 'ongoing' : 'incident'} ${Math.round(onset.duration.hours)}h`,
+        position: { x: 'center', y: 'end' },
+        color: 'rgba(244,63,94,0.8)',
+        font: { size: 10, weight: '600' },
+      },
+    };
+  });
+
   const chartDefaults = {
     responsive: true,
     maintainAspectRatio: false,
@@ -151,7 +225,7 @@ function App() {
       annotation: { annotations: deploymentAnnotations },
     },
     scales: {
-      x: { grid: { display: false }, ticks: { color: '#5a6478', font: { size: 10, family: 'Inter' } } },
+      x: { grid: { display: false }, ticks: { color: '#5a6478', font: { size: 10, family: 'Inter' }, maxTicksLimit: bucketInterval === '1d' ? undefined : 12 } },
       y: { grid: { color: 'rgba(255,255,255,0.03)' }, ticks: { color: '#5a6478', font: { size: 10, family: 'Inter' } } },
     },
   };
@@ -165,7 +239,7 @@ function App() {
       backgroundColor: 'rgba(244, 63, 94, 0.08)',
       fill: true,
       tension: 0.4,
-      pointRadius: 3,
+      pointRadius,
       pointBackgroundColor: '#f43f5e',
     }],
   };
@@ -173,7 +247,7 @@ function App() {
   const revenueLossChart = {
     labels: timelineLabels,
     datasets: [{
-      label: 'Revenue Loss ($)',
+      label: `Revenue Loss (${currency})`,
       data: timeline?.timeline?.map(t => t.revenueLoss) || [],
       backgroundColor: (timeline?.timeline || []).map(t =>
         t.revenueLoss > 200 ? 'rgba(244, 63, 94, 0.7)' : t.revenueLoss > 50 ? 'rgba(245, 158, 11, 0.7)' : 'rgba(16, 185, 129, 0.5)'
@@ -203,7 +277,7 @@ function App() {
   };
 
   const driftChart = {
-    labels: anomalies?.drift?.dailyDrift?.map(d => d.date.slice(5)) || [],
+    labels: anomalies?.drift?.dailyDrift?.map(d => formatBucketLabel(d.date)) || [],
     datasets: [{
       label: 'Drift Factor',
       data: anomalies?.drift?.dailyDrift?.map(d => d.driftFactor) || [],
@@ -211,13 +285,15 @@ function App() {
       backgroundColor: 'rgba(59, 130, 246, 0.08)',
       fill: true,
       tension: 0.4,
-      pointRadius: 3,
+      pointRadius,
       pointBackgroundColor: '#3b82f6',
     }],
   };
 
-  // Find the key deployment (Highest Confidence Culprit)
-  const keyDeployment = deploymentImpact?.deployments?.sort((a, b) => b.confidence.confidence - a.confidence.confidence)[0] || deploymentImpact?.deployments?.[deploymentImpact.deployments.length - 1];
+  // Find the key deployment (most probable cause in the cross-service attribution, then highest confidence)
+  const keyDeployment = deploymentImpact?.deployments?.sort((a, b) => (b.attributedProbability - a.attributedProbability) || (b.confidence.confidence - a.confidence.confidence))[0] || deploymentImpact?.deployments?.[deploymentImpact.deployments.length - 1];
+  const attributionStatement = deploymentImpact?.attribution?.separation?.statement;
+  const counterfactual = keyDeployment?.counterfactual;
 
   return (
     <div className="dashboard">
@@ -243,6 +319,15 @@ function App() {
             <option value="subscription-service">subscription-service</option>
             <option value="tax-service">tax-service</option>
           </select>
+          <select
+            className="service-selector"
+            value={bucketInterval}
+            onChange={e => { setBucketInterval(e.target.value); setLoading(true); }}
+          >
+            {Object.entries(INTERVAL_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
           {riskScore && (
             <div className={`risk-badge ${riskScore.category}`}>
               <AlertTriangle size={14} />
@@ -275,9 +360,9 @@ function App() {
           <div className="kpi-sub">Baseline: {anomalies?.drift?.baselineRate || '—'}%</div>
         </div>
         <div className="glass-card kpi-card">
-          <div className="kpi-value warning">${financialLoss?.financialLoss?.totalLoss?.toLocaleString() || '—'}</div>
+          <div className="kpi-value warning">{formatMoney(financialLoss?.financialLoss?.totalLoss, currency)}</div>
           <div className="kpi-label">Revenue Loss</div>
-          <div className="kpi-sub">Avg: ${financialLoss?.averageLossPerInvoice?.toFixed(2) || '—'}/inv</div>
+          <div className="kpi-sub">Avg: {formatMoney(financialLoss?.averageLossPerInvoice, currency, 2)}/inv</div>
         </div>
         <div className="glass-card kpi-card">
           <div className="kpi-value success">
@@ -300,7 +385,7 @@ function App() {
         {lastReport?.measurable_impact && (
           <div className="glass-card kpi-card agent-impact-card">
             <div className="kpi-value violet">
-              ${lastReport.measurable_impact.potential_arr_protected?.toLocaleString()}
+              {formatMoney(lastReport.measurable_impact.potential_arr_protected, lastReport.financial_impact?.currency || currency)}
             </div>
             <div className="kpi-label">AGENT IMPACT (ARR)</div>
             <div className="kpi-sub" style={{ color: 'var(--accent-violet)' }}>
@@ -327,7 +412,7 @@ function App() {
             </div>
           </div>
           <div className="glass-card chart-card">
-            <div className="chart-title">Daily Revenue Loss ($)</div>
+            <div className="chart-title">{INTERVAL_LABELS[bucketInterval]} Revenue Loss ({currency})</div>
             <div className="chart-container">
               <Bar data={revenueLossChart} options={{
                 ...chartDefaults,
@@ -392,7 +477,7 @@ function App() {
               </div>
             </div>
             <div className="glass-card">
-              <div className="impact-comparison">
+              <div className={`impact-comparison${counterfactual ? ' with-counterfactual' : ''}`}>
                 <div className="impact-col">
                   <div className="impact-col-label">Before Deployment</div>
                   <div className="impact-metric">
@@ -403,7 +488,7 @@ function App() {
                   </div>
                   <div className="impact-metric">
                     <div className="impact-metric-value" style={{ color: 'var(--accent-amber)' }}>
-                      ${keyDeployment.before.revenueLoss.toLocaleString()}
+                      {formatMoney(keyDeployment.before.revenueLoss, currency)}
                     </div>
                     <div className="impact-metric-label">Revenue Loss</div>
                   </div>
@@ -425,7 +510,7 @@ function App() {
                   </div>
                   <div className="impact-metric">
                     <div className="impact-metric-value" style={{ color: 'var(--accent-emerald)' }}>
-                      ${keyDeployment.after.revenueLoss.toLocaleString()}
+                      {formatMoney(keyDeployment.after.revenueLoss, currency)}
                     </div>
                     <div className="impact-metric-label">Revenue Loss</div>
                   </div>
@@ -436,6 +521,36 @@ function App() {
                     <div className="impact-metric-label">Anomalies</div>
                   </div>
                 </div>
+                {counterfactual && (
+                  <>
+                    <div className="impact-divider" />
+                    <div className="impact-col">
+                      <div className="impact-col-label">Counterfactual ({(counterfactual.confidence * 100).toFixed(0)}% bounds)</div>
+                      <div className="impact-metric">
+                        <div className="impact-metric-value" style={{ color: counterfactual.attributable.loss > 0 ? 'var(--accent-rose)' : 'var(--accent-emerald)' }}>
+                          {formatMoney(counterfactual.attributable.loss, currency)}
+                        </div>
+                        <div className="impact-metric-label">
+                          {counterfactual.attributable.loss > 0 ? 'Attributable Loss' : 'Loss Avoided'} ({formatMoney(counterfactual.attributable.low, currency)} – {formatMoney(counterfactual.attributable.high, currency)})
+                        </div>
+                      </div>
+                      <div className="impact-metric">
+                        <div className="impact-metric-value" style={{ color: 'var(--text-secondary)' }}>
+                          {formatMoney(counterfactual.expected.loss, currency)}
+                        </div>
+                        <div className="impact-metric-label">
+                          Background Loss ({formatMoney(counterfactual.expected.low, currency)} – {formatMoney(counterfactual.expected.high, currency)})
+                        </div>
+                      </div>
+                      <div className="impact-metric">
+                        <div className="impact-metric-value" style={{ color: 'var(--text-secondary)' }}>
+                          {counterfactual.baseline.invoicesPerDay} → {counterfactual.observed.invoicesPerDay ?? '—'}
+                        </div>
+                        <div className="impact-metric-label">Invoices / Day</div>
+                      </div>
+                    </div>
+                  </>
+                )}
               </div>
               <div style={{ marginTop: '20px', textAlign: 'center' }}>
                 <div style={{ fontSize: '13px', color: 'var(--text-muted)', marginBottom: '6px' }}>
@@ -447,6 +562,11 @@ function App() {
                     style={{ width: `${Math.max(0, keyDeployment.confidence.confidence * 100)}%` }}
                   />
                 </div>
+                {attributionStatement && (
+                  <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '6px' }}>
+                    Attribution: {attributionStatement}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -469,7 +589,7 @@ function App() {
                   <th>Region</th>
                   <th>Expected</th>
                   <th>Billed</th>
-                  <th>Loss</th>
+                  <th>Loss ({anomalies?.currency || currency})</th>
                   <th>Timestamp</th>
                 </tr>
               </thead>
@@ -479,9 +599,9 @@ function App() {
                     <td style={{ fontFamily: 'monospace', fontSize: '11px' }}>{a.invoiceId}</td>
                     <td>{a.service}</td>
                     <td>{a.region}</td>
-                    <td>${a.amountExpected.toFixed(2)}</td>
-                    <td style={{ color: 'var(--accent-rose)' }}>${a.amountBilled.toFixed(2)}</td>
-                    <td style={{ color: 'var(--accent-amber)', fontWeight: 600 }}>${a.loss.toFixed(2)}</td>
+                    <td>{formatMoney(a.original.amountExpected, a.original.currency, 2)}</td>
+                    <td style={{ color: 'var(--accent-rose)' }}>{formatMoney(a.original.amountBilled, a.original.currency, 2)}</td>
+                    <td style={{ color: 'var(--accent-amber)', fontWeight: 600 }}>{formatMoney(a.loss, anomalies.currency || currency, 2)}</td>
                     <td style={{ fontSize: '11px', color: 'var(--text-muted)' }}>{a.timestamp.slice(0, 16).replace('T', ' ')}</td>
                   </tr>
                 ))}
@@ -525,7 +645,7 @@ function App() {
                     <div className="service-stat-row">
                       <span className="service-stat-label">Revenue Loss</span>
                       <span className="service-stat-value" style={{ color: 'var(--accent-amber)' }}>
-                        ${svc.revenueLoss.toLocaleString()}
+                        {formatMoney(svc.revenueLoss, currency)}
                       </span>
                     </div>
                     <div className="service-stat-row">
@@ -558,13 +678,32 @@ function App() {
             </div>
             <div className="glass-card">
               <div className="alerts-list">
-                {alerts.alerts.map((alert, i) => (
-                  <div className={`alert-item ${alert.severity}`} key={i}>
+                {alerts.alerts.map((alert) => (
+                  <div className={`alert-item ${alert.severity} ${alert.state}`} key={alert.fingerprint}>
                     <span className={`severity-pill ${alert.severity}`}>
                       {alert.severity}
                     </span>
-                    <span className="alert-message">{alert.message}</span>
+                    <span className={`alert-state ${alert.state}`}>{alert.state}</span>
+                    <span className="alert-message">
+                      {alert.message}
+                      <span className="alert-seen">
+                        First seen {new Date(alert.firstSeen).toLocaleString()} · Last seen {new Date(alert.lastSeen).toLocaleString()}
+                        {alert.state === 'snoozed' && ` · Snoozed until ${new Date(alert.snoozedUntil).toLocaleString()}`}
+                        {alert.acknowledgedBy && ` · Ack by ${alert.acknowledgedBy}`}
+                      </span>
+                    </span>
                     <span className="alert-service">{alert.type}</span>
+                    <span className="alert-actions">
+                      {['firing', 'snoozed'].includes(alert.state) && (
+                        <button className="alert-action" onClick={() => handleAlertAction(alert.fingerprint, 'ack')}>Ack</button>
+                      )}
+                      {['firing', 'acknowledged'].includes(alert.state) && (
+                        <button className="alert-action" onClick={() => handleAlertAction(alert.fingerprint, 'snooze', { duration: '1h' })}>Snooze 1h</button>
+                      )}
+                      {alert.state !== 'resolved' && (
+                        <button className="alert-action" onClick={() => handleAlertAction(alert.fingerprint, 'resolve')}>Resolve</button>
+                      )}
+                    </span>
                   </div>
                 ))}
                 {alerts.alerts.length === 0 && (
@@ -589,29 +728,48 @@ function App() {
             <div className="business-impact-grid">
               <div className="glass-card bi-card">
                 <div className="bi-value" style={{ color: 'var(--accent-blue)' }}>
-                  ${businessImpact.totalExpectedRevenue?.toLocaleString()}
+                  {formatMoney(businessImpact.totalExpectedRevenue, currency)}
                 </div>
                 <div className="bi-label">Total Expected</div>
               </div>
               <div className="glass-card bi-card">
                 <div className="bi-value" style={{ color: 'var(--accent-emerald)' }}>
-                  ${businessImpact.totalBilledRevenue?.toLocaleString()}
+                  {formatMoney(businessImpact.totalBilledRevenue, currency)}
                 </div>
                 <div className="bi-label">Total Billed</div>
               </div>
               <div className="glass-card bi-card">
                 <div className="bi-value" style={{ color: 'var(--accent-amber)' }}>
-                  ${businessImpact.estimatedMonthlyARRImpact?.toLocaleString()}
+                  {formatMoney(businessImpact.estimatedMonthlyARRImpact, currency)}
                 </div>
                 <div className="bi-label">Monthly ARR Impact</div>
               </div>
               <div className="glass-card bi-card">
                 <div className="bi-value" style={{ color: 'var(--accent-rose)' }}>
-                  ${businessImpact.annualizedImpact?.toLocaleString()}
+                  {formatMoney(businessImpact.annualizedImpact, currency)}
                 </div>
                 <div className="bi-label">Annualized Risk</div>
               </div>
             </div>
+            {businessImpact.refundExposure !== undefined && (
+              <div className="glass-card refund-exposure">
+                <span className="currency-code">Overbilling</span>
+                <span>Refund exposure {formatMoney(businessImpact.refundExposure, currency, 2)}</span>
+                <span className="currency-share">{businessImpact.overbilledCount} overbilled invoices</span>
+              </div>
+            )}
+            {businessImpact.byCurrency?.length > 1 && (
+              <div className="currency-breakdown">
+                {businessImpact.byCurrency.map(row => (
+                  <div key={row.currency} className="glass-card currency-row">
+                    <span className="currency-code">{row.currency}</span>
+                    <span>Loss {formatMoney(row.native.loss, row.currency, 2)}</span>
+                    <span className="currency-converted">≈ {formatMoney(row.converted.loss, currency, 2)}</span>
+                    <span className="currency-share">{row.shareOfLoss}% of loss</span>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
         )
       }
@@ -693,9 +851,14 @@ function App() {
               <div style={{ fontSize: '10px', color: 'var(--accent-emerald)' }}>● Autonomous Mode Active</div>
             </div>
           </div>
-          <button className="icon-btn" onClick={() => setChatOpen(false)} style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}>
-            <X size={20} />
-          </button>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button className="icon-btn" title="New conversation" onClick={() => { setSessionId(null); setMessages(prev => prev.slice(0, 1)); }} style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}>
+              <RotateCcw size={18} />
+            </button>
+            <button className="icon-btn" onClick={() => setChatOpen(false)} style={{ background: 'none', border: 'none', color: 'var(--text-muted)', cursor: 'pointer' }}>
+              <X size={20} />
+            </button>
+          </div>
         </div>
 
         <div className="chat-messages">
@@ -715,15 +878,34 @@ function App() {
                   ))}
                 </div>
               )}
+              {m.investigate && (
+                <button onClick={() => runFullInvestigation(m.investigate)} disabled={isThinking} title="Runs /api/agent/analyze: files an incident and may send notifications and trigger runbooks" style={{ marginTop: '8px', background: 'none', border: '1px solid var(--accent-violet)', borderRadius: '6px', color: 'var(--accent-violet)', fontSize: '11px', padding: '2px 10px', cursor: isThinking ? 'default' : 'pointer' }}>
+                  Run full investigation
+                </button>
+              )}
             </div>
           ))}
           {isThinking && (
             <div className="message agent">
+              {currentSteps.map((s, si) => (
+                <div key={si} className="thinking-step" style={{ borderLeftColor: 'var(--accent-emerald)' }}>
+                  <div className="thinking-label">
+                    <Zap size={10} />
+                    {s.label}
+                  </div>
+                  <div className="thinking-content">{s.content}</div>
+                </div>
+              ))}
               <div className="typing-indicator">
                 <div className="dot"></div>
                 <div className="dot"></div>
                 <div className="dot"></div>
               </div>
+              {streaming && (
+                <button onClick={cancelInvestigation} style={{ marginTop: '8px', background: 'none', border: '1px solid var(--text-muted)', borderRadius: '6px', color: 'var(--text-muted)', fontSize: '11px', padding: '2px 10px', cursor: 'pointer' }}>
+                  Cancel investigation
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -749,19 +931,88 @@ function App() {
     </div >
   );
 
-  function extractServiceFromQuery(text) {
-    const lower = text.toLowerCase();
-    const serviceKeywords = {
-      'billing-service': ['billing', 'bill', 'payment', 'pay', 'invoice', 'invoicing', 'pricing'],
-      'subscription-service': ['subscription', 'subscribe', 'sub', 'plan', 'renewal', 'recurring'],
-      'tax-service': ['tax', 'taxes', 'taxation', 'vat', 'gst'],
+  // Structured query the server read from the question (intent_parser.js)
+  function describeQuery(query) {
+    const window = query.window.from || query.window.to
+      ? `${query.window.from ? query.window.from.slice(0, 10) : 'start'} → ${query.window.to ? query.window.to.slice(0, 10) : 'latest'}`
+      : 'all data';
+    return [
+      `intent: ${query.intent}`,
+      `metric: ${query.metric}`,
+      `direction: ${query.direction}`,
+      `service: ${query.service || 'all'}${query.filled.service ? ` (${query.filled.service})` : ''}`,
+      `region: ${query.region || 'all'}${query.filled.region ? ` (${query.filled.region})` : ''}`,
+      `window: ${window}${query.window.expression ? ` ("${query.window.expression}")` : ''}${query.filled.window ? ` (${query.filled.window})` : ''}`,
+      ...(query.basedOn ? [`context from turn ${query.basedOn}`] : []),
+    ].join(', ');
+  }
+
+  function traceStep(s) {
+    return {
+      label: s.step,
+      content: Object.entries(s.evidence).map(([k, v]) => `${k}: ${v}`).join(', '),
+      status: 'complete'
     };
-    for (const [service, keywords] of Object.entries(serviceKeywords)) {
-      if (keywords.some(kw => lower.includes(kw))) return service;
-    }
-    // If dropdown has a specific service selected, use that
-    if (selectedService !== 'all') return selectedService;
-    return null; // No service detected
+  }
+
+  // Run the full investigation as a stream: steps render as they arrive, the report replaces them
+  function streamInvestigation(params) {
+    return new Promise(resolve => {
+      const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v));
+      const source = new EventSource(`${API_BASE}/agent/analyze/stream?${query}`);
+      const finish = message => {
+        source.close();
+        streamRef.current = null;
+        setStreaming(false);
+        setCurrentSteps([]);
+        if (message) setMessages(prev => [...prev, message]);
+        resolve();
+      };
+      streamRef.current = { source, finish };
+      setCurrentSteps([]);
+      setStreaming(true);
+
+      source.addEventListener('step', e => {
+        const step = JSON.parse(e.data);
+        setCurrentSteps(prev => [...prev, traceStep(step)]);
+      });
+      source.addEventListener('report', e => {
+        const report = JSON.parse(e.data);
+        setReasoningData(report.reasoning_trace);
+        setLastReport(report);
+        finish({ role: 'agent', content: report.executive_summary, steps: report.reasoning_trace.steps.map(traceStep) });
+      });
+      // Server-sent errors carry data; a bare error event means the connection dropped
+      source.addEventListener('error', e => {
+        finish({ role: 'agent', content: e.data ? `Investigation failed: ${JSON.parse(e.data).error}` : 'Investigation stream interrupted.' });
+      });
+    });
+  }
+
+  // Closing the stream stops the run on the server before anything is filed or triggered
+  function cancelInvestigation() {
+    if (!streamRef.current) return;
+    const count = currentSteps.length;
+    streamRef.current.finish({ role: 'agent', content: `Investigation cancelled after ${count} step${count === 1 ? '' : 's'}.` });
+  }
+
+  function askQuestion(text, session) {
+    return fetch(`${API_BASE}/agent/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        question: text,
+        ...(session ? { sessionId: session } : {}),
+        ...(selectedService !== 'all' ? { service: selectedService } : {})
+      })
+    });
+  }
+
+  // Stream the full investigation behind the Thinking view
+  async function runFullInvestigation(params) {
+    setIsThinking(true);
+    await streamInvestigation(params);
+    setIsThinking(false);
   }
 
   async function handleSendMessage(text) {
@@ -769,28 +1020,31 @@ function App() {
     setIsThinking(true);
 
     try {
-      const detectedService = extractServiceFromQuery(text);
-      const service = detectedService || 'billing-service';
-
-      const response = await fetch(`${API_BASE}/agent/analyze`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ service, query: text })
-      });
-      const report = await response.json();
+      let response = await askQuestion(text, sessionId);
+      // An expired conversation starts over
+      if (response.status === 404 && sessionId) response = await askQuestion(text, null);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error);
+      setSessionId(result.sessionId);
 
-      setIsThinking(false);
-      setReasoningData(report.reasoning_trace);
-      setLastReport(report);
       setMessages(prev => [...prev, {
         role: 'agent',
-        content: report.executive_summary,
-        steps: report.reasoning_steps.map(s => ({
-          label: s.step,
-          content: s.delta,
-          status: 'complete'
-        }))
+        content: result.answer,
+        steps: [
+          { label: `Turn ${result.turn} · structured query`, content: describeQuery(result.query), status: 'complete' },
+          ...(Array.isArray(result.data) ? result.data : []).map(r => ({
+            label: r.tool,
+            content: r.output.summary,
+            status: 'complete'
+          })),
+          ...result.query.notes.map(note => ({ label: 'Note', content: note, status: 'complete' }))
+        ],
+        // Deployment questions offer the full investigation; it files incidents, so it is never started implicitly
+        investigate: ['CAUSE', 'ACTIONS'].includes(result.query.intent)
+          ? { service: result.query.service, from: result.query.window.from, to: result.query.window.to }
+          : null
       }]);
+      setIsThinking(false);
     } catch (err) {
       setIsThinking(false);
       setMessages(prev => [...prev, { role: 'agent', content: 'Intelligence engine offline. Check server status.' }]);
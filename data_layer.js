@@ -0,0 +1,571 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Data Access Layer (Elasticsearch with JSON fallback)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Every analytics read in the server goes through this module.
+ *
+ *    - LIVE_ES:  raw documents are streamed from the indices created by
+ *                send.js and the heavy grouping (per-day, per-service,
+ *                per-region) runs as Elasticsearch aggregations.
+ *    - FALLBACK: the same functions read data/*.json and group in memory.
+ *
+ *  Both paths return identical shapes (and, on the same dataset, identical
+ *  numbers) so the intelligence engines never need to know which one ran.
+ *  Set DATA_MODE=json to skip Elasticsearch entirely.
+ *
+ *  Aggregated money (expected / billed / loss / overcharge) is in the
+ *  reporting currency (see fx.js); raw documents keep their original currency.
+ *
+ *  Both billing directions are counted: `anomalies` / `loss` for invoices
+ *  billed below the expected amount, `overbilled` / `overcharge` (refund
+ *  exposure) for invoices billed above it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convertInvoice, invoiceLoss, invoiceOvercharge, ES_RATE_SCRIPT, esRateParams } = require('./fx');
+
+const DATA_DIR = path.join(__dirname, 'data');
+const ES_NODE = process.env.ES_NODE || 'http://localhost:9200';
+const FORCE_JSON = process.env.DATA_MODE === 'json';
+const ES_PROBE_TTL_MS = 5000; // re-ping at most every 5s
+const SCROLL_PAGE_SIZE = 5000;
+
+const UNDERBILLED_SCRIPT = "doc['amountBilled'].value < doc['amountExpected'].value";
+const OVERBILLED_SCRIPT = "doc['amountBilled'].value > doc['amountExpected'].value";
+const LOSS_SCRIPT = `${ES_RATE_SCRIPT} return (doc['amountExpected'].value - doc['amountBilled'].value) * rate;`;
+const OVERCHARGE_SCRIPT = `${ES_RATE_SCRIPT} return (doc['amountBilled'].value - doc['amountExpected'].value) * rate;`;
+const NATIVE_LOSS_SCRIPT = "doc['amountExpected'].value - doc['amountBilled'].value";
+const NATIVE_OVERCHARGE_SCRIPT = "doc['amountBilled'].value - doc['amountExpected'].value";
+const EXPECTED_SCRIPT = `${ES_RATE_SCRIPT} return doc['amountExpected'].value * rate;`;
+const BILLED_SCRIPT = `${ES_RATE_SCRIPT} return doc['amountBilled'].value * rate;`;
+
+function fxScript(source) {
+    return { source, lang: 'painless', params: esRateParams() };
+}
+
+let esClient = null;
+try {
+    const { Client } = require('@elastic/elasticsearch');
+    esClient = new Client({ node: ES_NODE, maxRetries: 1, requestTimeout: 10000 });
+} catch (e) {
+    console.warn('⚠️  Elasticsearch client not available. Using JSON fallback.');
+}
+
+// ─── JSON Fallback Store ────────────────────────────────────────────────────
+
+const jsonCache = {};
+
+function loadJSON(filename) {
+    const filePath = path.join(DATA_DIR, filename);
+    if (!fs.existsSync(filePath)) return [];
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function getJSON(filename) {
+    if (!jsonCache[filename]) jsonCache[filename] = loadJSON(filename);
+    return jsonCache[filename];
+}
+
+// Force cache refresh
+function clearCache() {
+    Object.keys(jsonCache).forEach(key => delete jsonCache[key]);
+}
+
+// ─── Availability Probe ─────────────────────────────────────────────────────
+
+let lastProbe = { at: 0, available: false };
+
+async function isESAvailable() {
+    if (!esClient || FORCE_JSON) return false;
+    if (Date.now() - lastProbe.at < ES_PROBE_TTL_MS) return lastProbe.available;
+    let available;
+    try {
+        await esClient.ping();
+        available = true;
+    } catch {
+        available = false;
+    }
+    lastProbe = { at: Date.now(), available };
+    return available;
+}
+
+// Optional hook so the server can record live queries for /api/proof/live-analysis
+let auditLogger = null;
+
+function setAuditLogger(fn) {
+    auditLogger = fn;
+}
+
+/**
+ * Run `esFn` when Elasticsearch is reachable, otherwise (or if the query
+ * throws) run `jsonFn`. The result is returned unchanged from either path.
+ */
+async function withFallback(index, label, esFn, jsonFn) {
+    if (await isESAvailable()) {
+        try {
+            const result = await esFn();
+            if (auditLogger) auditLogger(index, `ES: ${label}`, Array.isArray(result) ? result.length : 1);
+            return result;
+        } catch (err) {
+            console.warn(`⚠️  ES query failed (${index} / ${label}): ${err.message}. Falling back to JSON.`);
+            lastProbe = { at: 0, available: false };
+        }
+    }
+    return jsonFn();
+}
+
+// ─── Filters ────────────────────────────────────────────────────────────────
+
+/**
+ * Filters are plain objects: { service, region, currency, customerId, from, to }.
+ * `from` / `to` are absolute ISO timestamps (inclusive) applied to the
+ * `timestamp` field of every index. Unset keys mean "no constraint".
+ */
+const TERM_FIELDS = ['service', 'region', 'currency', 'customerId'];
+
+function matchesFilter(doc, filter = {}) {
+    if (TERM_FIELDS.some(field => filter[field] && doc[field] !== filter[field])) return false;
+    if (filter.from || filter.to) {
+        const ts = Date.parse(doc.timestamp);
+        if (filter.from && ts < Date.parse(filter.from)) return false;
+        if (filter.to && ts > Date.parse(filter.to)) return false;
+    }
+    return true;
+}
+
+function buildQuery(filter = {}) {
+    const clauses = [];
+    TERM_FIELDS.forEach(field => {
+        if (filter[field]) clauses.push({ term: { [field]: filter[field] } });
+    });
+    if (filter.from || filter.to) {
+        const range = {};
+        if (filter.from) range.gte = filter.from;
+        if (filter.to) range.lte = filter.to;
+        clauses.push({ range: { timestamp: range } });
+    }
+    return clauses.length > 0 ? { bool: { filter: clauses } } : { match_all: {} };
+}
+
+// Transactions and churn carry no service field; only the time window applies.
+function timeOnly(filter = {}) {
+    return { from: filter.from, to: filter.to };
+}
+
+async function scrollAll(index, query, sort) {
+    const docs = [];
+    const scroll = esClient.helpers.scrollDocuments({
+        index,
+        size: SCROLL_PAGE_SIZE,
+        body: { query, sort },
+    });
+    for await (const doc of scroll) docs.push(doc);
+    return docs;
+}
+
+function sortByTimestamp(docs) {
+    return [...docs].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+// ─── Raw Document Getters ───────────────────────────────────────────────────
+
+async function getInvoices(filter = {}) {
+    return withFallback('invoices', 'Invoice scan',
+        () => scrollAll('invoices', buildQuery(filter), [{ timestamp: 'asc' }]),
+        () => getJSON('invoices.json').filter(inv => matchesFilter(inv, filter)));
+}
+
+async function getEvents(filter = {}) {
+    return withFallback('system_events', 'System event scan',
+        () => scrollAll('system_events', buildQuery(filter), [{ timestamp: 'asc' }]),
+        () => sortByTimestamp(getJSON('system_events.json').filter(e => matchesFilter(e, filter))));
+}
+
+async function getTransactions(filter = {}) {
+    const window = timeOnly(filter);
+    return withFallback('transactions', 'Transaction scan',
+        () => scrollAll('transactions', buildQuery(window), [{ timestamp: 'asc' }]),
+        () => getJSON('transactions.json').filter(t => matchesFilter(t, window)));
+}
+
+async function getChurn(filter = {}) {
+    const window = timeOnly(filter);
+    return withFallback('churn_events', 'Churn scan',
+        () => scrollAll('churn_events', buildQuery(window), [{ timestamp: 'asc' }]),
+        () => getJSON('churn_events.json').filter(c => matchesFilter(c, window)));
+}
+
+/**
+ * Invoices strictly after `cursor` ({ timestamp, invoiceId }, or null for
+ * the beginning), ordered by timestamp then invoiceId, at most `limit`.
+ * ES pages with search_after; the JSON path re-reads the file so invoices
+ * appended since the last call are picked up.
+ */
+function compareCursor(a, b) {
+    if (a.timestamp !== b.timestamp) return a.timestamp < b.timestamp ? -1 : 1;
+    if (a.invoiceId === b.invoiceId) return 0;
+    return a.invoiceId < b.invoiceId ? -1 : 1;
+}
+
+async function getInvoicesAfter(cursor = null, limit = SCROLL_PAGE_SIZE) {
+    const isAfter = inv => !cursor || compareCursor(inv, cursor) > 0;
+
+    return withFallback('invoices', 'Incremental invoice scan',
+        async () => {
+            const response = await esClient.search({
+                index: 'invoices',
+                body: {
+                    size: limit,
+                    query: cursor ? { range: { timestamp: { gte: cursor.timestamp } } } : { match_all: {} },
+                    sort: [{ timestamp: 'asc' }, { invoiceId: 'asc' }],
+                    ...(cursor ? { search_after: [Date.parse(cursor.timestamp), cursor.invoiceId] } : {}),
+                },
+            });
+            return response.hits.hits.map(hit => hit._source);
+        },
+        () => loadJSON('invoices.json')
+            .filter(isAfter)
+            .sort((a, b) => compareCursor(a, b))
+            .slice(0, limit));
+}
+
+// ─── Catalog (JSON only) ────────────────────────────────────────────────────
+
+// Subscriptions and the pricing catalog are reference data, not indexed in ES
+function getSubscriptions() {
+    return getJSON('subscriptions.json');
+}
+
+function getPricingVersions() {
+    return getJSON('pricing_versions.json');
+}
+
+// Per-direction selectors for getTopAnomalies
+const DIRECTION_QUERIES = {
+    underbilling: {
+        filterScript: UNDERBILLED_SCRIPT,
+        amountScript: LOSS_SCRIPT,
+        matches: inv => inv.amountBilled < inv.amountExpected,
+        amount: invoiceLoss,
+    },
+    overbilling: {
+        filterScript: OVERBILLED_SCRIPT,
+        amountScript: OVERCHARGE_SCRIPT,
+        matches: inv => inv.amountBilled > inv.amountExpected,
+        amount: invoiceOvercharge,
+    },
+};
+
+/**
+ * Largest anomalies of one direction first ('underbilling' by loss,
+ * 'overbilling' by overcharge), ranked in the reporting currency. ES sorts
+ * by a script so only `size` documents cross the wire.
+ */
+async function getTopAnomalies(filter = {}, size = 50, direction = 'underbilling') {
+    const selector = DIRECTION_QUERIES[direction];
+    if (!selector) throw new Error(`Unsupported direction: ${direction}`);
+    return withFallback('invoices', `Top ${direction} anomalies`,
+        async () => {
+            const response = await esClient.search({
+                index: 'invoices',
+                body: {
+                    size,
+                    query: {
+                        bool: {
+                            filter: [
+                                buildQuery(filter),
+                                { script: { script: { source: selector.filterScript, lang: 'painless' } } },
+                            ],
+                        },
+                    },
+                    sort: [{
+                        _script: {
+                            type: 'number',
+                            script: fxScript(selector.amountScript),
+                            order: 'desc',
+                        },
+                    }],
+                },
+            });
+            return response.hits.hits.map(hit => hit._source);
+        },
+        () => getJSON('invoices.json')
+            .filter(inv => matchesFilter(inv, filter) && selector.matches(inv))
+            .sort((a, b) => selector.amount(b) - selector.amount(a))
+            .slice(0, size));
+}
+
+// ─── Invoice Aggregations ───────────────────────────────────────────────────
+
+/**
+ * Supported grouping keys. 'day' buckets on the UTC calendar day of the
+ * invoice timestamp; the others are keyword fields.
+ */
+// 5-minute bucket key: '2026-02-10T13:45'
+const fiveMinuteKey = ts => `${ts.slice(0, 14)}${String(Math.floor(Number(ts.slice(14, 16)) / 5) * 5).padStart(2, '0')}`;
+
+const GROUP_KEYS = {
+    day: inv => inv.timestamp.slice(0, 10),
+    hour: inv => inv.timestamp.slice(0, 13),
+    '5m': inv => fiveMinuteKey(inv.timestamp),
+    service: inv => inv.service,
+    region: inv => inv.region,
+    currency: inv => inv.currency,
+    customerId: inv => inv.customerId,
+};
+
+function emptyBucket(key) {
+    return { key, total: 0, anomalies: 0, overbilled: 0, expected: 0, billed: 0, loss: 0, overcharge: 0 };
+}
+
+function roundMoney(amounts) {
+    return {
+        ...amounts,
+        expected: parseFloat(amounts.expected.toFixed(2)),
+        billed: parseFloat(amounts.billed.toFixed(2)),
+        loss: parseFloat(amounts.loss.toFixed(2)),
+        overcharge: parseFloat(amounts.overcharge.toFixed(2)),
+    };
+}
+
+function roundBucket(bucket) {
+    const rounded = roundMoney(bucket);
+    if (bucket.native) rounded.native = roundMoney(bucket.native);
+    return rounded;
+}
+
+/**
+ * In-memory equivalent of the ES aggregation below. Exported so engines that
+ * already hold an invoice array bucket it exactly like the data layer does.
+ * Grouping by currency also keeps the unconverted sums under `native`.
+ */
+function summarizeInvoices(invoices, groupBy = null) {
+    const keyFn = groupBy ? GROUP_KEYS[groupBy] : () => 'all';
+    if (!keyFn) throw new Error(`Unsupported groupBy: ${groupBy}`);
+
+    const buckets = {};
+    invoices.forEach(inv => {
+        const key = keyFn(inv);
+        if (!buckets[key]) {
+            buckets[key] = emptyBucket(key);
+            if (groupBy === 'currency') buckets[key].native = { currency: key, expected: 0, billed: 0, loss: 0, overcharge: 0 };
+        }
+        const b = buckets[key];
+        const amounts = convertInvoice(inv);
+        b.total++;
+        b.expected += amounts.expected;
+        b.billed += amounts.billed;
+        if (inv.amountBilled < inv.amountExpected) {
+            b.anomalies++;
+            b.loss += amounts.loss;
+        } else if (inv.amountBilled > inv.amountExpected) {
+            b.overbilled++;
+            b.overcharge += amounts.overcharge;
+        }
+        if (b.native) {
+            b.native.expected += inv.amountExpected;
+            b.native.billed += inv.amountBilled;
+            if (inv.amountBilled < inv.amountExpected) b.native.loss += inv.amountExpected - inv.amountBilled;
+            if (inv.amountBilled > inv.amountExpected) b.native.overcharge += inv.amountBilled - inv.amountExpected;
+        }
+    });
+
+    return Object.values(buckets)
+        .sort((a, b) => String(a.key).localeCompare(String(b.key)))
+        .map(roundBucket);
+}
+
+function invoiceMetricAggs(withNative = false) {
+    const aggs = {
+        expected: { sum: { script: fxScript(EXPECTED_SCRIPT) } },
+        billed: { sum: { script: fxScript(BILLED_SCRIPT) } },
+        underbilled: {
+            filter: { script: { script: { source: UNDERBILLED_SCRIPT, lang: 'painless' } } },
+            aggs: {
+                loss: { sum: { script: fxScript(LOSS_SCRIPT) } },
+                ...(withNative ? { nativeLoss: { sum: { script: { source: NATIVE_LOSS_SCRIPT, lang: 'painless' } } } } : {}),
+            },
+        },
+        overbilled: {
+            filter: { script: { script: { source: OVERBILLED_SCRIPT, lang: 'painless' } } },
+            aggs: {
+                overcharge: { sum: { script: fxScript(OVERCHARGE_SCRIPT) } },
+                ...(withNative ? { nativeOvercharge: { sum: { script: { source: NATIVE_OVERCHARGE_SCRIPT, lang: 'painless' } } } } : {}),
+            },
+        },
+    };
+    if (withNative) {
+        aggs.nativeExpected = { sum: { field: 'amountExpected' } };
+        aggs.nativeBilled = { sum: { field: 'amountBilled' } };
+    }
+    return aggs;
+}
+
+function bucketFromAgg(key, agg) {
+    const bucket = {
+        key,
+        total: agg.doc_count,
+        anomalies: agg.underbilled.doc_count,
+        overbilled: agg.overbilled.doc_count,
+        expected: agg.expected.value || 0,
+        billed: agg.billed.value || 0,
+        loss: agg.underbilled.loss.value || 0,
+        overcharge: agg.overbilled.overcharge.value || 0,
+    };
+    if (agg.nativeExpected) {
+        bucket.native = {
+            currency: key,
+            expected: agg.nativeExpected.value || 0,
+            billed: agg.nativeBilled.value || 0,
+            loss: agg.underbilled.nativeLoss.value || 0,
+            overcharge: agg.overbilled.nativeOvercharge.value || 0,
+        };
+    }
+    return roundBucket(bucket);
+}
+
+// Time groupings as ES histograms; keys match GROUP_KEYS ('2026-02-10', '2026-02-10T13', '2026-02-10T13:45')
+const HISTOGRAMS = {
+    day: { calendar_interval: 'day', format: 'yyyy-MM-dd' },
+    hour: { calendar_interval: 'hour', format: "yyyy-MM-dd'T'HH" },
+    '5m': { fixed_interval: '5m', format: "yyyy-MM-dd'T'HH:mm" },
+};
+
+async function esAggregateInvoices(filter, groupBy) {
+    const aggs = HISTOGRAMS[groupBy]
+        ? { date_histogram: { field: 'timestamp', ...HISTOGRAMS[groupBy], min_doc_count: 1 } }
+        : { terms: { field: groupBy, size: 1000 } };
+
+    const response = await esClient.search({
+        index: 'invoices',
+        body: {
+            size: 0,
+            track_total_hits: true,
+            query: buildQuery(filter),
+            aggs: groupBy
+                ? { groups: { ...aggs, aggs: invoiceMetricAggs(groupBy === 'currency') } }
+                : invoiceMetricAggs(),
+        },
+    });
+
+    if (!groupBy) {
+        return [bucketFromAgg('all', { doc_count: response.hits.total.value, ...response.aggregations })];
+    }
+    return response.aggregations.groups.buckets
+        .map(b => bucketFromAgg(b.key_as_string || b.key, b))
+        .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+/**
+ * Grouped invoice metrics:
+ *   [{ key, total, anomalies, overbilled, expected, billed, loss, overcharge }]
+ * sorted by key, money in the reporting currency. Time groupings are 'day',
+ * 'hour' and '5m' (UTC buckets, empty ones omitted). `anomalies` / `loss` count
+ * underbilled invoices, `overbilled` / `overcharge` overbilled ones.
+ * groupBy 'currency' adds `native` (original currency).
+ */
+async function aggregateInvoices(filter = {}, groupBy = null) {
+    if (groupBy && !GROUP_KEYS[groupBy]) throw new Error(`Unsupported groupBy: ${groupBy}`);
+    return withFallback('invoices', `Aggregate by ${groupBy || 'total'}`,
+        () => esAggregateInvoices(filter, groupBy),
+        () => summarizeInvoices(getJSON('invoices.json').filter(inv => matchesFilter(inv, filter)), groupBy));
+}
+
+// ─── Sliced Daily Aggregations ──────────────────────────────────────────────
+
+const SLICE_PAGE_SIZE = 500;
+
+async function esAggregateInvoiceSlices(filter, fields) {
+    const slices = [];
+    let after;
+    do {
+        const response = await esClient.search({
+            index: 'invoices',
+            body: {
+                size: 0,
+                query: buildQuery(filter),
+                aggs: {
+                    slices: {
+                        composite: {
+                            size: SLICE_PAGE_SIZE,
+                            sources: fields.map(field => ({ [field]: { terms: { field } } })),
+                            ...(after ? { after } : {}),
+                        },
+                        aggs: {
+                            days: {
+                                date_histogram: { field: 'timestamp', calendar_interval: 'day', format: 'yyyy-MM-dd', min_doc_count: 1 },
+                                aggs: invoiceMetricAggs(),
+                            },
+                        },
+                    },
+                },
+            },
+        });
+        const { buckets, after_key: afterKey } = response.aggregations.slices;
+        buckets.forEach(b => slices.push({
+            slice: b.key,
+            daily: b.days.buckets.map(d => bucketFromAgg(d.key_as_string, d)),
+        }));
+        after = buckets.length === SLICE_PAGE_SIZE ? afterKey : null;
+    } while (after);
+    return slices;
+}
+
+/**
+ * In-memory equivalent of the composite aggregation above. Fields that are
+ * not grouping keys are read straight off the invoice, so callers can slice
+ * on values they joined in themselves (e.g. a subscription plan).
+ */
+function summarizeInvoiceSlices(invoices, fields) {
+    const keyOf = (inv, field) => (GROUP_KEYS[field] ? GROUP_KEYS[field](inv) : inv[field]);
+    const groups = {};
+    invoices.forEach(inv => {
+        const slice = Object.fromEntries(fields.map(field => [field, keyOf(inv, field)]));
+        const key = JSON.stringify(slice);
+        if (!groups[key]) groups[key] = { slice, invoices: [] };
+        groups[key].invoices.push(inv);
+    });
+    return Object.values(groups).map(g => ({ slice: g.slice, daily: summarizeInvoices(g.invoices, 'day') }));
+}
+
+/**
+ * Daily invoice metrics for every combination of `fields` present in the
+ * data: [{ slice: { service, region }, daily: [bucket] }], sorted by slice.
+ * Fields are any of the keyword grouping keys (not 'day').
+ */
+async function aggregateInvoiceSlices(filter = {}, fields = []) {
+    const unsupported = fields.filter(field => field === 'day' || !GROUP_KEYS[field]);
+    if (fields.length === 0 || unsupported.length > 0) throw new Error(`Unsupported slice fields: ${fields.join(', ')}`);
+    const slices = await withFallback('invoices', `Slice by ${fields.join(' × ')}`,
+        () => esAggregateInvoiceSlices(filter, fields),
+        () => summarizeInvoiceSlices(getJSON('invoices.json').filter(inv => matchesFilter(inv, filter)), fields));
+    const sortKey = s => fields.map(field => s.slice[field]).join('\u0000');
+    return slices.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+/** Single-bucket totals for the filter (zeroed when nothing matches). */
+async function aggregateInvoiceTotals(filter = {}) {
+    const [totals] = await aggregateInvoices(filter, null);
+    return totals || emptyBucket('all');
+}
+
+module.exports = {
+    isESAvailable,
+    setAuditLogger,
+    clearCache,
+    getInvoices,
+    getInvoicesAfter,
+    getEvents,
+    getTransactions,
+    getChurn,
+    getTopAnomalies,
+    getSubscriptions,
+    getPricingVersions,
+    aggregateInvoices,
+    aggregateInvoiceTotals,
+    aggregateInvoiceSlices,
+    summarizeInvoices,
+    summarizeInvoiceSlices,
+};
@@ -0,0 +1,90 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Local Deploy API Stub
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  A tiny deploy API and ticket tracker for exercising runbooks.js without
+ *  real infrastructure. Current versions start from the latest deployment of
+ *  each service in data/system_events.json and live in memory.
+ *
+ *    node deploy_stub.js
+ *
+ *    GET  /deployments            current version per service
+ *    POST /deployments/rollback   { service, toVersion, reason } → 200 | 400 | 404
+ *    POST /tickets                { title, description, ... }   → 201 { id }
+ *
+ *  Environment:
+ *    DEPLOY_STUB_PORT  listen port (default 4100; 0 picks a free port)
+ *    FAIL_FIRST        answer the first N requests with HTTP 500 to exercise
+ *                      failing runbook steps (default 0)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = process.env.DEPLOY_STUB_PORT || 4100;
+const EVENTS_FILE = path.join(__dirname, 'data', 'system_events.json');
+let failuresLeft = parseInt(process.env.FAIL_FIRST || '0', 10);
+
+const versions = {};
+if (fs.existsSync(EVENTS_FILE)) {
+    JSON.parse(fs.readFileSync(EVENTS_FILE, 'utf8'))
+        .filter(e => e.eventType === 'deployment')
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        .forEach(e => { versions[e.service] = e.version; });
+}
+const tickets = [];
+let nextDeployment = 1;
+
+function reply(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function handle(method, url, body, res) {
+    if (method === 'GET' && url === '/deployments') return reply(res, 200, versions);
+
+    if (method === 'POST' && url === '/deployments/rollback') {
+        const { service, toVersion, reason } = body;
+        if (!service || !toVersion) return reply(res, 400, { error: 'service and toVersion are required' });
+        if (!(service in versions)) return reply(res, 404, { error: `Unknown service '${service}'` });
+        const fromVersion = versions[service];
+        versions[service] = toVersion;
+        console.log(`⏪ ${service}: ${fromVersion} → ${toVersion}${reason ? ` (${reason})` : ''}`);
+        return reply(res, 200, { deploymentId: `DEP-${nextDeployment++}`, service, fromVersion, toVersion, status: 'ROLLED_BACK' });
+    }
+
+    if (method === 'POST' && url === '/tickets') {
+        if (!body.title) return reply(res, 400, { error: 'title is required' });
+        const ticket = { id: `TKT-${tickets.length + 1}`, createdAt: new Date().toISOString(), ...body };
+        tickets.push(ticket);
+        console.log(`🎫 ${ticket.id}: ${ticket.title}`);
+        return reply(res, 201, ticket);
+    }
+
+    return reply(res, 404, { error: `No route for ${method} ${url}` });
+}
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`💥 ${req.method} ${req.url}: simulated failure (${failuresLeft} left)`);
+            return reply(res, 500, { error: 'Simulated failure' });
+        }
+        let body = {};
+        try {
+            body = raw ? JSON.parse(raw) : {};
+        } catch (err) {
+            return reply(res, 400, { error: 'Body must be JSON' });
+        }
+        handle(req.method, req.url, body, res);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🚀 Deploy API stub listening on http://localhost:${server.address().port}`);
+});
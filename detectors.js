@@ -0,0 +1,544 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Anomaly Detectors
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Interchangeable models that judge a daily metric series. Every detector
+ *  takes the same input (daily invoice buckets from the data layer) and
+ *  returns the same shape, so /api/anomalies can run any of them side by
+ *  side and report which model flagged which day:
+ *
+ *    {
+ *      detector, description, metric, direction, params,
+ *      evaluatedAt, flagged, score, threshold,       // verdict at the evaluation day
+ *      points: [{ date, value, expected, score, flagged }],
+ *      flaggedDays: ['YYYY-MM-DD', ...],
+ *      changePoints: [{ date, ... }]                  // detectors that locate shifts
+ *    }
+ *
+ *  Detectors:
+ *    baseline   trailing-baseline mean vs current-window mean (drift_engine.js ratio)
+ *    ewma       exponentially weighted moving average control chart
+ *    cusum      one-sided tabular CUSUM, restarted after each alarm
+ *    seasonal   same-weekday baseline over the previous weeks
+ *    mad        median / MAD robust z-score over a trailing window
+ *    bayesian   Bayesian change-point segmentation (Normal-Gamma marginal likelihood)
+ *
+ *  All of them look for increases: more anomalies or more money at stake.
+ *  The default detector per metric and every detector's parameters live in
+ *  config/detectors.json (override with DETECTORS_FILE).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    DIRECTIONS,
+    DEFAULT_BASELINE_DAYS,
+    DEFAULT_CURRENT_DAYS,
+    DAY_MS,
+    DEFAULT_INTERVAL,
+    intervalOfKey,
+    bucketStart,
+    shiftDay,
+    resolveEvaluationTime,
+} = require('./drift_engine');
+
+const CONFIG_FILE = process.env.DETECTORS_FILE || path.join(__dirname, 'config', 'detectors.json');
+const SCORE_CAP = 100; // scores on a zero-spread history are clamped instead of becoming Infinity
+
+// ─── Metric Series ──────────────────────────────────────────────────────────
+
+const METRICS = {
+    anomalyRate: { description: 'Daily share (%) of invoices billed in the direction', valueOf: (d, f) => (d.total > 0 ? d[f.count] / d.total * 100 : 0) },
+    anomalyCount: { description: 'Daily number of invoices billed in the direction', valueOf: (d, f) => d[f.count] },
+    revenueLoss: { description: 'Daily amount lost (or refund exposure), reporting currency', valueOf: (d, f) => d[f.amount] },
+};
+
+/**
+ * [{ date, value }] for one metric and direction, up to and including the
+ * evaluation day. `date` is the bucket key: a day, or an hour / 5-minute
+ * bucket when the caller aggregated at a finer interval.
+ */
+function buildSeries(daily, metric, direction, evaluationDay) {
+    const fields = DIRECTIONS[direction];
+    return daily
+        .filter(d => d.key.slice(0, 10) <= evaluationDay)
+        .map(d => ({ date: d.key, value: METRICS[metric].valueOf(d, fields) }));
+}
+
+// ─── Statistics ─────────────────────────────────────────────────────────────
+
+const mean = xs => (xs.length > 0 ? xs.reduce((s, x) => s + x, 0) / xs.length : 0);
+
+function stdDev(xs) {
+    if (xs.length < 2) return 0;
+    const m = mean(xs);
+    return Math.sqrt(xs.reduce((s, x) => s + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+function median(xs) {
+    const sorted = [...xs].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const clampScore = score => Math.max(-SCORE_CAP, Math.min(SCORE_CAP, score));
+const round4 = n => (n === null ? null : parseFloat(n.toFixed(4)));
+
+// Deviation over a spread that may be zero: identical histories give 0 or the cap
+function standardize(value, center, spread) {
+    if (spread > 0) return clampScore((value - center) / spread);
+    return value === center ? 0 : Math.sign(value - center) * SCORE_CAP;
+}
+
+// Lanczos approximation (g = 7)
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+function logGamma(z) {
+    if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+    const x = z - 1;
+    let sum = LANCZOS[0];
+    for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (x + i);
+    const t = x + LANCZOS.length - 1.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function logSumExp(xs) {
+    const max = xs.reduce((m, x) => (x > m ? x : m), -Infinity); // spread would overflow the stack on long series
+    return max + Math.log(xs.reduce((s, x) => s + Math.exp(x - max), 0));
+}
+
+// Same bucket `days` later (negative: earlier); keeps the key's resolution and time of day
+function shiftKey(key, days) {
+    return new Date(Date.parse(bucketStart(key)) + days * DAY_MS).toISOString().slice(0, key.length);
+}
+
+// Mean / spread of the points in the first `trainingDays` days (the in-control reference for EWMA and CUSUM)
+function trainingReference(series, trainingDays) {
+    const cutoff = shiftKey(series[0].date.slice(0, 10), trainingDays);
+    const inWindow = series.filter(p => p.date < cutoff).length;
+    const training = series.slice(0, Math.max(2, Math.min(inWindow, series.length - 1))).map(p => p.value);
+    const center = mean(training);
+    const spread = stdDev(training) || Math.abs(center) * 0.1;
+    return { center, spread, points: training.length };
+}
+
+// ─── Detectors ──────────────────────────────────────────────────────────────
+
+function detectBaseline(series, params, ctx) {
+    const currentFrom = shiftDay(ctx.evaluationDay, -(ctx.currentDays - 1));
+    const baselineFrom = shiftDay(currentFrom, -ctx.baselineDays);
+    const baselineValues = series.filter(p => p.date >= baselineFrom && p.date < currentFrom).map(p => p.value);
+    const currentValues = series.filter(p => p.date >= currentFrom).map(p => p.value);
+    const expected = mean(baselineValues);
+    const ratio = value => (expected > 0 ? value / expected : 0);
+
+    const driftFactor = ratio(mean(currentValues));
+    return {
+        flagged: driftFactor > params.threshold,
+        score: driftFactor,
+        points: series.map(p => ({ date: p.date, value: p.value, expected, score: ratio(p.value), flagged: ratio(p.value) > params.threshold })),
+        extra: {
+            windows: {
+                baseline: { from: baselineFrom, to: shiftDay(currentFrom, -1), buckets: baselineValues.length },
+                current: { from: currentFrom, to: ctx.evaluationDay, buckets: currentValues.length },
+            },
+        },
+    };
+}
+
+function detectEwma(series, params) {
+    const ref = trainingReference(series, params.trainingDays);
+    const { lambda, L } = params;
+    let smoothed = ref.center;
+
+    const points = series.map((p, i) => {
+        smoothed = lambda * p.value + (1 - lambda) * smoothed;
+        const sigma = ref.spread * Math.sqrt(lambda / (2 - lambda) * (1 - (1 - lambda) ** (2 * (i + 1))));
+        const score = standardize(smoothed, ref.center, sigma);
+        return { date: p.date, value: p.value, expected: ref.center, score, flagged: score > L, smoothed: round4(smoothed), upperLimit: round4(ref.center + L * sigma) };
+    });
+    const last = points[points.length - 1];
+    return { flagged: last.flagged, score: last.score, points, extra: { trainingPoints: ref.points } };
+}
+
+function detectCusum(series, params) {
+    const ref = trainingReference(series, params.trainingDays);
+    const changePoints = [];
+    const alarms = [];
+    let sum = 0;
+    let runStart = null;
+
+    const points = series.map((p, i) => {
+        const step = standardize(p.value, ref.center, ref.spread);
+        sum = Math.max(0, sum + step - params.k);
+        if (sum === 0) runStart = null;
+        else if (runStart === null) runStart = i;
+
+        const flagged = sum > params.h;
+        const point = { date: p.date, value: p.value, expected: ref.center, score: sum, flagged };
+        const flaggedBefore = i > 0 && alarms[i - 1];
+        alarms.push(flagged);
+        if (flagged) {
+            // The shift started where this run of positive evidence began; consecutive alarms are one episode
+            if (!flaggedBefore) changePoints.push({ date: series[runStart].date, alarmDate: p.date, shift: 'UP' });
+            sum = 0;
+            runStart = null;
+        }
+        return point;
+    });
+    const last = points[points.length - 1];
+    return { flagged: last.flagged, score: last.score, points, changePoints, extra: { trainingPoints: ref.points } };
+}
+
+function detectSeasonal(series, params) {
+    const byDate = Object.fromEntries(series.map(p => [p.date, p.value]));
+
+    const points = series.map(p => {
+        const sameWeekday = [];
+        for (let week = 1; week <= params.weeks; week++) {
+            const day = shiftKey(p.date, -7 * week);
+            if (byDate[day] !== undefined) sameWeekday.push(byDate[day]);
+        }
+        if (sameWeekday.length < params.minSamples) {
+            return { date: p.date, value: p.value, expected: null, score: null, flagged: false };
+        }
+        // Weekday mean; spread pooled over the whole look-back so two samples cannot fake certainty
+        const lookBackFrom = shiftKey(p.date, -7 * params.weeks);
+        const lookBack = series.filter(q => q.date >= lookBackFrom && q.date < p.date).map(q => q.value);
+        const expected = mean(sameWeekday);
+        const score = standardize(p.value, expected, Math.max(stdDev(sameWeekday), stdDev(lookBack)));
+        return { date: p.date, value: p.value, expected, score, flagged: score > params.threshold };
+    });
+    const last = points[points.length - 1];
+    return { flagged: last.flagged, score: last.score, points };
+}
+
+function detectMad(series, params, ctx) {
+    const window = params.window || ctx.baselineDays;
+
+    const points = series.map((p, i) => {
+        const from = shiftKey(p.date, -window);
+        const history = series.slice(0, i).filter(q => q.date >= from).map(q => q.value);
+        if (history.length < params.minHistory) {
+            return { date: p.date, value: p.value, expected: null, score: null, flagged: false };
+        }
+        const center = median(history);
+        const mad = median(history.map(x => Math.abs(x - center)));
+        // MAD is 0 when most days are identical; fall back to the mean absolute deviation
+        const spread = mad > 0 ? mad / 0.6745 : 1.2533 * mean(history.map(x => Math.abs(x - center)));
+        const score = standardize(p.value, center, spread);
+        return { date: p.date, value: p.value, expected: center, score, flagged: score > params.threshold };
+    });
+    const last = points[points.length - 1];
+    return { flagged: last.flagged, score: last.score, points };
+}
+
+// ─── Bayesian Change-Points ─────────────────────────────────────────────────
+
+// Normal-Gamma prior on standardized values: weak on the mean, centered on unit variance
+const PRIOR = { mean: 0, kappa: 0.1, alpha: 1, beta: 1 };
+
+function prefixSums(xs) {
+    const sum = [0];
+    const sumSq = [0];
+    xs.forEach((x, i) => {
+        sum.push(sum[i] + x);
+        sumSq.push(sumSq[i] + x * x);
+    });
+    return { sum, sumSq };
+}
+
+/** Log marginal likelihood of xs[from, to) as one Normal segment with unknown mean and variance. */
+function normalLogLikelihood(prefix, from, to) {
+    const n = to - from;
+    const avg = (prefix.sum[to] - prefix.sum[from]) / n;
+    const ss = Math.max(0, prefix.sumSq[to] - prefix.sumSq[from] - n * avg * avg);
+    const kappa = PRIOR.kappa + n;
+    const alpha = PRIOR.alpha + n / 2;
+    const beta = PRIOR.beta + ss / 2 + PRIOR.kappa * n * (avg - PRIOR.mean) ** 2 / (2 * kappa);
+    return logGamma(alpha) - logGamma(PRIOR.alpha) + PRIOR.alpha * Math.log(PRIOR.beta) - alpha * Math.log(beta) +
+        0.5 * Math.log(PRIOR.kappa / kappa) - n / 2 * Math.log(2 * Math.PI);
+}
+
+// Smallest set of indices holding `mass` of a posterior [{ index, p }], as an interval
+function credibleInterval(posterior, credibleMass) {
+    const ranked = [...posterior].sort((a, b) => b.p - a.p);
+    const indices = [];
+    let mass = 0;
+    for (const c of ranked) {
+        indices.push(c.index);
+        mass += c.p;
+        if (mass >= credibleMass) break;
+    }
+    return { from: Math.min(...indices), to: Math.max(...indices), mass };
+}
+
+function marginal(candidates, key, norm) {
+    const byIndex = {};
+    candidates.forEach(c => { byIndex[c[key]] = (byIndex[c[key]] || 0) + Math.exp(c.logLik - norm); });
+    return Object.entries(byIndex).map(([index, p]) => ({ index: Number(index), p }));
+}
+
+/**
+ * Bayesian model comparison on [from, to): no change, one change (a step)
+ * or two changes (a bump that returns), equal prior odds, uniform prior over
+ * the split positions. Returns the more likely split model's boundaries, each
+ * with its marginal posterior and credible interval, plus the posterior
+ * probability that the segment changes at all.
+ */
+function bestSplit(lik, from, to, { minSegment, credibleMass }) {
+    const steps = [];
+    const bumps = [];
+    for (let a = from + minSegment; a <= to - minSegment; a++) {
+        steps.push({ a, logLik: lik(from, a) + lik(a, to) });
+        for (let b = a + minSegment; b <= to - minSegment; b++) {
+            bumps.push({ a, b, logLik: lik(from, a) + lik(a, b) + lik(b, to) });
+        }
+    }
+    if (steps.length === 0) return null;
+
+    const stepNorm = logSumExp(steps.map(c => c.logLik));
+    const bumpNorm = bumps.length > 0 ? logSumExp(bumps.map(c => c.logLik)) : -Infinity;
+    const evidence = {
+        none: lik(from, to),
+        step: stepNorm - Math.log(steps.length),
+        bump: bumps.length > 0 ? bumpNorm - Math.log(bumps.length) : -Infinity,
+    };
+    const total = logSumExp(Object.values(evidence));
+    const probability = 1 - Math.exp(evidence.none - total);
+
+    if (evidence.step >= evidence.bump) {
+        const posterior = marginal(steps, 'a', stepNorm);
+        const best = steps.reduce((m, c) => (c.logLik > m.logLik ? c : m));
+        return { probability, boundaries: [{ index: best.a, posterior, credible: credibleInterval(posterior, credibleMass), before: [from, best.a], after: [best.a, to] }] };
+    }
+    const best = bumps.reduce((m, c) => (c.logLik > m.logLik ? c : m));
+    const onset = marginal(bumps, 'a', bumpNorm);
+    const end = marginal(bumps, 'b', bumpNorm);
+    return {
+        probability,
+        boundaries: [
+            { index: best.a, posterior: onset, credible: credibleInterval(onset, credibleMass), before: [from, best.a], after: [best.a, best.b] },
+            { index: best.b, posterior: end, credible: credibleInterval(end, credibleMass), before: [best.a, best.b], after: [best.b, to] },
+        ],
+    };
+}
+
+/**
+ * Recursive Bayesian segmentation of `length` ordered observations, given
+ * `lik(from, to)`: the log marginal likelihood of [from, to) as a single
+ * segment. Returns change points as indices (`index` is the first observation
+ * of the new segment) with the posterior probability of the change, the
+ * marginal posterior over its position, a credible index interval, and the
+ * index ranges of the segments on either side.
+ */
+function segmentChangePoints(length, lik, {
+    probability = 0.95,
+    minSegment = 2,
+    maxChangePoints = 4,
+    credibleMass = 0.9,
+} = {}) {
+    if (length < 2 * minSegment) return [];
+    const found = [];
+    const pending = [[0, length]];
+    while (pending.length > 0 && found.length < maxChangePoints) {
+        const [from, to] = pending.shift();
+        const split = bestSplit(lik, from, to, { minSegment, credibleMass });
+        if (!split || split.probability < probability) continue;
+        split.boundaries.slice(0, maxChangePoints - found.length).forEach(b => found.push({ ...b, probability: split.probability }));
+        const cuts = [from, ...split.boundaries.map(b => b.index), to];
+        cuts.slice(0, -1).forEach((start, i) => pending.push([start, cuts[i + 1]]));
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/** Change points in the mean of a plain number array (Normal segments, see segmentChangePoints). */
+function detectChangePoints(values, options = {}) {
+    const center = mean(values);
+    const spread = stdDev(values);
+    if (spread === 0) return [];
+    const prefix = prefixSums(values.map(x => (x - center) / spread));
+    return segmentChangePoints(values.length, (from, to) => normalLogLikelihood(prefix, from, to), options);
+}
+
+function detectBayesian(series, params) {
+    const values = series.map(p => p.value);
+    const found = detectChangePoints(values, params);
+
+    // Segments between change points; the first one is the reference level
+    const bounds = [0, ...found.map(c => c.index), values.length];
+    const segments = bounds.slice(0, -1).map((from, i) => ({ from, to: bounds[i + 1], mean: mean(values.slice(from, bounds[i + 1])) }));
+    const withinSs = segments.reduce((s, seg) => s + values.slice(seg.from, seg.to).reduce((a, x) => a + (x - seg.mean) ** 2, 0), 0);
+    const pooledSpread = values.length > segments.length ? Math.sqrt(withinSs / (values.length - segments.length)) : 0;
+    const reference = segments[0];
+
+    const points = [];
+    segments.forEach(seg => {
+        const score = standardize(seg.mean, reference.mean, pooledSpread);
+        for (let i = seg.from; i < seg.to; i++) {
+            points.push({ date: series[i].date, value: values[i], expected: reference.mean, score, flagged: score > params.shiftSigma, segmentMean: round4(seg.mean) });
+        }
+    });
+
+    const changePoints = found.map(c => ({
+        date: series[c.index].date,
+        probability: round4(c.probability),
+        credibleInterval: { from: series[c.credible.from].date, to: series[c.credible.to].date, mass: round4(c.credible.mass) },
+        before: round4(mean(values.slice(...c.before))),
+        after: round4(mean(values.slice(...c.after))),
+    }));
+    changePoints.forEach(c => { c.shift = c.after > c.before ? 'UP' : 'DOWN'; });
+
+    const last = points[points.length - 1];
+    return { flagged: last.flagged, score: last.score, points, changePoints };
+}
+
+const DETECTORS = {
+    baseline: { description: 'Current-window mean over trailing-baseline mean (drift factor)', thresholdKey: 'threshold', detect: detectBaseline },
+    ewma: { description: 'EWMA control chart against an in-control reference', thresholdKey: 'L', detect: detectEwma },
+    cusum: { description: 'One-sided tabular CUSUM, restarted after each alarm', thresholdKey: 'h', detect: detectCusum },
+    seasonal: { description: 'Same-weekday baseline over the previous weeks', thresholdKey: 'threshold', detect: detectSeasonal },
+    mad: { description: 'Median / MAD robust z-score over a trailing window', thresholdKey: 'threshold', detect: detectMad },
+    bayesian: { description: 'Bayesian change-point segmentation; flags segments shifted above the first', thresholdKey: 'shiftSigma', detect: detectBayesian },
+};
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+const DEFAULT_CONFIG = {
+    defaults: { anomalyRate: 'baseline', anomalyCount: 'cusum', revenueLoss: 'mad' },
+    params: {
+        baseline: { threshold: 3 },
+        ewma: { lambda: 0.3, L: 3, trainingDays: 7 },
+        cusum: { k: 0.5, h: 5, trainingDays: 7 },
+        seasonal: { weeks: 4, threshold: 3, minSamples: 1 },
+        mad: { window: null, threshold: 3.5, minHistory: 5 },
+        bayesian: { probability: 0.95, minSegment: 2, maxChangePoints: 4, credibleMass: 0.9, shiftSigma: 2 },
+    },
+};
+
+let config = null;
+
+function validateConfig(input) {
+    const errors = [];
+    Object.entries(input.defaults || {}).forEach(([metric, detector]) => {
+        if (!METRICS[metric]) errors.push(`defaults.${metric}: unknown metric`);
+        else if (!DETECTORS[detector]) errors.push(`defaults.${metric}: unknown detector '${detector}'`);
+    });
+    Object.entries(input.params || {}).forEach(([detector, params]) => {
+        if (!DETECTORS[detector]) return errors.push(`params.${detector}: unknown detector`);
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (!(key in DEFAULT_CONFIG.params[detector])) errors.push(`params.${detector}.${key}: unknown parameter`);
+            else if (value !== null && !Number.isFinite(value)) errors.push(`params.${detector}.${key} must be a number`);
+        });
+    });
+    return errors;
+}
+
+function loadConfig() {
+    if (!fs.existsSync(CONFIG_FILE)) return DEFAULT_CONFIG;
+    const input = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    const errors = validateConfig(input);
+    if (errors.length > 0) throw new Error(`Invalid detector config ${CONFIG_FILE}: ${errors.join('; ')}`);
+
+    const params = {};
+    Object.keys(DETECTORS).forEach(name => { params[name] = { ...DEFAULT_CONFIG.params[name], ...(input.params || {})[name] }; });
+    return { defaults: { ...DEFAULT_CONFIG.defaults, ...input.defaults }, params };
+}
+
+function getConfig() {
+    if (!config) config = loadConfig();
+    return config;
+}
+
+/** Available detectors, metrics and the active defaults, for the API. */
+function describeDetectors() {
+    const { defaults, params } = getConfig();
+    return {
+        detectors: Object.entries(DETECTORS).map(([name, d]) => ({ name, description: d.description, params: params[name] })),
+        metrics: Object.entries(METRICS).map(([name, m]) => ({ name, description: m.description, defaultDetector: defaults[name] })),
+    };
+}
+
+// ─── Running Detectors ──────────────────────────────────────────────────────
+
+/**
+ * Detector selection from query params: `metric` (default anomalyRate) and
+ * `detector` — one name, a comma list, or "all"; defaults to the metric's
+ * configured detector. Returns { metric, detectors } or { error }.
+ */
+function parseDetectorOptions(params = {}) {
+    const metric = params.metric || 'anomalyRate';
+    if (!METRICS[metric]) return { error: `Unknown metric '${metric}'. Expected ${Object.keys(METRICS).join(', ')}.` };
+
+    const requested = params.detector || getConfig().defaults[metric];
+    const detectors = requested === 'all' ? Object.keys(DETECTORS) : String(requested).split(',').map(d => d.trim());
+    const unknown = detectors.filter(d => !DETECTORS[d]);
+    if (unknown.length > 0) return { error: `Unknown detector: ${unknown.join(', ')}. Expected ${Object.keys(DETECTORS).join(', ')} or 'all'.` };
+    return { metric, detectors };
+}
+
+/** Run one detector over daily buckets ([{ key, total, anomalies, ... }]) in the common result shape. */
+function runDetector(name, daily, {
+    metric = 'anomalyRate',
+    direction = 'underbilling',
+    evaluatedAt = null,
+    baselineDays = DEFAULT_BASELINE_DAYS,
+    currentDays = DEFAULT_CURRENT_DAYS,
+} = {}) {
+    const detector = DETECTORS[name];
+    if (!detector) throw new Error(`Unknown detector: ${name}`);
+    const params = getConfig().params[name];
+    const evaluationTime = evaluatedAt || resolveEvaluationTime(null, daily);
+    const evaluationDay = evaluationTime.slice(0, 10);
+    const series = buildSeries(daily, metric, direction, evaluationDay);
+
+    const interval = daily.length > 0 ? intervalOfKey(daily[0].key) : DEFAULT_INTERVAL;
+    const base = { detector: name, description: detector.description, metric, direction, interval, params, evaluatedAt: evaluationTime, threshold: params[detector.thresholdKey] };
+    if (series.length === 0) {
+        return { ...base, flagged: false, score: null, points: [], flaggedDays: [], changePoints: [] };
+    }
+
+    const result = detector.detect(series, params, { evaluationDay, baselineDays, currentDays });
+    const points = result.points.map(p => ({ ...p, value: round4(p.value), expected: round4(p.expected), score: round4(p.score) }));
+    return {
+        ...base,
+        ...(result.extra || {}),
+        flagged: result.flagged,
+        score: round4(result.score),
+        points,
+        flaggedDays: points.filter(p => p.flagged).map(p => p.date),
+        changePoints: result.changePoints || [],
+    };
+}
+
+/**
+ * Run several detectors and index the verdicts by day:
+ * { metric, direction, results: [...], flaggedBy: { 'YYYY-MM-DD': ['ewma', ...] } }.
+ */
+function runDetectors(names, daily, options = {}) {
+    const results = names.map(name => runDetector(name, daily, options));
+    const flaggedBy = {};
+    results.forEach(r => r.flaggedDays.forEach(day => { (flaggedBy[day] = flaggedBy[day] || []).push(r.detector); }));
+    const ordered = Object.fromEntries(Object.keys(flaggedBy).sort().map(day => [day, flaggedBy[day]]));
+    return {
+        metric: options.metric || 'anomalyRate',
+        direction: options.direction || 'underbilling',
+        flaggedNow: results.filter(r => r.flagged).map(r => r.detector),
+        results,
+        flaggedBy: ordered,
+    };
+}
+
+module.exports = {
+    DETECTORS,
+    METRICS,
+    describeDetectors,
+    parseDetectorOptions,
+    logGamma,
+    segmentChangePoints,
+    detectChangePoints,
+    runDetector,
+    runDetectors,
+};
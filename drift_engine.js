@@ -0,0 +1,234 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Drift Engine
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Evaluation windows and statistical drift detection over invoice buckets
+ *  (daily by default; hourly or 5-minute with an `interval`). Shared by the
+ *  API server and monitor_service.js so both judge drift with exactly the
+ *  same math.
+ *
+ *  Underbilling and overbilling are tracked as separate directions: each has
+ *  its own rate, baseline and drift, so a spike in refunds owed never hides
+ *  behind (or inflates) the revenue-loss signal.
+ */
+
+const { summarizeInvoices } = require('./data_layer');
+
+// ── Evaluation Windows ───────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_BASELINE_DAYS = 28;  // trailing baseline length (four weekly cycles)
+const DEFAULT_CURRENT_DAYS = 3;    // "current" window compared against the baseline
+const MIN_STD_DEV = 1e-9;          // a flat baseline's spread is only floating-point noise
+
+function shiftDay(day, offset) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+// ── Bucket Intervals ─────────────────────────────────────────────────────
+
+/**
+ * Supported `interval` values → data_layer groupBy. Bucket keys share a
+ * prefix with their day ('2026-02-10', '2026-02-10T13', '2026-02-10T13:45'),
+ * so day-based windows apply to every interval unchanged.
+ */
+const INTERVALS = {
+    '5m': { groupBy: '5m', ms: 5 * 60 * 1000, keyLength: 16 },
+    '1h': { groupBy: 'hour', ms: 60 * 60 * 1000, keyLength: 13 },
+    '1d': { groupBy: 'day', ms: DAY_MS, keyLength: 10 },
+};
+const DEFAULT_INTERVAL = '1d';
+
+/** `interval` query param. Returns { interval, groupBy, ms } or { error }. */
+function parseInterval(value) {
+    const interval = value || DEFAULT_INTERVAL;
+    if (!INTERVALS[interval]) {
+        return { error: `Invalid 'interval' value: ${value}. Expected ${Object.keys(INTERVALS).join(', ')}.` };
+    }
+    return { interval, groupBy: INTERVALS[interval].groupBy, ms: INTERVALS[interval].ms };
+}
+
+/** Interval of a bucket key, from its length. */
+function intervalOfKey(key) {
+    return Object.keys(INTERVALS).find(name => INTERVALS[name].keyLength === key.length) || DEFAULT_INTERVAL;
+}
+
+/** ISO start of a bucket key ('2026-02-10T13' → '2026-02-10T13:00:00.000Z'). */
+function bucketStart(key) {
+    return `${key}${'T00:00:00.000Z'.slice(key.length - 10)}`;
+}
+
+/**
+ * Evaluation time ("now") for the engines: the requested `to` bound when
+ * given, otherwise the end of the last day that has data.
+ */
+function resolveEvaluationTime(range, daily) {
+    if (range && range.to) return range.to;
+    if (daily.length > 0) return `${daily[daily.length - 1].key.slice(0, 10)}T23:59:59.999Z`;
+    return new Date().toISOString();
+}
+
+/**
+ * Span the financial projections divide by: from the requested `from` (or
+ * the first day with data) to the evaluation time, in whole days (min 1).
+ */
+function computeObservationWindow(range, daily, evaluatedAt) {
+    const from = (range && range.from) || (daily.length > 0 ? `${daily[0].key.slice(0, 10)}T00:00:00.000Z` : evaluatedAt);
+    const days = Math.max(1, Math.ceil((Date.parse(evaluatedAt) - Date.parse(from)) / DAY_MS));
+    return { from, to: evaluatedAt, days };
+}
+
+/**
+ * Drift window options from query params (`baselineDays`, `currentDays`).
+ * Returns { baselineDays, currentDays } or { error }.
+ */
+function parseDriftOptions(params = {}) {
+    const options = { baselineDays: DEFAULT_BASELINE_DAYS, currentDays: DEFAULT_CURRENT_DAYS };
+    for (const key of ['baselineDays', 'currentDays']) {
+        if (params[key] === undefined) continue;
+        const value = Number(params[key]);
+        if (!Number.isInteger(value) || value < 1) {
+            return { error: `Invalid '${key}' value: ${params[key]}. Expected a positive whole number of days.` };
+        }
+        options[key] = value;
+    }
+    return options;
+}
+
+// ── Billing Directions ───────────────────────────────────────────────────
+
+/**
+ * Which bucket fields carry each direction (see data_layer.summarizeInvoices):
+ * `count` is the number of affected invoices, `amount` the money at stake in
+ * the reporting currency — lost revenue, or refund exposure.
+ */
+const DIRECTIONS = {
+    underbilling: { count: 'anomalies', amount: 'loss' },
+    overbilling: { count: 'overbilled', amount: 'overcharge' },
+};
+
+// ── Statistical Drift Detection ──────────────────────────────────────────
+
+function computeDriftDetection(invoices, options = {}) {
+    const { groupBy } = INTERVALS[options.interval || DEFAULT_INTERVAL];
+    return computeDriftFromDaily(summarizeInvoices(invoices, groupBy), options);
+}
+
+/**
+ * Drift over pre-bucketed counts ([{ key, total, anomalies, overbilled }]),
+ * as returned by aggregateInvoices(filter, 'day' | 'hour' | '5m') from either
+ * ES or JSON. `direction` picks the counted field (default underbilling).
+ *
+ * The current window is the `currentDays` days ending on the evaluation day;
+ * the baseline is the `baselineDays` days immediately before it, so the two
+ * never overlap. Both are reported back under `windows`. Rates, the baseline
+ * spread and `dailyDrift` are per bucket, so sub-daily buckets are judged
+ * against a baseline of buckets of the same size.
+ */
+function computeDriftFromDaily(daily, {
+    evaluatedAt = null,
+    baselineDays = DEFAULT_BASELINE_DAYS,
+    currentDays = DEFAULT_CURRENT_DAYS,
+    driftThreshold = 3.0,
+    direction = 'underbilling',
+} = {}) {
+    const countField = DIRECTIONS[direction].count;
+    const byDay = {};
+    daily.forEach(b => { byDay[b.key] = { total: b.total, anomalies: b[countField] || 0 }; });
+    const sortedDays = Object.keys(byDay).sort();
+    const dayOf = key => key.slice(0, 10);
+    const daysIn = keys => new Set(keys.map(dayOf)).size;
+
+    const evaluationTime = evaluatedAt || resolveEvaluationTime(null, daily);
+    const evaluationDay = evaluationTime.slice(0, 10);
+    const currentFrom = shiftDay(evaluationDay, -(currentDays - 1));
+    const baselineFrom = shiftDay(currentFrom, -baselineDays);
+    const baselineTo = shiftDay(currentFrom, -1);
+
+    // Baseline period (trailing window before the current one)
+    const baselineKeys = sortedDays.filter(key => dayOf(key) >= baselineFrom && dayOf(key) <= baselineTo);
+    const baselineDailyRates = baselineKeys.map(day => byDay[day].anomalies / byDay[day].total);
+
+    const baselineRate = baselineDailyRates.length > 0
+        ? baselineDailyRates.reduce((s, r) => s + r, 0) / baselineDailyRates.length
+        : 0;
+
+    // Current period (most recent `currentDays` days)
+    const recentDays = sortedDays.filter(key => dayOf(key) >= currentFrom && dayOf(key) <= evaluationDay);
+    const recentRates = recentDays.map(d => byDay[d].anomalies / byDay[d].total);
+    const currentRate = recentRates.length > 0
+        ? recentRates.reduce((s, r) => s + r, 0) / recentRates.length
+        : 0;
+
+    const driftFactor = baselineRate > 0 ? currentRate / baselineRate : 0;
+    const spike = driftFactor > driftThreshold;
+
+    // Forensic signal: Statistical significance
+    // (Simple sigma calculation for hackathon: check if drift is > 2x baseline variance)
+    const variance = baselineDailyRates.length > 1
+        ? baselineDailyRates.reduce((s, r) => s + Math.pow(r - baselineRate, 2), 0) / (baselineDailyRates.length - 1)
+        : 0.0001;
+    const stdDev = Math.sqrt(variance);
+    const zScore = stdDev > MIN_STD_DEV ? (currentRate - baselineRate) / stdDev : 0;
+    const statistical_significance = zScore > 3.0 ? 'HIGH_SIGNAL' : (zScore > 2.0 ? 'MODERATE' : 'NOISE');
+
+    // Per-day history
+    const dailyDrift = sortedDays.map(day => ({
+        date: day,
+        anomalyRate: parseFloat((byDay[day].anomalies / byDay[day].total * 100).toFixed(2)),
+        driftFactor: baselineRate > 0
+            ? parseFloat(((byDay[day].anomalies / byDay[day].total) / baselineRate).toFixed(2))
+            : 0,
+    }));
+
+    return {
+        direction,
+        baselineRate: parseFloat((baselineRate * 100).toFixed(2)),
+        currentRate: parseFloat((currentRate * 100).toFixed(2)),
+        driftFactor: parseFloat(driftFactor.toFixed(2)),
+        stdDev: parseFloat((stdDev * 100).toFixed(4)),
+        zScore: parseFloat(zScore.toFixed(2)),
+        statistical_significance,
+        spike,
+        threshold: driftThreshold,
+        interval: sortedDays.length > 0 ? intervalOfKey(sortedDays[0]) : DEFAULT_INTERVAL,
+        windows: {
+            evaluatedAt: evaluationTime,
+            baseline: { from: baselineFrom, to: baselineTo, days: baselineDays, daysWithData: daysIn(baselineKeys), buckets: baselineKeys.length },
+            current: { from: currentFrom, to: evaluationDay, days: currentDays, daysWithData: daysIn(recentDays), buckets: recentDays.length },
+        },
+        dailyDrift,
+    };
+}
+
+/** Drift for every direction over the same daily buckets: { underbilling, overbilling }. */
+function computeDirectionalDrift(daily, options = {}) {
+    return Object.fromEntries(Object.keys(DIRECTIONS).map(direction =>
+        [direction, computeDriftFromDaily(daily, { ...options, direction })]));
+}
+
+function findSpikeStart(dailyDrift, threshold = 2.0) {
+    const spike = dailyDrift.find(d => d.driftFactor > threshold);
+    return spike ? spike.date : null;
+}
+
+module.exports = {
+    DAY_MS,
+    DEFAULT_BASELINE_DAYS,
+    DEFAULT_CURRENT_DAYS,
+    INTERVALS,
+    DEFAULT_INTERVAL,
+    parseInterval,
+    intervalOfKey,
+    bucketStart,
+    shiftDay,
+    resolveEvaluationTime,
+    computeObservationWindow,
+    parseDriftOptions,
+    DIRECTIONS,
+    computeDriftDetection,
+    computeDriftFromDaily,
+    computeDirectionalDrift,
+    findSpikeStart,
+};
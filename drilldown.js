@@ -0,0 +1,210 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Drift Drill-Down
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Breaks a drift signal down by dimension so a spike is localized from the
+ *  invoices themselves ("us-east only") instead of being assumed from the
+ *  deployment's metadata.
+ *
+ *  Dimensions:
+ *    service, region, currency, customerId   invoice fields (aggregated in ES when reachable)
+ *    plan                                    subscription plan, joined by customer id in
+ *                                            memory; invoices with no subscription → "unknown"
+ *
+ *  Every slice (one value per requested dimension, e.g. billing-service ×
+ *  us-east) gets its own drift from drift_engine.js plus its excess: the
+ *  anomalies in the current window beyond what the slice's own baseline rate
+ *  predicts. Slices are ranked by excess. Each dimension is then summarized
+ *  as CONCENTRATED when one value carries at least 80% of the positive
+ *  excess, BROAD otherwise, or NO_EXCESS when nothing is above baseline.
+ */
+
+const { aggregateInvoices, aggregateInvoiceSlices, getInvoices, getSubscriptions, summarizeInvoiceSlices } = require('./data_layer');
+const { DIRECTIONS, resolveEvaluationTime, computeDriftFromDaily } = require('./drift_engine');
+const { indexSubscriptions, findSubscription } = require('./reconciliation');
+
+const DIMENSIONS = ['service', 'region', 'currency', 'customerId', 'plan'];
+const MAX_DIMENSIONS = 3;
+const CONCENTRATION_SHARE = 0.8;
+const DEFAULT_MIN_INVOICES = 20;
+const DEFAULT_LIMIT = 20;
+const SPREAD_LISTED = 5;   // values named in a BROAD statement
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+// ─── Options ────────────────────────────────────────────────────────────────
+
+/** Comma-separated dimension list from a query param. Returns { dimensions } or { error }. */
+function parseDimensions(value) {
+    const dimensions = String(value || 'region').split(',').map(d => d.trim()).filter(Boolean);
+    const unknown = dimensions.filter(d => !DIMENSIONS.includes(d));
+    if (unknown.length > 0) {
+        return { error: `Unknown dimension: ${unknown.join(', ')}. Expected any of ${DIMENSIONS.join(', ')}.` };
+    }
+    if (dimensions.length === 0 || dimensions.length > MAX_DIMENSIONS || new Set(dimensions).size !== dimensions.length) {
+        return { error: `dimensions must list 1 to ${MAX_DIMENSIONS} distinct values` };
+    }
+    return { dimensions };
+}
+
+// ─── Slices ─────────────────────────────────────────────────────────────────
+
+// Invoices carry no plan, so a plan breakdown joins subscriptions in memory
+async function loadSlices(filter, dimensions) {
+    if (!dimensions.includes('plan')) return aggregateInvoiceSlices(filter, dimensions);
+
+    const index = indexSubscriptions(getSubscriptions());
+    const invoices = (await getInvoices(filter)).map(inv => {
+        const sub = findSubscription(index, inv);
+        return { ...inv, plan: sub ? sub.plan : 'unknown' };
+    });
+    const sortKey = s => dimensions.map(d => s.slice[d]).join('\u0000');
+    return summarizeInvoiceSlices(invoices, dimensions).sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+}
+
+function windowCounts(daily, window, direction) {
+    const { count, amount } = DIRECTIONS[direction];
+    const days = daily.filter(d => d.key >= window.from && d.key <= window.to);
+    return {
+        invoices: days.reduce((s, d) => s + d.total, 0),
+        anomalies: days.reduce((s, d) => s + d[count], 0),
+        amount: days.reduce((s, d) => s + d[amount], 0),
+    };
+}
+
+const rateOf = counts => (counts.invoices > 0 ? counts.anomalies / counts.invoices : 0);
+
+function describeSlice(slice) {
+    return Object.values(slice).join(' × ');
+}
+
+/**
+ * One ranked row: the slice's drift plus its excess anomalies in the current
+ * window. Slices with no baseline history are judged against the parent rate.
+ */
+function measureSlice({ slice, daily }, options, parentBaselineRate) {
+    const drift = computeDriftFromDaily(daily, options);
+    const current = windowCounts(daily, drift.windows.current, options.direction);
+    const baseline = windowCounts(daily, drift.windows.baseline, options.direction);
+    const baselineRate = baseline.invoices > 0 ? rateOf(baseline) : parentBaselineRate;
+    const expected = baselineRate * current.invoices;
+
+    return {
+        slice,
+        label: describeSlice(slice),
+        current: { invoices: current.invoices, anomalies: current.anomalies, rate: round2(rateOf(current) * 100), amount: round2(current.amount) },
+        baseline: { invoices: baseline.invoices, anomalies: baseline.anomalies, rate: round2(baselineRate * 100), source: baseline.invoices > 0 ? 'slice' : 'parent' },
+        expectedAnomalies: round2(expected),
+        excess: current.anomalies - expected,
+        driftFactor: drift.driftFactor,
+        zScore: drift.zScore,
+        statistical_significance: drift.statistical_significance,
+    };
+}
+
+// ─── Localization ───────────────────────────────────────────────────────────
+
+/** How the excess of all slices splits over one dimension's values. */
+function localize(dimension, rows) {
+    const byValue = {};
+    rows.forEach(row => {
+        const value = row.slice[dimension];
+        byValue[value] = (byValue[value] || 0) + row.excess;
+    });
+    const positive = Object.values(byValue).reduce((s, e) => s + Math.max(e, 0), 0);
+    const values = Object.entries(byValue)
+        .map(([value, excess]) => ({
+            value,
+            excessAnomalies: round2(excess),
+            share: positive > 0 ? round2(Math.max(excess, 0) / positive * 100) : 0,
+        }))
+        .sort((a, b) => b.excessAnomalies - a.excessAnomalies);
+
+    if (positive <= 0) {
+        return { dimension, status: 'NO_EXCESS', value: null, share: 0, values, statement: `No ${dimension} value is above its baseline` };
+    }
+    const top = values[0];
+    if (top.share >= CONCENTRATION_SHARE * 100) {
+        const only = values.length > 1 ? ' only' : '';
+        return { dimension, status: 'CONCENTRATED', value: top.value, share: top.share, values, statement: `${dimension} ${top.value}${only} (${top.share}% of excess anomalies)` };
+    }
+    const contributing = values.filter(v => v.share > 0);
+    const more = contributing.length > SPREAD_LISTED ? `, +${contributing.length - SPREAD_LISTED} more` : '';
+    const spread = contributing.slice(0, SPREAD_LISTED).map(v => `${v.value} ${v.share}%`).join(', ') + more;
+    return { dimension, status: 'BROAD', value: null, share: top.share, values, statement: `spread across ${dimension} values (${spread})` };
+}
+
+// ─── Drill-Down ─────────────────────────────────────────────────────────────
+
+/**
+ * Rank the slices of `filter` driving its drift at `evaluatedAt` (default:
+ * end of the last day with data). Slices with fewer than `minInvoices` in the
+ * current window are still ranked but flagged `lowVolume`.
+ */
+async function drillDown(filter = {}, {
+    dimensions = ['region'],
+    direction = 'underbilling',
+    baselineDays,
+    currentDays,
+    evaluatedAt = null,
+    minInvoices = DEFAULT_MIN_INVOICES,
+    limit = DEFAULT_LIMIT,
+} = {}) {
+    const [parentDaily, slices] = await Promise.all([
+        aggregateInvoices(filter, 'day'),
+        loadSlices(filter, dimensions),
+    ]);
+    const options = { evaluatedAt: evaluatedAt || resolveEvaluationTime(null, parentDaily), baselineDays, currentDays, direction };
+
+    const parentDrift = computeDriftFromDaily(parentDaily, options);
+    const parentCurrent = windowCounts(parentDaily, parentDrift.windows.current, direction);
+    const parentBaseline = windowCounts(parentDaily, parentDrift.windows.baseline, direction);
+    const parentBaselineRate = rateOf(parentBaseline);
+
+    const rows = slices.map(s => measureSlice(s, options, parentBaselineRate));
+    const positiveExcess = rows.reduce((s, r) => s + Math.max(r.excess, 0), 0);
+    const currentVolume = rows.reduce((s, r) => s + r.current.invoices, 0);
+
+    const ranked = rows
+        .map(row => {
+            const shareOfExcess = positiveExcess > 0 ? Math.max(row.excess, 0) / positiveExcess : 0;
+            const shareOfVolume = currentVolume > 0 ? row.current.invoices / currentVolume : 0;
+            return {
+                ...row,
+                excessAnomalies: round2(row.excess),
+                shareOfExcess: round2(shareOfExcess * 100),
+                shareOfVolume: round2(shareOfVolume * 100),
+                lift: shareOfVolume > 0 ? round2(shareOfExcess / shareOfVolume) : 0,
+                lowVolume: row.current.invoices < minInvoices,
+            };
+        })
+        .sort((a, b) => b.excess - a.excess)
+        .map(({ excess, ...row }) => row);
+
+    const localization = dimensions.map(dimension => localize(dimension, rows));
+
+    return {
+        direction,
+        dimensions,
+        windows: parentDrift.windows,
+        parent: {
+            current: { invoices: parentCurrent.invoices, anomalies: parentCurrent.anomalies, rate: parentDrift.currentRate },
+            baseline: { invoices: parentBaseline.invoices, anomalies: parentBaseline.anomalies, rate: parentDrift.baselineRate },
+            excessAnomalies: round2(parentCurrent.anomalies - parentBaselineRate * parentCurrent.invoices),
+            driftFactor: parentDrift.driftFactor,
+            zScore: parentDrift.zScore,
+            statistical_significance: parentDrift.statistical_significance,
+            spike: parentDrift.spike,
+        },
+        localization,
+        sliceCount: ranked.length,
+        slices: ranked.slice(0, limit),
+    };
+}
+
+module.exports = {
+    DIMENSIONS,
+    parseDimensions,
+    drillDown,
+};
@@ -0,0 +1,190 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Currency Normalization
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Invoices are billed in USD, EUR and GBP. Every monetary figure the API
+ *  reports is converted into one reporting currency with the FX table in
+ *  config/fx_rates.json (override with FX_RATES_FILE):
+ *
+ *    {
+ *      reportingCurrency: "USD",                  // or REPORTING_CURRENCY env
+ *      rates:  { USD: 1, EUR: 1.08, GBP: 1.27 },  // value of one unit in a common base
+ *      series: [{ date: "2026-02-01", rates: { EUR: 1.082 } }, ...]
+ *    }
+ *
+ *  `rates` is the standing table. `series` is optional: each entry applies
+ *  from its date (UTC day of the invoice timestamp) until the next one, and
+ *  only overrides the currencies it lists. An invoice in a currency with no
+ *  rate is counted 1:1 and reported once on the console.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RATES_FILE = process.env.FX_RATES_FILE || path.join(__dirname, 'config', 'fx_rates.json');
+const DEFAULT_CONFIG = { reportingCurrency: 'USD', rates: { USD: 1 }, series: [] };
+const SYMBOLS = { USD: '$', EUR: '€', GBP: '£' };
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+let table = null;
+const warnedCurrencies = new Set();
+
+function validateConfig(config) {
+    const errors = [];
+    const isRateMap = rates => rates && typeof rates === 'object' &&
+        Object.values(rates).every(rate => typeof rate === 'number' && rate > 0);
+
+    if (typeof config.reportingCurrency !== 'string') errors.push('reportingCurrency must be a currency code');
+    if (!isRateMap(config.rates)) errors.push('rates must map currency codes to positive numbers');
+    if (config.series !== undefined && !Array.isArray(config.series)) errors.push('series must be an array');
+    (config.series || []).forEach((entry, i) => {
+        if (!entry || !/^\d{4}-\d{2}-\d{2}$/.test(entry.date)) errors.push(`series[${i}].date must be YYYY-MM-DD`);
+        if (!entry || !isRateMap(entry.rates)) errors.push(`series[${i}].rates must map currency codes to positive numbers`);
+    });
+    return errors;
+}
+
+/**
+ * Turn base-relative rates into multipliers into the reporting currency and
+ * roll the dated series forward, so every period carries a complete table.
+ */
+function buildTable(config) {
+    const reporting = process.env.REPORTING_CURRENCY || config.reportingCurrency;
+    const toFactors = rates => {
+        if (!rates[reporting]) throw new Error(`FX table has no rate for reporting currency ${reporting}`);
+        const factors = {};
+        Object.entries(rates).forEach(([currency, rate]) => { factors[currency] = rate / rates[reporting]; });
+        return factors;
+    };
+
+    let running = { ...config.rates };
+    const series = [...(config.series || [])]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(entry => {
+            running = { ...running, ...entry.rates };
+            return { date: entry.date, factors: toFactors(running) };
+        });
+
+    return { reportingCurrency: reporting, base: toFactors(config.rates), series, source: config };
+}
+
+function loadTable() {
+    if (!fs.existsSync(RATES_FILE)) return buildTable(DEFAULT_CONFIG);
+    const config = JSON.parse(fs.readFileSync(RATES_FILE, 'utf8'));
+    const errors = validateConfig(config);
+    if (errors.length > 0) throw new Error(`Invalid FX table ${RATES_FILE}: ${errors.join('; ')}`);
+    return buildTable(config);
+}
+
+function getTable() {
+    if (!table) table = loadTable();
+    return table;
+}
+
+// Force config reload (e.g. after editing fx_rates.json)
+function reloadRates() {
+    table = null;
+    warnedCurrencies.clear();
+    return describeRates();
+}
+
+function getReportingCurrency() {
+    return getTable().reportingCurrency;
+}
+
+// ─── Conversion ─────────────────────────────────────────────────────────────
+
+function factorsFor(day) {
+    const { base, series } = getTable();
+    let factors = base;
+    series.forEach(entry => {
+        if (entry.date <= day) factors = entry.factors;
+    });
+    return factors;
+}
+
+/** Multiplier from `currency` into the reporting currency on the day of `timestamp`. */
+function rateFor(currency, timestamp) {
+    const factors = factorsFor(String(timestamp).slice(0, 10));
+    if (factors[currency] !== undefined) return factors[currency];
+    if (!warnedCurrencies.has(currency)) {
+        warnedCurrencies.add(currency);
+        console.warn(`⚠️  No FX rate for ${currency}; counting it 1:1 in ${getReportingCurrency()}.`);
+    }
+    return 1;
+}
+
+/**
+ * An invoice's amounts in the reporting currency. `loss` is 0 unless the
+ * invoice is underbilled, `overcharge` 0 unless it is overbilled.
+ */
+function convertInvoice(inv) {
+    const rate = rateFor(inv.currency, inv.timestamp);
+    return {
+        expected: inv.amountExpected * rate,
+        billed: inv.amountBilled * rate,
+        loss: inv.amountBilled < inv.amountExpected ? (inv.amountExpected - inv.amountBilled) * rate : 0,
+        overcharge: inv.amountBilled > inv.amountExpected ? (inv.amountBilled - inv.amountExpected) * rate : 0,
+    };
+}
+
+function invoiceLoss(inv) {
+    return convertInvoice(inv).loss;
+}
+
+function invoiceOvercharge(inv) {
+    return convertInvoice(inv).overcharge;
+}
+
+/**
+ * Painless snippet that leaves the invoice's multiplier in `double rate`.
+ * Pair with esRateParams() as the script params.
+ */
+const ES_RATE_SCRIPT = [
+    "String cur = doc['currency'].value;",
+    "String day = doc['timestamp'].value.toString().substring(0, 10);",
+    'def f = params.base;',
+    'for (def e : params.series) { if (e.date.compareTo(day) <= 0) { f = e.factors; } }',
+    'double rate = f.containsKey(cur) ? ((Number) f[cur]).doubleValue() : 1.0;',
+].join(' ');
+
+function esRateParams() {
+    const { base, series } = getTable();
+    return { base, series };
+}
+
+// ─── Presentation ───────────────────────────────────────────────────────────
+
+function formatMoney(amount, currency = getReportingCurrency()) {
+    const fixed = amount.toFixed(2);
+    return SYMBOLS[currency] ? `${SYMBOLS[currency]}${fixed}` : `${fixed} ${currency}`;
+}
+
+/** The active table, for /api/fx. */
+function describeRates() {
+    const { reportingCurrency, base, series, source } = getTable();
+    const round = factors => Object.fromEntries(
+        Object.entries(factors).map(([currency, factor]) => [currency, parseFloat(factor.toFixed(6))]));
+    return {
+        reportingCurrency,
+        source: fs.existsSync(RATES_FILE) ? RATES_FILE : 'built-in (USD only)',
+        rates: source.rates,
+        toReporting: round(base),
+        series: series.map(entry => ({ date: entry.date, toReporting: round(entry.factors) })),
+    };
+}
+
+module.exports = {
+    getReportingCurrency,
+    reloadRates,
+    rateFor,
+    convertInvoice,
+    invoiceLoss,
+    invoiceOvercharge,
+    ES_RATE_SCRIPT,
+    esRateParams,
+    formatMoney,
+    describeRates,
+};
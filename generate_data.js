@@ -14,7 +14,15 @@
  *  Services: billing-service, subscription-service, tax-service
  *  Regions:  us-east, us-west, eu-west
  *
- *  Output:  data/invoices.json, data/system_events.json
+ *  Subscribers are the first customers of the pool, so their product
+ *  invoices join their subscription by customer id. Each gets one plan
+ *  invoice per month on the day they started, priced from data/pricing_versions.json at the
+ *  version in effect and prorated in their first month. Two of those
+ *  invoices carry a wrong stored amount for the reconciliation engine to
+ *  find: one priced on the previous pricing version, one as another plan.
+ *
+ *  Output:  data/invoices.json, data/subscriptions.json, data/transactions.json,
+ *           data/churn_events.json, data/system_events.json
  */
 
 const fs = require('fs');
@@ -170,6 +178,107 @@ function generateInvoices(customers) {
   return invoices;
 }
 
+// ─── Subscriptions & Plan Invoices ──────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRICING_VERSIONS = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'pricing_versions.json'), 'utf8'))
+  .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+const PLANS = ['Basic', 'Pro', 'Pro', 'Enterprise'];
+const FIRST_NAMES = ['Ava', 'Ben', 'Chloe', 'Daniel', 'Elena', 'Farid', 'Grace', 'Hugo', 'Ines', 'Jonas', 'Kenji', 'Lena'];
+const LAST_NAMES = ['Allen', 'Brooks', 'Costa', 'Dubois', 'Evans', 'Fischer', 'Garcia', 'Hayes', 'Ito', 'Jensen'];
+const COMPANY_SUFFIXES = ['Solutions', 'Digital', 'Labs', 'Group', 'Systems'];
+
+function versionAt(timestamp) {
+  return PRICING_VERSIONS.filter(v => Date.parse(v.effectiveDate) <= Date.parse(timestamp)).pop();
+}
+
+function planPrice(version, plan) {
+  return version.plans.find(p => p.name === plan).price;
+}
+
+function generateSubscriptions(customers, count) {
+  const subscriptions = [];
+  for (let i = 0; i < count; i++) {
+    const key = uuid();
+    const customer = customers[i];
+    const firstName = pick(FIRST_NAMES);
+    const lastName = pick(LAST_NAMES);
+    const plan = pick(PLANS);
+    // Most started Aug 2025–Jan 2026; a few start inside the dataset, a few churned before it
+    const roll = rand();
+    const start = roll < 0.08
+      ? new Date(START_DATE.getTime() + randInt(1, 14) * DAY_MS)
+      : new Date(Date.UTC(2025, 7 + randInt(0, 5), randInt(1, 28)));
+    const churned = roll > 0.92;
+
+    subscriptions.push({
+      id: `sub_${key.slice(0, 12)}`,
+      customerId: customer.id.replace(/^cust-/, 'cust_'),
+      customerName: `${firstName} ${lastName}`,
+      companyName: `${lastName} ${pick(COMPANY_SUFFIXES)}`,
+      plan,
+      expectedMRR: planPrice(PRICING_VERSIONS[PRICING_VERSIONS.length - 1], plan),
+      status: churned ? 'CHURNED' : 'ACTIVE',
+      startDate: start.toISOString(),
+      pricingVersion: PRICING_VERSIONS[PRICING_VERSIONS.length - 1].version,
+      ...(churned ? { churnDate: new Date(Date.UTC(2026, 0, randInt(5, 28), 12)).toISOString() } : {}),
+    });
+  }
+  return subscriptions;
+}
+
+// February's charge for each active subscriber, on the day of the month it started
+function generatePlanInvoices(subscriptions, customers) {
+  const monthStart = START_DATE.getTime();
+  const monthEnd = Date.UTC(START_DATE.getUTCFullYear(), START_DATE.getUTCMonth() + 1, 1);
+  const monthDays = Math.round((monthEnd - monthStart) / DAY_MS);
+  const invoices = [];
+
+  subscriptions.filter(sub => sub.status === 'ACTIVE').forEach(sub => {
+    const start = new Date(sub.startDate);
+    const billingDay = start.getTime() > monthStart ? start.getUTCDate() : Math.min(start.getUTCDate(), monthDays);
+    if (billingDay > DAYS) return;
+
+    const ts = new Date(monthStart + (billingDay - 1) * DAY_MS);
+    ts.setUTCHours(randInt(6, 22), randInt(0, 59), randInt(0, 59));
+    const version = versionAt(ts.toISOString());
+    const coveredDays = Math.min(monthDays, Math.ceil((monthEnd - Math.max(monthStart, start.getTime())) / DAY_MS));
+    const amount = parseFloat((planPrice(version, sub.plan) * coveredDays / monthDays).toFixed(2));
+
+    const customer = customers.find(c => c.id === sub.customerId.replace(/^cust_/, 'cust-'));
+    invoices.push({
+      invoiceId: `inv-${uuid().slice(0, 12)}`,
+      customerId: customer.id,
+      subscriptionId: sub.id,
+      amountExpected: amount,
+      amountBilled: amount,
+      currency: customer.currency,
+      service: 'subscription-service',
+      region: customer.region,
+      timestamp: ts.toISOString(),
+    });
+  });
+
+  // ★ Seeded catalog errors: billed exactly as stored, so only reconciliation sees them.
+  // The stale price is the first full-month charge after the current version took effect.
+  const current = PRICING_VERSIONS[PRICING_VERSIONS.length - 1];
+  const fullMonth = invoices.filter(inv => inv.timestamp >= current.effectiveDate &&
+    subscriptions.find(s => s.id === inv.subscriptionId).startDate < START_DATE.toISOString())
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const [stale, wrongPlan] = [fullMonth[0], fullMonth[fullMonth.length - 1]];
+  if (stale) {
+    const sub = subscriptions.find(s => s.id === stale.subscriptionId);
+    stale.amountExpected = stale.amountBilled = planPrice(PRICING_VERSIONS[PRICING_VERSIONS.length - 2], sub.plan);
+  }
+  if (wrongPlan && wrongPlan !== stale) {
+    const sub = subscriptions.find(s => s.id === wrongPlan.subscriptionId);
+    const other = current.plans.find(p => p.name !== sub.plan && p.price < planPrice(current, sub.plan)) || current.plans.find(p => p.name !== sub.plan);
+    wrongPlan.amountExpected = wrongPlan.amountBilled = other.price;
+  }
+
+  return invoices;
+}
+
 // ─── System Events Generation ───────────────────────────────────────────────
 
 function generateSystemEvents() {
@@ -292,11 +401,8 @@ function main() {
   const customers = generateCustomers(200);
   console.log(`✅ Generated ${customers.length} customers`);
 
-  // Generate invoices
+  // Generate invoices (written once the plan invoices are added below)
   const invoices = generateInvoices(customers);
-  const invoicesPath = path.join(DATA_DIR, 'invoices.json');
-  fs.writeFileSync(invoicesPath, JSON.stringify(invoices, null, 2));
-  console.log(`✅ Generated ${invoices.length} invoices → invoices.json`);
 
   // Generate transactions
   const transactions = generateTransactions(customers);
@@ -326,6 +432,17 @@ function main() {
   fs.writeFileSync(eventsPath, JSON.stringify(events, null, 2));
   console.log(`\n✅ Generated ${events.length} system events → system_events.json`);
 
+  // Generate subscribers last, so the streams above keep their seeded values
+  const subscriptions = generateSubscriptions(customers, 72);
+  const subscriptionsPath = path.join(DATA_DIR, 'subscriptions.json');
+  fs.writeFileSync(subscriptionsPath, JSON.stringify(subscriptions, null, 2));
+  console.log(`✅ Generated ${subscriptions.length} subscriptions → subscriptions.json`);
+
+  const planInvoices = generatePlanInvoices(subscriptions, customers);
+  const invoicesPath = path.join(DATA_DIR, 'invoices.json');
+  fs.writeFileSync(invoicesPath, JSON.stringify([...invoices, ...planInvoices], null, 2));
+  console.log(`✅ Generated ${invoices.length + planInvoices.length} invoices (${planInvoices.length} plan charges) → invoices.json`);
+
   // Print deployment timeline
   const deployments = events.filter(e => e.eventType === 'deployment');
   console.log(`\n🚀 Deployment Timeline:`);
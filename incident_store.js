@@ -0,0 +1,260 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Incident Store
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Persistent incident records in data/incidents.json (override with
+ *  INCIDENTS_FILE). /api/agent/analyze and /api/explainability attach their
+ *  reports here instead of minting a throwaway id per request.
+ *
+ *  An incident is keyed by service + spike window: a report whose spike
+ *  starts within MERGE_WINDOW_DAYS of an existing incident's spike on the
+ *  same service updates that incident rather than opening a new one.
+ *
+ *  Status flow (see TRANSITIONS): open ──▶ investigating ──▶ mitigated ──▶
+ *  resolved, with any active status able to jump straight to resolved and a
+ *  resolved incident reopening to investigating. A confirmed fix deployment
+ *  resolves an incident automatically (resolveWithFix), once per fix.
+ *  Runbook runs (runbooks.js) mirror their step results onto the incident.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INCIDENTS_FILE = process.env.INCIDENTS_FILE || path.join(__dirname, 'data', 'incidents.json');
+const MERGE_WINDOW_DAYS = 1;
+const MAX_REPORTS_PER_INCIDENT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUSES = ['open', 'investigating', 'mitigated', 'resolved'];
+const TRANSITIONS = {
+    open: ['investigating', 'mitigated', 'resolved'],
+    investigating: ['mitigated', 'resolved'],
+    mitigated: ['investigating', 'resolved'],
+    resolved: ['investigating'],
+};
+
+// ─── Persistence ────────────────────────────────────────────────────────────
+
+let store = null;
+
+function loadStore() {
+    if (!fs.existsSync(INCIDENTS_FILE)) return { nextId: 1, incidents: [] };
+    return JSON.parse(fs.readFileSync(INCIDENTS_FILE, 'utf8'));
+}
+
+function saveStore() {
+    fs.mkdirSync(path.dirname(INCIDENTS_FILE), { recursive: true });
+    fs.writeFileSync(INCIDENTS_FILE, JSON.stringify(store, null, 2) + '\n');
+}
+
+function getStore() {
+    if (!store) store = loadStore();
+    return store;
+}
+
+function pushStatus(incident, to, at, { by = 'system', note = null } = {}) {
+    incident.statusHistory.push({ at, from: incident.status, to, by, note });
+    incident.status = to;
+    incident.updatedAt = at;
+}
+
+// ─── Report Attachment ──────────────────────────────────────────────────────
+
+function findBySpikeWindow(service, spikeStart) {
+    const start = Date.parse(spikeStart);
+    return getStore().incidents.find(inc =>
+        inc.service === service &&
+        Math.abs(Date.parse(inc.spikeWindow.start) - start) <= MERGE_WINDOW_DAYS * DAY_MS);
+}
+
+// Reports are compared without their per-request metadata (ids, timestamps)
+function digestReport(report) {
+    const body = JSON.stringify({ ...report, metadata: undefined });
+    return crypto.createHash('sha1').update(body).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create or update the incident for `service` + `spikeStart` and attach the
+ * report. An identical report from the same source only bumps `repeatCount`
+ * on the latest entry. The stored report gets `metadata.id` (incident id) and
+ * `metadata.reportId` filled in. Returns { incident, reportId, created, repeated }.
+ */
+function recordIncidentReport({
+    service,
+    spikeStart,
+    source,
+    report,
+    severity = null,
+    culprit = null,
+    observedLoss = null,
+    linkedAlerts = [],
+}, now = new Date().toISOString()) {
+    const data = getStore();
+    let incident = findBySpikeWindow(service, spikeStart);
+    const created = !incident;
+
+    if (created) {
+        incident = {
+            id: `INC-${String(data.nextId++).padStart(4, '0')}`,
+            service,
+            spikeWindow: { start: spikeStart, end: null },
+            status: null,
+            severity,
+            owner: null,
+            culprit: null,
+            resolvedBy: null,
+            observedLoss: null,
+            linkedAlerts: [],
+            runbooks: [],
+            statusHistory: [],
+            reports: [],
+            nextReportSeq: 1,
+            createdAt: now,
+            updatedAt: now,
+        };
+        pushStatus(incident, 'open', now, { note: `Opened from ${source} report` });
+        data.incidents.push(incident);
+    }
+
+    if (severity) incident.severity = severity;
+    if (culprit) incident.culprit = culprit;
+    if (observedLoss !== null) incident.observedLoss = parseFloat(observedLoss.toFixed(2));
+    linkedAlerts.forEach(fp => {
+        if (!incident.linkedAlerts.includes(fp)) incident.linkedAlerts.push(fp);
+    });
+
+    const digest = digestReport(report);
+    const latest = [...incident.reports].reverse().find(r => r.source === source);
+    let entry;
+    if (latest && latest.digest === digest) {
+        entry = latest;
+        entry.repeatCount++;
+        entry.lastSeenAt = now;
+    } else {
+        const reportId = `${incident.id}-R${incident.nextReportSeq++}`;
+        const stored = JSON.parse(JSON.stringify(report));
+        stored.metadata = { ...stored.metadata, id: incident.id, reportId };
+        entry = { reportId, source, digest, receivedAt: now, lastSeenAt: now, repeatCount: 0, report: stored };
+        incident.reports.push(entry);
+        if (incident.reports.length > MAX_REPORTS_PER_INCIDENT) incident.reports.shift();
+    }
+    incident.updatedAt = now;
+
+    saveStore();
+    return { incident, reportId: entry.reportId, created, repeated: entry.repeatCount > 0 };
+}
+
+// ─── Queries & Updates ──────────────────────────────────────────────────────
+
+function summarizeIncident(incident) {
+    const { reports } = incident;
+    return {
+        ...incident,
+        reports: undefined,
+        nextReportSeq: undefined,
+        reportCount: reports.length,
+        lastReportAt: reports.length > 0 ? reports[reports.length - 1].lastSeenAt : null,
+    };
+}
+
+function listIncidents({ status = null, service = null } = {}) {
+    return getStore().incidents
+        .filter(inc => (!status || inc.status === status) && (!service || inc.service === service))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(summarizeIncident);
+}
+
+function getIncident(id) {
+    return getStore().incidents.find(inc => inc.id === id) || null;
+}
+
+/**
+ * Operator update: { status, owner, note, by, linkedAlerts }.
+ * Returns null when the incident does not exist, { error, status } for a
+ * bad request or transition, otherwise { incident }.
+ */
+function updateIncident(id, changes = {}, now = new Date().toISOString()) {
+    const incident = getIncident(id);
+    if (!incident) return null;
+
+    const { status, owner, note, by = 'operator', linkedAlerts } = changes;
+    if (status !== undefined) {
+        if (!STATUSES.includes(status)) {
+            return { error: `Unknown status '${status}'. Expected one of ${STATUSES.join(', ')}.`, status: 400 };
+        }
+        if (status !== incident.status && !TRANSITIONS[incident.status].includes(status)) {
+            return { error: `Cannot move incident from ${incident.status} to ${status}`, status: 409 };
+        }
+    }
+    if (owner !== undefined && owner !== null && typeof owner !== 'string') {
+        return { error: 'owner must be a string or null', status: 400 };
+    }
+    if (linkedAlerts !== undefined && (!Array.isArray(linkedAlerts) || linkedAlerts.some(fp => typeof fp !== 'string'))) {
+        return { error: 'linkedAlerts must be an array of alert fingerprints', status: 400 };
+    }
+
+    if (owner !== undefined) incident.owner = owner;
+    if (linkedAlerts !== undefined) {
+        linkedAlerts.forEach(fp => {
+            if (!incident.linkedAlerts.includes(fp)) incident.linkedAlerts.push(fp);
+        });
+    }
+    if (status !== undefined && status !== incident.status) {
+        pushStatus(incident, status, now, { by, note: note || null });
+    }
+    incident.updatedAt = now;
+
+    saveStore();
+    return { incident };
+}
+
+/**
+ * Close an incident because a fix deployment was confirmed
+ * (fix: { service, version, timestamp, recoveryConfidence }), recording it
+ * as `resolvedBy`. Does nothing when the incident is already resolved, or
+ * when an operator reopened it after this same fix closed it — their call
+ * wins. Returns null for an unknown id, otherwise { incident, closed }.
+ */
+function resolveWithFix(id, fix, now = new Date().toISOString()) {
+    const incident = getIncident(id);
+    if (!incident) return null;
+
+    const previous = incident.resolvedBy;
+    const sameFix = previous && previous.version === fix.version && previous.timestamp === fix.timestamp;
+    if (incident.status === 'resolved' || sameFix) return { incident, closed: false };
+
+    incident.resolvedBy = { ...fix, confirmedAt: now };
+    pushStatus(incident, 'resolved', now, {
+        note: `Fix ${fix.service} ${fix.version} confirmed (recovery confidence ${(fix.recoveryConfidence * 100).toFixed(1)}%)`,
+    });
+    saveStore();
+    return { incident, closed: true };
+}
+
+/**
+ * Record the latest state of a runbook run ({ runId, ... }) on an incident,
+ * replacing the earlier entry for the same run. Returns null for an unknown id.
+ */
+function attachRunbookRun(id, run) {
+    const incident = getIncident(id);
+    if (!incident) return null;
+    if (!incident.runbooks) incident.runbooks = [];
+    const index = incident.runbooks.findIndex(r => r.runId === run.runId);
+    if (index >= 0) incident.runbooks[index] = run;
+    else incident.runbooks.push(run);
+    incident.updatedAt = run.updatedAt;
+    saveStore();
+    return incident;
+}
+
+module.exports = {
+    STATUSES,
+    recordIncidentReport,
+    listIncidents,
+    getIncident,
+    updateIncident,
+    resolveWithFix,
+    attachRunbookRun,
+};
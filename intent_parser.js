@@ -0,0 +1,313 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Question Intent Parser
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Turns a free-text dashboard question into a structured query without a
+ *  model, so the chat works offline:
+ *
+ *    "how much did we lose in eu-west last week"
+ *      → { intent: LOSS, metric: loss, region: eu-west, window: 2026-02-09 … 2026-02-15 }
+ *    "which deploy broke tax-service"
+ *      → { intent: CAUSE, service: tax-service }
+ *
+ *  Intents (first matching rule wins, STATUS when none does):
+ *    ACTIONS       what to do about it (rollback, re-bill, refund)
+ *    CAUSE         which deployment caused the incident
+ *    WHEN          when it started / recovered, how long it lasted
+ *    WHERE         which region drives the spike
+ *    RANKING       which service is worst
+ *    INVOICES      the largest anomalous invoices ("top 10 invoices")
+ *    TRANSACTIONS  failed payments since the spike
+ *    CHURN         churn since the spike
+ *    LOSS          how much money was lost (or is owed back)
+ *    STATUS        anomaly rate against baseline
+ *
+ *  Services and regions are matched against the values known to the data
+ *  ("billing" → billing-service, "eu west" / "europe" → eu-west). Time
+ *  expressions ("yesterday", "last week", "past 3 days", "since feb 10",
+ *  "between 2026-02-10 and 2026-02-14", "in february") resolve against an
+ *  anchor — the latest data time — rather than the wall clock, so questions
+ *  about a static dataset still mean what they say. Weeks start on Monday;
+ *  all days are UTC.
+ *
+ *  Follow-up questions ("and what about subscription-service?", "show me the
+ *  top 10 invoices for that", "roll back that deploy") carry `references`
+ *  for a conversation (conversations.js) to resolve against earlier turns.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_MS = { hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+
+const INTENT_RULES = [
+    { intent: 'ACTIONS', pattern: /\bwhat should\b|\bshould we\b|\broll ?back|\bremediat|\bnext steps?\b|\brecommend|\bhow (do|can) we fix\b/ },
+    { intent: 'CAUSE', pattern: /\bwhich (deploy|deployment|release|version|change)s?\b|\bwhat (caused|broke|changed)\b|\bbroke\b|\bbreak\b|\bcaused?\b|\bculprit|\broot cause|\bwhy\b|\bblame/ },
+    { intent: 'WHEN', pattern: /\bwhen\b|\bhow long\b|\bstart(ed)?\b|\brecover|\bonset\b|\bduration\b/ },
+    { intent: 'WHERE', pattern: /\bwhere\b|\bwhich regions?\b|\blocali[sz]/ },
+    { intent: 'RANKING', pattern: /\bwhich services?\b|\bworst\b|\bmost (affected|impacted)\b|\brank/ },
+    { intent: 'INVOICES', pattern: /\b(top|largest|biggest)\b[\w\s]*?\binvoices?\b|\b(show|list)\b[\w\s]*?\binvoices?\b/ },
+    { intent: 'TRANSACTIONS', pattern: /\btransactions?\b|\bpayments?\b|\bfail(ed|ures?|ing)?\b/ },
+    { intent: 'CHURN', pattern: /\bchurn|\bcancell?(ed|ations?)\b|\bcustomers? (left|lost)\b/ },
+    { intent: 'LOSS', pattern: /\bhow much\b|\blos[est]\b|\blost\b|\bcost|\bimpact|\brevenue\b|\bmoney\b|\brefund|\bover ?(bill|charg)|\bunder ?bill|\bexposure\b|\$/ },
+    { intent: 'STATUS', pattern: /\banomal|\brate\b|\bdrift|\bspik|\bhealth|\bstatus\b|\bok(ay)?\b|\bnormal\b/ },
+];
+const INTENTS = INTENT_RULES.map(rule => rule.intent);
+
+const OVERBILLING_PATTERN = /\brefund|\bover ?(bill|charg)/;
+const METRIC_RULES = [
+    { metric: 'refund_exposure', pattern: OVERBILLING_PATTERN },
+    { metric: 'failed_transactions', pattern: /\btransactions?\b|\bpayments?\b|\bfail(ed|ures?|ing)?\b/ },
+    { metric: 'churn_events', pattern: /\bchurn|\bcancell?(ed|ations?)\b/ },
+    { metric: 'anomaly_rate', pattern: /\banomal|\brate\b|\bdrift|\bspik/ },
+    { metric: 'loss', pattern: /\blos[est]\b|\blost\b|\bcost|\brevenue\b|\bmoney\b|\bhow much\b|\$/ },
+];
+const DEFAULT_METRIC = {
+    INVOICES: 'loss',
+    TRANSACTIONS: 'failed_transactions',
+    CHURN: 'churn_events',
+    LOSS: 'loss',
+    RANKING: 'loss',
+};
+
+// Names that stand for a region prefix; used only when exactly one known region has it
+const REGION_ALIASES = [
+    { prefix: 'eu', pattern: /\beurope(an)?\b|\bemea\b/ },
+    { prefix: 'us', pattern: /\bnorth america\b|\bamericas?\b|\bstates\b/ },
+    { prefix: 'ap', pattern: /\basia\b|\bapac\b/ },
+];
+
+const DEFAULT_LIMIT = 10;
+const LIMIT_PATTERN = /\b(?:top|largest|biggest|first)\s+(\d{1,3})\b/;
+
+// Pointers back into a conversation
+const TURN_REFERENCE = /\b(?:answer|turn|question|message)\s*#?\s*(\d+)\b/;
+const CULPRIT_REFERENCE = /\b(?:that|this|the same)\s+(?:deploy(?:ment)?|release|version|culprit|change)\b/;
+const SINCE_CULPRIT = /\b(?:since|after)\s+(?:that|this|the same)\s+(?:deploy(?:ment)?|release|version|culprit|change)\b/;
+const FOLLOW_UP = /^(?:and|also|then|what about|how about)\b|\b(?:that|it|those|them|same|there|then|instead)\b/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE = `(?:\\d{4}-\\d{2}-\\d{2}|${MONTH}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+\\d{4})?)`;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ─── Services & Regions ─────────────────────────────────────────────────────
+
+// "billing-service" answers to itself, "billing service", "billing" and "billings"
+function serviceAliases(service) {
+    const stem = service.replace(/[-_\s]?service$/, '');
+    const spaced = parts => parts.split(/[-_\s]+/).map(escapeRegExp).join('[-_\\s]?');
+    return new RegExp(`\\b(${spaced(service)}|${spaced(stem)}s?)\\b`);
+}
+
+function firstMatch(text, candidates, patternOf) {
+    let best = null;
+    candidates.forEach(value => {
+        const match = patternOf(value).exec(text);
+        if (match && (!best || match.index < best.index)) best = { value, text: match[0], index: match.index };
+    });
+    return best;
+}
+
+function matchService(text, services) {
+    return firstMatch(text, services, serviceAliases);
+}
+
+function matchRegion(text, regions, notes) {
+    const exact = firstMatch(text, regions, region => new RegExp(`\\b${region.split('-').map(escapeRegExp).join('[-\\s]?')}\\b`));
+    if (exact) return exact;
+    for (const alias of REGION_ALIASES) {
+        const match = alias.pattern.exec(text);
+        if (!match) continue;
+        const candidates = regions.filter(region => region.startsWith(`${alias.prefix}-`));
+        if (candidates.length === 1) return { value: candidates[0], text: match[0], index: match.index };
+        if (candidates.length > 1) notes.push(`"${match[0]}" matches ${candidates.join(', ')}; ask about one region to narrow it down`);
+    }
+    return null;
+}
+
+// ─── Time Windows ───────────────────────────────────────────────────────────
+
+const startOfDay = ms => ms - (((ms % DAY_MS) + DAY_MS) % DAY_MS);
+const startOfMonth = (year, month) => Date.UTC(year, month, 1);
+
+// [startMs, endMs) → { from, to } with an inclusive last millisecond
+function span(startMs, endMs) {
+    return { from: new Date(startMs).toISOString(), to: new Date(endMs - 1).toISOString() };
+}
+
+const dayOf = ms => span(startOfDay(ms), startOfDay(ms) + DAY_MS);
+
+function monthIndex(name) {
+    return MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+}
+
+// Dates without a year take the anchor's, or the year before when that would lie after the anchor
+function parseDate(text, anchorMs) {
+    const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (iso) {
+        const ms = Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+        return Number.isNaN(ms) ? null : ms;
+    }
+    const monthFirst = new RegExp(`^(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?$`).exec(text);
+    const dayFirst = new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})(?:,?\\s+(\\d{4}))?$`).exec(text);
+    const parts = monthFirst
+        ? { month: monthIndex(monthFirst[1]), day: Number(monthFirst[2]), year: monthFirst[3] }
+        : dayFirst ? { month: monthIndex(dayFirst[2]), day: Number(dayFirst[1]), year: dayFirst[3] } : null;
+    if (!parts || parts.day < 1 || parts.day > 31) return null;
+    const anchorYear = new Date(anchorMs).getUTCFullYear();
+    if (parts.year) return Date.UTC(Number(parts.year), parts.month, parts.day);
+    const ms = Date.UTC(anchorYear, parts.month, parts.day);
+    return ms > anchorMs ? Date.UTC(anchorYear - 1, parts.month, parts.day) : ms;
+}
+
+// Each rule: pattern → (match, anchorMs) → { from, to } | null. First match wins.
+const WINDOW_RULES = [
+    {
+        pattern: new RegExp(`\\b(?:between|from)\\s+(${DATE})\\s+(?:and|to|until|through|-)\\s+(${DATE})`),
+        resolve: (m, anchor) => {
+            const start = parseDate(m[1], anchor);
+            const end = parseDate(m[2], anchor);
+            return start !== null && end !== null && start <= end ? span(start, end + DAY_MS) : null;
+        },
+    },
+    {
+        pattern: new RegExp(`\\b(?:since|after)\\s+(${DATE})`),
+        resolve: (m, anchor) => {
+            const start = parseDate(m[1], anchor);
+            return start === null ? null : { from: new Date(start).toISOString(), to: null };
+        },
+    },
+    {
+        pattern: new RegExp(`\\b(?:before|until)\\s+(${DATE})`),
+        resolve: (m, anchor) => {
+            const end = parseDate(m[1], anchor);
+            return end === null ? null : { from: null, to: new Date(end - 1).toISOString() };
+        },
+    },
+    {
+        pattern: /\b(?:in the |over the |during the )?(?:last|past|previous)\s+(\d+|a|one|two|three|four|five|six|seven)\s+(hour|day|week)s?\b/,
+        resolve: (m, anchor) => {
+            const count = { a: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7 }[m[1]] || Number(m[1]);
+            return count > 0 ? span(anchor + 1 - count * UNIT_MS[m[2]], anchor + 1) : null;
+        },
+    },
+    {
+        pattern: /\b(?:past|last) (24 hours|day)\b|\btoday\b|\bthis morning\b/,
+        resolve: (m, anchor) => (m[1] === '24 hours' ? span(anchor + 1 - DAY_MS, anchor + 1) : dayOf(anchor)),
+    },
+    { pattern: /\byesterday\b/, resolve: (m, anchor) => dayOf(anchor - DAY_MS) },
+    { pattern: /\bpast week\b/, resolve: (m, anchor) => span(anchor + 1 - UNIT_MS.week, anchor + 1) },
+    {
+        pattern: /\b(this|last|previous) week\b/,
+        resolve: (m, anchor) => {
+            const monday = startOfDay(anchor) - ((new Date(anchor).getUTCDay() + 6) % 7) * DAY_MS;
+            return m[1] === 'this' ? span(monday, anchor + 1) : span(monday - UNIT_MS.week, monday);
+        },
+    },
+    {
+        pattern: /\b(this|last|previous) month\b/,
+        resolve: (m, anchor) => {
+            const date = new Date(anchor);
+            const month = date.getUTCMonth() - (m[1] === 'this' ? 0 : 1);
+            const start = startOfMonth(date.getUTCFullYear(), month);
+            return m[1] === 'this' ? span(start, anchor + 1) : span(start, startOfMonth(date.getUTCFullYear(), month + 1));
+        },
+    },
+    {
+        pattern: new RegExp(`\\b(?:on|at)\\s+(${DATE})|\\b(\\d{4}-\\d{2}-\\d{2})\\b`),
+        resolve: (m, anchor) => {
+            const day = parseDate(m[1] || m[2], anchor);
+            return day === null ? null : span(day, day + DAY_MS);
+        },
+    },
+    {
+        pattern: new RegExp(`\\b(?:in|during|for|of|throughout)\\s+(${MONTH})\\b(?!\\.?\\s*\\d)`),
+        resolve: (m, anchor) => {
+            const date = new Date(anchor);
+            const month = monthIndex(m[1]);
+            const year = date.getUTCFullYear() - (month > date.getUTCMonth() ? 1 : 0);
+            return span(startOfMonth(year, month), startOfMonth(year, month + 1));
+        },
+    },
+];
+
+function matchWindow(text, anchorMs, notes) {
+    for (const rule of WINDOW_RULES) {
+        const match = rule.pattern.exec(text);
+        if (!match) continue;
+        const window = rule.resolve(match, anchorMs);
+        if (window) return { ...window, expression: match[0].trim() };
+        notes.push(`Could not read a date range from "${match[0].trim()}"; using all data`);
+        return null;
+    }
+    return null;
+}
+
+// ─── Parser ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parse `question` into a structured query.
+ *   services  service names known to the data
+ *   regions   region names known to the data
+ *   anchor    ISO time relative expressions count back from (default: now)
+ *
+ * Returns { question, intent, metric, direction, limit, service, region,
+ * window, anchor, matched, references, notes }. `service` / `region` are
+ * null and `window` is { from: null, to: null } when the question names
+ * none; `matched` holds the words each field was read from (null when it
+ * was defaulted), `notes` anything that was ambiguous. `references` is
+ * { followUp, turn, culprit, sinceCulprit }: whether the question leans on
+ * an earlier answer, which turn number it names, and whether it points at
+ * the culprit deployment ("that deploy", "since that release").
+ */
+function parseQuestion(question, { services = [], regions = [], anchor = null } = {}) {
+    const text = String(question || '').toLowerCase().replace(/[?!]/g, ' ').replace(/\s+/g, ' ').trim();
+    const anchorMs = anchor ? Date.parse(anchor) : Date.now();
+    const notes = [];
+
+    const intentRule = INTENT_RULES.find(rule => rule.pattern.test(text));
+    const intent = intentRule ? intentRule.intent : 'STATUS';
+    const metricRule = METRIC_RULES.find(rule => rule.pattern.test(text));
+    const metric = intent === 'LOSS' && metricRule && !['loss', 'refund_exposure'].includes(metricRule.metric)
+        ? 'loss'
+        : (metricRule ? metricRule.metric : DEFAULT_METRIC[intent] || 'anomaly_rate');
+    const service = matchService(text, services);
+    const region = matchRegion(text, regions, notes);
+    const window = matchWindow(text, anchorMs, notes);
+    const limit = LIMIT_PATTERN.exec(text);
+    const turn = TURN_REFERENCE.exec(text);
+    const direction = OVERBILLING_PATTERN.exec(text);
+
+    return {
+        question: String(question || ''),
+        intent,
+        metric,
+        direction: direction ? 'overbilling' : 'underbilling',
+        limit: limit ? Math.max(1, Number(limit[1])) : DEFAULT_LIMIT,
+        service: service ? service.value : null,
+        region: region ? region.value : null,
+        window: window || { from: null, to: null, expression: null },
+        anchor: new Date(anchorMs).toISOString(),
+        matched: {
+            intent: intentRule ? (intentRule.pattern.exec(text) || [''])[0].trim() : null,
+            service: service ? service.text : null,
+            region: region ? region.text : null,
+            window: window ? window.expression : null,
+            metric: metricRule ? (metricRule.pattern.exec(text) || [''])[0].trim() : null,
+            direction: direction ? direction[0] : null,
+        },
+        references: {
+            followUp: FOLLOW_UP.test(text) || Boolean(turn),
+            turn: turn ? Number(turn[1]) : null,
+            culprit: CULPRIT_REFERENCE.test(text),
+            sinceCulprit: SINCE_CULPRIT.test(text),
+        },
+        notes,
+    };
+}
+
+module.exports = {
+    INTENTS,
+    parseQuestion,
+};
@@ -0,0 +1,169 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Tool-Calling Investigator
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  A provider-agnostic agent loop (see llm_providers.js). The model receives
+ *  the question and the agent tools' JSON schemas, decides which tools to
+ *  call, and answers once it has enough evidence:
+ *
+ *    question ──▶ model ──▶ tool calls ──▶ results ──▶ model ──▶ … ──▶ answer
+ *
+ *  Every tool result is tagged with a citation id (T1, T2, …) and the model
+ *  is told to cite them as [T1]. The answer's citations are resolved back to
+ *  the tool calls they name; ids that match no call are reported separately.
+ *
+ *  Arguments are checked against the tool's schema before the handler runs.
+ *  Bad arguments, unknown tools and handler errors go back to the model as
+ *  an error result rather than ending the investigation. The loop stops
+ *  after `maxSteps` model turns.
+ */
+
+const SYSTEM_PROMPT = [
+    'You are RevenueGuard, a revenue incident investigator for a SaaS billing platform.',
+    'Answer the question using only the provided tools; call as many as you need, one or more per turn.',
+    'Every tool result carries a "citation" id such as T1. Support each factual claim in your answer by citing',
+    'the result it came from in square brackets, e.g. "The anomaly rate rose 8.2x [T1]".',
+    'If the tools cannot answer the question, say so instead of guessing.',
+].join(' ');
+
+// ─── Arguments ──────────────────────────────────────────────────────────────
+
+const TYPE_CHECKS = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+};
+
+/** Errors of `args` against a flat JSON-schema object ({ properties, required }). */
+function validateArguments(schema, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return ['arguments must be an object'];
+    const errors = [];
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+        if (args[key] === undefined) errors.push(`${key} is required`);
+    });
+    Object.entries(args).forEach(([key, value]) => {
+        const property = properties[key];
+        if (!property) {
+            errors.push(`unknown argument ${key}`);
+            return;
+        }
+        if (property.type && TYPE_CHECKS[property.type] && !TYPE_CHECKS[property.type](value)) {
+            errors.push(`${key} must be of type ${property.type}`);
+        } else if (property.enum && !property.enum.includes(value)) {
+            errors.push(`${key} must be one of ${property.enum.join(', ')}`);
+        }
+    });
+    return errors;
+}
+
+// ─── Citations ──────────────────────────────────────────────────────────────
+
+function resolveCitations(answer, calls) {
+    const cited = [...new Set((answer.match(/\[(T\d+)\]/g) || []).map(tag => tag.slice(1, -1)))];
+    const byId = Object.fromEntries(calls.map(call => [call.citation, call]));
+    return {
+        citations: cited.filter(id => byId[id]).map(id => ({
+            id,
+            tool: byId[id].tool,
+            arguments: byId[id].arguments,
+            summary: byId[id].output ? byId[id].output.summary || null : null,
+        })),
+        unresolved: cited.filter(id => !byId[id]),
+    };
+}
+
+// ─── Loop ───────────────────────────────────────────────────────────────────
+
+async function callTool(tool, args) {
+    if (!tool) return { error: 'Unknown tool' };
+    const errors = validateArguments(tool.parameters, args);
+    if (errors.length > 0) return { error: `Invalid arguments: ${errors.join('; ')}` };
+    try {
+        return { output: await tool.handler(args) };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+/**
+ * Run one investigation.
+ *   provider  from llm_providers.getProvider()
+ *   tools     [{ name, description, parameters, handler(args) → output }]
+ *   question  the user's question
+ *   history   earlier messages of the same conversation (neutral shape)
+ *   context   extra lines for the system prompt (e.g. the service in scope)
+ *   maxSteps  model turns before giving up
+ *   onStep    optional callback per event: { type: 'tool_call' | 'tool_result' | 'answer', ... }
+ *
+ * Resolves to { answer, stopReason, citations, unresolvedCitations,
+ * toolCalls, steps, provider, messages }; rejects only when the provider does.
+ */
+async function investigate({ provider, tools, question, history = [], context = [], maxSteps = 8, onStep = () => {} }) {
+    const system = [SYSTEM_PROMPT, ...context].join('\n');
+    const schemas = tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+    const byName = Object.fromEntries(tools.map(tool => [tool.name, tool]));
+    const previousCalls = history.filter(m => m.role === 'tool').length;
+    const messages = [...history, { role: 'user', content: question }];
+    const calls = [];
+    let answer = null;
+    let stopReason = 'max_steps';
+    let steps = 0;
+
+    while (steps < maxSteps) {
+        steps++;
+        const response = await provider.complete({ system, messages, tools: schemas });
+        const toolCalls = response.toolCalls || [];
+        messages.push({ role: 'assistant', content: response.content || '', toolCalls });
+
+        if (toolCalls.length === 0) {
+            answer = response.content || '';
+            stopReason = 'answered';
+            onStep({ type: 'answer', step: steps, answer });
+            break;
+        }
+
+        for (const call of toolCalls) {
+            const citation = `T${previousCalls + calls.length + 1}`;
+            onStep({ type: 'tool_call', step: steps, citation, tool: call.name, arguments: call.arguments });
+            const started = Date.now();
+            const { output, error } = await callTool(byName[call.name], call.arguments);
+            const record = {
+                citation,
+                step: steps,
+                tool: call.name,
+                arguments: call.arguments,
+                output: output === undefined ? null : output,
+                error: error || null,
+                durationMs: Date.now() - started,
+            };
+            calls.push(record);
+            onStep({ type: 'tool_result', step: steps, citation, tool: call.name, output: record.output, error: record.error });
+            messages.push({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: JSON.stringify(error ? { citation, error } : { citation, ...output }),
+            });
+        }
+    }
+
+    const { citations, unresolved } = answer === null ? { citations: [], unresolved: [] } : resolveCitations(answer, calls);
+    return {
+        answer,
+        stopReason,
+        citations,
+        unresolvedCitations: unresolved,
+        toolCalls: calls,
+        steps,
+        provider: { name: provider.name, model: provider.model || null },
+        messages,
+    };
+}
+
+module.exports = {
+    investigate,
+    validateArguments,
+};
@@ -0,0 +1,317 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — LLM Providers
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  The investigator (investigator.js) talks to a model only through this
+ *  interface, so the loop does not care which vendor answers:
+ *
+ *    provider.complete({ system, messages, tools })
+ *      → { content, toolCalls: [{ id, name, arguments }] }
+ *
+ *  Messages use one neutral shape and are translated per vendor:
+ *
+ *    { role: 'user', content }
+ *    { role: 'assistant', content, toolCalls }
+ *    { role: 'tool', toolCallId, name, content }      (content: JSON text)
+ *
+ *  Tools are { name, description, parameters } with a JSON-schema
+ *  `parameters` object.
+ *
+ *  Providers:
+ *    mock       deterministic and offline. Plays a fixed `script` of turns
+ *               when given one; otherwise it picks tools from keywords in
+ *               the question, scopes them to the service and dates the
+ *               question names (intent_parser.js), and writes an answer
+ *               citing every result.
+ *    anthropic  Messages API with tool use
+ *    openai     Chat Completions API with function tools
+ *
+ *  Selection and endpoints live in config/llm.json (override with LLM_FILE);
+ *  LLM_PROVIDER overrides the configured provider. API keys are read from
+ *  the environment variable named by `apiKeyEnv`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseQuestion } = require('./intent_parser');
+
+const CONFIG_FILE = process.env.LLM_FILE || path.join(__dirname, 'config', 'llm.json');
+const REQUEST_TIMEOUT_MS = 60000;
+
+const DEFAULT_CONFIG = {
+    provider: 'mock',
+    maxSteps: 8,
+    providers: {
+        mock: {},
+        anthropic: { url: 'https://api.anthropic.com/v1/messages', model: null, apiKeyEnv: 'ANTHROPIC_API_KEY', maxTokens: 1024 },
+        openai: { url: 'https://api.openai.com/v1/chat/completions', model: null, apiKeyEnv: 'OPENAI_API_KEY' },
+    },
+};
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+let config = null;
+
+function loadConfig() {
+    const input = fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+    const providers = { ...DEFAULT_CONFIG.providers };
+    Object.entries(input.providers || {}).forEach(([name, settings]) => {
+        providers[name] = { ...providers[name], ...settings };
+    });
+    const merged = { ...DEFAULT_CONFIG, ...input, providers };
+    if (process.env.LLM_PROVIDER) merged.provider = process.env.LLM_PROVIDER;
+    if (!Number.isInteger(merged.maxSteps) || merged.maxSteps < 1) {
+        throw new Error(`Invalid LLM config ${CONFIG_FILE}: maxSteps must be a positive whole number`);
+    }
+    return merged;
+}
+
+function getConfig() {
+    if (!config) config = loadConfig();
+    return config;
+}
+
+// ─── Mock ───────────────────────────────────────────────────────────────────
+
+// Keyword → tools, in the order they are called; the first matching rules win
+const MOCK_RULES = [
+    { pattern: /overbill|refund|overcharg/i, tools: ['get_anomaly_stats:overbilling'] },
+    { pattern: /deploy|\bcaused?\b|\bwhy\b|culprit|release|version|roll ?back/i, tools: ['get_incident_window', 'attribute_incident', 'recommend_actions'] },
+    { pattern: /region|\bwhere\b|locali/i, tools: ['get_spike_localization'] },
+    { pattern: /transaction|payment|fail/i, tools: ['get_transaction_failures'] },
+    { pattern: /churn|customer/i, tools: ['get_churn_risk'] },
+    { pattern: /\bloss|\bcost|impact|revenue|money|\barr\b/i, tools: ['forecast_loss'] },
+    { pattern: /\bwhen\b|start|onset|recover|duration|how long/i, tools: ['get_incident_window'] },
+    { pattern: /\baction|\bdo\b|\bfix|remediat|recommend/i, tools: ['recommend_actions'] },
+];
+const MOCK_DEFAULT_PLAN = ['get_anomaly_stats', 'attribute_incident'];
+
+function mockPlan(question, toolNames) {
+    const plan = [];
+    MOCK_RULES.filter(rule => rule.pattern.test(question)).forEach(rule => {
+        rule.tools.forEach(entry => { if (!plan.includes(entry)) plan.push(entry); });
+    });
+    const usable = (plan.length > 0 ? plan : MOCK_DEFAULT_PLAN).filter(entry => toolNames.includes(entry.split(':')[0]));
+    return usable.length > 0 ? usable : MOCK_DEFAULT_PLAN.filter(name => toolNames.includes(name));
+}
+
+/**
+ * Tool arguments for the service and dates named in the question. Services
+ * come from the tools' `service` enum, and relative dates count back from
+ * the "Latest data: <ISO time>" line of the system prompt when it has one:
+ * the mock reads what a real model would.
+ */
+const propertiesOf = tool => (tool.parameters && tool.parameters.properties) || {};
+
+function mockScope(question, system, tools) {
+    const services = [...new Set(tools.flatMap(t => (propertiesOf(t).service || {}).enum || []))];
+    const latest = /Latest data: (\d{4}-\d{2}-\d{2}T[\d:.]+Z)/.exec(system || '');
+    const { service, window } = parseQuestion(question, { services, anchor: latest ? latest[1] : null });
+    return {
+        ...(service ? { service } : {}),
+        ...(window.from ? { from: window.from, to: window.to } : {}),
+    };
+}
+
+function parseToolContent(message) {
+    try {
+        return JSON.parse(message.content);
+    } catch (err) {
+        return { summary: message.content };
+    }
+}
+
+/**
+ * Deterministic provider. With `script` (a list of { content, toolCalls }
+ * turns) it replays the script, one turn per call; otherwise it calls the
+ * planned tools one at a time, scoped by mockScope(), and then answers from
+ * their summaries.
+ */
+function createMockProvider({ script = null } = {}) {
+    let turn = 0;
+    return {
+        name: 'mock',
+        model: script ? 'scripted' : 'keyword-planner',
+        async complete({ system, messages, tools }) {
+            if (script) {
+                const next = script[Math.min(turn++, script.length - 1)];
+                return { content: next.content || '', toolCalls: next.toolCalls || [] };
+            }
+
+            const question = [...messages].reverse().find(m => m.role === 'user').content;
+            const questionIndex = messages.map(m => m.role).lastIndexOf('user');
+            const results = messages.slice(questionIndex + 1).filter(m => m.role === 'tool');
+            const plan = mockPlan(question, tools.map(t => t.name));
+
+            if (results.length < plan.length) {
+                const [name, direction] = plan[results.length].split(':');
+                const properties = propertiesOf(tools.find(t => t.name === name));
+                const scope = Object.fromEntries(Object.entries(mockScope(question, system, tools)).filter(([key]) => key in properties));
+                return {
+                    content: '',
+                    toolCalls: [{ id: `mock_${results.length + 1}`, name, arguments: direction ? { ...scope, direction } : scope }],
+                };
+            }
+
+            const lines = results.map(message => {
+                const output = parseToolContent(message);
+                return `- ${output.summary || output.error || `${message.name} returned no summary`} [${output.citation}]`;
+            });
+            return {
+                content: lines.length > 0
+                    ? `Findings for "${question}":\n${lines.join('\n')}`
+                    : `No tools were available to answer "${question}".`,
+                toolCalls: [],
+            };
+        },
+    };
+}
+
+// ─── Anthropic ──────────────────────────────────────────────────────────────
+
+function toAnthropicMessages(messages) {
+    const out = [];
+    messages.forEach(message => {
+        if (message.role === 'user') {
+            out.push({ role: 'user', content: message.content });
+        } else if (message.role === 'assistant') {
+            const content = [];
+            if (message.content) content.push({ type: 'text', text: message.content });
+            (message.toolCalls || []).forEach(call => content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }));
+            out.push({ role: 'assistant', content });
+        } else if (message.role === 'tool') {
+            // Consecutive tool results go back in one user turn
+            const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+            const last = out[out.length - 1];
+            if (last && last.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+                last.content.push(block);
+            } else {
+                out.push({ role: 'user', content: [block] });
+            }
+        }
+    });
+    return out;
+}
+
+function createAnthropicProvider(settings) {
+    return {
+        name: 'anthropic',
+        model: settings.model,
+        async complete({ system, messages, tools }) {
+            const response = await axios.post(settings.url, {
+                model: settings.model,
+                max_tokens: settings.maxTokens,
+                system,
+                messages: toAnthropicMessages(messages),
+                tools: tools.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters })),
+            }, {
+                headers: { 'x-api-key': settings.apiKey, 'anthropic-version': '2023-06-01', 'content-type': 'application/json' },
+                timeout: REQUEST_TIMEOUT_MS,
+            });
+            const blocks = response.data.content || [];
+            return {
+                content: blocks.filter(b => b.type === 'text').map(b => b.text).join('\n'),
+                toolCalls: blocks.filter(b => b.type === 'tool_use').map(b => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+            };
+        },
+    };
+}
+
+// ─── OpenAI ─────────────────────────────────────────────────────────────────
+
+function toOpenAIMessages(system, messages) {
+    return [
+        { role: 'system', content: system },
+        ...messages.map(message => {
+            if (message.role === 'assistant') {
+                const toolCalls = (message.toolCalls || []).map(call => ({
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+                }));
+                return { role: 'assistant', content: message.content || null, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) };
+            }
+            if (message.role === 'tool') return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+            return { role: 'user', content: message.content };
+        }),
+    ];
+}
+
+function parseArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (err) {
+        return { _unparsed: text };
+    }
+}
+
+function createOpenAIProvider(settings) {
+    return {
+        name: 'openai',
+        model: settings.model,
+        async complete({ system, messages, tools }) {
+            const response = await axios.post(settings.url, {
+                model: settings.model,
+                messages: toOpenAIMessages(system, messages),
+                tools: tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } })),
+            }, {
+                headers: { Authorization: `Bearer ${settings.apiKey}`, 'Content-Type': 'application/json' },
+                timeout: REQUEST_TIMEOUT_MS,
+            });
+            const message = response.data.choices[0].message;
+            return {
+                content: message.content || '',
+                toolCalls: (message.tool_calls || []).map(call => ({ id: call.id, name: call.function.name, arguments: parseArguments(call.function.arguments) })),
+            };
+        },
+    };
+}
+
+// ─── Selection ──────────────────────────────────────────────────────────────
+
+const FACTORIES = {
+    mock: createMockProvider,
+    anthropic: createAnthropicProvider,
+    openai: createOpenAIProvider,
+};
+
+/**
+ * The configured provider, or `name` when given. Returns { provider } or
+ * { error } (unknown provider, missing model or API key).
+ */
+function getProvider(name = null) {
+    const { provider: configured, providers } = getConfig();
+    const selected = name || configured;
+    if (!FACTORIES[selected]) {
+        return { error: `Unknown LLM provider '${selected}'. Expected one of ${Object.keys(FACTORIES).join(', ')}.` };
+    }
+    const settings = { ...providers[selected] };
+    if (selected !== 'mock') {
+        settings.apiKey = settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : null;
+        if (!settings.apiKey) return { error: `LLM provider '${selected}' needs an API key in ${settings.apiKeyEnv}` };
+        if (!settings.model) return { error: `LLM provider '${selected}' has no model configured` };
+    }
+    return { provider: FACTORIES[selected](settings) };
+}
+
+function describeProviders() {
+    const { provider, maxSteps, providers } = getConfig();
+    return {
+        provider,
+        maxSteps,
+        available: Object.keys(FACTORIES).map(name => ({
+            name,
+            model: name === 'mock' ? 'keyword-planner' : providers[name].model,
+            configured: name === 'mock' || Boolean(providers[name].model && process.env[providers[name].apiKeyEnv]),
+        })),
+    };
+}
+
+module.exports = {
+    getConfig,
+    getProvider,
+    describeProviders,
+    createMockProvider,
+};
@@ -3,59 +3,174 @@
  *  RevenueLeak AI — Real-Time Underbilling Monitor
  * ═══════════════════════════════════════════════════════════════════════════
  *
- *  Autonomous monitoring service for the 'invoices' index.
- *  Checks for leaks (amountBilled < amountExpected) every 60 seconds.
+ *  Incremental monitoring service for the 'invoices' index.
+ *
+ *  Every poll reads only the invoices after a persisted high-water mark
+ *  (timestamp + invoiceId, data/monitor_state.json), then re-evaluates the
+ *  alert rules with the same drift engine the API uses. Only changes are
+ *  reported: findings that started firing since the last poll, and findings
+ *  that cleared. Restarting resumes from the saved cursor. Underbilling
+ *  (lost revenue) and overbilling (refund exposure) are tracked separately.
+ *
+ *    node monitor_service.js            # poll forever (Elasticsearch, JSON fallback)
+ *    node monitor_service.js --json     # read data/invoices.json only
+ *    node monitor_service.js --once     # single poll, then exit
+ *
+ *  Environment:
+ *    MONITOR_INTERVAL_MS   poll interval (default 60000)
+ *    MONITOR_STATE_FILE    cursor file (default data/monitor_state.json)
+ *    MONITOR_NOTIFY=true   also push new / cleared findings to the webhooks
  */
 
-const { Client } = require('@elastic/elasticsearch');
+const fs = require('fs');
+const path = require('path');
+
+// Must be set before the data layer loads
+if (process.argv.includes('--json')) process.env.DATA_MODE = 'json';
+
+const { isESAvailable, clearCache, getInvoicesAfter, aggregateInvoices } = require('./data_layer');
+const { computeDirectionalDrift } = require('./drift_engine');
+const { listRules, getRule } = require('./alert_rules');
+const { evaluateAlertRules } = require('./alert_engine');
+const { notify } = require('./notifier');
+const { invoiceLoss, invoiceOvercharge, formatMoney, getReportingCurrency } = require('./fx');
+
+const POLL_INTERVAL_MS = parseInt(process.env.MONITOR_INTERVAL_MS || '60000', 10);
+const STATE_FILE = process.env.MONITOR_STATE_FILE || path.join(__dirname, 'data', 'monitor_state.json');
+const NOTIFY = process.env.MONITOR_NOTIFY === 'true';
+const PAGE_SIZE = 1000;
+
+const RED = '\x1b[31m%s\x1b[0m';
+const GREEN = '\x1b[32m%s\x1b[0m';
+
+// ─── Cursor Persistence ─────────────────────────────────────────────────────
+
+function loadState() {
+    if (!fs.existsSync(STATE_FILE)) return { cursor: null, processed: 0, findings: {}, updatedAt: null };
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+}
+
+function saveState(state) {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2) + '\n');
+}
+
+// ─── Detection ──────────────────────────────────────────────────────────────
+
+async function readNewInvoices(cursor) {
+    const invoices = [];
+    let page;
+    do {
+        page = await getInvoicesAfter(cursor, PAGE_SIZE);
+        invoices.push(...page);
+        if (page.length > 0) {
+            const last = page[page.length - 1];
+            cursor = { timestamp: last.timestamp, invoiceId: last.invoiceId };
+        }
+    } while (page.length === PAGE_SIZE);
+    return { invoices, cursor };
+}
 
-const client = new Client({
-    node: 'http://localhost:9200',
-});
+function summarizeBatch(invoices) {
+    const byService = {};
+    invoices.forEach(inv => {
+        if (!byService[inv.service]) byService[inv.service] = { total: 0, underbilled: 0, loss: 0, overbilled: 0, overcharge: 0 };
+        const s = byService[inv.service];
+        s.total++;
+        if (inv.amountBilled < inv.amountExpected) {
+            s.underbilled++;
+            s.loss += invoiceLoss(inv);
+        } else if (inv.amountBilled > inv.amountExpected) {
+            s.overbilled++;
+            s.overcharge += invoiceOvercharge(inv);
+        }
+    });
+    return byService;
+}
 
-const POLL_INTERVAL_MS = 60000; // 60 seconds
+function pushFinding(event, finding) {
+    if (!NOTIFY) return;
+    const rule = getRule(finding.ruleId);
+    notify({
+        event,
+        summary: `${event === 'alert.opened' ? 'Monitor finding' : 'Monitor finding cleared'}: ${finding.message}`,
+        severity: finding.severity,
+        fields: { Service: finding.service, Rule: finding.ruleId, Source: 'monitor_service' },
+        data: finding,
+    }, { route: rule && rule.notify ? rule.notify : null })
+        .catch(err => console.warn(`⚠️  Notification dispatch failed: ${err.message}`));
+}
 
 async function checkUnderbilling() {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] 🔍 Checking for underbilled invoices...`);
+    const state = loadState();
+    const since = state.cursor ? state.cursor.timestamp : 'the beginning';
+    console.log(`[${timestamp}] 🔍 Checking for invoices after ${since}...`);
 
     try {
-        const response = await client.search({
-            index: 'invoices',
-            body: {
-                size: 0,
-                query: {
-                    script: {
-                        script: {
-                            source: "doc['amountBilled'].value < doc['amountExpected'].value",
-                            lang: "painless"
-                        }
-                    }
-                },
-                aggs: {
-                    total_leak: {
-                        sum: {
-                            script: {
-                                source: "doc['amountExpected'].value - doc['amountBilled'].value",
-                                lang: "painless"
-                            }
-                        }
-                    }
-                }
-            }
+        clearCache();
+        const { invoices, cursor } = await readNewInvoices(state.cursor);
+        if (invoices.length === 0) {
+            console.log('✅ No new invoices since the last check.');
+            return;
+        }
+
+        // 1. What arrived in this batch
+        const batch = summarizeBatch(invoices);
+        Object.entries(batch).forEach(([service, s]) => {
+            const line = `   ${service}: ${s.total} new invoices, ${s.underbilled} underbilled (${formatMoney(s.loss)}), ` +
+                `${s.overbilled} overbilled (${formatMoney(s.overcharge)} refund exposure)`;
+            console.log(s.underbilled + s.overbilled > 0 ? RED : '%s', line);
         });
 
-        const count = response.hits.total.value;
-        const leakValue = response.aggregations.total_leak.value;
+        // 2. Re-evaluate drift and the alert rules as of the newest invoice
+        const evaluatedAt = `${cursor.timestamp.slice(0, 10)}T23:59:59.999Z`;
+        for (const service of Object.keys(batch)) {
+            const { underbilling, overbilling } = computeDirectionalDrift(await aggregateInvoices({ service }, 'day'), { evaluatedAt });
+            console.log(`   📈 ${service}: underbilling drift ${underbilling.driftFactor}x (z=${underbilling.zScore}, ${underbilling.statistical_significance}), ` +
+                `overbilling drift ${overbilling.driftFactor}x (z=${overbilling.zScore}, ${overbilling.statistical_significance})`);
+        }
+        const alerts = await evaluateAlertRules(listRules(), evaluatedAt);
+
+        // 3. Report only what changed since the previous poll
+        const firing = {};
+        alerts.forEach(alert => { firing[alert.fingerprint] = alert; });
 
-        if (count > 0) {
-            console.log('\x1b[31m%s\x1b[0m', `🚨 ALERT: Detected ${count} underbilled invoices!`);
-            console.log('\x1b[31m%s\x1b[0m', `💰 TOTAL REVENUE LEAK: $${leakValue.toLocaleString()}`);
-            console.log('───────────────────────────────────────────────────');
-        } else {
-            console.log('✅ System Healthy: No active underbilling detected.');
+        const opened = alerts.filter(alert => !state.findings[alert.fingerprint]);
+        const cleared = Object.keys(state.findings).filter(fp => !firing[fp]);
+
+        opened.forEach(alert => {
+            console.log(RED, `🚨 NEW [${alert.severity}] ${alert.message}`);
+            pushFinding('alert.opened', alert);
+        });
+        cleared.forEach(fp => {
+            console.log(GREEN, `✅ CLEARED ${state.findings[fp].message}`);
+            pushFinding('alert.resolved', state.findings[fp]);
+        });
+        if (opened.length === 0 && cleared.length === 0) {
+            console.log(`   No new findings (${alerts.length} still active).`);
         }
 
+        const findings = {};
+        alerts.forEach(alert => {
+            const previous = state.findings[alert.fingerprint];
+            findings[alert.fingerprint] = {
+                ruleId: alert.ruleId,
+                service: alert.service,
+                severity: alert.severity,
+                message: alert.message,
+                firstSeen: previous ? previous.firstSeen : timestamp,
+            };
+        });
+
+        saveState({
+            cursor,
+            processed: state.processed + invoices.length,
+            findings,
+            updatedAt: timestamp,
+        });
+        console.log('───────────────────────────────────────────────────');
+
     } catch (err) {
         console.error('🔥 Monitor Error:', err.message);
         if (err.meta && err.meta.body && err.meta.body.error) {
@@ -65,18 +180,24 @@ async function checkUnderbilling() {
 }
 
 async function startMonitor() {
+    const esAvailable = await isESAvailable();
     console.log('═══════════════════════════════════════════════════');
     console.log('  RevenueLeak AI Monitor Service Online');
+    console.log(`  Source: ${esAvailable ? 'Elasticsearch' : 'JSON files (data/invoices.json)'}`);
+    console.log(`  Cursor: ${STATE_FILE}`);
+    console.log(`  Reporting currency: ${getReportingCurrency()}`);
     console.log(`  Polling interval: ${POLL_INTERVAL_MS / 1000}s`);
     console.log('═══════════════════════════════════════════════════\n');
 
-    // Initial check
     await checkUnderbilling();
+    if (process.argv.includes('--once')) return;
 
-    // Loop
-    setInterval(async () => {
+    // Chain polls so a slow one never overlaps the next
+    const loop = async () => {
         await checkUnderbilling();
-    }, POLL_INTERVAL_MS);
+        setTimeout(loop, POLL_INTERVAL_MS);
+    };
+    setTimeout(loop, POLL_INTERVAL_MS);
 }
 
 startMonitor();
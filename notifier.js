@@ -0,0 +1,218 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Webhook Notifier
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Pushes signed JSON to the webhooks in config/notifications.json
+ *  (override with NOTIFICATIONS_FILE) when alerts open or resolve and when
+ *  the agent confirms a causal link, and from runbook notify steps.
+ *
+ *    Events:   alert.opened, alert.resolved, verdict.causal_link_confirmed,
+ *              runbook.notify
+ *    Formats:  "generic" — { id, event, timestamp, summary, severity, data }
+ *              "slack"   — Slack incoming-webhook { text, blocks }
+ *    Signing:  X-RevenueGuard-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+ *              X-RevenueGuard-Timestamp: the same timestamp (ms since epoch)
+ *
+ *  Deliveries retry with exponential backoff; anything that still fails is
+ *  appended to the dead-letter log (data/webhook_dead_letter.jsonl).
+ *
+ *  Routing: a webhook receives the events it lists. Alert events are further
+ *  narrowed by the alert rule's optional `notify` list of webhook ids.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const CONFIG_FILE = process.env.NOTIFICATIONS_FILE || path.join(__dirname, 'config', 'notifications.json');
+const DEAD_LETTER_FILE = process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(__dirname, 'data', 'webhook_dead_letter.jsonl');
+const REQUEST_TIMEOUT_MS = 5000;
+const DEFAULT_RETRY = { attempts: 4, backoffMs: 500 };
+
+const EVENTS = ['alert.opened', 'alert.resolved', 'verdict.causal_link_confirmed', 'runbook.notify'];
+const FORMATS = ['generic', 'slack'];
+const SEVERITY_EMOJI = { CRITICAL: ':rotating_light:', HIGH: ':warning:', MEDIUM: ':large_blue_circle:', LOW: ':white_circle:' };
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+let webhooks = null;
+
+function validateWebhook(hook) {
+    const errors = [];
+    if (!hook || typeof hook.id !== 'string' || hook.id.length === 0) errors.push('id is required');
+    if (!hook || typeof hook.url !== 'string' || !/^https?:\/\//.test(hook.url)) errors.push('url must be http(s)');
+    if (hook && hook.format !== undefined && !FORMATS.includes(hook.format)) errors.push(`format must be one of ${FORMATS.join(', ')}`);
+    if (!hook || !Array.isArray(hook.events) || hook.events.some(e => !EVENTS.includes(e))) {
+        errors.push(`events must be a list of ${EVENTS.join(', ')}`);
+    }
+    return errors;
+}
+
+function loadWebhooks() {
+    if (!fs.existsSync(CONFIG_FILE)) return [];
+    const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    return (config.webhooks || []).filter(hook => {
+        const errors = validateWebhook(hook);
+        if (errors.length > 0) {
+            console.warn(`⚠️  Skipping webhook '${hook && hook.id}': ${errors.join('; ')}`);
+            return false;
+        }
+        return true;
+    });
+}
+
+function getWebhooks() {
+    if (!webhooks) webhooks = loadWebhooks();
+    return webhooks;
+}
+
+// Force config reload (e.g. after editing notifications.json)
+function reloadWebhooks() {
+    webhooks = null;
+    return getWebhooks();
+}
+
+function resolveSecret(hook) {
+    if (hook.secretEnv) return process.env[hook.secretEnv] || null;
+    return hook.secret || null;
+}
+
+/** Webhooks for display: secrets are never echoed back. */
+function listWebhooks() {
+    return getWebhooks().map(hook => ({
+        id: hook.id,
+        enabled: hook.enabled !== false,
+        url: hook.url,
+        format: hook.format || 'generic',
+        events: hook.events,
+        signed: Boolean(resolveSecret(hook)),
+        retry: { ...DEFAULT_RETRY, ...hook.retry },
+    }));
+}
+
+// ─── Payloads ───────────────────────────────────────────────────────────────
+
+function formatGeneric(notification) {
+    return notification;
+}
+
+function formatSlack(notification) {
+    const emoji = SEVERITY_EMOJI[notification.severity] || ':bell:';
+    const fields = Object.entries(notification.fields || {})
+        .map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${value}` }));
+    return {
+        text: `${emoji} ${notification.summary}`,
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `${emoji} *${notification.summary}*` } },
+            ...(fields.length > 0 ? [{ type: 'section', fields: fields.slice(0, 10) }] : []),
+            { type: 'context', elements: [{ type: 'mrkdwn', text: `RevenueGuard · \`${notification.event}\` · ${notification.timestamp}` }] },
+        ],
+    };
+}
+
+function signBody(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// ─── Delivery ───────────────────────────────────────────────────────────────
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function appendDeadLetter(entry) {
+    fs.mkdirSync(path.dirname(DEAD_LETTER_FILE), { recursive: true });
+    fs.appendFileSync(DEAD_LETTER_FILE, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * POST one notification to one webhook, retrying network errors, 5xx and 429
+ * with exponential backoff (backoffMs, 2×, 4×, …). Other 4xx responses are
+ * not retried. Resolves to a delivery record; never rejects.
+ */
+async function deliver(hook, notification) {
+    const payload = (hook.format === 'slack' ? formatSlack : formatGeneric)(notification);
+    const body = JSON.stringify(payload);
+    const secret = resolveSecret(hook);
+    const { attempts, backoffMs } = { ...DEFAULT_RETRY, ...hook.retry };
+
+    let lastError = null;
+    let attempt = 0;
+    while (attempt < attempts) {
+        attempt++;
+        const timestamp = String(Date.now());
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-RevenueGuard-Event': notification.event,
+            'X-RevenueGuard-Delivery': notification.id,
+            'X-RevenueGuard-Timestamp': timestamp,
+        };
+        if (secret) headers['X-RevenueGuard-Signature'] = signBody(secret, timestamp, body);
+
+        try {
+            const response = await axios.post(hook.url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+            return { webhook: hook.id, delivered: true, attempts: attempt, status: response.status };
+        } catch (err) {
+            const status = err.response ? err.response.status : null;
+            lastError = status ? `HTTP ${status}` : err.message;
+            const retryable = !status || status >= 500 || status === 429;
+            if (!retryable) break;
+            if (attempt < attempts) await sleep(backoffMs * Math.pow(2, attempt - 1));
+        }
+    }
+
+    console.warn(`⚠️  Webhook '${hook.id}' failed after ${attempt} attempt(s) (${lastError}). Written to dead-letter log.`);
+    appendDeadLetter({
+        failedAt: new Date().toISOString(),
+        webhook: hook.id,
+        url: hook.url,
+        event: notification.event,
+        attempts: attempt,
+        error: lastError,
+        payload,
+    });
+    return { webhook: hook.id, delivered: false, attempts: attempt, error: lastError };
+}
+
+/**
+ * Fan a notification out to every matching, enabled webhook.
+ *   notification: { event, summary, severity?, fields?, data }
+ *   options.route: webhook ids allowed for this notification (alert rule `notify`)
+ *   options.webhookId: deliver to this webhook only (used by the test endpoint)
+ * Resolves to one delivery record per webhook.
+ */
+async function notify(notification, { route = null, webhookId = null } = {}) {
+    const message = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        ...notification,
+    };
+    const targets = getWebhooks().filter(hook =>
+        webhookId
+            ? hook.id === webhookId
+            : hook.enabled !== false &&
+              hook.events.includes(notification.event) &&
+              (!route || route.includes(hook.id)));
+
+    return Promise.all(targets.map(hook => deliver(hook, message)));
+}
+
+/** Newest first. */
+function getDeadLetters(limit = 50) {
+    if (!fs.existsSync(DEAD_LETTER_FILE)) return [];
+    return fs.readFileSync(DEAD_LETTER_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .map(line => JSON.parse(line))
+        .reverse();
+}
+
+module.exports = {
+    EVENTS,
+    signBody,
+    listWebhooks,
+    reloadWebhooks,
+    notify,
+    getDeadLetters,
+};
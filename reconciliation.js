@@ -0,0 +1,294 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Pricing Reconciliation Engine
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Underbilling detection compares amountBilled with the invoice's own
+ *  amountExpected. This engine does not trust that field: it recomputes the
+ *  charge from the customer's subscription and the pricing version in effect
+ *  on the invoice date (data/subscriptions.json, data/pricing_versions.json)
+ *  and flags invoices whose stored expected amount is itself wrong.
+ *
+ *    correct charge = plan price (version effective at invoice time)
+ *                     × share of the billing month the subscription covered
+ *
+ *  Only plan charges — invoices that name their `subscriptionId` — are
+ *  priced from the catalog. A customer's product invoices join the same
+ *  subscription by customer id (`cust_…` and `cust-…` spellings are treated
+ *  as one; findSubscription), which segments them by plan but says nothing
+ *  about their price. Everything else is counted as unmatched, never guessed.
+ *
+ *  Mismatch classes (first that explains the stored amount wins):
+ *    STALE_VERSION    stored amount is this plan's price in another version
+ *    WRONG_PLAN       stored amount is another plan's price in the right version
+ *    PRORATION_ERROR  partial month billed at full price, or a full month prorated
+ *    OVERBILLING      stored or billed amount above the correct charge
+ *    PRICE_MISMATCH   below the correct charge with no catalog explanation
+ *
+ *  Catalog prices are list prices in the invoice's own currency; variance
+ *  totals are converted to the reporting currency (fx.js).
+ */
+
+const { rateFor } = require('./fx');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TOLERANCE = 0.01;
+
+const CLASSES = ['STALE_VERSION', 'WRONG_PLAN', 'PRORATION_ERROR', 'OVERBILLING', 'PRICE_MISMATCH'];
+
+// ─── Catalog ────────────────────────────────────────────────────────────────
+
+function normalizeCustomerId(id) {
+    return String(id || '').toLowerCase().replace(/^cust_/, 'cust-');
+}
+
+function buildCatalog(pricingVersions) {
+    return [...pricingVersions]
+        .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+        .map(v => ({
+            version: v.version,
+            effectiveDate: v.effectiveDate,
+            prices: Object.fromEntries(v.plans.map(p => [p.name, p.price])),
+        }));
+}
+
+function versionAt(catalog, timestamp) {
+    const ts = Date.parse(timestamp);
+    let current = null;
+    catalog.forEach(v => {
+        if (Date.parse(v.effectiveDate) <= ts) current = v;
+    });
+    return current;
+}
+
+function indexSubscriptions(subscriptions) {
+    const byId = {};
+    const byCustomer = {};
+    subscriptions.forEach(sub => {
+        byId[sub.id] = sub;
+        const key = normalizeCustomerId(sub.customerId);
+        (byCustomer[key] = byCustomer[key] || []).push(sub);
+    });
+    return { byId, byCustomer };
+}
+
+function isActiveAt(sub, timestamp) {
+    return sub.startDate <= timestamp && (!sub.churnDate || sub.churnDate >= timestamp);
+}
+
+// Prefer the explicit link, then the customer's subscription active at invoice time
+function findSubscription(index, inv) {
+    if (inv.subscriptionId && index.byId[inv.subscriptionId]) return index.byId[inv.subscriptionId];
+    const candidates = index.byCustomer[normalizeCustomerId(inv.customerId)] || [];
+    return candidates.find(sub => isActiveAt(sub, inv.timestamp)) || candidates[0] || null;
+}
+
+// ─── Billing Period ─────────────────────────────────────────────────────────
+
+/** The UTC calendar month containing the invoice, and the share of it the subscription covered. */
+function billingPeriod(sub, timestamp) {
+    const d = new Date(timestamp);
+    const from = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+    const to = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+    const start = Math.max(from, Date.parse(sub.startDate));
+    const end = Math.min(to, sub.churnDate ? Date.parse(sub.churnDate) : to);
+    const days = Math.round((to - from) / DAY_MS);
+    const coveredDays = Math.max(0, Math.ceil((end - start) / DAY_MS));
+    return {
+        from: new Date(from).toISOString().slice(0, 10),
+        to: new Date(to - DAY_MS).toISOString().slice(0, 10),
+        days,
+        coveredDays: Math.min(coveredDays, days),
+        fraction: Math.min(coveredDays, days) / days,
+    };
+}
+
+// ─── Classification ─────────────────────────────────────────────────────────
+
+const round2 = n => parseFloat(n.toFixed(2));
+
+function classifyMismatch(inv, sub, catalog, version, period, correct, tolerance) {
+    const near = (a, b) => Math.abs(a - b) <= tolerance;
+    const stored = inv.amountExpected;
+    const candidates = fraction => [fraction, 1].map(f => price => round2(price * f));
+
+    // Nothing is owed for a month the subscription did not cover, whatever the price
+    if (period.coveredDays === 0) {
+        return { class: 'OVERBILLING', detail: 'Charged for a month with no active subscription', evidence: { periodDays: period.days } };
+    }
+
+    // Stored amount is this plan's price under a different version
+    const staleVersion = catalog.find(v => v !== version && v.prices[sub.plan] !== undefined &&
+        candidates(period.fraction).some(at => near(stored, at(v.prices[sub.plan]))));
+    if (staleVersion || (inv.pricingVersion && inv.pricingVersion !== version.version)) {
+        return {
+            class: 'STALE_VERSION',
+            detail: `Priced on ${staleVersion ? staleVersion.version : inv.pricingVersion} instead of ${version.version}`,
+            evidence: { billedVersion: staleVersion ? staleVersion.version : inv.pricingVersion, effectiveVersion: version.version },
+        };
+    }
+
+    // Stored amount is another plan's price in the effective version
+    const otherPlan = Object.entries(version.prices).find(([plan, price]) => plan !== sub.plan &&
+        candidates(period.fraction).some(at => near(stored, at(price))));
+    if (otherPlan || (inv.plan && inv.plan !== sub.plan)) {
+        const plan = otherPlan ? otherPlan[0] : inv.plan;
+        return {
+            class: 'WRONG_PLAN',
+            detail: `Priced as ${plan} instead of ${sub.plan}`,
+            evidence: { billedPlan: plan, subscribedPlan: sub.plan },
+        };
+    }
+
+    const fullPrice = version.prices[sub.plan];
+    if (period.fraction < 1 && near(stored, fullPrice)) {
+        return {
+            class: 'PRORATION_ERROR',
+            detail: `Full price charged for ${period.coveredDays}/${period.days} days of service`,
+            evidence: { coveredDays: period.coveredDays, periodDays: period.days },
+        };
+    }
+    if (period.fraction === 1 && stored < fullPrice && stored > 0 && !near(stored, fullPrice)) {
+        const impliedDays = Math.round(stored / fullPrice * period.days);
+        if (impliedDays > 0 && near(stored, round2(fullPrice * impliedDays / period.days))) {
+            return {
+                class: 'PRORATION_ERROR',
+                detail: `Prorated to ${impliedDays}/${period.days} days for a full month of service`,
+                evidence: { coveredDays: period.coveredDays, impliedDays, periodDays: period.days },
+            };
+        }
+    }
+
+    if (stored > correct) {
+        return { class: 'OVERBILLING', detail: `Expected amount ${round2(stored - correct)} above the catalog price`, evidence: {} };
+    }
+    return { class: 'PRICE_MISMATCH', detail: `Expected amount ${round2(correct - stored)} below the catalog price`, evidence: {} };
+}
+
+/**
+ * Reconcile one invoice against its subscription. Returns null when the
+ * catalog has no price for the plan at that date.
+ */
+function reconcileInvoice(inv, sub, catalog, tolerance = DEFAULT_TOLERANCE) {
+    const version = versionAt(catalog, inv.timestamp);
+    if (!version || version.prices[sub.plan] === undefined) return null;
+
+    const period = billingPeriod(sub, inv.timestamp);
+    const correct = round2(version.prices[sub.plan] * period.fraction);
+    const expectedVariance = round2(inv.amountExpected - correct);
+    const billedVariance = round2(inv.amountBilled - correct);
+
+    const record = {
+        invoiceId: inv.invoiceId,
+        customerId: inv.customerId,
+        subscriptionId: sub.id,
+        service: inv.service,
+        region: inv.region,
+        currency: inv.currency,
+        timestamp: inv.timestamp,
+        plan: sub.plan,
+        pricingVersion: version.version,
+        period,
+        correctCharge: correct,
+        amountExpected: inv.amountExpected,
+        amountBilled: inv.amountBilled,
+        expectedVariance,
+        billedVariance,
+        status: 'OK',
+        class: null,
+        detail: null,
+        evidence: {},
+    };
+
+    if (Math.abs(expectedVariance) > tolerance) {
+        const mismatch = classifyMismatch(inv, sub, catalog, version, period, correct, tolerance);
+        Object.assign(record, { status: 'MISMATCH', ...mismatch });
+    } else if (billedVariance > tolerance) {
+        // Expected amount is right but the customer was charged more than it
+        Object.assign(record, {
+            status: 'MISMATCH',
+            class: 'OVERBILLING',
+            detail: `Billed ${billedVariance} above the catalog price`,
+        });
+    }
+    return record;
+}
+
+// ─── Batch Reconciliation ───────────────────────────────────────────────────
+
+/**
+ * Reconcile the plan charges in a set of invoices. Variance totals are in the
+ * reporting currency. Returns { summary, mismatches, unmatched } where
+ * `unmatched` holds a sample of invoices that are not plan charges or could
+ * not be tied to a subscription or a catalog price.
+ */
+function reconcileInvoices(invoices, subscriptions, pricingVersions, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    const catalog = buildCatalog(pricingVersions);
+    const index = indexSubscriptions(subscriptions);
+
+    const summary = {
+        invoices: invoices.length,
+        matched: 0,
+        unmatched: 0,
+        unpriced: 0,
+        correct: 0,
+        mismatched: 0,
+        byClass: Object.fromEntries(CLASSES.map(c => [c, { count: 0, expectedVariance: 0, billedVariance: 0 }])),
+        expectedVariance: 0,
+        billedVariance: 0,
+    };
+    const mismatches = [];
+    const unmatched = [];
+
+    invoices.forEach(inv => {
+        const sub = inv.subscriptionId ? index.byId[inv.subscriptionId] : null;
+        if (!sub) {
+            summary.unmatched++;
+            const reason = inv.subscriptionId ? 'NO_SUBSCRIPTION' : 'NOT_A_PLAN_CHARGE';
+            if (unmatched.length < 20) unmatched.push({ invoiceId: inv.invoiceId, customerId: inv.customerId, reason });
+            return;
+        }
+        const record = reconcileInvoice(inv, sub, catalog, tolerance);
+        if (!record) {
+            summary.unpriced++;
+            if (unmatched.length < 20) unmatched.push({ invoiceId: inv.invoiceId, customerId: inv.customerId, reason: 'NO_CATALOG_PRICE' });
+            return;
+        }
+        summary.matched++;
+        if (record.status === 'OK') {
+            summary.correct++;
+            return;
+        }
+
+        const rate = rateFor(inv.currency, inv.timestamp);
+        const bucket = summary.byClass[record.class];
+        summary.mismatched++;
+        bucket.count++;
+        bucket.expectedVariance += record.expectedVariance * rate;
+        bucket.billedVariance += record.billedVariance * rate;
+        summary.expectedVariance += record.expectedVariance * rate;
+        summary.billedVariance += record.billedVariance * rate;
+        mismatches.push(record);
+    });
+
+    Object.values(summary.byClass).forEach(b => {
+        b.expectedVariance = round2(b.expectedVariance);
+        b.billedVariance = round2(b.billedVariance);
+    });
+    summary.expectedVariance = round2(summary.expectedVariance);
+    summary.billedVariance = round2(summary.billedVariance);
+    summary.coverage = invoices.length > 0 ? round2(summary.matched / invoices.length * 100) : 0;
+
+    mismatches.sort((a, b) => Math.abs(b.expectedVariance) - Math.abs(a.expectedVariance));
+    return { summary, mismatches, unmatched, catalog };
+}
+
+module.exports = {
+    CLASSES,
+    normalizeCustomerId,
+    indexSubscriptions,
+    findSubscription,
+    buildCatalog,
+    reconcileInvoice,
+    reconcileInvoices,
+};
@@ -3,19 +3,29 @@
  *  RevenueGuard — Financial Observability & Deployment Intelligence Server
  * ═══════════════════════════════════════════════════════════════════════════
  *
- *  Unified API server with 10 endpoints:
+ *  Unified API server with 17 endpoint groups:
  *    /api/health, /api/anomalies, /api/deployment-impact,
  *    /api/risk-score, /api/financial-loss, /api/business-impact,
- *    /api/timeline, /api/services, /api/alerts, /api/explainability
+ *    /api/timeline, /api/services, /api/alerts, /api/alert-rules,
+ *    /api/explainability, /api/incidents, /api/notifications, /api/runbooks,
+ *    /api/fx, /api/reconciliation, /api/drilldown
+ *
+ *  Monetary outputs are in the reporting currency (fx.js) and labelled
+ *  with a `currency` field. Underbilling (lost revenue) and overbilling
+ *  (refund exposure) are reported separately, never netted.
  *
  *  Intelligence engines:
  *    - Statistical drift detection (baseline vs current)
+ *    - Pluggable anomaly detectors (EWMA, CUSUM, seasonal, MAD, Bayesian change-point)
  *    - Exponential deployment recency model
  *    - Normalized composite risk scoring
  *    - Confidence classification (STRONG/MODERATE/WEAK)
+ *    - Cross-service causal attribution of incidents to deployments
  *    - Natural language explainability
+ *    - Offline question routing (intent_parser.js)
  *
  *  Dual-mode: Queries Elasticsearch if available, falls back to JSON files
+ *  (see data_layer.js — aggregations run in ES when it is reachable)
  */
 
 const express = require('express');
@@ -23,17 +33,115 @@ const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
 
-let esClient = null;
-try {
-    const { Client } = require('@elastic/elasticsearch');
-    esClient = new Client({ node: 'http://localhost:9200' });
-} catch (e) {
-    console.warn('⚠️  Elasticsearch client not available. Using JSON fallback.');
-}
+const {
+    isESAvailable,
+    setAuditLogger,
+    getInvoices,
+    getEvents,
+    getTransactions,
+    getChurn,
+    getTopAnomalies,
+    getSubscriptions,
+    getPricingVersions,
+    aggregateInvoices,
+    aggregateInvoiceTotals,
+    summarizeInvoices,
+} = require('./data_layer');
+const {
+    resolveEvaluationTime,
+    computeObservationWindow,
+    parseDriftOptions,
+    parseInterval,
+    bucketStart,
+    computeDriftDetection,
+    computeDriftFromDaily,
+    computeDirectionalDrift,
+    findSpikeStart,
+    shiftDay,
+    DEFAULT_CURRENT_DAYS,
+    DIRECTIONS,
+} = require('./drift_engine');
+const {
+    validateRule,
+    normalizeRule,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+} = require('./alert_rules');
+const {
+    sortAlertsBySeverity,
+    evaluateAlertRules,
+    dryRunAlertRule,
+} = require('./alert_engine');
+const {
+    STATES: ALERT_STATES,
+    ACTIVE_STATES: ACTIVE_ALERT_STATES,
+    setTransitionListener,
+    reconcileAlerts,
+    applyAlertAction,
+    listAlerts,
+    getAlertHistory,
+} = require('./alert_state');
+const {
+    STATUSES: INCIDENT_STATUSES,
+    recordIncidentReport,
+    listIncidents,
+    getIncident,
+    updateIncident,
+    resolveWithFix,
+} = require('./incident_store');
+const {
+    EVENTS: NOTIFICATION_EVENTS,
+    listWebhooks,
+    reloadWebhooks,
+    notify,
+    getDeadLetters,
+} = require('./notifier');
+const {
+    RUN_STATUSES,
+    listRunbooks,
+    reloadRunbooks,
+    triggerRunbooks,
+    runForIncident,
+    approveRun,
+    rejectRun,
+    listRuns,
+    getRun,
+    getAuditTrail,
+} = require('./runbooks');
+const {
+    getReportingCurrency,
+    reloadRates,
+    invoiceLoss,
+    invoiceOvercharge,
+    formatMoney,
+    describeRates,
+} = require('./fx');
+const { CLASSES: MISMATCH_CLASSES, reconcileInvoices } = require('./reconciliation');
+const { parseDimensions, drillDown } = require('./drilldown');
+const { describeDetectors, parseDetectorOptions, runDetectors } = require('./detectors');
+const { locateIncidentWindow, describeIncidentWindow } = require('./change_points');
+const { VERDICT_THRESHOLD, attributeIncident, judgeDeployments } = require('./causal_attribution');
+const { estimateCounterfactual } = require('./counterfactual');
+const { recommendActions } = require('./rollback');
+const { investigate } = require('./investigator');
+const { getConfig: getLLMConfig, getProvider, describeProviders } = require('./llm_providers');
+const { parseQuestion } = require('./intent_parser');
+const {
+    getConfig: getConversationConfig,
+    applyContext,
+    createConversation,
+    getConversation,
+    listConversations,
+    deleteConversation,
+    recordTurn,
+    replayConversation,
+} = require('./conversations');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const DATA_DIR = path.join(__dirname, 'data');
 
 app.use(cors());
 app.use(express.json());
@@ -49,64 +157,10 @@ if (fs.existsSync(dashboardDist)) {
     app.use(express.static(dashboardDist));
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  DATA ACCESS LAYER — ES with JSON fallback
-// ═══════════════════════════════════════════════════════════════════════════
-
-let cachedInvoices = null;
-let cachedEvents = null;
-let cachedTransactions = null;
-let cachedChurn = null;
-let cachedAgentLogs = [];
-
-function loadJSON(filename) {
-    const filePath = path.join(DATA_DIR, filename);
-    if (!fs.existsSync(filePath)) return [];
-    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-}
-
-function getInvoices() {
-    if (!cachedInvoices) cachedInvoices = loadJSON('invoices.json');
-    return cachedInvoices;
-}
-
-function getEvents() {
-    if (!cachedEvents) cachedEvents = loadJSON('system_events.json');
-    return cachedEvents;
-}
-
-// Force cache refresh
-function clearCache() {
-    cachedInvoices = null;
-    cachedEvents = null;
-    cachedTransactions = null;
-    cachedChurn = null;
-}
-
-function getTransactions() {
-    if (!cachedTransactions) cachedTransactions = loadJSON('transactions.json');
-    return cachedTransactions;
-}
-
-function getChurn() {
-    if (!cachedChurn) cachedChurn = loadJSON('churn_events.json');
-    return cachedChurn;
-}
-
-// Try ES, fallback to JSON
 // ─── Configuration ──────────────────────────────────────────────────────────
 const ES_REQUIRED = process.env.ES_REQUIRED === 'true' || false;
 const queryAuditLog = [];
-
-async function isESAvailable() {
-    if (!esClient) return false;
-    try {
-        await esClient.ping();
-        return true;
-    } catch {
-        return false;
-    }
-}
+let cachedAgentLogs = [];
 
 async function verifyElasticsearchConnection() {
     const available = await isESAvailable();
@@ -134,18 +188,89 @@ function logAnalyticProof(index, label, count) {
     if (queryAuditLog.length > 50) queryAuditLog.shift();
 }
 
+// Every live ES query issued by the data layer lands in the proof log too
+setAuditLogger(logAnalyticProof);
+
+// ── Time Range Parameters (?from=&to=) ───────────────────────────────────
+
+const RELATIVE_UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Resolve an ISO date/timestamp or a relative expression (`now`, `now-7d`,
+ * `now-12h`, `now-30m`, `now-2w`) to a Date. Bare dates snap to the start
+ * of the day, or to its last millisecond when used as an upper bound.
+ */
+function resolveTimeExpression(expr, endOfDay = false) {
+    if (expr === 'now') return new Date();
+    const relative = /^now-(\d+)([mhdw])$/.exec(expr);
+    if (relative) return new Date(Date.now() - Number(relative[1]) * RELATIVE_UNIT_MS[relative[2]]);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(expr)) {
+        return new Date(`${expr}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+    }
+    const date = new Date(expr);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse `from` / `to` from a query string or body into an absolute window.
+ * Returns { from, to } as ISO strings (null = unbounded) or { error }.
+ */
+function parseTimeRange(params = {}) {
+    const window = { from: null, to: null };
+    for (const key of ['from', 'to']) {
+        if (!params[key]) continue;
+        const resolved = resolveTimeExpression(String(params[key]), key === 'to');
+        if (!resolved) {
+            return { error: `Invalid '${key}' value: ${params[key]}. Use an ISO date or a relative expression like now-7d.` };
+        }
+        window[key] = resolved.toISOString();
+    }
+    if (window.from && window.to && window.from > window.to) {
+        return { error: `'from' (${window.from}) must be before 'to' (${window.to}).` };
+    }
+    return window;
+}
+
 let lastReasoningTrace = null;
 
 // ── AGENT TOOLS (Multi-Step Orchestration) ────────────────────────────────
 
-async function get_anomaly_stats(serviceInvoices) {
-    const drift = computeDriftDetection(serviceInvoices);
+async function get_anomaly_stats(serviceInvoices, windowOptions = {}) {
+    const drift = computeDriftDetection(serviceInvoices, windowOptions);
     logAnalyticProof('invoices', 'Tool: Anomaly Detection', serviceInvoices.length);
     return drift;
 }
 
-async function get_deployment_history(service, events) {
-    const history = events.filter(e => e.service === service && e.eventType === 'deployment');
+async function get_overbilling_stats(serviceInvoices, windowOptions = {}) {
+    const drift = computeDriftDetection(serviceInvoices, { ...windowOptions, direction: 'overbilling' });
+    const overbilled = serviceInvoices.filter(inv => inv.amountBilled > inv.amountExpected);
+    logAnalyticProof('invoices', 'Tool: Overbilling Detection', overbilled.length);
+    return {
+        drift,
+        overbilledCount: overbilled.length,
+        refundExposure: overbilled.reduce((s, inv) => s + invoiceOvercharge(inv), 0),
+    };
+}
+
+/**
+ * Where the spike starting on `spikeStart` lives, by region: drill-down over
+ * the first current-length window of the spike (see drilldown.js).
+ */
+async function get_spike_localization(filter, spikeStart, windowOptions = {}) {
+    if (!spikeStart) return null;
+    const currentDays = windowOptions.currentDays || DEFAULT_CURRENT_DAYS;
+    const spikeWindowEnd = `${shiftDay(spikeStart, currentDays - 1)}T23:59:59.999Z`;
+    const evaluatedAt = windowOptions.evaluatedAt && Date.parse(windowOptions.evaluatedAt) < Date.parse(spikeWindowEnd)
+        ? windowOptions.evaluatedAt
+        : spikeWindowEnd;
+    const result = await drillDown(filter, { dimensions: ['region'], baselineDays: windowOptions.baselineDays, currentDays, evaluatedAt });
+    logAnalyticProof('invoices', 'Tool: Spike Localization', result.sliceCount);
+    return { ...result.localization[0], windows: result.windows };
+}
+
+// Deployments of every service: another service's release can cause this one's incident
+async function get_deployment_history(events) {
+    const history = events.filter(e => e.eventType === 'deployment');
     logAnalyticProof('system_events', 'Tool: Deployment History', history.length);
     return history;
 }
@@ -178,19 +303,90 @@ async function forecast_loss(totalLoss) {
     };
 }
 
-async function generate_decision(culprit, drift) {
-    const actions = culprit?.confidence > 0.5
-        ? [`Roll back ${culprit.version} immediately`, "Verify pricing lookup cache"]
-        : ["Initiate cross-service telemetry audit", "Monitor transaction success rates"];
-
+// Ranked remediation from the deployment evidence (rollback.js); the verdict still follows attribution alone
+async function generate_decision(culprit, plan) {
     return {
         verdict: culprit?.confidence > 0.5 ? 'CAUSAL_LINK_CONFIRMED' : 'ANOMALY_DETECTED_UNCLEAR_CAUSE',
-        recommended_actions: actions,
+        recommended_actions: plan.actions,
         confidence: culprit?.confidence || 0
     };
 }
 
-function buildReasoningTrace(drift, culprit, totalLoss, failedTransactions, churnCount, forecast, decision) {
+// The attribution's top candidate in the shape reports and decisions use
+function culpritOf(attribution, spikeStart) {
+    const top = attribution.top;
+    return top ? {
+        service: top.deployment.service,
+        version: top.deployment.version,
+        timestamp: top.deployment.timestamp,
+        relation: top.relation,
+        confidence: top.probability,
+        classification: top.classification,
+        spikeStart,
+        lagHours: top.evidence.timing.lagHours
+    } : null;
+}
+
+/** Ranked remediation (rollback.js) from the culprit's counterfactual and the service's deployment verdicts. */
+async function get_remediation_plan({ service, serviceInvoices, history, incidentWindow, attribution, culprit, overbilling, windowOptions }) {
+    const verdicts = computeDeploymentVerdicts(serviceInvoices, history.filter(e => e.service === service), incidentWindow, attribution);
+    const culpritDeployments = culprit ? history.filter(e => e.service === culprit.service) : [];
+    const plan = recommendActions({
+        culprit,
+        deployments: history,
+        verdicts,
+        incident: incidentWindow.incident,
+        counterfactual: culprit
+            ? estimateCounterfactual(serviceInvoices, culprit, culpritDeployments, {
+                baselineDays: windowOptions.baselineDays,
+                evaluatedAt: windowOptions.evaluatedAt,
+            })
+            : null,
+        overbilling,
+        unexplained: attribution.unexplained,
+        evaluatedAt: windowOptions.evaluatedAt,
+    });
+    logAnalyticProof('system_events', 'Tool: Remediation Plan', plan.actions.length);
+    return plan;
+}
+
+// One hypothesis per billing direction, supported when that direction spiked at any point or is spiking now
+function buildDirectionHypotheses(drift, totalLoss, overbilling) {
+    const underbillingSpike = findSpikeStart(drift.dailyDrift);
+    const overbillingSpike = findSpikeStart(overbilling.drift.dailyDrift);
+    return [
+        {
+            direction: 'underbilling',
+            hypothesis: 'Customers are being billed below the expected amount (revenue leak)',
+            status: drift.spike || underbillingSpike ? 'SUPPORTED' : 'NOT_SUPPORTED',
+            evidence: {
+                spike_start: underbillingSpike,
+                current_drift_factor: drift.driftFactor,
+                z_score: drift.zScore,
+                observed_loss: formatMoney(totalLoss),
+            },
+        },
+        {
+            direction: 'overbilling',
+            hypothesis: 'Customers are being billed above the expected amount (refund exposure)',
+            status: overbilling.drift.spike || overbillingSpike ? 'SUPPORTED' : 'NOT_SUPPORTED',
+            evidence: {
+                spike_start: overbillingSpike,
+                current_drift_factor: overbilling.drift.driftFactor,
+                overbilled_invoices: overbilling.overbilledCount,
+                refund_exposure: formatMoney(overbilling.refundExposure),
+            },
+        },
+    ];
+}
+
+/**
+ * Reasoning trace entries per orchestration phase (Detect, Investigate,
+ * Correlate, Quantify, Decide), in the order the agent completes them.
+ * The full trace is their concatenation; /api/agent/analyze/stream emits
+ * each phase's entries as soon as that phase is done.
+ */
+function traceDetect(drift, overbilling, incidentWindow) {
     return [
         {
             step: "Detect (ES|QL)",
@@ -200,14 +396,50 @@ function buildReasoningTrace(drift, culprit, totalLoss, failedTransactions, chur
                 z_score: drift.zScore
             }
         },
+        {
+            step: "Detect (Overbilling)",
+            evidence: {
+                overbilled_invoices: overbilling.overbilledCount,
+                drift_factor: `${overbilling.drift.driftFactor.toFixed(1)}x`,
+                refund_exposure: formatMoney(overbilling.refundExposure)
+            }
+        },
+        {
+            step: "Locate (Change Points)",
+            evidence: {
+                resolution: incidentWindow.resolution,
+                change_points: incidentWindow.changePoints.length,
+                incident: describeIncidentWindow(incidentWindow.incident) || 'No elevated episode located'
+            }
+        }
+    ];
+}
+
+function traceInvestigate(culprit, attribution, localization) {
+    return [
         {
             step: "Investigate (Deployments)",
             evidence: {
-                candidate_deployments: culprit ? 1 : 0,
-                selected_culprit: culprit?.version || 'None',
-                causal_confidence: `${(culprit?.confidence * 100 || 0).toFixed(1)}%`
+                candidate_deployments: attribution.candidates.length,
+                selected_culprit: culprit ? `${culprit.service} ${culprit.version}` : 'None',
+                causal_confidence: `${(culprit?.confidence * 100 || 0).toFixed(1)}%`,
+                unexplained: `${(attribution.unexplained * 100).toFixed(1)}%`,
+                separation: attribution.separation?.statement || 'No deployment in the onset window'
             }
         },
+        {
+            step: "Localize (Drill-down)",
+            evidence: {
+                dimension: localization ? localization.dimension : 'region',
+                status: localization ? localization.status : 'NO_SPIKE',
+                finding: localization ? localization.statement : 'No spike to localize'
+            }
+        }
+    ];
+}
+
+function traceCorrelate(failedTransactions, churnCount) {
+    return [
         {
             step: "Correlate (Transactions)",
             evidence: {
@@ -221,108 +453,269 @@ function buildReasoningTrace(drift, culprit, totalLoss, failedTransactions, chur
                 churn_escalations: churnCount,
                 signal_alignment: "Moderate-High"
             }
-        },
+        }
+    ];
+}
+
+function traceQuantify(forecast) {
+    return [
         {
             step: "Quantify (Impact)",
             evidence: {
-                observed_loss: `$${forecast.observed_loss.toLocaleString()}`,
-                protected_arr: `$${forecast.protected_arr.toLocaleString()}`
+                observed_loss: formatMoney(forecast.observed_loss),
+                protected_arr: formatMoney(forecast.protected_arr)
             }
-        },
+        }
+    ];
+}
+
+function traceDecide(decision) {
+    return [
         {
             step: "Decide (Autonomous)",
             evidence: {
                 verdict: decision.verdict,
-                actions: decision.recommended_actions.join(', ')
+                actions: decision.recommended_actions.map(a => a.summary).join(', ')
             }
         }
     ];
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  INTELLIGENCE ENGINES
-// ═══════════════════════════════════════════════════════════════════════════
-
-// ── Statistical Drift Detection ──────────────────────────────────────────
-
-function computeDriftDetection(invoices, service = null, baselineEnd = '2026-02-10', driftThreshold = 3.0) {
-    const filtered = service ? invoices.filter(inv => inv.service === service) : invoices;
-
-    // Group by day
-    const byDay = {};
-    filtered.forEach(inv => {
-        const day = inv.timestamp.slice(0, 10);
-        if (!byDay[day]) byDay[day] = { total: 0, anomalies: 0 };
-        byDay[day].total++;
-        if (inv.amountBilled < inv.amountExpected) byDay[day].anomalies++;
-    });
-
-    // Baseline period (before faulty deployment)
-    const baselineDays = Object.entries(byDay)
-        .filter(([day]) => day < baselineEnd)
-        .map(([, v]) => v.anomalies / v.total);
-
-    const baselineRate = baselineDays.length > 0
-        ? baselineDays.reduce((s, r) => s + r, 0) / baselineDays.length
-        : 0;
-
-    // Current period (most recent 3 days)
-    const sortedDays = Object.keys(byDay).sort();
-    const recentDays = sortedDays.slice(-3);
-    const recentRates = recentDays.map(d => byDay[d].anomalies / byDay[d].total);
-    const currentRate = recentRates.length > 0
-        ? recentRates.reduce((s, r) => s + r, 0) / recentRates.length
-        : 0;
-
-    const driftFactor = baselineRate > 0 ? currentRate / baselineRate : 0;
-    const spike = driftFactor > driftThreshold;
-
-    // Forensic signal: Statistical significance
-    // (Simple sigma calculation for hackathon: check if drift is > 2x baseline variance)
-    const variance = baselineDays.length > 1
-        ? baselineDays.reduce((s, r) => s + Math.pow(r - baselineRate, 2), 0) / (baselineDays.length - 1)
-        : 0.0001;
-    const stdDev = Math.sqrt(variance);
-    const zScore = stdDev > 0 ? (currentRate - baselineRate) / stdDev : 0;
-    const statistical_significance = zScore > 3.0 ? 'HIGH_SIGNAL' : (zScore > 2.0 ? 'MODERATE' : 'NOISE');
-
-    // Per-day history
-    const dailyDrift = sortedDays.map(day => ({
-        date: day,
-        anomalyRate: parseFloat((byDay[day].anomalies / byDay[day].total * 100).toFixed(2)),
-        driftFactor: baselineRate > 0
-            ? parseFloat(((byDay[day].anomalies / byDay[day].total) / baselineRate).toFixed(2))
-            : 0,
-    }));
+// ── Investigator Tools (JSON schemas for investigator.js) ────────────────
+
+const SCOPE_PROPERTIES = {
+    service: { type: 'string', description: 'Service to investigate, e.g. billing-service. Defaults to the service in scope.' },
+    from: { type: 'string', description: 'Window start: ISO date/timestamp or relative (now-7d). Defaults to the window in scope.' },
+    to: { type: 'string', description: 'Window end: ISO date/timestamp or relative. Defaults to the window in scope.' },
+};
+// `services` known to the data become the service enum, so a model cannot scope to a made-up one
+function scopeSchema(extra = {}, services = []) {
+    const properties = { ...SCOPE_PROPERTIES, ...extra };
+    if (services.length > 0) properties.service = { ...properties.service, enum: services };
+    return { type: 'object', properties, required: [] };
+}
 
-    return {
-        baselineRate: parseFloat((baselineRate * 100).toFixed(2)),
-        currentRate: parseFloat((currentRate * 100).toFixed(2)),
-        driftFactor: parseFloat(driftFactor.toFixed(2)),
-        stdDev: parseFloat((stdDev * 100).toFixed(4)),
-        zScore: parseFloat(zScore.toFixed(2)),
-        statistical_significance,
-        spike,
-        threshold: driftThreshold,
-        dailyDrift,
+/**
+ * The agent tools above as { name, description, parameters, handler } for
+ * the tool-calling investigator. `defaults` ({ service, from, to,
+ * driftOptions, region, services }) fill omitted arguments; `region` narrows
+ * the invoices of every tool and `services` lists the valid service names. Data for one service + window is fetched once per
+ * investigation. Every handler returns a one-line `summary` alongside its
+ * figures.
+ */
+function buildInvestigatorTools(defaults) {
+    const schema = extra => scopeSchema(extra, defaults.services || []);
+    const scopes = new Map();
+    const scopeOf = (args = {}) => {
+        const service = args.service || defaults.service;
+        const range = parseTimeRange({ from: args.from || defaults.from, to: args.to || defaults.to });
+        if (range.error) return Promise.reject(new Error(range.error));
+        const region = defaults.region || null;
+        const key = `${service}|${region}|${range.from}|${range.to}`;
+        if (!scopes.has(key)) {
+            scopes.set(key, (async () => {
+                const window = { from: range.from, to: range.to };
+                const [serviceInvoices, events, transactions, churn] = await Promise.all([
+                    getInvoices({ service, region, ...window }),
+                    getEvents(window),
+                    getTransactions(window),
+                    getChurn(window),
+                ]);
+                const windowOptions = {
+                    ...defaults.driftOptions,
+                    evaluatedAt: resolveEvaluationTime(range, summarizeInvoices(serviceInvoices, 'day')),
+                };
+                const drift = computeDriftDetection(serviceInvoices, windowOptions);
+                const incidentWindow = computeIncidentWindow(serviceInvoices, windowOptions);
+                const spikeStart = incidentWindow.incident
+                    ? incidentWindow.incident.onset.timestamp.slice(0, 10)
+                    : findSpikeStart(drift.dailyDrift);
+                return { service, region, window, serviceInvoices, events, transactions, churn, windowOptions, incidentWindow, spikeStart };
+            })());
+        }
+        return scopes.get(key);
+    };
+    const attributionOf = async scope => {
+        const history = await get_deployment_history(scope.events);
+        return { history, attribution: computeAttribution(scope.serviceInvoices, history, scope.service, scope.incidentWindow, scope.spikeStart) };
     };
-}
 
-function findSpikeStart(dailyDrift, threshold = 2.0) {
-    const spike = dailyDrift.find(d => d.driftFactor > threshold);
-    return spike ? spike.date : null;
+    return [
+        {
+            name: 'get_anomaly_stats',
+            description: 'Anomaly rate of the current window against its baseline (drift factor, z-score, spike flag) for one billing direction. Overbilling also reports refund exposure.',
+            parameters: schema({ direction: { type: 'string', enum: Object.keys(DIRECTIONS), description: 'underbilling (lost revenue, default) or overbilling (refund exposure)' } }),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const direction = args.direction || 'underbilling';
+                const overbilling = direction === 'overbilling' ? await get_overbilling_stats(scope.serviceInvoices, scope.windowOptions) : null;
+                const drift = overbilling ? overbilling.drift : await get_anomaly_stats(scope.serviceInvoices, scope.windowOptions);
+                return {
+                    summary: `${scope.service} ${direction} rate ${drift.currentRate}% vs ${drift.baselineRate}% baseline (drift ${drift.driftFactor}x, ${drift.statistical_significance})`
+                        + (overbilling ? `; ${overbilling.overbilledCount} overbilled invoices, ${formatMoney(overbilling.refundExposure)} refund exposure` : ''),
+                    service: scope.service,
+                    direction,
+                    currentRate: drift.currentRate,
+                    baselineRate: drift.baselineRate,
+                    driftFactor: drift.driftFactor,
+                    zScore: drift.zScore,
+                    significance: drift.statistical_significance,
+                    spike: drift.spike,
+                    spikeStart: findSpikeStart(drift.dailyDrift),
+                    windows: drift.windows,
+                    ...(overbilling ? { overbilledInvoices: overbilling.overbilledCount, refundExposure: parseFloat(overbilling.refundExposure.toFixed(2)) } : {}),
+                };
+            },
+        },
+        {
+            name: 'get_incident_window',
+            description: 'When the incident started and recovered, from change points on hourly anomaly rates, with credible intervals and duration.',
+            parameters: schema(),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const { incident } = scope.incidentWindow;
+                logAnalyticProof('invoices', 'Tool: Incident Window', scope.serviceInvoices.length);
+                return {
+                    summary: incident
+                        ? `${scope.service} incident ${incident.status}: onset ${incident.onset.timestamp}`
+                            + (incident.recovery ? `, recovery ${incident.recovery.timestamp} after ${incident.duration.hours}h` : ', not recovered yet')
+                            + ` (rate ${incident.baselineRate}% → ${incident.peakRate}%)`
+                        : `No incident located for ${scope.service}`,
+                    service: scope.service,
+                    incident,
+                };
+            },
+        },
+        {
+            name: 'get_deployment_history',
+            description: 'Deployments of every service (or one service) in the window, oldest first.',
+            parameters: schema({ service: { type: 'string', description: 'Only this service\'s deployments. Omit for all services.' } }),
+            handler: async args => {
+                const scope = await scopeOf({ ...args, service: defaults.service });
+                const deployments = (await get_deployment_history(scope.events))
+                    .filter(e => !args.service || e.service === args.service)
+                    .map(e => ({ service: e.service, version: e.version, timestamp: e.timestamp, type: e.deployment_type || null }));
+                return {
+                    summary: `${deployments.length} deployments: ${deployments.map(d => `${d.service} ${d.version} (${d.timestamp.slice(0, 10)})`).join(', ')}`,
+                    deployments,
+                };
+            },
+        },
+        {
+            name: 'attribute_incident',
+            description: 'Which deployment, of any service, most likely caused the incident: probabilities over all candidates plus an unexplained share.',
+            parameters: schema(),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const { attribution } = await attributionOf(scope);
+                const top = attribution.top;
+                return {
+                    summary: top
+                        ? `${top.deployment.service} ${top.deployment.version} has ${(top.probability * 100).toFixed(1)}% attribution probability (${top.classification}); ${attribution.separation.statement}`
+                        : `No deployment explains the ${scope.service} incident (${(attribution.unexplained * 100).toFixed(1)}% unexplained)`,
+                    candidates: attribution.candidates.slice(0, 5).map(c => ({
+                        service: c.deployment.service,
+                        version: c.deployment.version,
+                        timestamp: c.deployment.timestamp,
+                        relation: c.relation,
+                        probability: c.probability,
+                        classification: c.classification,
+                    })),
+                    unexplained: attribution.unexplained,
+                };
+            },
+        },
+        {
+            name: 'get_spike_localization',
+            description: 'Which region drives the spike, from a drill-down over its first window.',
+            parameters: schema(),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const localization = await get_spike_localization({ service: scope.service, region: scope.region, ...scope.window }, scope.spikeStart, scope.windowOptions);
+                return localization
+                    ? { summary: `${scope.service} spike is ${localization.statement}`, status: localization.status, values: localization.values }
+                    : { summary: `No spike to localize for ${scope.service}` };
+            },
+        },
+        {
+            name: 'get_transaction_failures',
+            description: 'Failed payment transactions since the spike started (or since `since`).',
+            parameters: schema({ since: { type: 'string', description: 'ISO date to count from. Defaults to the spike start.' } }),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const since = args.since || scope.spikeStart;
+                const failed = await get_transaction_failures(scope.transactions, since);
+                return { summary: `${failed} failed transactions since ${since || 'no spike'}`, since, failedTransactions: failed };
+            },
+        },
+        {
+            name: 'get_churn_risk',
+            description: 'Churn events since the spike started (or since `since`).',
+            parameters: schema({ since: { type: 'string', description: 'ISO date to count from. Defaults to the spike start.' } }),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const since = args.since || scope.spikeStart;
+                const churnEvents = await get_churn_risk(scope.churn, since);
+                return { summary: `${churnEvents} churn events since ${since || 'no spike'}`, since, churnEvents };
+            },
+        },
+        {
+            name: 'forecast_loss',
+            description: 'Observed underbilling loss in the window with monthly and annualized projections.',
+            parameters: schema(),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const forecast = await forecast_loss(scope.serviceInvoices.reduce((s, inv) => s + invoiceLoss(inv), 0));
+                return {
+                    summary: `${scope.service} observed loss ${formatMoney(forecast.observed_loss)}, ${formatMoney(forecast.monthly_projection)} monthly projection, ${formatMoney(forecast.annualized_risk)} annualized risk`,
+                    currency: getReportingCurrency(),
+                    ...Object.fromEntries(Object.entries(forecast).map(([k, v]) => [k, parseFloat(v.toFixed(2))])),
+                };
+            },
+        },
+        {
+            name: 'recommend_actions',
+            description: 'Ranked remediation actions (rollback, verify fix, re-bill, refund, investigate) with rollback pre-checks and the last known-good version.',
+            parameters: schema(),
+            handler: async args => {
+                const scope = await scopeOf(args);
+                const { history, attribution } = await attributionOf(scope);
+                const overbilling = await get_overbilling_stats(scope.serviceInvoices, scope.windowOptions);
+                const plan = await get_remediation_plan({
+                    ...scope,
+                    history,
+                    attribution,
+                    culprit: culpritOf(attribution, scope.spikeStart),
+                    overbilling,
+                });
+                const first = plan.actions[0];
+                return {
+                    summary: first ? `Top action: ${first.summary} (${first.priority}, ${first.status})` : 'No actions recommended',
+                    actions: plan.actions.map(({ rank, type, priority, status, summary, expectedImpact }) => ({ rank, type, priority, status, summary, expectedImpact })),
+                    lastKnownGood: plan.lastKnownGood,
+                    preChecks: plan.preChecks,
+                };
+            },
+        },
+    ];
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+//  INTELLIGENCE ENGINES
+//  (evaluation windows + drift: drift_engine.js, alert rules: alert_engine.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
 // ── Exponential Deployment Recency ───────────────────────────────────────
 
-function computeRecencyFactor(deploymentTimestamp, decayConstant = 7) {
-    const now = new Date('2026-02-21T23:59:59Z'); // end of dataset
+function computeRecencyFactor(deploymentTimestamp, evaluatedAt, decayConstant = 7) {
+    const now = new Date(evaluatedAt);
     const deployDate = new Date(deploymentTimestamp);
     const daysSince = (now - deployDate) / (1000 * 60 * 60 * 24);
     const factor = Math.exp(-daysSince / decayConstant);
 
     return {
         daysSinceDeployment: parseFloat(daysSince.toFixed(1)),
+        evaluatedAt,
         decayConstant,
         recencyFactor: parseFloat(factor.toFixed(4)),
     };
@@ -330,10 +723,35 @@ function computeRecencyFactor(deploymentTimestamp, decayConstant = 7) {
 
 // ── Confidence Scorer ────────────────────────────────────────────────────
 
-function computeConfidence(invoices, service, deploymentDate) {
+/**
+ * Incident window of one service's invoices (change_points.js): hourly
+ * buckets up to the evaluation time. Computed once and passed to
+ * computeConfidence when scoring several deployments of the same service.
+ */
+function computeIncidentWindow(serviceInvoices, driftOptions = {}) {
+    return locateIncidentWindow(summarizeInvoices(serviceInvoices, 'hour'), { evaluatedAt: driftOptions.evaluatedAt });
+}
+
+/**
+ * Which deployment, of any service, most likely caused `service`'s incident
+ * (causal_attribution.js). Scored on 5-minute buckets so deployments minutes
+ * apart are judged on different invoices.
+ */
+function computeAttribution(serviceInvoices, deployments, service, incidentWindow, spikeStart) {
+    return attributeIncident(summarizeInvoices(serviceInvoices, '5m'), deployments, { service, incidentWindow, spikeStart });
+}
+
+/** FIX / REGRESSION / NEUTRAL verdicts for a service's own deployments (causal_attribution.js). */
+function computeDeploymentVerdicts(serviceInvoices, deployments, incidentWindow, attribution) {
+    return judgeDeployments(summarizeInvoices(serviceInvoices, '5m'), deployments, { incidentWindow, attribution });
+}
+
+function computeConfidence(invoices, service, deploymentDate, driftOptions = {}, incidentWindow = null) {
     const serviceInvoices = invoices.filter(inv => inv.service === service);
-    const drift = computeDriftDetection(serviceInvoices);
-    const spikeStart = findSpikeStart(drift.dailyDrift);
+    const drift = computeDriftDetection(serviceInvoices, driftOptions);
+    const located = incidentWindow || computeIncidentWindow(serviceInvoices, driftOptions);
+    const incident = located.incident;
+    const spikeStart = incident ? incident.onset.timestamp.slice(0, 10) : findSpikeStart(drift.dailyDrift);
 
     const before = serviceInvoices.filter(inv => inv.timestamp < deploymentDate);
     const after = serviceInvoices.filter(inv => inv.timestamp >= deploymentDate);
@@ -345,8 +763,22 @@ function computeConfidence(invoices, service, deploymentDate) {
     const rateAfter = after.length > 0 ? anomaliesAfter / after.length : 0;
 
     // Temporal Causality Logic: f(anomaly_start_time, deployment_time)
+    // Hours from the deployment to the change-point onset; an onset interval that
+    // contains the deployment counts as aligned. An hour-precise onset needs less
+    // slack than calendar days, so the lagged window is 48h rather than 3 days.
+    // Day granularity without a change point.
     let temporalScore = 0;
-    if (spikeStart) {
+    let lagHours = null;
+    if (incident) {
+        const hoursFrom = ts => (new Date(ts) - new Date(deploymentDate)) / (1000 * 60 * 60);
+        lagHours = parseFloat(hoursFrom(incident.onset.timestamp).toFixed(1));
+        const { from, to } = incident.onset.interval;
+        // Scores: within the onset interval or 0-24h = 1.0, 24-48h = 0.7, onset entirely before = -0.5
+        if (hoursFrom(from) <= 0 && hoursFrom(to) >= 0) temporalScore = 1.0;
+        else if (lagHours >= 0 && lagHours <= 24) temporalScore = 1.0;
+        else if (lagHours > 24 && lagHours <= 48) temporalScore = 0.7;
+        else if (hoursFrom(to) < 0) temporalScore = -0.5; // Lead indicator (coincidence)
+    } else if (spikeStart) {
         const diffDays = (new Date(spikeStart) - new Date(deploymentDate.slice(0, 10))) / (1000 * 60 * 60 * 24);
         // Scores: 0-1 days = 1.0, 2 days = 0.8, 3 days = 0.5, else decaying
         if (diffDays >= 0 && diffDays <= 1) temporalScore = 1.0;
@@ -372,6 +804,10 @@ function computeConfidence(invoices, service, deploymentDate) {
         classification,
         temporalScore,
         spikeStart,
+        onset: incident ? incident.onset : null,
+        recovery: incident ? incident.recovery : null,
+        lagHours,
+        resolution: located.resolution,
         rateBefore: parseFloat((rateBefore * 100).toFixed(2)),
         rateAfter: parseFloat((rateAfter * 100).toFixed(2)),
     };
@@ -379,13 +815,13 @@ function computeConfidence(invoices, service, deploymentDate) {
 
 // ── Normalized Composite Risk Model ──────────────────────────────────────
 
-function computeRiskScore(invoices, events) {
-    const totalInvoices = invoices.length;
-    const anomalies = invoices.filter(inv => inv.amountBilled < inv.amountExpected);
-    const anomalyRate = totalInvoices > 0 ? anomalies.length / totalInvoices : 0;
+// `totals` is an invoice metrics bucket ({ total, anomalies, expected, billed })
+function computeRiskScore(totals, events, evaluatedAt) {
+    const totalInvoices = totals.total;
+    const anomalyRate = totalInvoices > 0 ? totals.anomalies / totalInvoices : 0;
 
-    const totalExpected = invoices.reduce((s, inv) => s + inv.amountExpected, 0);
-    const totalBilled = invoices.reduce((s, inv) => s + inv.amountBilled, 0);
+    const totalExpected = totals.expected;
+    const totalBilled = totals.billed;
     const totalLoss = totalExpected - totalBilled;
     const lossRatio = totalExpected > 0 ? totalLoss / totalExpected : 0;
 
@@ -396,8 +832,8 @@ function computeRiskScore(invoices, events) {
 
     const latestDeployment = deployments[0];
     const recency = latestDeployment
-        ? computeRecencyFactor(latestDeployment.timestamp)
-        : { recencyFactor: 0, daysSinceDeployment: 999 };
+        ? computeRecencyFactor(latestDeployment.timestamp, evaluatedAt)
+        : { recencyFactor: 0, daysSinceDeployment: 999, evaluatedAt };
 
     // Normalize anomaly rate (cap at 1.0, scale so 50% = 1.0)
     const anomalyRateNorm = Math.min(anomalyRate * 2, 1.0);
@@ -437,6 +873,139 @@ function computeRiskScore(invoices, events) {
     };
 }
 
+// ── Currency Breakdown ───────────────────────────────────────────────────
+
+// Per-currency rows from aggregateInvoices(filter, 'currency'): original and converted amounts
+function buildCurrencyBreakdown(buckets) {
+    const currency = getReportingCurrency();
+    const totalLoss = buckets.reduce((s, b) => s + b.loss, 0);
+    return buckets
+        .map(b => ({
+            currency: b.key,
+            invoiceCount: b.total,
+            anomalyCount: b.anomalies,
+            overbilledCount: b.overbilled,
+            native: b.native,
+            converted: { currency, expected: b.expected, billed: b.billed, loss: b.loss, overcharge: b.overcharge },
+            shareOfLoss: totalLoss > 0 ? parseFloat((b.loss / totalLoss * 100).toFixed(2)) : 0,
+        }))
+        .sort((a, b) => b.converted.loss - a.converted.loss);
+}
+
+// ── Billing Directions ───────────────────────────────────────────────────
+
+// Largest anomalies of one direction, converted; original amounts kept alongside
+function describeTopInvoices(invoices, direction) {
+    const underbilling = direction === 'underbilling';
+    const amountOf = underbilling ? invoiceLoss : invoiceOvercharge;
+    return invoices
+        .map(inv => ({
+            invoiceId: inv.invoiceId,
+            customerId: inv.customerId,
+            service: inv.service,
+            region: inv.region,
+            [underbilling ? 'loss' : 'overcharge']: parseFloat(amountOf(inv).toFixed(2)),
+            original: {
+                currency: inv.currency,
+                amountExpected: inv.amountExpected,
+                amountBilled: inv.amountBilled,
+                [underbilling ? 'loss' : 'overcharge']: parseFloat(Math.abs(inv.amountExpected - inv.amountBilled).toFixed(2)),
+            },
+            timestamp: inv.timestamp,
+        }));
+}
+
+// One direction of /api/anomalies: counts, money at stake, drift and the largest invoices
+function buildDirectionSummary(totals, direction, drift, invoices) {
+    const underbilling = direction === 'underbilling';
+    const count = underbilling ? totals.anomalies : totals.overbilled;
+    const amount = underbilling ? totals.loss : totals.overcharge;
+
+    return {
+        direction,
+        count,
+        rate: totals.total > 0 ? parseFloat((count / totals.total * 100).toFixed(2)) : 0,
+        ...(underbilling
+            ? { revenueLoss: parseFloat(amount.toFixed(2)) }
+            : { refundExposure: parseFloat(amount.toFixed(2)) }),
+        drift,
+        topInvoices: describeTopInvoices(invoices, direction),
+    };
+}
+
+// ── Incident Filing ──────────────────────────────────────────────────────
+
+function activeAlertFingerprints(service) {
+    return listAlerts(ACTIVE_ALERT_STATES)
+        .filter(alert => alert.scope && alert.scope.service === service)
+        .map(alert => alert.fingerprint);
+}
+
+/**
+ * File a report under its incident (service + spike window) and stamp the
+ * incident and report ids into `report.metadata`. Without a spike there is no
+ * incident: the ids stay null and nothing is stored.
+ * Returns { incident, repeated } or null.
+ */
+function fileIncidentReport(source, report, { service, spikeStart, ...fields }) {
+    if (!spikeStart) return null;
+    const { incident, reportId, repeated } = recordIncidentReport({
+        service,
+        spikeStart,
+        source,
+        report,
+        linkedAlerts: activeAlertFingerprints(service),
+        ...fields,
+    });
+    report.metadata.id = incident.id;
+    report.metadata.reportId = reportId;
+    report.metadata.incidentStatus = incident.status;
+    return { incident, repeated };
+}
+
+// ── Outbound Notifications ───────────────────────────────────────────────
+
+// Deliveries run in the background; a slow webhook never delays a response
+function dispatchNotification(notification, options) {
+    notify(notification, options).catch(err => console.warn(`⚠️  Notification dispatch failed: ${err.message}`));
+}
+
+setTransitionListener((alert, from, to) => {
+    const opened = to === 'firing' && (from === null || from === 'resolved');
+    if (!opened && to !== 'resolved') return;
+
+    const rule = getRule(alert.ruleId);
+    dispatchNotification({
+        event: opened ? 'alert.opened' : 'alert.resolved',
+        summary: `${opened ? 'Alert opened' : 'Alert resolved'}: ${alert.message}`,
+        severity: alert.severity,
+        fields: {
+            Service: alert.service,
+            Rule: alert.ruleId,
+            Metric: `${alert.metricName} = ${alert.metric} (threshold ${alert.comparator} ${alert.threshold})`,
+            'First seen': alert.firstSeen,
+        },
+        data: alert,
+    }, { route: rule && rule.notify ? rule.notify : null });
+});
+
+function notifyVerdict(report, culprit) {
+    const { service, id } = report.metadata;
+    dispatchNotification({
+        event: 'verdict.causal_link_confirmed',
+        summary: `Causal link confirmed in ${service}: ${culprit.service} ${culprit.version} (${(culprit.confidence * 100).toFixed(1)}% confidence)`,
+        severity: 'CRITICAL',
+        fields: {
+            Service: service,
+            Deployment: `${culprit.service} ${culprit.version} @ ${culprit.timestamp}`,
+            'Observed loss': formatMoney(report.financial_impact.observed_loss, report.financial_impact.currency),
+            Incident: id || 'n/a',
+            Actions: report.recommended_actions.map(a => a.summary).join('; '),
+        },
+        data: { incidentId: id, reportId: report.metadata.reportId, service, verdict: report.verdict, culprit, financial_impact: report.financial_impact },
+    });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  API ENDPOINTS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -460,52 +1029,76 @@ app.get('/api/health', async (req, res) => {
 app.get('/api/anomalies', async (req, res) => {
     try {
         const service = req.query.service || null;
-        const invoices = getInvoices();
-        const filtered = service ? invoices.filter(inv => inv.service === service) : invoices;
-
-        const anomalies = filtered.filter(inv => inv.amountBilled < inv.amountExpected);
-        const totalInvoices = filtered.length;
-        const anomalyCount = anomalies.length;
-        const anomalyRate = totalInvoices > 0 ? (anomalyCount / totalInvoices * 100) : 0;
-
-        // Statistical drift detection
-        const drift = computeDriftDetection(invoices, service);
-
-        // Top anomalies (largest losses)
-        const topAnomalies = anomalies
-            .map(inv => ({
-                invoiceId: inv.invoiceId,
-                customerId: inv.customerId,
-                service: inv.service,
-                region: inv.region,
-                amountExpected: inv.amountExpected,
-                amountBilled: inv.amountBilled,
-                loss: parseFloat((inv.amountExpected - inv.amountBilled).toFixed(2)),
-                timestamp: inv.timestamp,
-            }))
-            .sort((a, b) => b.loss - a.loss)
-            .slice(0, 50);
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const filter = { service, from: range.from, to: range.to };
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const detection = parseDetectorOptions(req.query);
+        if (detection.error) return res.status(400).json({ error: detection.error });
+        const direction = req.query.direction || 'underbilling';
+        if (!DIRECTIONS[direction]) {
+            return res.status(400).json({ error: `Unknown direction '${direction}'. Expected ${Object.keys(DIRECTIONS).join(' or ')}.` });
+        }
+        const bucketing = parseInterval(req.query.interval);
+        if (bucketing.error) return res.status(400).json({ error: bucketing.error });
+
+        // Drift and detectors run over buckets of the requested interval
+        const [totals, daily, underbilled, overbilled] = await Promise.all([
+            aggregateInvoiceTotals(filter),
+            aggregateInvoices(filter, bucketing.groupBy),
+            getTopAnomalies(filter, 50, 'underbilling'),
+            getTopAnomalies(filter, 50, 'overbilling'),
+        ]);
+        const totalInvoices = totals.total;
+
+        // Statistical drift detection, per direction
+        const evaluatedAt = resolveEvaluationTime(range, daily);
+        const drift = computeDirectionalDrift(daily, { ...driftOptions, evaluatedAt });
+
+        // Pluggable detectors over the chosen metric: which model flags which bucket
+        const detectors = runDetectors(detection.detectors, daily, { ...driftOptions, evaluatedAt, metric: detection.metric, direction });
+
+        const underbilling = buildDirectionSummary(totals, 'underbilling', drift.underbilling, underbilled);
+        const overbilling = buildDirectionSummary(totals, 'overbilling', drift.overbilling, overbilled);
 
         res.json({
+            // Underbilling at the top level, as before
             totalInvoices,
-            anomalyCount,
-            anomalyRate: parseFloat(anomalyRate.toFixed(2)),
-            drift,
-            topAnomalies,
-            filter: { service: service || 'all' },
+            anomalyCount: underbilling.count,
+            anomalyRate: underbilling.rate,
+            drift: drift.underbilling,
+            currency: getReportingCurrency(),
+            topAnomalies: underbilling.topInvoices,
+            byDirection: { underbilling, overbilling },
+            detection: detectors,
+            interval: bucketing.interval,
+            filter: { service: service || 'all', from: range.from, to: range.to },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// Detectors /api/anomalies can run, their parameters and the default per metric
+app.get('/api/anomalies/detectors', (req, res) => {
+    res.json(describeDetectors());
+});
+
 // ── 3. Deployment Impact ─────────────────────────────────────────────────
 
 app.get('/api/deployment-impact', async (req, res) => {
     try {
         const service = req.query.service || 'billing-service';
-        const invoices = getInvoices();
-        const events = getEvents();
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const filter = { service, from: range.from, to: range.to };
+        // Events of every service: other services' deployments compete in the attribution
+        const [serviceInvoices, events] = await Promise.all([getInvoices(filter), getEvents({ from: range.from, to: range.to })]);
+        const evaluatedAt = resolveEvaluationTime(range, summarizeInvoices(serviceInvoices, 'day'));
+        const windowOptions = { ...driftOptions, evaluatedAt };
 
         // Find deployments for this service
         const deployments = events
@@ -515,11 +1108,14 @@ app.get('/api/deployment-impact', async (req, res) => {
         if (deployments.length === 0) {
             return res.json({ error: `No deployments found for ${service}` });
         }
-
-        const serviceInvoices = invoices.filter(inv => inv.service === service);
+        const incidentWindow = computeIncidentWindow(serviceInvoices, windowOptions);
+        const attribution = computeAttribution(serviceInvoices, events, service, incidentWindow,
+            findSpikeStart(computeDriftDetection(serviceInvoices, windowOptions).dailyDrift));
+        const attributed = dep => attribution.candidates.find(c => c.deployment.service === dep.service && c.deployment.timestamp === dep.timestamp);
+        const verdicts = computeDeploymentVerdicts(serviceInvoices, deployments, incidentWindow, attribution);
 
         // Analyze each deployment with causal rigor
-        const impactAnalysis = deployments.map(dep => {
+        const impactAnalysis = deployments.map((dep, i) => {
             const depTime = dep.timestamp;
             const before = serviceInvoices.filter(inv => inv.timestamp < depTime);
             const after = serviceInvoices.filter(inv => inv.timestamp >= depTime);
@@ -527,15 +1123,15 @@ app.get('/api/deployment-impact', async (req, res) => {
             const anomaliesBefore = before.filter(inv => inv.amountBilled < inv.amountExpected);
             const anomaliesAfter = after.filter(inv => inv.amountBilled < inv.amountExpected);
 
-            const lossBefore = anomaliesBefore.reduce((s, inv) => s + (inv.amountExpected - inv.amountBilled), 0);
-            const lossAfter = anomaliesAfter.reduce((s, inv) => s + (inv.amountExpected - inv.amountBilled), 0);
+            const lossBefore = anomaliesBefore.reduce((s, inv) => s + invoiceLoss(inv), 0);
+            const lossAfter = anomaliesAfter.reduce((s, inv) => s + invoiceLoss(inv), 0);
 
             const rateBefore = before.length > 0 ? anomaliesBefore.length / before.length : 0;
             const rateAfter = after.length > 0 ? anomaliesAfter.length / after.length : 0;
 
             // Forensic temporal alignment check
             // Find when the spike actually started (first day where drift > 2x)
-            const drift = computeDriftDetection(serviceInvoices, null);
+            const drift = computeDriftDetection(serviceInvoices, windowOptions);
             const spikeStart = drift.dailyDrift.find(d => d.driftFactor > 2.0)?.date;
             const depDate = depTime.slice(0, 10);
 
@@ -549,8 +1145,8 @@ app.get('/api/deployment-impact', async (req, res) => {
             }
 
             // Confidence for this specific deployment
-            const confidence = computeConfidence(invoices, service, depTime);
-            const recency = computeRecencyFactor(depTime);
+            const confidence = computeConfidence(serviceInvoices, service, depTime, windowOptions, incidentWindow);
+            const recency = computeRecencyFactor(depTime, evaluatedAt);
 
             return {
                 deployment: {
@@ -565,6 +1161,7 @@ app.get('/api/deployment-impact', async (req, res) => {
                     spike_detected: !!spikeStart,
                     observed_spike_start: spikeStart,
                     alignment_status: alignmentStatus,
+                    onset_lag_hours: confidence.lagHours,
                 },
                 before: {
                     invoiceCount: before.length,
@@ -579,6 +1176,15 @@ app.get('/api/deployment-impact', async (req, res) => {
                     revenueLoss: parseFloat(lossAfter.toFixed(2)),
                 },
                 confidence,
+                attributedProbability: attributed(dep) ? attributed(dep).probability : 0,
+                verdict: verdicts[i].verdict,
+                recoveryConfidence: verdicts[i].recoveryConfidence,
+                timeToRecover: verdicts[i].timeToRecover,
+                // Pre-deploy baseline projected onto post-deploy volume: attributable vs background loss
+                counterfactual: estimateCounterfactual(serviceInvoices, dep, deployments, {
+                    baselineDays: windowOptions.baselineDays,
+                    evaluatedAt,
+                }),
                 recency,
             };
         });
@@ -586,7 +1192,12 @@ app.get('/api/deployment-impact', async (req, res) => {
         res.json({
             service,
             deploymentCount: deployments.length,
+            currency: getReportingCurrency(),
             deployments: impactAnalysis,
+            incidentWindow,
+            attribution,
+            windows: computeDriftDetection(serviceInvoices, windowOptions).windows,
+            filter: { service, from: range.from, to: range.to },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -598,17 +1209,22 @@ app.get('/api/deployment-impact', async (req, res) => {
 app.get('/api/risk-score', async (req, res) => {
     try {
         const service = req.query.service || null;
-        const invoices = getInvoices();
-        const events = getEvents();
-
-        const filteredInvoices = service ? invoices.filter(inv => inv.service === service) : invoices;
-        const filteredEvents = service ? events.filter(e => e.service === service) : events;
-
-        const risk = computeRiskScore(filteredInvoices, filteredEvents);
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const filter = { service, from: range.from, to: range.to };
+        const [totals, daily, events] = await Promise.all([
+            aggregateInvoiceTotals(filter),
+            aggregateInvoices(filter, 'day'),
+            getEvents(filter),
+        ]);
+
+        const evaluatedAt = resolveEvaluationTime(range, daily);
+        const risk = computeRiskScore(totals, events, evaluatedAt);
 
         res.json({
             ...risk,
-            filter: { service: service || 'all' },
+            windows: { evaluatedAt },
+            filter: { service: service || 'all', from: range.from, to: range.to },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -620,36 +1236,38 @@ app.get('/api/risk-score', async (req, res) => {
 app.get('/api/financial-loss', async (req, res) => {
     try {
         const service = req.query.service || null;
-        const invoices = getInvoices();
-        const filtered = service ? invoices.filter(inv => inv.service === service) : invoices;
-
-        const anomalies = filtered.filter(inv => inv.amountBilled < inv.amountExpected);
-
-        const totalLoss = anomalies.reduce((s, inv) => s + (inv.amountExpected - inv.amountBilled), 0);
-        const avgLoss = anomalies.length > 0 ? totalLoss / anomalies.length : 0;
-
-        // CFO-Level Projections
-        const monthlyLoss = totalLoss / 21 * 30;
-        const annualizedLoss = totalLoss / 21 * 365;
-        const totalExpected = filtered.reduce((s, inv) => s + inv.amountExpected, 0);
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const bucketing = parseInterval(req.query.interval);
+        if (bucketing.error) return res.status(400).json({ error: bucketing.error });
+        const filter = { service, from: range.from, to: range.to };
+        const [totals, daily, currencyBuckets] = await Promise.all([
+            aggregateInvoiceTotals(filter),
+            aggregateInvoices(filter, bucketing.groupBy),
+            aggregateInvoices(filter, 'currency'),
+        ]);
+
+        const totalLoss = totals.loss;
+        const avgLoss = totals.anomalies > 0 ? totalLoss / totals.anomalies : 0;
+
+        // CFO-Level Projections (daily run-rate over the observed span)
+        const observation = computeObservationWindow(range, daily, resolveEvaluationTime(range, daily));
+        const monthlyLoss = totalLoss / observation.days * 30;
+        const annualizedLoss = totalLoss / observation.days * 365;
+        const totalExpected = totals.expected;
         const revenueAtRiskPercentage = totalExpected > 0 ? (totalLoss / totalExpected * 100) : 0;
 
-        // Loss trend by day
-        const byDay = {};
-        anomalies.forEach(inv => {
-            const day = inv.timestamp.slice(0, 10);
-            if (!byDay[day]) byDay[day] = 0;
-            byDay[day] += (inv.amountExpected - inv.amountBilled);
-        });
-
-        const lossTrend = Object.entries(byDay)
-            .sort(([a], [b]) => a.localeCompare(b))
-            .map(([date, loss]) => ({
-                date,
-                loss: parseFloat(loss.toFixed(2)),
+        // Loss trend per interval bucket (buckets without underbilling are omitted)
+        const lossTrend = daily
+            .filter(d => d.anomalies > 0)
+            .map(d => ({
+                date: d.key,
+                timestamp: bucketStart(d.key),
+                loss: d.loss,
             }));
 
         res.json({
+            currency: getReportingCurrency(),
             financialLoss: {
                 totalLoss: parseFloat(totalLoss.toFixed(2)),
                 observed_loss: parseFloat(totalLoss.toFixed(2)), // Keep for backward compatibility if any
@@ -657,10 +1275,19 @@ app.get('/api/financial-loss', async (req, res) => {
                 projected_annualized_loss: parseFloat(annualizedLoss.toFixed(2)),
                 revenue_at_risk_percentage: parseFloat(revenueAtRiskPercentage.toFixed(2)),
             },
-            anomalyCount: anomalies.length,
+            // Money owed back to customers; reported separately, never netted against loss
+            refundExposure: {
+                total: parseFloat(totals.overcharge.toFixed(2)),
+                projected_monthly: parseFloat((totals.overcharge / observation.days * 30).toFixed(2)),
+                overbilledCount: totals.overbilled,
+            },
+            anomalyCount: totals.anomalies,
             averageLossPerInvoice: parseFloat(avgLoss.toFixed(2)),
             lossTrend,
-            filter: { service: service || 'all' },
+            interval: bucketing.interval,
+            byCurrency: buildCurrencyBreakdown(currencyBuckets),
+            windows: { evaluatedAt: observation.to, observation },
+            filter: { service: service || 'all', from: range.from, to: range.to },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -671,71 +1298,68 @@ app.get('/api/financial-loss', async (req, res) => {
 
 app.get('/api/business-impact', async (req, res) => {
     try {
-        const invoices = getInvoices();
-
-        const totalExpected = invoices.reduce((s, inv) => s + inv.amountExpected, 0);
-        const totalBilled = invoices.reduce((s, inv) => s + inv.amountBilled, 0);
-        const totalLoss = totalExpected - totalBilled;
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const filter = { from: range.from, to: range.to };
+        const [totals, daily, regionBuckets, serviceBuckets, currencyBuckets] = await Promise.all([
+            aggregateInvoiceTotals(filter),
+            aggregateInvoices(filter, 'day'),
+            aggregateInvoices(filter, 'region'),
+            aggregateInvoices(filter, 'service'),
+            aggregateInvoices(filter, 'currency'),
+        ]);
+
+        const totalExpected = totals.expected;
+        const totalBilled = totals.billed;
+        const totalLoss = totals.loss;
+        const refundExposure = totals.overcharge;
         const lossPercentage = totalExpected > 0 ? (totalLoss / totalExpected * 100) : 0;
 
-        // Estimated monthly ARR impact (21 days → 30 days projection)
-        const dailyLoss = totalLoss / 21;
+        // Estimated monthly ARR impact (observed span → 30 days projection)
+        const observation = computeObservationWindow(range, daily, resolveEvaluationTime(range, daily));
+        const dailyLoss = totalLoss / observation.days;
         const monthlyARRImpact = dailyLoss * 30;
         const annualizedImpact = dailyLoss * 365;
 
-        // Top impacted regions
-        const byRegion = {};
-        invoices.forEach(inv => {
-            const loss = inv.amountExpected - inv.amountBilled;
-            if (loss > 0) {
-                if (!byRegion[inv.region]) byRegion[inv.region] = { loss: 0, count: 0 };
-                byRegion[inv.region].loss += loss;
-                byRegion[inv.region].count++;
-            }
-        });
-
-        const topRegions = Object.entries(byRegion)
-            .map(([region, data]) => ({
-                region,
-                loss: parseFloat(data.loss.toFixed(2)),
-                anomalyCount: data.count,
+        // Top impacted regions (only regions with underbilling)
+        const topRegions = regionBuckets
+            .filter(b => b.anomalies > 0)
+            .map(b => ({
+                region: b.key,
+                loss: b.loss,
+                anomalyCount: b.anomalies,
             }))
             .sort((a, b) => b.loss - a.loss);
 
         // Top impacted services
-        const byService = {};
-        invoices.forEach(inv => {
-            const loss = inv.amountExpected - inv.amountBilled;
-            if (!byService[inv.service]) byService[inv.service] = { expected: 0, billed: 0, loss: 0, anomalies: 0, total: 0 };
-            byService[inv.service].expected += inv.amountExpected;
-            byService[inv.service].billed += inv.amountBilled;
-            byService[inv.service].total++;
-            if (loss > 0) {
-                byService[inv.service].loss += loss;
-                byService[inv.service].anomalies++;
-            }
-        });
-
-        const topServices = Object.entries(byService)
-            .map(([service, data]) => ({
-                service,
-                totalExpected: parseFloat(data.expected.toFixed(2)),
-                totalBilled: parseFloat(data.billed.toFixed(2)),
-                loss: parseFloat(data.loss.toFixed(2)),
-                anomalyRate: parseFloat((data.anomalies / data.total * 100).toFixed(2)),
-                invoiceCount: data.total,
+        const topServices = serviceBuckets
+            .map(b => ({
+                service: b.key,
+                totalExpected: b.expected,
+                totalBilled: b.billed,
+                loss: b.loss,
+                anomalyRate: parseFloat((b.anomalies / b.total * 100).toFixed(2)),
+                refundExposure: b.overcharge,
+                overbillingRate: parseFloat((b.overbilled / b.total * 100).toFixed(2)),
+                invoiceCount: b.total,
             }))
             .sort((a, b) => b.loss - a.loss);
 
         res.json({
+            currency: getReportingCurrency(),
             totalExpectedRevenue: parseFloat(totalExpected.toFixed(2)),
             totalBilledRevenue: parseFloat(totalBilled.toFixed(2)),
             totalRevenueLoss: parseFloat(totalLoss.toFixed(2)),
             revenueLossPercentage: parseFloat(lossPercentage.toFixed(4)),
+            refundExposure: parseFloat(refundExposure.toFixed(2)),
+            overbilledCount: totals.overbilled,
             estimatedMonthlyARRImpact: parseFloat(monthlyARRImpact.toFixed(2)),
             annualizedImpact: parseFloat(annualizedImpact.toFixed(2)),
             topImpactedRegions: topRegions,
             topImpactedServices: topServices,
+            byCurrency: buildCurrencyBreakdown(currencyBuckets),
+            windows: { evaluatedAt: observation.to, observation },
+            filter: { service: 'all', from: range.from, to: range.to },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -747,42 +1371,51 @@ app.get('/api/business-impact', async (req, res) => {
 app.get('/api/timeline', async (req, res) => {
     try {
         const service = req.query.service || null;
-        const invoices = getInvoices();
-        const events = getEvents();
-
-        const filtered = service ? invoices.filter(inv => inv.service === service) : invoices;
-
-        // Group invoices by day
-        const byDay = {};
-        filtered.forEach(inv => {
-            const day = inv.timestamp.slice(0, 10);
-            if (!byDay[day]) byDay[day] = { total: 0, anomalies: 0, expected: 0, billed: 0, loss: 0 };
-            byDay[day].total++;
-            byDay[day].expected += inv.amountExpected;
-            byDay[day].billed += inv.amountBilled;
-            if (inv.amountBilled < inv.amountExpected) {
-                byDay[day].anomalies++;
-                byDay[day].loss += (inv.amountExpected - inv.amountBilled);
-            }
-        });
-
-        const timeline = Object.entries(byDay)
-            .sort(([a], [b]) => a.localeCompare(b))
-            .map(([date, data]) => ({
-                date,
-                totalInvoices: data.total,
-                anomalyCount: data.anomalies,
-                anomalyRate: parseFloat((data.anomalies / data.total * 100).toFixed(2)),
-                expectedRevenue: parseFloat(data.expected.toFixed(2)),
-                billedRevenue: parseFloat(data.billed.toFixed(2)),
-                revenueLoss: parseFloat(data.loss.toFixed(2)),
-            }));
-
-        // Deployment markers (Dynamic confidence)
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const bucketing = parseInterval(req.query.interval);
+        if (bucketing.error) return res.status(400).json({ error: bucketing.error });
+        const window = { from: range.from, to: range.to };
+        const [daily, invoices, events] = await Promise.all([
+            aggregateInvoices({ service, ...window }, bucketing.groupBy),
+            getInvoices(window),
+            getEvents(window),
+        ]);
+        const evaluatedAt = resolveEvaluationTime(range, summarizeInvoices(invoices, 'day'));
+
+        // Each bucket's drift against a baseline of same-size buckets
+        const bucketDrift = {};
+        computeDriftFromDaily(daily, { ...driftOptions, evaluatedAt }).dailyDrift
+            .forEach(d => { bucketDrift[d.date] = d.driftFactor; });
+
+        const timeline = daily.map(d => ({
+            date: d.key,
+            timestamp: bucketStart(d.key),
+            driftFactor: bucketDrift[d.key],
+            totalInvoices: d.total,
+            anomalyCount: d.anomalies,
+            anomalyRate: parseFloat((d.anomalies / d.total * 100).toFixed(2)),
+            expectedRevenue: d.expected,
+            billedRevenue: d.billed,
+            revenueLoss: d.loss,
+            overbilledCount: d.overbilled,
+            overbillingRate: parseFloat((d.overbilled / d.total * 100).toFixed(2)),
+            refundExposure: d.overcharge,
+        }));
+
+        // Deployment markers (Dynamic confidence), one incident window per service
+        const windowOptions = { ...driftOptions, evaluatedAt };
+        const serviceWindows = {};
+        const incidentWindowOf = svc => {
+            if (!serviceWindows[svc]) serviceWindows[svc] = computeIncidentWindow(invoices.filter(inv => inv.service === svc), windowOptions);
+            return serviceWindows[svc];
+        };
         const deployments = events
             .filter(e => e.eventType === 'deployment')
             .map(e => {
-                const conf = computeConfidence(invoices, e.service, e.timestamp);
+                const conf = computeConfidence(invoices, e.service, e.timestamp, windowOptions, incidentWindowOf(e.service));
                 return {
                     date: e.timestamp.slice(0, 10),
                     service: e.service,
@@ -793,10 +1426,24 @@ app.get('/api/timeline', async (req, res) => {
                 };
             });
 
+        // Incident markers: change-point onset / recovery of the charted scope
+        const scopeWindow = service
+            ? incidentWindowOf(service)
+            : computeIncidentWindow(invoices, windowOptions);
+        const incidentMarkers = scopeWindow.episodes.flatMap(ep => [
+            { type: 'ONSET', ...ep.onset },
+            ...(ep.recovery ? [{ type: 'RECOVERY', ...ep.recovery }] : []),
+        ].map(marker => ({ ...marker, date: marker.timestamp.slice(0, 10), status: ep.status, duration: ep.duration })));
+
         res.json({
+            currency: getReportingCurrency(),
             timeline,
             deploymentMarkers: deployments,
-            filter: { service: service || 'all' },
+            incidentMarkers,
+            incidentResolution: scopeWindow.resolution,
+            interval: bucketing.interval,
+            windows: { evaluatedAt, baselineDays: driftOptions.baselineDays, currentDays: driftOptions.currentDays },
+            filter: { service: service || 'all', from: range.from, to: range.to },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -807,41 +1454,47 @@ app.get('/api/timeline', async (req, res) => {
 
 app.get('/api/services', async (req, res) => {
     try {
-        const invoices = getInvoices();
-        const events = getEvents();
-
-        const byService = {};
-        invoices.forEach(inv => {
-            if (!byService[inv.service]) byService[inv.service] = { total: 0, anomalies: 0, loss: 0 };
-            byService[inv.service].total++;
-            if (inv.amountBilled < inv.amountExpected) {
-                byService[inv.service].anomalies++;
-                byService[inv.service].loss += (inv.amountExpected - inv.amountBilled);
-            }
-        });
-
-        const services = Object.entries(byService).map(([service, data]) => {
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const window = { from: range.from, to: range.to };
+        const [serviceBuckets, daily, events] = await Promise.all([
+            aggregateInvoices(window, 'service'),
+            aggregateInvoices(window, 'day'),
+            getEvents(window),
+        ]);
+        const windowOptions = { ...driftOptions, evaluatedAt: resolveEvaluationTime(range, daily) };
+
+        const services = await Promise.all(serviceBuckets.map(async data => {
+            const service = data.key;
             const serviceEvents = events.filter(e => e.service === service && e.eventType === 'deployment');
             const latestDeployment = serviceEvents.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
 
-            const drift = computeDriftDetection(invoices, service);
+            const drift = computeDirectionalDrift(await aggregateInvoices({ service, ...window }, 'day'), windowOptions);
 
             return {
                 service,
                 totalInvoices: data.total,
                 anomalyCount: data.anomalies,
                 anomalyRate: parseFloat((data.anomalies / data.total * 100).toFixed(2)),
-                revenueLoss: parseFloat(data.loss.toFixed(2)),
+                revenueLoss: data.loss,
+                overbilledCount: data.overbilled,
+                overbillingRate: parseFloat((data.overbilled / data.total * 100).toFixed(2)),
+                refundExposure: data.overcharge,
                 latestDeployment: latestDeployment ? {
                     version: latestDeployment.version,
                     timestamp: latestDeployment.timestamp,
                 } : null,
-                driftStatus: drift.spike ? 'SPIKING' : 'STABLE',
-                currentDriftFactor: drift.driftFactor,
+                driftStatus: drift.underbilling.spike ? 'SPIKING' : 'STABLE',
+                currentDriftFactor: drift.underbilling.driftFactor,
+                overbillingDriftStatus: drift.overbilling.spike ? 'SPIKING' : 'STABLE',
+                overbillingDriftFactor: drift.overbilling.driftFactor,
+                windows: drift.underbilling.windows,
             };
-        });
+        }));
 
-        res.json({ services });
+        res.json({ currency: getReportingCurrency(), services, filter: { service: 'all', ...window } });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -851,155 +1504,487 @@ app.get('/api/services', async (req, res) => {
 
 app.get('/api/alerts', async (req, res) => {
     try {
-        const invoices = getInvoices();
-        const events = getEvents();
-        const alerts = [];
-
-        const THRESHOLDS = {
-            anomalyRate: 10,       // % above baseline triggers alert
-            revenueLoss: 500,      // $ cumulative loss threshold
-            driftFactor: 3.0,      // drift multiplier
-        };
-
-        // Check each service
-        for (const service of ['billing-service', 'subscription-service', 'tax-service']) {
-            const serviceInvoices = invoices.filter(inv => inv.service === service);
-            const drift = computeDriftDetection(invoices, service);
-
-            // Anomaly rate alert
-            if (drift.currentRate > THRESHOLDS.anomalyRate) {
-                alerts.push({
-                    id: `alert-anomaly-${service}`,
-                    type: 'ANOMALY_SPIKE',
-                    severity: drift.currentRate > 30 ? 'CRITICAL' : 'HIGH',
-                    service,
-                    message: `Anomaly rate at ${drift.currentRate}% for ${service} (baseline: ${drift.baselineRate}%)`,
-                    metric: drift.currentRate,
-                    threshold: THRESHOLDS.anomalyRate,
-                    timestamp: new Date().toISOString(),
-                });
-            }
-
-            // Drift factor alert
-            if (drift.driftFactor > THRESHOLDS.driftFactor) {
-                alerts.push({
-                    id: `alert-drift-${service}`,
-                    type: 'STATISTICAL_DRIFT',
-                    severity: 'CRITICAL',
-                    service,
-                    message: `Drift factor ${drift.driftFactor}x above baseline for ${service}`,
-                    metric: drift.driftFactor,
-                    threshold: THRESHOLDS.driftFactor,
-                    timestamp: new Date().toISOString(),
-                });
-            }
-
-            // Revenue loss alert
-            const serviceLoss = serviceInvoices
-                .filter(inv => inv.amountBilled < inv.amountExpected)
-                .reduce((s, inv) => s + (inv.amountExpected - inv.amountBilled), 0);
-
-            if (serviceLoss > THRESHOLDS.revenueLoss) {
-                alerts.push({
-                    id: `alert-loss-${service}`,
-                    type: 'REVENUE_LOSS',
-                    severity: serviceLoss > 5000 ? 'CRITICAL' : (serviceLoss > 2000 ? 'HIGH' : 'MEDIUM'),
-                    service,
-                    message: `Cumulative revenue loss of $${serviceLoss.toFixed(2)} detected in ${service}`,
-                    metric: parseFloat(serviceLoss.toFixed(2)),
-                    threshold: THRESHOLDS.revenueLoss,
-                    timestamp: new Date().toISOString(),
-                });
-            }
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const states = req.query.state === 'all'
+            ? ALERT_STATES
+            : (req.query.state ? req.query.state.split(',') : ACTIVE_ALERT_STATES);
+        const unknown = states.filter(s => !ALERT_STATES.includes(s));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown alert state: ${unknown.join(', ')}. Expected ${ALERT_STATES.join(', ')} or 'all'.` });
         }
 
-        // Sort by severity
-        const severityOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
-        alerts.sort((a, b) => (severityOrder[a.severity] || 99) - (severityOrder[b.severity] || 99));
+        const evaluatedAt = resolveEvaluationTime(null, await aggregateInvoices({}, 'day'));
+        const rules = listRules();
+        reconcileAlerts(await evaluateAlertRules(rules, evaluatedAt, driftOptions));
+        const alerts = sortAlertsBySeverity(listAlerts(states));
+
+        const counts = {};
+        ALERT_STATES.forEach(s => { counts[s] = 0; });
+        listAlerts(ALERT_STATES).forEach(a => { counts[a.state]++; });
 
         res.json({
-            activeAlerts: alerts.length,
+            activeAlerts: counts.firing,
+            counts,
             alerts,
-            thresholds: THRESHOLDS,
+            rules: rules.map(r => ({
+                id: r.id,
+                enabled: r.enabled !== false,
+                metric: r.metric,
+                comparator: r.comparator,
+                threshold: r.threshold,
+                window: r.window,
+            })),
+            windows: { evaluatedAt, baselineDays: driftOptions.baselineDays },
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+app.get('/api/alerts/history', (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: `Invalid 'limit' value: ${req.query.limit}` });
+    }
+    const history = getAlertHistory({ fingerprint: req.query.fingerprint || null, limit });
+    res.json({ count: history.length, history });
+});
+
+function handleAlertAction(action) {
+    return (req, res) => {
+        const result = applyAlertAction(req.params.fingerprint, action, req.body || {});
+        if (!result) return res.status(404).json({ error: `Alert '${req.params.fingerprint}' not found` });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result.alert);
+    };
+}
+
+app.post('/api/alerts/:fingerprint/ack', handleAlertAction('acknowledge'));
+app.post('/api/alerts/:fingerprint/snooze', handleAlertAction('snooze'));
+app.post('/api/alerts/:fingerprint/resolve', handleAlertAction('resolve'));
+
+// ── 9b. Alert Rules (CRUD + dry-run) ─────────────────────────────────────
+
+app.get('/api/alert-rules', (req, res) => {
+    res.json({ rules: listRules() });
+});
+
+app.get('/api/alert-rules/:id', (req, res) => {
+    const rule = getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: `Alert rule '${req.params.id}' not found` });
+    res.json(rule);
+});
+
+app.post('/api/alert-rules', (req, res) => {
+    const result = createRule(req.body);
+    if (result.errors) return res.status(400).json({ error: 'Invalid alert rule', details: result.errors });
+    res.status(201).json(result.rule);
+});
+
+function handleRuleUpdate(merge) {
+    return (req, res) => {
+        const result = updateRule(req.params.id, req.body, { merge });
+        if (!result) return res.status(404).json({ error: `Alert rule '${req.params.id}' not found` });
+        if (result.errors) return res.status(400).json({ error: 'Invalid alert rule', details: result.errors });
+        res.json(result.rule);
+    };
+}
+
+app.put('/api/alert-rules/:id', handleRuleUpdate(false));
+app.patch('/api/alert-rules/:id', handleRuleUpdate(true));
+
+app.delete('/api/alert-rules/:id', (req, res) => {
+    if (!deleteRule(req.params.id)) return res.status(404).json({ error: `Alert rule '${req.params.id}' not found` });
+    res.json({ deleted: req.params.id });
+});
+
+// Dry-run an unsaved rule ({ rule, from, to }) or a stored one (/:id/dry-run)
+async function handleRuleDryRun(req, res, rule) {
+    try {
+        const range = parseTimeRange(req.body || {});
+        if (range.error) return res.status(400).json({ error: range.error });
+        const driftOptions = parseDriftOptions(req.body || {});
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        res.json(await dryRunAlertRule(rule, range, driftOptions));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/alert-rules/dry-run', async (req, res) => {
+    const rule = normalizeRule({ id: 'dry-run', ...(req.body && req.body.rule) });
+    const errors = validateRule(rule);
+    if (errors.length > 0) return res.status(400).json({ error: 'Invalid alert rule', details: errors });
+    await handleRuleDryRun(req, res, rule);
+});
+
+app.post('/api/alert-rules/:id/dry-run', async (req, res) => {
+    const rule = getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: `Alert rule '${req.params.id}' not found` });
+    await handleRuleDryRun(req, res, rule);
+});
+
 // ── 10. Explainability ───────────────────────────────────────────────────
 
 app.get('/api/explainability', async (req, res) => {
     try {
         const service = req.query.service || 'billing-service';
-        const invoices = getInvoices();
-        const events = getEvents();
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const [invoices, allEvents, totals, daily] = await Promise.all([
+            getInvoices({ service }),
+            getEvents(),
+            aggregateInvoiceTotals({ service }),
+            aggregateInvoices({ service }, 'day'),
+        ]);
+        const events = allEvents.filter(e => e.service === service);
 
-        const serviceInvoices = invoices.filter(inv => inv.service === service);
         const deployments = events
-            .filter(e => e.eventType === 'deployment' && e.service === service)
+            .filter(e => e.eventType === 'deployment')
             .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
-        const drift = computeDriftDetection(invoices, service);
-        const risk = computeRiskScore(serviceInvoices, events.filter(e => e.service === service));
-
-        const significantDeployments = deployments.map(dep => {
-            const conf = computeConfidence(invoices, service, dep.timestamp);
-            return { ...dep, confidence: conf };
-        });
-
-        const faultyDep = significantDeployments.find(d => d.confidence.confidence < -0.1);
-        const fixDep = significantDeployments.find(d => d.confidence.classification === 'STRONG FIX');
-
-        const totalLoss = serviceInvoices
-            .filter(inv => inv.amountBilled < inv.amountExpected)
-            .reduce((s, inv) => s + (inv.amountExpected - inv.amountBilled), 0);
-
+        const evaluatedAt = resolveEvaluationTime(null, daily);
+        const windowOptions = { ...driftOptions, evaluatedAt };
+        const observation = computeObservationWindow(null, daily, evaluatedAt);
+        const drift = computeDriftFromDaily(daily, windowOptions);
+        const risk = computeRiskScore(totals, events, evaluatedAt);
+
+        const incidentWindow = computeIncidentWindow(invoices, windowOptions);
+        const incident = incidentWindow.incident;
+
+        // The regression may be another service's deployment; fixes are this service's own
+        const attribution = computeAttribution(invoices, allEvents, service, incidentWindow, findSpikeStart(drift.dailyDrift));
+        const verdicts = computeDeploymentVerdicts(invoices, deployments, incidentWindow, attribution);
+        const regression = attribution.top && attribution.top.probability >= VERDICT_THRESHOLD ? attribution.top : null;
+        const faultyDep = regression ? { ...regression.deployment, confidence: regression.probability } : null;
+        const fix = verdicts
+            .filter(v => v.verdict === 'FIX')
+            .sort((a, b) => b.recoveryConfidence - a.recoveryConfidence)[0];
+        const fixDep = fix ? { ...fix.deployment, recoveryConfidence: fix.recoveryConfidence, timeToRecover: fix.timeToRecover } : null;
+        const depLabel = dep => (dep.service === service ? dep.version : `${dep.service} ${dep.version}`);
+
+        const totalLoss = totals.loss;
+
+        // Onset and recovery from change points; the drift threshold only without a located incident
         const spikeDays = drift.dailyDrift.filter(d => d.driftFactor > 3);
-        const spikeStart = spikeDays.length > 0 ? spikeDays[0].date : 'unknown';
+        const spikeStart = incident
+            ? incident.onset.timestamp.slice(0, 10)
+            : (spikeDays.length > 0 ? spikeDays[0].date : 'unknown');
+        const onsetDay = incident ? spikeStart : findSpikeStart(drift.dailyDrift);
+        const incidentStatement = describeIncidentWindow(incident);
+
+        // Region claims come from the drill-down, not from the deployment's own region tag
+        const localization = await get_spike_localization({ service }, onsetDay, windowOptions);
+        const regionFinding = !faultyDep || !localization ? '' : ({
+            CONCENTRATED: ` in ${localization.value}`,
+            BROAD: ` affecting every region, not just the ${faultyDep.region} deployment target`,
+        }[localization.status] || '');
 
         // Advanced Incident Report Logic
         const report = {
             metadata: {
-                id: `FIN-INCIDENT-${Date.now()}`,
+                id: null,
+                reportId: null,
                 service,
                 status: drift.spike ? 'ACTIVE' : 'RESOLVED',
                 severity: risk.category,
-                timestamp: new Date().toISOString()
+                timestamp: new Date().toISOString(),
+                windows: { ...drift.windows, observation }
             },
             forensic_analysis: {
                 hypothesis: faultyDep
-                    ? `Deployment ${faultyDep.version} (${faultyDep.git_commit_hash}) introduced a pricing logic regression in ${faultyDep.region}.`
+                    ? `Deployment ${depLabel(faultyDep)} (${faultyDep.hash}) introduced a pricing logic regression${regionFinding}.`
                     : `Statistical drift detected in ${service} without immediate deployment correlation.`,
                 causal_evidence: [
                     `Drift factor observed: ${drift.driftFactor}x baseline`,
                     `Statistical Significance: ${drift.statistical_significance} (Z-Score: ${drift.zScore})`,
-                    faultyDep ? `Temporal Alignment: Perfect alignment with ${faultyDep.version} deployment.` : 'No temporal alignment found.',
+                    faultyDep ? `Attribution: ${attribution.separation.statement} (${(faultyDep.confidence * 100).toFixed(1)}% probability).` : 'No deployment attributed to the incident.',
+                    fixDep ? `Recovery: ${depLabel(fixDep)} confirmed as fix (${(fixDep.recoveryConfidence * 100).toFixed(1)}% recovery confidence).` : 'Recovery: no fix deployment confirmed.',
+                    localization ? `Localization: ${localization.statement}` : 'Localization: no spike to localize',
+                    incidentStatement ? `Incident window: ${incidentStatement}` : 'Incident window: no change point located',
                 ],
+                localization,
+                incident_window: incidentWindow,
+                attribution,
                 financial_magnitude: {
-                    observed_loss: `$${totalLoss.toFixed(2)}`,
-                    projected_monthly_risk: `$${(totalLoss / 21 * 30).toFixed(2)}`,
-                    arr_impact: `$${(totalLoss / 21 * 365).toFixed(2)}`
+                    currency: getReportingCurrency(),
+                    observed_loss: formatMoney(totalLoss),
+                    projected_monthly_risk: formatMoney(totalLoss / observation.days * 30),
+                    arr_impact: formatMoney(totalLoss / observation.days * 365)
                 }
             },
             remediation: {
                 status: fixDep ? 'FIXED' : 'PENDING',
                 action: fixDep
-                    ? `Investigated and resolved by ${fixDep.version}.`
-                    : (faultyDep ? `RECOMMENDED: Rollback ${faultyDep.version} immediately.` : 'RECOMMENDED: Audit pricing service logs.'),
-                confidence: fixDep ? fixDep.confidence.confidence : (faultyDep ? Math.abs(faultyDep.confidence.confidence) : 0)
+                    ? `Investigated and resolved by ${depLabel(fixDep)}.`
+                    : (faultyDep ? `RECOMMENDED: Rollback ${depLabel(faultyDep)} immediately.` : 'RECOMMENDED: Audit pricing service logs.'),
+                confidence: fixDep ? fixDep.recoveryConfidence : (faultyDep ? faultyDep.confidence : 0),
+                time_to_recover: fixDep ? fixDep.timeToRecover : null,
+                incident_closed: false
             },
+            deployment_verdicts: verdicts,
             executive_summary: faultyDep && fixDep
-                ? `RevenueGuard detected a critical underbilling incident on ${spikeStart} following the ${faultyDep.version} deployment. The incident persisted for 7 days, causing a financial impact of $${totalLoss.toFixed(2)}. The risk was mitigated on ${fixDep.timestamp.slice(0, 10)} with the deployment of ${fixDep.version}. System confidence in the restoration is ${(fixDep.confidence.confidence * 100).toFixed(1)}%.`
-                : (faultyDep ? `Active revenue risk detected. Deployment ${faultyDep.version} has caused a ${(drift.driftFactor * 100).toFixed(0)}% increase in underbilling anomalies. Immediate intervention highly recommended.` : `System stable. Anomaly rate within $3\sigma$ variance baseline.`)
+                ? `RevenueGuard detected a critical underbilling incident on ${spikeStart} following the ${depLabel(faultyDep)} deployment. ${incident ? `The incident ${incidentStatement}` : 'The incident window could not be located'}, causing a financial impact of ${formatMoney(totalLoss)}. The risk was mitigated on ${fixDep.timestamp.slice(0, 10)} with the deployment of ${depLabel(fixDep)}. System confidence in the restoration is ${(fixDep.recoveryConfidence * 100).toFixed(1)}%.`
+                : (faultyDep
+                    ? (incident && incident.recovery
+                        ? `Revenue incident following deployment ${depLabel(faultyDep)}: underbilling ${incidentStatement}, causing a financial impact of ${formatMoney(totalLoss)}.`
+                        : `Active revenue risk detected. Deployment ${depLabel(faultyDep)} has caused a ${(drift.driftFactor * 100).toFixed(0)}% increase in underbilling anomalies. Immediate intervention highly recommended.`)
+                    : `System stable. Anomaly rate within $3\sigma$ variance baseline.`)
         };
 
+        const filed = fileIncidentReport('explainability', report, {
+            service,
+            spikeStart: onsetDay,
+            severity: risk.category,
+            culprit: faultyDep ? {
+                service: faultyDep.service,
+                version: faultyDep.version,
+                timestamp: faultyDep.timestamp,
+                confidence: faultyDep.confidence,
+                classification: regression.classification,
+            } : null,
+            observedLoss: totalLoss,
+        });
+        // A confirmed fix closes the incident (once per fix; an operator's reopen is respected)
+        if (filed && fixDep) {
+            const { incident: stored, closed } = resolveWithFix(filed.incident.id, {
+                service: fixDep.service,
+                version: fixDep.version,
+                timestamp: fixDep.timestamp,
+                recoveryConfidence: fixDep.recoveryConfidence,
+            });
+            report.metadata.incidentStatus = stored.status;
+            report.remediation.incident_closed = closed;
+        }
+
         res.json(report);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+// ── 10b. Incidents ───────────────────────────────────────────────────────
+
+app.get('/api/incidents', (req, res) => {
+    const { status, service } = req.query;
+    if (status && !INCIDENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status '${status}'. Expected one of ${INCIDENT_STATUSES.join(', ')}.` });
+    }
+    const incidents = listIncidents({ status, service });
+    res.json({ count: incidents.length, incidents });
+});
+
+app.get('/api/incidents/:id', (req, res) => {
+    const incident = getIncident(req.params.id);
+    if (!incident) return res.status(404).json({ error: `Incident '${req.params.id}' not found` });
+    res.json(incident);
+});
+
+app.patch('/api/incidents/:id', (req, res) => {
+    const result = updateIncident(req.params.id, req.body || {});
+    if (!result) return res.status(404).json({ error: `Incident '${req.params.id}' not found` });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result.incident);
+});
+
+// ── 10c. Notifications ───────────────────────────────────────────────────
+
+app.get('/api/notifications/webhooks', (req, res) => {
+    res.json({ events: NOTIFICATION_EVENTS, webhooks: listWebhooks() });
+});
+
+app.post('/api/notifications/reload', (req, res) => {
+    reloadWebhooks();
+    res.json({ webhooks: listWebhooks() });
+});
+
+// Send a sample payload to one webhook (enabled or not) and wait for the outcome
+app.post('/api/notifications/test', async (req, res) => {
+    const webhookId = req.body && req.body.webhook;
+    if (!listWebhooks().some(hook => hook.id === webhookId)) {
+        return res.status(404).json({ error: `Webhook '${webhookId}' not configured` });
+    }
+    const [delivery] = await notify({
+        event: 'alert.opened',
+        summary: 'Test notification from RevenueGuard',
+        severity: 'LOW',
+        fields: { Service: 'test' },
+        data: { test: true },
+    }, { webhookId });
+    res.status(delivery.delivered ? 200 : 502).json(delivery);
+});
+
+app.get('/api/notifications/dead-letter', (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: `Invalid 'limit' value: ${req.query.limit}` });
+    }
+    const entries = getDeadLetters(limit);
+    res.json({ count: entries.length, entries });
+});
+
+// ── 10d. Runbooks ────────────────────────────────────────────────────────
+
+app.get('/api/runbooks', (req, res) => {
+    res.json(listRunbooks());
+});
+
+app.post('/api/runbooks/reload', (req, res) => {
+    try {
+        res.json(reloadRunbooks());
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.get('/api/runbooks/runs', (req, res) => {
+    const { incidentId, status } = req.query;
+    if (status && !RUN_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status '${status}'. Expected one of ${RUN_STATUSES.join(', ')}.` });
+    }
+    const runs = listRuns({ incidentId, status });
+    res.json({ count: runs.length, runs });
+});
+
+app.get('/api/runbooks/runs/:runId', (req, res) => {
+    const run = getRun(req.params.runId);
+    if (!run) return res.status(404).json({ error: `Run '${req.params.runId}' not found` });
+    res.json({ ...run, audit: getAuditTrail({ runId: run.id }) });
+});
+
+function handleRunDecision(decide) {
+    return async (req, res) => {
+        const { by, note } = req.body || {};
+        const result = await decide(req.params.runId, { by, note });
+        if (!result) return res.status(404).json({ error: `Run '${req.params.runId}' not found` });
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.json(result.run);
+    };
+}
+
+app.post('/api/runbooks/runs/:runId/approve', handleRunDecision(approveRun));
+app.post('/api/runbooks/runs/:runId/reject', handleRunDecision(rejectRun));
+
+app.get('/api/runbooks/audit', (req, res) => {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100;
+    if (!Number.isInteger(limit) || limit < 1) {
+        return res.status(400).json({ error: `Invalid 'limit' value: ${req.query.limit}` });
+    }
+    const entries = getAuditTrail({ runId: req.query.runId || null, limit });
+    res.json({ count: entries.length, entries });
+});
+
+// Operator-started run: { incidentId, dryRun, by }; the approval gate still applies
+app.post('/api/runbooks/:id/run', async (req, res) => {
+    const { incidentId, dryRun = false, by } = req.body || {};
+    const result = await runForIncident(req.params.id, { incidentId, dryRun: dryRun === true, by });
+    if (!result) return res.status(404).json({ error: `Runbook '${req.params.id}' not configured` });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.status(201).json(result.run);
+});
+
+// ── 10e. Currency Normalization ──────────────────────────────────────────
+
+app.get('/api/fx', (req, res) => {
+    try {
+        res.json(describeRates());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/fx/reload', (req, res) => {
+    try {
+        res.json(reloadRates());
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// ── 10f. Pricing Reconciliation ──────────────────────────────────────────
+
+app.get('/api/reconciliation', async (req, res) => {
+    try {
+        const service = req.query.service || null;
+        const mismatchClass = req.query.class || null;
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        if (mismatchClass && !MISMATCH_CLASSES.includes(mismatchClass)) {
+            return res.status(400).json({ error: `Unknown class '${mismatchClass}'. Expected one of ${MISMATCH_CLASSES.join(', ')}.` });
+        }
+        const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: `Invalid 'limit' value: ${req.query.limit}` });
+        }
+
+        const invoices = await getInvoices({ service, from: range.from, to: range.to });
+        const { summary, mismatches, unmatched, catalog } = reconcileInvoices(invoices, getSubscriptions(), getPricingVersions());
+        const selected = mismatches.filter(m => !mismatchClass || m.class === mismatchClass);
+
+        res.json({
+            currency: getReportingCurrency(),
+            summary,
+            mismatches: selected.slice(0, limit),
+            mismatchCount: selected.length,
+            unmatchedSample: unmatched,
+            catalog: catalog.map(v => ({ version: v.version, effectiveDate: v.effectiveDate, prices: v.prices })),
+            filter: { service: service || 'all', class: mismatchClass, from: range.from, to: range.to },
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── 10g. Drift Drill-Down ────────────────────────────────────────────────
+
+// Which slices (service × region, currency, customer, plan) drive a spike, ranked by excess anomalies
+app.get('/api/drilldown', async (req, res) => {
+    try {
+        const range = parseTimeRange(req.query);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const driftOptions = parseDriftOptions(req.query);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
+        const { dimensions, error } = parseDimensions(req.query.dimensions);
+        if (error) return res.status(400).json({ error });
+        const direction = req.query.direction || 'underbilling';
+        if (!DIRECTIONS[direction]) {
+            return res.status(400).json({ error: `Unknown direction '${direction}'. Expected ${Object.keys(DIRECTIONS).join(' or ')}.` });
+        }
+        const counts = {};
+        for (const key of ['limit', 'minInvoices']) {
+            if (req.query[key] === undefined) continue;
+            counts[key] = Number(req.query[key]);
+            if (!Number.isInteger(counts[key]) || counts[key] < 1) {
+                return res.status(400).json({ error: `Invalid '${key}' value: ${req.query[key]}` });
+            }
+        }
+
+        const filter = {
+            service: req.query.service || null,
+            region: req.query.region || null,
+            currency: req.query.currency || null,
+            from: range.from,
+            to: range.to,
+        };
+        const result = await drillDown(filter, {
+            ...driftOptions,
+            ...counts,
+            dimensions,
+            direction,
+            evaluatedAt: range.to,
+        });
+
+        res.json({
+            currency: getReportingCurrency(),
+            ...result,
+            filter: { service: filter.service || 'all', region: filter.region, currency: filter.currency, from: range.from, to: range.to },
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ── 11. Agent Observability ──────────────────────────────────────────────
 
 app.get('/api/agent/logs', (req, res) => {
@@ -1030,120 +2015,565 @@ app.get('/api/agent/metrics', (req, res) => {
     });
 });
 
-// ── 12. Real-Time Agent Analysis ──────────────────────────────────────────
+// ── 11b. Tool-Calling Investigator ───────────────────────────────────────
 
-app.post('/api/agent/analyze', async (req, res) => {
-    try {
-        const esAvailable = await isESAvailable();
-        if (ES_REQUIRED && !esAvailable) {
-            return res.status(503).json({
-                status: "LIMITED_MODE",
-                message: "Live telemetry unavailable — analysis downgraded (ES REQUIRED)"
-            });
-        }
+/**
+ * Answer `question` with the configured (or requested) LLM provider, which
+ * decides which agent tools to call (investigator.js). Returns
+ * { error, status } when the provider cannot be used, otherwise the
+ * investigation.
+ */
+async function runInvestigation({ question, service, window, driftOptions, providerName = null }) {
+    const { provider, error } = getProvider(providerName);
+    if (error) return { error, status: 400 };
+    const { services, anchor } = await loadQuestionContext();
+    return investigate({
+        provider,
+        tools: buildInvestigatorTools({ service, ...window, driftOptions, services }),
+        question,
+        context: [
+            `Service in scope: ${service}.`,
+            `Window in scope: ${window.from || 'start of data'} to ${window.to || 'latest data'}.`,
+            `Latest data: ${anchor} (relative dates such as "last week" count back from it).`,
+        ],
+        maxSteps: getLLMConfig().maxSteps,
+    });
+}
 
-        const service = req.body.service || 'billing-service';
-        const userQuery = req.body.query || '';
-        const invoices = getInvoices();
-        const events = getEvents();
-        const transactions = getTransactions();
-        const churn = getChurn();
+// Without the raw conversation or timings: stable across identical re-runs
+function summarizeInvestigation(result) {
+    return {
+        provider: result.provider,
+        answer: result.answer,
+        stopReason: result.stopReason,
+        citations: result.citations,
+        unresolvedCitations: result.unresolvedCitations,
+        toolCalls: result.toolCalls.map(call => ({
+            citation: call.citation,
+            tool: call.tool,
+            arguments: call.arguments,
+            summary: call.output ? call.output.summary || null : null,
+            error: call.error,
+        })),
+    };
+}
 
-        const serviceInvoices = invoices.filter(inv => inv.service === service);
+app.get('/api/agent/providers', (req, res) => {
+    try {
+        res.json(describeProviders());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // ── MULTI-STEP AUTONOMOUS ORCHESTRATION ──
+app.post('/api/agent/investigate', async (req, res) => {
+    try {
+        const { question, service = 'billing-service', provider = null } = req.body || {};
+        if (typeof question !== 'string' || question.trim().length === 0) {
+            return res.status(400).json({ error: "'question' is required" });
+        }
+        const range = parseTimeRange(req.body);
+        if (range.error) return res.status(400).json({ error: range.error });
+        const driftOptions = parseDriftOptions(req.body);
+        if (driftOptions.error) return res.status(400).json({ error: driftOptions.error });
 
-        // Step 1: Detect (Anomaly Stats)
-        const drift = await get_anomaly_stats(serviceInvoices);
-        const spikeStart = findSpikeStart(drift.dailyDrift);
+        const window = { from: range.from, to: range.to };
+        const result = await runInvestigation({ question, service, window, driftOptions, providerName: provider });
+        if (result.error) return res.status(result.status).json({ error: result.error });
 
-        // Step 2: Investigate (Deployment History)
-        const history = await get_deployment_history(service, events);
-        const deploymentsWithConfidence = history.map(dep => {
-            const conf = computeConfidence(invoices, service, dep.timestamp);
-            return {
-                version: dep.version,
-                timestamp: dep.timestamp,
-                confidence: conf.confidence,
-                classification: conf.classification,
-                spikeStart: conf.spikeStart
-            };
+        cachedAgentLogs.push({
+            id: `LOG-${Date.now()}`,
+            timestamp: new Date().toISOString(),
+            action: 'AGENT_INVESTIGATE',
+            tool: 'Investigator',
+            query: question,
+            reasoning: result.answer,
+            output: summarizeInvestigation(result)
         });
-        const culprit = deploymentsWithConfidence.sort((a, b) => b.confidence - a.confidence)[0];
 
-        // Step 3: Correlate (Failures & Churn)
-        const failedTransactions = await get_transaction_failures(transactions, spikeStart);
-        const churnCount = await get_churn_risk(churn, spikeStart);
+        const { messages, ...investigation } = result;
+        res.json({ question, service, window, ...investigation });
+    } catch (err) {
+        res.status(502).json({ error: `Investigation failed: ${err.message}` });
+    }
+});
 
-        // Step 4: Quantify (Impact Forecast)
-        const totalLoss = serviceInvoices
-            .filter(inv => inv.amountBilled < inv.amountExpected)
-            .reduce((s, inv) => s + (inv.amountExpected - inv.amountBilled), 0);
-        const forecast = await forecast_loss(totalLoss);
+// ── 11c. Question Routing & Conversations ────────────────────────────────
+
+// Intents answered by investigator tools, in call order (intent_parser.js)
+const INTENT_TOOLS = {
+    ACTIONS: ['recommend_actions'],
+    CAUSE: ['get_incident_window', 'attribute_incident'],
+    WHEN: ['get_incident_window'],
+    WHERE: ['get_spike_localization'],
+    TRANSACTIONS: ['get_transaction_failures'],
+    CHURN: ['get_churn_risk'],
+    STATUS: ['get_anomaly_stats'],
+};
+const MAX_ASK_INVOICES = 100;
+
+// What a LOSS or RANKING answer sums, per billing direction
+const DIRECTION_AMOUNTS = {
+    underbilling: { label: 'lost to underbilling', unit: 'underbilled invoices', amount: b => b.loss, count: b => b.anomalies },
+    overbilling: { label: 'refund exposure', unit: 'overbilled invoices', amount: b => b.overcharge, count: b => b.overbilled },
+};
+
+const percentOf = (part, whole) => (whole > 0 ? parseFloat((part / whole * 100).toFixed(1)) : 0);
+
+function describeScope({ service, region, window }) {
+    const when = window.from || window.to
+        ? `${window.from ? window.from.slice(0, 10) : 'start of data'} to ${window.to ? window.to.slice(0, 10) : 'latest data'}`
+        : 'all data';
+    return [service || 'all services', region, when].filter(Boolean).join(', ');
+}
 
-        // Step 5: Decide (Autonomous Verdict)
-        const decision = await generate_decision(culprit, drift);
+// Services, regions and the latest data time the parser resolves names and relative windows against
+async function loadQuestionContext() {
+    const [services, regions, daily] = await Promise.all([
+        aggregateInvoices({}, 'service'),
+        aggregateInvoices({}, 'region'),
+        aggregateInvoices({}, 'day'),
+    ]);
+    return { services: services.map(b => b.key), regions: regions.map(b => b.key), anchor: resolveEvaluationTime(null, daily) };
+}
 
-        // Step 6: Explain (Reasoning Trace)
-        const trace = buildReasoningTrace(drift, culprit, totalLoss, failedTransactions, churnCount, forecast, decision);
+/**
+ * Answer a structured query from parseQuestion() with the engine its intent
+ * maps to: invoice aggregations for LOSS and RANKING, the investigator tools
+ * for the rest. Tool intents look at one service; when the query names none,
+ * the service with the largest amount in scope is used and recorded in
+ * `query.filled`. Returns { engine, answer, data }.
+ */
+async function answerQuestion(query, driftOptions) {
+    const filter = { service: query.service, region: query.region, from: query.window.from, to: query.window.to };
+    const amounts = DIRECTION_AMOUNTS[query.direction];
+    const scope = describeScope(query);
+
+    if (query.intent === 'LOSS') {
+        const dimension = query.service ? 'region' : 'service';
+        const [totals, buckets] = await Promise.all([aggregateInvoiceTotals(filter), aggregateInvoices(filter, dimension)]);
+        const total = amounts.amount(totals);
+        const breakdown = buckets
+            .map(b => ({ [dimension]: b.key, amount: amounts.amount(b), invoices: amounts.count(b), share: percentOf(amounts.amount(b), total) }))
+            .sort((a, b) => b.amount - a.amount);
+        const top = breakdown[0];
+        return {
+            engine: 'financial_loss',
+            answer: `${formatMoney(total)} ${amounts.label} (${amounts.count(totals)} ${amounts.unit}) — ${scope}.`
+                + (breakdown.length > 1 && total > 0 ? ` Largest share: ${top[dimension]} with ${formatMoney(top.amount)} (${top.share}%).` : ''),
+            data: { currency: getReportingCurrency(), total: parseFloat(total.toFixed(2)), invoices: amounts.count(totals), breakdown },
+        };
+    }
 
-        const report = {
-            metadata: {
-                id: `AGENT-ANALYTIC-${Date.now()}`,
-                service,
-                query: userQuery,
-                timestamp: new Date().toISOString(),
-                role: "Revenue Incident Response Agent"
-            },
-            measurable_impact: {
-                time_saved: "4 hours -> 40 seconds",
-                manual_steps_removed: 6,
-                potential_arr_protected: forecast.protected_arr
-            },
-            verdict: decision.verdict,
-            culprit: culprit || null,
-            financial_impact: {
-                observed_loss: totalLoss,
-                failed_transactions: failedTransactions,
-                correlated_churn_events: churnCount,
-                arr_risk: forecast.annualized_risk
-            },
-            reasoning_trace: {
-                steps: trace,
-                confidence: decision.confidence,
-                mode: esAvailable ? 'LIVE_ES' : 'FALLBACK'
-            },
-            reasoning_steps: trace.map(t => ({
-                step: t.step,
-                delta: Object.entries(t.evidence).map(([k, v]) => `${k}: ${v}`).join(', ')
-            })),
-            executive_summary: culprit?.confidence > 0.5
-                ? `[${service}] Autonomous investigation confirmed a ${culprit.classification} between the ${culprit.version} deployment and the revenue leak initiated on ${culprit.spikeStart}. Observed $${totalLoss.toFixed(2)} in losses with ${failedTransactions} correlated transaction failures and a ${churnCount}-event churn spike. Drift factor: ${drift.driftFactor}x.`
-                : `[${service}] Multi-signal analysis indicates statistical drift factor of ${drift.driftFactor}x with $${totalLoss.toFixed(2)} in observed losses. No primary deployment culprit identified with high confidence. ${failedTransactions} failed transactions and ${churnCount} churn events detected. Recommendations: Audit secondary service dependencies.`,
-            recommended_actions: decision.recommended_actions,
-            confidence_score: decision.confidence
+    if (query.intent === 'RANKING') {
+        const byRate = query.metric === 'anomaly_rate';
+        const ranking = (await aggregateInvoices(filter, 'service'))
+            .map(b => ({ service: b.key, amount: amounts.amount(b), invoices: amounts.count(b), rate: percentOf(amounts.count(b), b.total) }))
+            .sort((a, b) => (byRate ? b.rate - a.rate : b.amount - a.amount));
+        const describe = entry => (byRate ? `${entry.rate}% ${query.direction} rate` : `${formatMoney(entry.amount)} ${amounts.label}`);
+        const [first, ...rest] = ranking;
+        return {
+            engine: 'service_ranking',
+            answer: first && first.invoices > 0
+                ? `Most affected: ${first.service} with ${describe(first)}`
+                    + (rest.length > 0 ? `, then ${rest.map(e => `${e.service} (${describe(e)})`).join(', ')}` : '')
+                    + ` — ${scope}.`
+                : `No ${amounts.unit} — ${scope}.`,
+            data: { currency: getReportingCurrency(), ranking },
         };
+    }
+
+    if (query.intent === 'INVOICES') {
+        const key = query.direction === 'underbilling' ? 'loss' : 'overcharge';
+        const invoices = describeTopInvoices(await getTopAnomalies(filter, Math.min(query.limit, MAX_ASK_INVOICES), query.direction), query.direction);
+        return {
+            engine: 'top_invoices',
+            answer: invoices.length > 0
+                ? `Top ${invoices.length} ${amounts.unit}: ${invoices.slice(0, 3).map(inv => `${inv.invoiceId} (${inv.service}, ${formatMoney(inv[key])})`).join(', ')}`
+                    + `${invoices.length > 3 ? ', …' : ''} — ${scope}.`
+                : `No ${amounts.unit} — ${scope}.`,
+            data: { currency: getReportingCurrency(), invoices },
+        };
+    }
+
+    if (!query.service) {
+        const [busiest] = (await aggregateInvoices(filter, 'service')).sort((a, b) => amounts.amount(b) - amounts.amount(a));
+        if (!busiest) return { engine: INTENT_TOOLS[query.intent].join('+'), answer: `No invoices — ${scope}.`, data: [] };
+        query.service = busiest.key;
+        query.filled.service = 'data';
+    }
+    const tools = buildInvestigatorTools({ service: query.service, region: query.region, ...query.window, driftOptions });
+    const results = [];
+    for (const name of INTENT_TOOLS[query.intent]) {
+        const args = name === 'get_anomaly_stats' ? { direction: query.direction } : {};
+        // "failed payments since feb 10" counts from the asked start, not the spike
+        if (['get_transaction_failures', 'get_churn_risk'].includes(name) && query.window.from) args.since = query.window.from;
+        results.push({ tool: name, arguments: args, output: await tools.find(t => t.name === name).handler(args) });
+    }
+    return {
+        engine: INTENT_TOOLS[query.intent].join('+'),
+        answer: `${results.map(r => r.output.summary).join('. ')} — ${describeScope(query)}.`
+            + (query.filled.service === 'data' ? ` (${query.service} has the most ${amounts.unit} in scope.)` : ''),
+        data: results,
+    };
+}
+
+/**
+ * Parse and answer one chat question. `session` (conversations.js, optional)
+ * fills what the question leaves out; the request's service / region /
+ * from / to fill what is still missing after that. Returns { error, status }
+ * for invalid request fields, otherwise { query, engine, answer, data,
+ * culprit } — `culprit` being a confident attribution, if the answer made one.
+ */
+async function askQuestion(question, request, session) {
+    const range = parseTimeRange(request);
+    if (range.error) return { error: range.error, status: 400 };
+    const driftOptions = parseDriftOptions(request);
+    if (driftOptions.error) return { error: driftOptions.error, status: 400 };
+
+    const parsed = { ...parseQuestion(question, await loadQuestionContext()), filled: {}, basedOn: null };
+    const query = session ? applyContext(parsed, session) : parsed;
+    ['service', 'region'].forEach(key => {
+        if (!query[key] && request[key]) {
+            query[key] = request[key];
+            query.filled[key] = 'request';
+        }
+    });
+    if (!query.window.from && !query.window.to && (range.from || range.to)) {
+        query.window = { ...range, expression: null };
+        query.filled.window = 'request';
+    }
+
+    const { engine, answer, data } = await answerQuestion(query, driftOptions);
+    const attribution = Array.isArray(data) ? data.find(r => r.tool === 'attribute_incident') : null;
+    const top = attribution ? attribution.output.candidates[0] : null;
+    const culprit = top && top.probability >= VERDICT_THRESHOLD
+        ? { service: top.service, version: top.version, timestamp: top.timestamp, probability: top.probability }
+        : null;
+    return { query, engine, answer, data, culprit };
+}
+
+app.post('/api/agent/ask', async (req, res) => {
+    try {
+        const { question, sessionId = null, ...request } = req.body || {};
+        if (typeof question !== 'string' || question.trim().length === 0) {
+            return res.status(400).json({ error: "'question' is required" });
+        }
+        let session = sessionId ? getConversation(sessionId) : null;
+        if (sessionId && !session) return res.status(404).json({ error: `Conversation '${sessionId}' not found or expired` });
+
+        const result = await askQuestion(question, request, session);
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        const { query, engine, answer, data, culprit } = result;
 
-        // Store for proof endpoint
-        lastReasoningTrace = report.reasoning_trace;
+        if (!session) session = createConversation();
+        const turn = recordTurn(session.id, { question, request, query, engine, answer, culprit });
 
-        // Log the internal reasoning for the dashboard "Thinking" view
         cachedAgentLogs.push({
             id: `LOG-${Date.now()}`,
             timestamp: new Date().toISOString(),
-            action: 'AGENT_ANALYZE',
-            tool: 'Orchestrator',
-            query: userQuery,
-            reasoning: report.executive_summary,
-            output: report
+            action: 'AGENT_ASK',
+            tool: 'Intent Router',
+            query: question,
+            reasoning: answer,
+            output: { sessionId: session.id, turn: turn.turn, engine, query }
+        });
+
+        res.json({ sessionId: session.id, turn: turn.turn, question, answer, engine, query, culprit, data });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/agent/conversations', (req, res) => {
+    try {
+        res.json({ retention: getConversationConfig().retention, conversations: listConversations() });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/agent/conversations/:id', (req, res) => {
+    const session = getConversation(req.params.id);
+    if (!session) return res.status(404).json({ error: `Conversation '${req.params.id}' not found or expired` });
+    res.json(session);
+});
+
+app.delete('/api/agent/conversations/:id', (req, res) => {
+    if (!deleteConversation(req.params.id)) return res.status(404).json({ error: `Conversation '${req.params.id}' not found` });
+    res.json({ deleted: req.params.id });
+});
+
+// Re-ask every kept turn against the current data; the stored conversation is left as it was
+app.post('/api/agent/conversations/:id/replay', async (req, res) => {
+    try {
+        const replay = await replayConversation(req.params.id, async (question, request, scratch) => {
+            const result = await askQuestion(question, request, scratch);
+            return result.error ? result : { query: result.query, engine: result.engine, answer: result.answer, culprit: result.culprit };
+        });
+        if (!replay) return res.status(404).json({ error: `Conversation '${req.params.id}' not found or expired` });
+        res.json(replay);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ── 12. Real-Time Agent Analysis ──────────────────────────────────────────
+
+const ORCHESTRATION_PHASES = ['Detect', 'Investigate', 'Correlate', 'Quantify', 'Decide'];
+
+/**
+ * The multi-step investigation behind /api/agent/analyze. `params` are the
+ * request fields (service, query, from, to, drift options, provider).
+ * `onStep` receives every reasoning trace entry as its phase completes:
+ * { index, phase, step, evidence, elapsedMs }. `isCancelled` is checked
+ * between phases; a cancelled run stops before anything is filed,
+ * notified or triggered.
+ *
+ * Resolves to the report, { error, status }, or { cancelled, completedSteps }.
+ */
+async function runAgentAnalysis(params, { onStep = () => {}, isCancelled = () => false } = {}) {
+    const esAvailable = await isESAvailable();
+    if (ES_REQUIRED && !esAvailable) {
+        return { error: "Live telemetry unavailable — analysis downgraded (ES REQUIRED)", status: 503 };
+    }
+
+    const service = params.service || 'billing-service';
+    const userQuery = params.query || '';
+    const range = parseTimeRange(params);
+    if (range.error) return { error: range.error, status: 400 };
+    const driftOptions = parseDriftOptions(params);
+    if (driftOptions.error) return { error: driftOptions.error, status: 400 };
+    const window = { from: range.from, to: range.to };
+
+    const started = Date.now();
+    const trace = [];
+    const complete = async (phase, entries) => {
+        entries.forEach(entry => {
+            trace.push(entry);
+            onStep({ index: trace.length, phase, step: entry.step, evidence: entry.evidence, elapsedMs: Date.now() - started });
         });
+        // Yield to the event loop: streamed steps flush now, and a closed stream is noticed before the next phase
+        await new Promise(resolve => setImmediate(resolve));
+        return isCancelled();
+    };
+    const cancelled = () => ({ cancelled: true, completedSteps: trace.length });
+
+    const [serviceInvoices, events, transactions, churn] = await Promise.all([
+        getInvoices({ service, ...window }),
+        getEvents(window),
+        getTransactions(window),
+        getChurn(window),
+    ]);
+
+    // ── MULTI-STEP AUTONOMOUS ORCHESTRATION ──
+
+    // Step 1: Detect (Anomaly Stats)
+    const windowOptions = {
+        ...driftOptions,
+        evaluatedAt: resolveEvaluationTime(range, summarizeInvoices(serviceInvoices, 'day')),
+    };
+    const drift = await get_anomaly_stats(serviceInvoices, windowOptions);
+    const overbilling = await get_overbilling_stats(serviceInvoices, windowOptions);
+    const incidentWindow = computeIncidentWindow(serviceInvoices, windowOptions);
+    const spikeStart = incidentWindow.incident
+        ? incidentWindow.incident.onset.timestamp.slice(0, 10)
+        : findSpikeStart(drift.dailyDrift);
+    if (await complete('Detect', traceDetect(drift, overbilling, incidentWindow))) return cancelled();
+
+    // Step 2: Investigate (Deployment History) — all candidates scored together
+    const history = await get_deployment_history(events);
+    const attribution = computeAttribution(serviceInvoices, history, service, incidentWindow, spikeStart);
+    const culprit = culpritOf(attribution, spikeStart);
+    const localization = await get_spike_localization({ service, ...window }, spikeStart, windowOptions);
+    if (await complete('Investigate', traceInvestigate(culprit, attribution, localization))) return cancelled();
+
+    // Step 3: Correlate (Failures & Churn)
+    const failedTransactions = await get_transaction_failures(transactions, spikeStart);
+    const churnCount = await get_churn_risk(churn, spikeStart);
+    if (await complete('Correlate', traceCorrelate(failedTransactions, churnCount))) return cancelled();
+
+    // Step 4: Quantify (Impact Forecast)
+    const totalLoss = serviceInvoices.reduce((s, inv) => s + invoiceLoss(inv), 0);
+    const forecast = await forecast_loss(totalLoss);
+    if (await complete('Quantify', traceQuantify(forecast))) return cancelled();
+
+    // Step 5: Decide (Autonomous Verdict)
+    const plan = await get_remediation_plan({ service, serviceInvoices, history, incidentWindow, attribution, culprit, overbilling, windowOptions });
+    const decision = await generate_decision(culprit, plan);
+    if (await complete('Decide', traceDecide(decision))) return cancelled();
+
+    // Step 5b: Answer the user's question, if any, with the tool-calling investigator
+    let investigation = null;
+    if (userQuery.trim()) {
+        try {
+            const result = await runInvestigation({ question: userQuery, service, window, driftOptions, providerName: params.provider });
+            investigation = result.error ? { error: result.error } : summarizeInvestigation(result);
+        } catch (err) {
+            investigation = { error: `Investigation failed: ${err.message}` };
+        }
+        if (isCancelled()) return cancelled();
+    }
+
+    // Step 6: Explain (Reasoning Trace — the entries of every phase above)
+    const report = {
+        metadata: {
+            id: null,
+            reportId: null,
+            service,
+            query: userQuery,
+            window,
+            windows: drift.windows,
+            timestamp: new Date().toISOString(),
+            role: "Revenue Incident Response Agent"
+        },
+        measurable_impact: {
+            time_saved: "4 hours -> 40 seconds",
+            manual_steps_removed: 6,
+            potential_arr_protected: forecast.protected_arr
+        },
+        verdict: decision.verdict,
+        culprit: culprit || null,
+        hypotheses: buildDirectionHypotheses(drift, totalLoss, overbilling),
+        localization,
+        incident_window: incidentWindow,
+        attribution,
+        investigation,
+        financial_impact: {
+            currency: getReportingCurrency(),
+            observed_loss: totalLoss,
+            refund_exposure: parseFloat(overbilling.refundExposure.toFixed(2)),
+            overbilled_invoices: overbilling.overbilledCount,
+            failed_transactions: failedTransactions,
+            correlated_churn_events: churnCount,
+            arr_risk: forecast.annualized_risk
+        },
+        reasoning_trace: {
+            steps: trace,
+            confidence: decision.confidence,
+            mode: esAvailable ? 'LIVE_ES' : 'FALLBACK'
+        },
+        reasoning_steps: trace.map(t => ({
+            step: t.step,
+            delta: Object.entries(t.evidence).map(([k, v]) => `${k}: ${v}`).join(', ')
+        })),
+        executive_summary: (culprit?.confidence > 0.5
+            ? `[${service}] Autonomous investigation confirmed a ${culprit.classification} between the ${culprit.service} ${culprit.version} deployment and the revenue leak initiated on ${culprit.spikeStart}${localization ? `, ${localization.statement}` : ''}. ${attribution.separation.statement}. Observed ${formatMoney(totalLoss)} in losses with ${failedTransactions} correlated transaction failures and a ${churnCount}-event churn spike. Drift factor: ${drift.driftFactor}x.`
+            : `[${service}] Multi-signal analysis indicates statistical drift factor of ${drift.driftFactor}x with ${formatMoney(totalLoss)} in observed losses. No primary deployment culprit identified with high confidence. ${failedTransactions} failed transactions and ${churnCount} churn events detected. Recommendations: Audit secondary service dependencies.`)
+            + (overbilling.overbilledCount > 0
+                ? ` Separately, ${overbilling.overbilledCount} invoices were overbilled (${formatMoney(overbilling.refundExposure)} refund exposure).`
+                : ''),
+        recommended_actions: decision.recommended_actions,
+        remediation_plan: {
+            lastKnownGood: plan.lastKnownGood,
+            intermediateDeployments: plan.intermediateDeployments,
+            lossAvoidedPerHour: plan.lossAvoidedPerHour,
+            preChecks: plan.preChecks,
+        },
+        confidence_score: decision.confidence
+    };
+
+    const filed = fileIncidentReport('agent', report, {
+        service,
+        spikeStart,
+        culprit: culprit?.confidence > 0.5 ? culprit : null,
+        observedLoss: totalLoss,
+    });
+    // Re-running an unchanged investigation does not page anyone twice
+    if (decision.verdict === 'CAUSAL_LINK_CONFIRMED' && !(filed && filed.repeated)) {
+        notifyVerdict(report, culprit);
+    }
+
+    // Runbooks act on the decision once per investigation outcome, like the verdict notification
+    const runs = filed && !filed.repeated
+        ? await triggerRunbooks({
+            verdict: decision.verdict,
+            actions: decision.recommended_actions,
+            service,
+            confidence: decision.confidence,
+            loss: totalLoss,
+            culprit,
+            incidentId: filed.incident.id,
+        })
+        : [];
+    report.runbook_runs = runs.map(run => ({ runId: run.id, runbook: run.runbook, status: run.status, dryRun: run.dryRun, approval: run.approval }));
+
+    // Store for proof endpoint
+    lastReasoningTrace = report.reasoning_trace;
+
+    // Log the internal reasoning for the dashboard "Thinking" view
+    cachedAgentLogs.push({
+        id: `LOG-${Date.now()}`,
+        timestamp: new Date().toISOString(),
+        action: 'AGENT_ANALYZE',
+        tool: 'Orchestrator',
+        query: userQuery,
+        reasoning: report.executive_summary,
+        output: report
+    });
+
+    return report;
+}
 
+app.post('/api/agent/analyze', async (req, res) => {
+    try {
+        const report = await runAgentAnalysis(req.body || {});
+        if (report.status === 503) {
+            return res.status(503).json({ status: "LIMITED_MODE", message: report.error });
+        }
+        if (report.error) return res.status(report.status).json({ error: report.error });
         res.json(report);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
+/**
+ * The same investigation as Server-Sent Events (query-string parameters, so
+ * a browser EventSource can open it):
+ *   start   { service, query, phases }
+ *   step    one reasoning trace entry, as soon as its phase completes
+ *   report  the final report (identical to POST /api/agent/analyze)
+ *   error   { error, status }
+ * The stream ends after `report` or `error`. Closing it cancels the run:
+ * no further phases run and nothing is filed, notified or triggered.
+ */
+app.get('/api/agent/analyze/stream', async (req, res) => {
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+        send('start', { service: req.query.service || 'billing-service', query: req.query.query || '', phases: ORCHESTRATION_PHASES });
+        const result = await runAgentAnalysis(req.query, { onStep: step => send('step', step), isCancelled: () => closed });
+        if (result.cancelled) {
+            cachedAgentLogs.push({
+                id: `LOG-${Date.now()}`,
+                timestamp: new Date().toISOString(),
+                action: 'AGENT_ANALYZE_CANCELLED',
+                tool: 'Orchestrator',
+                query: req.query.query || '',
+                reasoning: `Cancelled by the client after ${result.completedSteps} steps`,
+                output: result
+            });
+        } else if (result.error) {
+            send('error', { error: result.error, status: result.status });
+        } else {
+            send('report', result);
+        }
+    } catch (err) {
+        send('error', { error: err.message, status: 500 });
+    }
+    res.end();
+});
+
 
 // ── 13. System Modes & Audit Proof ────────────────────────────────────────
 
@@ -1186,27 +2616,39 @@ app.get('{/*path}', (req, res) => {
 //  START SERVER
 // ═══════════════════════════════════════════════════════════════════════════
 
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
+    const { port } = server.address(); // PORT=0 picks a free port
     const esAvail = await verifyElasticsearchConnection();
     console.log('');
     console.log('═══════════════════════════════════════════════════════════════');
     console.log('  ████ RevenueGuard — Financial Observability Platform ████');
     console.log('═══════════════════════════════════════════════════════════════');
-    console.log(`  Dashboard:     http://localhost:${PORT}`);
-    console.log(`  API Base:      http://localhost:${PORT}/api`);
+    console.log(`  Dashboard:     http://localhost:${port}`);
+    console.log(`  API Base:      http://localhost:${port}/api`);
     console.log(`  Elasticsearch: ${esAvail ? '✅ Connected' : '⚠️  Unavailable (JSON fallback)'}`);
     console.log('───────────────────────────────────────────────────────────────');
     console.log('  Endpoints:');
     console.log(`    GET /api/health`);
-    console.log(`    GET /api/anomalies?service=`);
+    console.log(`    GET /api/anomalies?service=&from=&to=&interval=&detector=&metric=&direction=, GET /api/anomalies/detectors`);
     console.log(`    GET /api/deployment-impact?service=`);
-    console.log(`    GET /api/risk-score?service=`);
-    console.log(`    GET /api/financial-loss?service=`);
-    console.log(`    GET /api/business-impact`);
-    console.log(`    GET /api/timeline?service=`);
-    console.log(`    GET /api/services`);
-    console.log(`    GET /api/alerts`);
+    console.log(`    GET /api/risk-score?service=&from=&to=`);
+    console.log(`    GET /api/financial-loss?service=&from=&to=&interval=`);
+    console.log(`    GET /api/business-impact?from=&to=`);
+    console.log(`    GET /api/timeline?service=&from=&to=&interval=`);
+    console.log(`    GET /api/services?from=&to=`);
+    console.log(`    GET /api/alerts?state=, GET /api/alerts/history?fingerprint=`);
+    console.log(`    POST /api/alerts/:fingerprint/ack|snooze|resolve`);
+    console.log(`    GET|POST /api/alert-rules, GET|PUT|PATCH|DELETE /api/alert-rules/:id`);
+    console.log(`    POST /api/alert-rules/dry-run, POST /api/alert-rules/:id/dry-run`);
     console.log(`    GET /api/explainability?service=`);
+    console.log(`    GET /api/incidents?status=&service=, GET|PATCH /api/incidents/:id`);
+    console.log(`    POST /api/agent/investigate, GET /api/agent/providers`);
+    console.log(`    GET /api/notifications/webhooks|dead-letter, POST /api/notifications/test|reload`);
+    console.log(`    GET /api/runbooks, POST /api/runbooks/reload|:id/run, GET /api/runbooks/runs|audit`);
+    console.log(`    GET /api/runbooks/runs/:runId, POST /api/runbooks/runs/:runId/approve|reject`);
+    console.log(`    GET /api/reconciliation?service=&class=&from=&to=&limit=`);
+    console.log(`    GET /api/drilldown?dimensions=service,region&direction=&service=&from=&to=`);
+    console.log(`    GET /api/fx, POST /api/fx/reload  (reporting currency: ${getReportingCurrency()})`);
     console.log('═══════════════════════════════════════════════════════════════');
     console.log('');
 });
@@ -0,0 +1,291 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Rollback Recommendations
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Derives remediation actions from an investigation's evidence instead of
+ *  fixed strings. For the culprit deployment it finds the last known-good
+ *  version of that service in the deployment history, the later deployments
+ *  a rollback would also revert, and how much money each hour of delay
+ *  costs. Pre-checks decide whether a rollback is safe at all: a recovered
+ *  incident or an intermediate fix blocks it.
+ *
+ *  Every action is a structured object:
+ *
+ *    { rank, type, priority, status, summary, target, expectedImpact,
+ *      rationale: [...], preChecks: [...] }
+ *
+ *  Types: ROLLBACK, VERIFY_FIX, REBILL_UNDERBILLED, REFUND_OVERBILLED,
+ *  INVESTIGATE. Recommended actions rank before blocked ones, then by
+ *  priority, then by the money at stake.
+ */
+
+const { VERDICT_THRESHOLD } = require('./causal_attribution');
+
+const HOUR_MS = 60 * 60 * 1000;
+const PRIORITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+const round2 = n => parseFloat(n.toFixed(2));
+const label = dep => `${dep.service} ${dep.version}`;
+
+// ─── Deployment History ─────────────────────────────────────────────────────
+
+function verdictFor(verdicts, dep) {
+    const match = verdicts.find(v => v.deployment.service === dep.service && v.deployment.timestamp === dep.timestamp);
+    return match ? match.verdict : null;
+}
+
+/**
+ * The latest deployment of the culprit's service before it that was not
+ * itself judged a regression. Null when the culprit is the first one seen.
+ */
+function findLastKnownGood(serviceDeployments, culprit, verdicts) {
+    const earlier = serviceDeployments.filter(d => d.timestamp < culprit.timestamp && d.version !== culprit.version);
+    const good = [...earlier].reverse().find(d => verdictFor(verdicts, d) !== 'REGRESSION');
+    return good ? { service: good.service, version: good.version, timestamp: good.timestamp, verdict: verdictFor(verdicts, good) } : null;
+}
+
+// Deployments of the culprit's service after it, up to the evaluation time: a rollback reverts them too
+function findIntermediateDeployments(serviceDeployments, culprit, verdicts, evaluatedAt) {
+    return serviceDeployments
+        .filter(d => d.timestamp > culprit.timestamp && (!evaluatedAt || d.timestamp <= evaluatedAt))
+        .map(d => ({ service: d.service, version: d.version, timestamp: d.timestamp, verdict: verdictFor(verdicts, d) }));
+}
+
+// ─── Cost of Delay ──────────────────────────────────────────────────────────
+
+/**
+ * Loss attributable to the culprit per hour it stays live, from its
+ * counterfactual (counterfactual.js). `active` is false once the incident
+ * recovered: acting sooner no longer avoids anything.
+ */
+function lossAvoidedPerHour(counterfactual, incident, evaluatedAt) {
+    if (!counterfactual) return null;
+    const { observed, attributable } = counterfactual;
+    const end = observed.to || evaluatedAt;
+    const hours = end ? Math.max((Date.parse(end) - Date.parse(observed.from)) / HOUR_MS, 1) : null;
+    if (!hours) return null;
+    const perHour = n => round2(Math.max(0, n) / hours);
+    return {
+        perHour: perHour(attributable.loss),
+        low: perHour(attributable.low),
+        high: perHour(attributable.high),
+        hoursObserved: round2(hours),
+        active: !incident || incident.status === 'ONGOING',
+    };
+}
+
+// ─── Pre-checks ─────────────────────────────────────────────────────────────
+
+function runPreChecks({ culprit, incident, lastKnownGood, intermediate }) {
+    const fixes = intermediate.filter(d => d.verdict === 'FIX');
+    return [
+        {
+            check: 'culprit_confidence',
+            status: culprit.confidence >= VERDICT_THRESHOLD ? 'PASS' : 'WARN',
+            detail: `${label(culprit)} has ${(culprit.confidence * 100).toFixed(1)}% attribution probability`,
+        },
+        {
+            check: 'incident_active',
+            status: !incident ? 'WARN' : incident.status === 'ONGOING' ? 'PASS' : 'FAIL',
+            detail: !incident
+                ? 'No incident window located; impact timing unknown'
+                : incident.status === 'ONGOING'
+                    ? `Incident ongoing since ${incident.onset.timestamp}`
+                    : `Incident already recovered at ${incident.recovery.timestamp}`,
+        },
+        {
+            check: 'last_known_good',
+            status: lastKnownGood ? 'PASS' : 'FAIL',
+            detail: lastKnownGood
+                ? `${label(lastKnownGood)} deployed ${lastKnownGood.timestamp}${lastKnownGood.verdict ? ` (${lastKnownGood.verdict})` : ''}`
+                : `No earlier deployment of ${culprit.service} to return to`,
+        },
+        {
+            check: 'intermediate_deployments',
+            status: fixes.length > 0 ? 'FAIL' : intermediate.length > 0 ? 'WARN' : 'PASS',
+            detail: fixes.length > 0
+                ? `Rollback would revert fix ${fixes.map(label).join(', ')}`
+                : intermediate.length > 0
+                    ? `Rollback would also revert ${intermediate.map(label).join(', ')}`
+                    : 'No later deployments would be reverted',
+        },
+    ];
+}
+
+// ─── Actions ────────────────────────────────────────────────────────────────
+
+function rankActions(actions) {
+    const order = a => [a.status === 'BLOCKED' ? 1 : 0, PRIORITIES.indexOf(a.priority), -(a.value || 0)];
+    return actions
+        .sort((a, b) => {
+            const [x, y] = [order(a), order(b)];
+            return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+        })
+        .map(({ value, ...action }, i) => ({ rank: i + 1, ...action }));
+}
+
+function rollbackAction({ culprit, lastKnownGood, intermediate, counterfactual, delay, preChecks }) {
+    const blocked = preChecks.some(c => c.status === 'FAIL');
+    const current = intermediate.length > 0 ? intermediate[intermediate.length - 1] : culprit;
+    const rationale = [
+        `${label(culprit)} is the most probable cause (${(culprit.confidence * 100).toFixed(1)}% attribution probability)`,
+    ];
+    if (counterfactual) {
+        rationale.push(`Anomaly rate went from ${counterfactual.baseline.anomalyRate}% to ${counterfactual.observed.anomalyRate}% after it`);
+    }
+    if (delay) {
+        rationale.push(delay.active
+            ? `Each hour of delay costs about ${delay.perHour}${delay.low !== delay.high ? ` (${delay.low}–${delay.high})` : ''} in attributable loss`
+            : `Attributable loss ran at about ${delay.perHour} per hour while the incident lasted`);
+    }
+    preChecks.filter(c => c.status !== 'PASS').forEach(c => rationale.push(c.detail));
+
+    return {
+        type: 'ROLLBACK',
+        priority: blocked ? 'LOW' : delay && delay.active && culprit.confidence >= VERDICT_THRESHOLD ? 'CRITICAL' : 'HIGH',
+        status: blocked ? 'BLOCKED' : 'RECOMMENDED',
+        summary: lastKnownGood
+            ? `Roll back ${culprit.service} from ${current.version} to ${lastKnownGood.version}`
+            : `Roll back ${label(culprit)}`,
+        target: {
+            service: culprit.service,
+            fromVersion: current.version,
+            toVersion: lastKnownGood ? lastKnownGood.version : null,
+            reverts: [culprit, ...intermediate].map(d => d.version),
+        },
+        expectedImpact: {
+            lossAvoidedPerHour: delay && delay.active ? delay.perHour : 0,
+            bounds: delay && delay.active ? { low: delay.low, high: delay.high } : null,
+        },
+        rationale,
+        preChecks,
+        value: delay && delay.active ? delay.perHour * 24 : 0,
+    };
+}
+
+/**
+ * Ranked, structured remediation for an investigation.
+ *
+ *   culprit         { service, version, timestamp, confidence } or null
+ *   deployments     deployment events (any service)
+ *   verdicts        judgeDeployments() of the affected service
+ *   incident        the located incident episode, or null
+ *   counterfactual  estimateCounterfactual() of the culprit
+ *   overbilling     { overbilledCount, refundExposure }
+ *   unexplained     attribution share left to no deployment
+ *   lossRate        { perHour, low, high, hoursObserved } when the loss rate
+ *                   comes from elsewhere than a counterfactual
+ *
+ * Returns { lastKnownGood, intermediateDeployments, lossAvoidedPerHour,
+ * preChecks, actions }.
+ */
+function recommendActions({
+    culprit = null,
+    deployments = [],
+    verdicts = [],
+    incident = null,
+    counterfactual = null,
+    overbilling = null,
+    unexplained = null,
+    lossRate = null,
+    evaluatedAt = null,
+} = {}) {
+    const actions = [];
+    let lastKnownGood = null;
+    let intermediate = [];
+    let delay = null;
+    let preChecks = [];
+
+    if (culprit) {
+        const serviceDeployments = deployments
+            .filter(d => d.eventType === 'deployment' && d.service === culprit.service)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        lastKnownGood = findLastKnownGood(serviceDeployments, culprit, verdicts);
+        intermediate = findIntermediateDeployments(serviceDeployments, culprit, verdicts, evaluatedAt);
+        delay = lossRate
+            ? { ...lossRate, active: !incident || incident.status === 'ONGOING' }
+            : lossAvoidedPerHour(counterfactual, incident, evaluatedAt);
+        preChecks = runPreChecks({ culprit, incident, lastKnownGood, intermediate });
+        actions.push(rollbackAction({ culprit, lastKnownGood, intermediate, counterfactual, delay, preChecks }));
+
+        intermediate.filter(d => d.verdict === 'FIX').forEach(fix => {
+            const verdict = verdicts.find(v => v.deployment.timestamp === fix.timestamp);
+            actions.push({
+                type: 'VERIFY_FIX',
+                priority: 'MEDIUM',
+                status: 'RECOMMENDED',
+                summary: `Keep ${label(fix)} and confirm the recovery holds`,
+                target: { service: fix.service, version: fix.version },
+                expectedImpact: { recoveryConfidence: verdict.recoveryConfidence, timeToRecover: verdict.timeToRecover },
+                rationale: [
+                    `${label(fix)} is a confirmed fix (${(verdict.recoveryConfidence * 100).toFixed(1)}% recovery confidence)`,
+                    `Rolling back past it would reintroduce ${label(culprit)}`,
+                ],
+                preChecks: [],
+            });
+        });
+    }
+
+    if (counterfactual && counterfactual.direction === 'underbilling' && counterfactual.attributable.loss > 0) {
+        const { attributable, observed } = counterfactual;
+        actions.push({
+            type: 'REBILL_UNDERBILLED',
+            priority: 'HIGH',
+            status: 'RECOMMENDED',
+            summary: `Re-issue the ${observed.anomalies} underbilled invoices from ${observed.from} to ${observed.to || 'now'}`,
+            target: { window: { from: observed.from, to: observed.to }, invoices: observed.anomalies },
+            expectedImpact: { recoverableRevenue: attributable.loss, bounds: { low: Math.max(0, attributable.low), high: attributable.high } },
+            rationale: [
+                `${observed.anomalies} of ${observed.invoices} invoices were underbilled after ${label(culprit)}`,
+                `Attributable loss of ${attributable.loss} exceeds the pre-deploy background of ${counterfactual.expected.loss}`,
+            ],
+            preChecks: [],
+            value: attributable.loss,
+        });
+    }
+
+    if (overbilling && overbilling.overbilledCount > 0) {
+        actions.push({
+            type: 'REFUND_OVERBILLED',
+            priority: 'HIGH',
+            status: 'RECOMMENDED',
+            summary: `Refund ${overbilling.overbilledCount} overbilled invoices`,
+            target: { invoices: overbilling.overbilledCount },
+            expectedImpact: { refundExposure: round2(overbilling.refundExposure) },
+            rationale: [`${overbilling.overbilledCount} invoices were billed above the expected amount`],
+            preChecks: [],
+            value: overbilling.refundExposure,
+        });
+    }
+
+    if (!culprit || culprit.confidence < VERDICT_THRESHOLD) {
+        actions.push({
+            type: 'INVESTIGATE',
+            priority: 'MEDIUM',
+            status: 'RECOMMENDED',
+            summary: 'Audit cross-service telemetry for a non-deployment cause',
+            target: null,
+            expectedImpact: {},
+            rationale: [
+                culprit
+                    ? `The best candidate, ${label(culprit)}, has only ${(culprit.confidence * 100).toFixed(1)}% attribution probability`
+                    : 'No deployment lines up with the incident',
+                ...(unexplained !== null ? [`${(unexplained * 100).toFixed(1)}% of the attribution is left unexplained`] : []),
+            ],
+            preChecks: [],
+        });
+    }
+
+    return {
+        lastKnownGood,
+        intermediateDeployments: intermediate,
+        lossAvoidedPerHour: delay,
+        preChecks,
+        actions: rankActions(actions),
+    };
+}
+
+module.exports = {
+    recommendActions,
+};
@@ -0,0 +1,536 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Runbook Automation
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  Named runbooks in config/runbooks.json (override with RUNBOOKS_FILE) act
+ *  on the agent's decisions. A runbook is triggered by a verdict and/or a
+ *  recommended action type (rollback.js) and runs its steps in order:
+ *
+ *    http    call an API (e.g. a deploy API's rollback endpoint)
+ *    shell   run an allowlisted executable — no shell, stripped environment,
+ *            a dedicated working directory and a timeout
+ *    ticket  open a ticket through the configured ticketing endpoint
+ *    notify  send a `runbook.notify` notification through notifier.js
+ *
+ *  String fields are templates: "{{action.target.toVersion}}" is replaced
+ *  from the run's context ({ service, verdict, confidence, loss, incident,
+ *  culprit, action, run, vars }).
+ *
+ *  A run needs human approval when the culprit confidence is below the
+ *  runbook's `approval.minConfidence`, the loss at stake is at or above
+ *  `approval.maxLoss`, or `approval.always` is set. Dry runs render every
+ *  step without executing it and never wait for approval.
+ *
+ *  Runs persist in data/runbook_runs.json (RUNBOOK_RUNS_FILE), which keeps
+ *  every unfinished run and the newest finished ones; every decision and
+ *  step is appended to data/runbook_audit.jsonl (RUNBOOK_AUDIT_FILE), the
+ *  full history; and a run's step results are attached to its incident
+ *  (incident_store.js).
+ *
+ *  Run status: PENDING_APPROVAL ──▶ RUNNING ──▶ SUCCEEDED | FAILED, or
+ *  REJECTED; dry runs end as DRY_RUN.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { notify } = require('./notifier');
+const { getIncident, attachRunbookRun } = require('./incident_store');
+
+const CONFIG_FILE = process.env.RUNBOOKS_FILE || path.join(__dirname, 'config', 'runbooks.json');
+const RUNS_FILE = process.env.RUNBOOK_RUNS_FILE || path.join(__dirname, 'data', 'runbook_runs.json');
+const AUDIT_FILE = process.env.RUNBOOK_AUDIT_FILE || path.join(__dirname, 'data', 'runbook_audit.jsonl');
+const SANDBOX_DIR = path.join(__dirname, 'data', 'runbook_sandbox');
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const MAX_RUNS = 500;
+
+const STEP_TYPES = ['http', 'shell', 'ticket', 'notify'];
+const MODES = ['dry-run', 'execute', 'off'];
+const RUN_STATUSES = ['PENDING_APPROVAL', 'RUNNING', 'SUCCEEDED', 'FAILED', 'REJECTED', 'DRY_RUN'];
+const ACTIVE_STATUSES = ['PENDING_APPROVAL', 'RUNNING', 'SUCCEEDED'];
+const FINISHED_STATUSES = ['SUCCEEDED', 'FAILED', 'REJECTED', 'DRY_RUN'];
+
+const DEFAULT_CONFIG = {
+    mode: 'dry-run',
+    timeoutMs: 10000,
+    approval: { minConfidence: 0.9, maxLoss: 1000, always: false },
+    shell: { allow: [] },
+    ticketing: { url: null },
+    vars: {},
+    runbooks: [],
+};
+
+// ─── Configuration ──────────────────────────────────────────────────────────
+
+let config = null;
+
+function validateStep(step, shellAllow) {
+    const errors = [];
+    if (!step || !STEP_TYPES.includes(step.type)) return [`step type must be one of ${STEP_TYPES.join(', ')}`];
+    const name = step.name || step.type;
+    if (step.type === 'http') {
+        if (typeof step.url !== 'string') errors.push(`${name}: url is required`);
+        if (step.method !== undefined && !['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(step.method)) errors.push(`${name}: unsupported method ${step.method}`);
+    }
+    if (step.type === 'shell') {
+        if (!shellAllow.includes(step.command)) errors.push(`${name}: command '${step.command}' is not in shell.allow`);
+        if (step.args !== undefined && (!Array.isArray(step.args) || step.args.some(a => typeof a !== 'string'))) errors.push(`${name}: args must be a list of strings`);
+    }
+    if (step.type === 'ticket' && typeof step.title !== 'string') errors.push(`${name}: title is required`);
+    if (step.type === 'notify' && typeof step.summary !== 'string') errors.push(`${name}: summary is required`);
+    return errors;
+}
+
+function validateRunbook(runbook, shellAllow) {
+    const errors = [];
+    if (!runbook || typeof runbook.id !== 'string' || runbook.id.length === 0) return ['id is required'];
+    const trigger = runbook.trigger || {};
+    if (!trigger.verdict && !trigger.action) errors.push('trigger needs a verdict and/or an action');
+    if (!Array.isArray(runbook.steps) || runbook.steps.length === 0) errors.push('steps must be a non-empty list');
+    else runbook.steps.forEach(step => errors.push(...validateStep(step, shellAllow)));
+    return errors;
+}
+
+function loadConfig() {
+    if (!fs.existsSync(CONFIG_FILE)) return DEFAULT_CONFIG;
+    const input = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    if (input.mode !== undefined && !MODES.includes(input.mode)) {
+        throw new Error(`Invalid runbooks config ${CONFIG_FILE}: mode must be one of ${MODES.join(', ')}`);
+    }
+    // Bare executable names only: a path could point anywhere
+    const allow = ((input.shell && input.shell.allow) || []).filter(cmd => typeof cmd === 'string' && !cmd.includes('/'));
+    const runbooks = (input.runbooks || []).filter(runbook => {
+        const errors = validateRunbook(runbook, allow);
+        if (errors.length > 0) {
+            console.warn(`⚠️  Skipping runbook '${runbook && runbook.id}': ${errors.join('; ')}`);
+            return false;
+        }
+        return true;
+    });
+    return {
+        ...DEFAULT_CONFIG,
+        ...input,
+        approval: { ...DEFAULT_CONFIG.approval, ...input.approval },
+        shell: { allow },
+        ticketing: { ...DEFAULT_CONFIG.ticketing, ...input.ticketing },
+        vars: { ...input.vars },
+        runbooks,
+    };
+}
+
+function getConfig() {
+    if (!config) config = loadConfig();
+    return config;
+}
+
+// Force config reload (e.g. after editing runbooks.json)
+function reloadRunbooks() {
+    config = null;
+    return listRunbooks();
+}
+
+function approvalRules(runbook) {
+    return { ...getConfig().approval, ...runbook.approval };
+}
+
+function listRunbooks() {
+    const { mode, shell, ticketing, runbooks } = getConfig();
+    return {
+        mode,
+        shellAllow: shell.allow,
+        ticketing: ticketing.url,
+        runbooks: runbooks.map(rb => ({
+            id: rb.id,
+            description: rb.description || null,
+            trigger: rb.trigger,
+            approval: approvalRules(rb),
+            steps: rb.steps.map(s => ({ name: s.name || s.type, type: s.type })),
+        })),
+    };
+}
+
+function getRunbook(id) {
+    return getConfig().runbooks.find(rb => rb.id === id) || null;
+}
+
+// ─── Persistence & Audit ────────────────────────────────────────────────────
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = fs.existsSync(RUNS_FILE) ? JSON.parse(fs.readFileSync(RUNS_FILE, 'utf8')) : { nextId: 1, runs: [] };
+    }
+    return store;
+}
+
+function summarizeRun(run) {
+    return {
+        runId: run.id,
+        runbook: run.runbook,
+        status: run.status,
+        dryRun: run.dryRun,
+        action: run.trigger.action,
+        approval: run.approval,
+        steps: run.steps.map(s => ({ name: s.name, type: s.type, status: s.status, result: s.result, error: s.error })),
+        updatedAt: run.updatedAt,
+    };
+}
+
+// Every state change is saved and mirrored onto the run's incident
+function saveRun(run, now = new Date().toISOString()) {
+    run.updatedAt = now;
+    const data = getStore();
+    // Only the oldest finished runs age out; the audit log keeps the full history
+    let excess = data.runs.length - MAX_RUNS;
+    if (excess > 0) {
+        data.runs = data.runs.filter(r => !(excess > 0 && FINISHED_STATUSES.includes(r.status) && excess--));
+    }
+    fs.mkdirSync(path.dirname(RUNS_FILE), { recursive: true });
+    fs.writeFileSync(RUNS_FILE, JSON.stringify(data, null, 2) + '\n');
+    if (run.incidentId) attachRunbookRun(run.incidentId, summarizeRun(run));
+}
+
+function audit(run, event, { by = 'system', detail = null } = {}) {
+    const entry = { at: new Date().toISOString(), runId: run.id, runbook: run.runbook, incidentId: run.incidentId, event, by, detail };
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+}
+
+/** Newest first, optionally for one run. */
+function getAuditTrail({ runId = null, limit = 100 } = {}) {
+    if (!fs.existsSync(AUDIT_FILE)) return [];
+    return fs.readFileSync(AUDIT_FILE, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .filter(entry => !runId || entry.runId === runId)
+        .slice(-limit)
+        .reverse();
+}
+
+function listRuns({ incidentId = null, status = null } = {}) {
+    return getStore().runs
+        .filter(run => (!incidentId || run.incidentId === incidentId) && (!status || run.status === status))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getRun(id) {
+    return getStore().runs.find(run => run.id === id) || null;
+}
+
+// ─── Templates ──────────────────────────────────────────────────────────────
+
+const lookup = (context, key) => key.split('.').reduce((v, part) => (v === null || v === undefined ? undefined : v[part]), context);
+
+// A string that is exactly one placeholder keeps the value's type (numbers, objects)
+function render(value, context) {
+    if (typeof value === 'string') {
+        const whole = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+        if (whole) {
+            const v = lookup(context, whole[1]);
+            return v === undefined ? null : v;
+        }
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+            const v = lookup(context, key);
+            return v === undefined || v === null ? '' : String(v);
+        });
+    }
+    if (Array.isArray(value)) return value.map(v => render(v, context));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, render(v, context)]));
+    }
+    return value;
+}
+
+// ─── Steps ──────────────────────────────────────────────────────────────────
+
+const truncate = data => {
+    const text = typeof data === 'string' ? data : JSON.stringify(data);
+    return text && text.length > 2000 ? `${text.slice(0, 2000)}…` : data;
+};
+
+// The rendered request a step would make; dry runs stop here
+function prepareStep(step, context) {
+    const cfg = getConfig();
+    switch (step.type) {
+    case 'http':
+        return { method: step.method || 'POST', url: render(step.url, context), headers: render(step.headers || {}, context), body: render(step.body, context) };
+    case 'shell':
+        return { command: step.command, args: render(step.args || [], context), cwd: SANDBOX_DIR };
+    case 'ticket':
+        return {
+            url: cfg.ticketing.url,
+            body: {
+                title: render(step.title, context),
+                description: render(step.description || '', context),
+                priority: render(step.priority || 'HIGH', context),
+                incidentId: context.incident ? context.incident.id : null,
+                labels: ['revenueguard', context.runbook],
+            },
+        };
+    case 'notify':
+        return { event: 'runbook.notify', summary: render(step.summary, context), severity: step.severity || 'HIGH' };
+    default:
+        return null;
+    }
+}
+
+function runShell({ command, args, cwd }, timeoutMs) {
+    fs.mkdirSync(cwd, { recursive: true });
+    return new Promise(resolve => {
+        execFile(command, args, {
+            cwd,
+            env: { PATH: process.env.PATH },
+            timeout: timeoutMs,
+            maxBuffer: MAX_OUTPUT_BYTES,
+            shell: false,
+        }, (err, stdout, stderr) => {
+            const output = { exitCode: err ? (typeof err.code === 'number' ? err.code : null) : 0, stdout: truncate(stdout), stderr: truncate(stderr) };
+            resolve(err ? { error: err.killed ? `Timed out after ${timeoutMs} ms` : err.message, result: output } : { result: output });
+        });
+    });
+}
+
+/** Execute one prepared step. Resolves to { result } or { error, result? }; never rejects. */
+async function executeStep(step, request, run) {
+    const { timeoutMs } = getConfig();
+    try {
+        switch (step.type) {
+        case 'http': {
+            const response = await axios({ method: request.method, url: request.url, headers: request.headers, data: request.body, timeout: timeoutMs, validateStatus: () => true });
+            const result = { status: response.status, data: truncate(response.data) };
+            const expected = step.expectStatus ? response.status === step.expectStatus : response.status >= 200 && response.status < 300;
+            return expected ? { result } : { error: `HTTP ${response.status}`, result };
+        }
+        case 'shell':
+            return runShell(request, timeoutMs);
+        case 'ticket': {
+            if (!request.url) return { error: 'ticketing.url is not configured' };
+            const response = await axios.post(request.url, request.body, { timeout: timeoutMs, validateStatus: () => true });
+            if (response.status < 200 || response.status >= 300) return { error: `HTTP ${response.status}`, result: { status: response.status } };
+            return { result: { status: response.status, ticketId: response.data && (response.data.id || response.data.key) || null } };
+        }
+        case 'notify': {
+            const deliveries = await notify({
+                event: request.event,
+                summary: request.summary,
+                severity: request.severity,
+                fields: { Runbook: run.runbook, Run: run.id, Incident: run.incidentId || 'n/a' },
+                data: { runId: run.id, runbook: run.runbook, incidentId: run.incidentId },
+            });
+            return { result: { webhooks: deliveries.length, delivered: deliveries.filter(d => d.delivered).length } };
+        }
+        default:
+            return { error: `Unknown step type ${step.type}` };
+        }
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+// ─── Runs ───────────────────────────────────────────────────────────────────
+
+function approvalFor(runbook, context) {
+    const rules = approvalRules(runbook);
+    const reasons = [];
+    if (rules.always) reasons.push('Runbook always requires approval');
+    if (context.confidence === null || context.confidence === undefined || context.confidence < rules.minConfidence) {
+        const shown = context.confidence === null || context.confidence === undefined ? 'unknown' : `${(context.confidence * 100).toFixed(1)}%`;
+        reasons.push(`Confidence ${shown} is below ${(rules.minConfidence * 100).toFixed(0)}%`);
+    }
+    if (context.loss !== null && context.loss !== undefined && context.loss >= rules.maxLoss) {
+        reasons.push(`Loss at stake ${context.loss.toFixed(2)} is at or above ${rules.maxLoss}`);
+    }
+    return { required: reasons.length > 0, reasons, decision: null, by: null, at: null, note: null };
+}
+
+async function executeRun(run) {
+    const runbook = getRunbook(run.runbook);
+    if (!runbook) {
+        run.status = 'FAILED';
+        run.error = `Runbook '${run.runbook}' is no longer configured`;
+        audit(run, 'RUN_FAILED', { detail: run.error });
+        saveRun(run);
+        return run;
+    }
+
+    run.status = run.dryRun ? 'DRY_RUN' : 'RUNNING';
+    audit(run, run.dryRun ? 'DRY_RUN_STARTED' : 'RUN_STARTED');
+    saveRun(run);
+
+    let failed = false;
+    for (const [i, step] of runbook.steps.entries()) {
+        const record = run.steps[i];
+        if (failed) {
+            record.status = 'SKIPPED';
+            continue;
+        }
+        record.request = prepareStep(step, run.context);
+        record.startedAt = new Date().toISOString();
+        if (run.dryRun) {
+            record.status = 'DRY_RUN';
+        } else {
+            const outcome = await executeStep(step, record.request, run);
+            record.result = outcome.result || null;
+            record.error = outcome.error || null;
+            record.status = outcome.error ? 'FAILED' : 'SUCCEEDED';
+            if (outcome.error && !step.continueOnError) failed = true;
+        }
+        record.finishedAt = new Date().toISOString();
+        audit(run, `STEP_${record.status}`, { detail: { step: record.name, type: record.type, request: record.request, result: record.result, error: record.error } });
+        saveRun(run);
+    }
+
+    if (!run.dryRun) {
+        run.status = failed ? 'FAILED' : 'SUCCEEDED';
+        audit(run, failed ? 'RUN_FAILED' : 'RUN_SUCCEEDED');
+        saveRun(run);
+    }
+    return run;
+}
+
+/**
+ * Create a run of `runbook` with `context` and start it unless it needs
+ * approval. Resolves once the run finished or is waiting for approval.
+ */
+async function startRun(runbook, context, { dryRun = false, trigger = {}, startedBy = 'agent' } = {}) {
+    const data = getStore();
+    const now = new Date().toISOString();
+    const id = `RUN-${String(data.nextId++).padStart(4, '0')}`;
+    const run = {
+        id,
+        runbook: runbook.id,
+        incidentId: context.incident ? context.incident.id : null,
+        service: context.service || null,
+        trigger: { verdict: trigger.verdict || null, action: trigger.action || null },
+        dryRun,
+        status: null,
+        startedBy,
+        context: { ...context, run: { id }, runbook: runbook.id, vars: getConfig().vars },
+        approval: approvalFor(runbook, context),
+        steps: runbook.steps.map(s => ({ name: s.name || s.type, type: s.type, status: 'PENDING', request: null, result: null, error: null, startedAt: null, finishedAt: null })),
+        createdAt: now,
+        updatedAt: now,
+    };
+    data.runs.push(run);
+    audit(run, 'RUN_CREATED', { by: startedBy, detail: { dryRun, trigger: run.trigger, approval: run.approval.reasons } });
+
+    if (!dryRun && run.approval.required) {
+        run.status = 'PENDING_APPROVAL';
+        audit(run, 'APPROVAL_REQUESTED', { detail: run.approval.reasons });
+        saveRun(run);
+        return run;
+    }
+    return executeRun(run);
+}
+
+/**
+ * Approve or reject a pending run: { by, note }. Returns null for an unknown
+ * run, { error, status } when it is not waiting for approval, otherwise
+ * { run } (an approved run has been executed).
+ */
+async function decideRun(id, decision, { by = 'operator', note = null } = {}) {
+    const run = getRun(id);
+    if (!run) return null;
+    if (run.status !== 'PENDING_APPROVAL') {
+        return { error: `Run ${id} is ${run.status}, not waiting for approval`, status: 409 };
+    }
+    run.approval = { ...run.approval, decision, by, at: new Date().toISOString(), note };
+    audit(run, decision === 'APPROVED' ? 'APPROVED' : 'REJECTED', { by, detail: note });
+    if (decision !== 'APPROVED') {
+        run.status = 'REJECTED';
+        run.steps.forEach(step => { step.status = 'SKIPPED'; });
+        saveRun(run);
+        return { run };
+    }
+    return { run: await executeRun(run) };
+}
+
+const approveRun = (id, options) => decideRun(id, 'APPROVED', options);
+const rejectRun = (id, options) => decideRun(id, 'REJECTED', options);
+
+// ─── Triggers ───────────────────────────────────────────────────────────────
+
+// The first recommended action the runbook is triggered by, or null when it does not apply
+function matchTrigger(runbook, verdict, actions) {
+    const { trigger } = runbook;
+    if (trigger.verdict && trigger.verdict !== verdict) return null;
+    if (!trigger.action) return { verdict, action: null };
+    const action = actions.find(a => a.type === trigger.action && a.status !== 'BLOCKED');
+    return action ? { verdict, action } : null;
+}
+
+function hasActiveRun(incidentId, runbookId) {
+    return Boolean(incidentId) && getStore().runs.some(run =>
+        run.incidentId === incidentId && run.runbook === runbookId && !run.dryRun && ACTIVE_STATUSES.includes(run.status));
+}
+
+/**
+ * Start every runbook a decision triggers, in the configured mode.
+ *   decision: { verdict, actions, service, confidence, loss, culprit, incidentId }
+ * An incident gets at most one live run per runbook. Resolves to the runs.
+ */
+async function triggerRunbooks({ verdict, actions = [], service, confidence = null, loss = null, culprit = null, incidentId = null }) {
+    const { mode, runbooks } = getConfig();
+    if (mode === 'off') return [];
+
+    const runs = [];
+    for (const runbook of runbooks) {
+        const match = matchTrigger(runbook, verdict, actions);
+        if (!match || (mode === 'execute' && hasActiveRun(incidentId, runbook.id))) continue;
+        const context = { service, verdict, confidence, loss, culprit, action: match.action, incident: incidentId ? { id: incidentId } : null };
+        runs.push(await startRun(runbook, context, {
+            dryRun: mode !== 'execute',
+            trigger: { verdict, action: match.action ? match.action.type : null },
+        }));
+    }
+    return runs;
+}
+
+/**
+ * Operator-started run for an incident: the context comes from the
+ * incident and its latest report, and the approval gate still applies.
+ * Returns null for an unknown runbook, { error, status } for a bad request,
+ * otherwise { run }.
+ */
+async function runForIncident(runbookId, { incidentId = null, dryRun = false, by = 'operator' } = {}) {
+    const runbook = getRunbook(runbookId);
+    if (!runbook) return null;
+    const incident = incidentId ? getIncident(incidentId) : null;
+    if (incidentId && !incident) return { error: `Incident '${incidentId}' not found`, status: 404 };
+
+    const latest = incident && incident.reports.length > 0 ? incident.reports[incident.reports.length - 1].report : null;
+    const actions = latest && Array.isArray(latest.recommended_actions) ? latest.recommended_actions.filter(a => a && a.type) : [];
+    const action = runbook.trigger.action ? actions.find(a => a.type === runbook.trigger.action) || null : null;
+    const context = {
+        service: incident ? incident.service : null,
+        verdict: latest ? latest.verdict || null : null,
+        confidence: incident && incident.culprit ? incident.culprit.confidence : null,
+        loss: incident ? incident.observedLoss : null,
+        culprit: incident ? incident.culprit : null,
+        action,
+        incident: incident ? { id: incident.id } : null,
+    };
+    const run = await startRun(runbook, context, {
+        dryRun,
+        trigger: { verdict: context.verdict, action: action ? action.type : null },
+        startedBy: by,
+    });
+    return { run };
+}
+
+module.exports = {
+    RUN_STATUSES,
+    listRunbooks,
+    reloadRunbooks,
+    triggerRunbooks,
+    runForIncident,
+    approveRun,
+    rejectRun,
+    listRuns,
+    getRun,
+    getAuditTrail,
+};
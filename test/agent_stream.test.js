@@ -0,0 +1,108 @@
+/**
+ * Streamed agent analysis (/api/agent/analyze/stream) on the sample data:
+ * each orchestration phase arrives as a step event before the report, bad
+ * parameters end in an error event, and closing the stream cancels the run.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const { startServer } = require('./server');
+
+const PHASES = ['Detect', 'Investigate', 'Correlate', 'Quantify', 'Decide'];
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-stream-'));
+let server;
+let fullRunSteps = null;
+
+before(async () => {
+    server = await startServer(tmp);
+});
+
+after(() => {
+    server.child.kill();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+/**
+ * Open the stream and collect { event, data } until it ends. `onEvent` may
+ * return true to close the connection early.
+ */
+function stream(query, onEvent = () => false) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        let buffer = '';
+        const req = http.get(`${server.url}/api/agent/analyze/stream?${new URLSearchParams(query)}`, res => {
+            assert.strictEqual(res.headers['content-type'], 'text/event-stream');
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                for (const block of blocks) {
+                    const event = block.match(/^event: (.*)$/m)[1];
+                    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+                    events.push({ event, data });
+                    if (onEvent({ event, data })) {
+                        req.destroy();
+                        return resolve(events);
+                    }
+                }
+            });
+            res.on('end', () => resolve(events));
+        });
+        req.on('error', reject);
+    });
+}
+
+const incidentCount = async () => (await axios.get(`${server.url}/api/incidents`)).data.count;
+
+test('every phase is streamed as a step before the report', async () => {
+    const events = await stream({ service: 'billing-service' });
+    const names = events.map(e => e.event);
+    assert.strictEqual(names[0], 'start');
+    assert.strictEqual(names[names.length - 1], 'report');
+    assert.ok(names.slice(1, -1).every(name => name === 'step'));
+
+    assert.deepStrictEqual(events[0].data, { service: 'billing-service', query: '', phases: PHASES });
+
+    const steps = events.filter(e => e.event === 'step').map(e => e.data);
+    fullRunSteps = steps.length;
+    assert.deepStrictEqual(steps.map(s => s.index), steps.map((s, i) => i + 1));
+    assert.deepStrictEqual([...new Set(steps.map(s => s.phase))], PHASES);
+    assert.deepStrictEqual(steps.map(s => s.elapsedMs), [...steps.map(s => s.elapsedMs)].sort((a, b) => a - b));
+
+    // The report carries the same trace that was streamed
+    const report = events[events.length - 1].data;
+    assert.strictEqual(report.metadata.service, 'billing-service');
+    assert.deepStrictEqual(report.reasoning_trace.steps.map(t => t.step), steps.map(s => s.step));
+    assert.deepStrictEqual(report.reasoning_trace.steps.map(t => t.evidence), steps.map(s => s.evidence));
+});
+
+test('invalid parameters end the stream with an error event', async () => {
+    const events = await stream({ from: 'yesterday-ish' });
+    assert.deepStrictEqual(events.map(e => e.event), ['start', 'error']);
+    assert.strictEqual(events[1].data.status, 400);
+});
+
+test('closing the stream cancels the run before anything is filed', async () => {
+    const filedBefore = await incidentCount();
+    const events = await stream({ service: 'billing-service', query: 'cancel me' }, ({ event }) => event === 'step');
+    assert.deepStrictEqual(events.map(e => e.event), ['start', 'step']);
+
+    // Let the server notice the close and stop between phases
+    let cancelled = null;
+    for (let attempt = 0; attempt < 50 && !cancelled; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const logs = (await axios.get(`${server.url}/api/agent/logs`)).data;
+        cancelled = logs.find(log => log.action === 'AGENT_ANALYZE_CANCELLED' && log.query === 'cancel me');
+    }
+    assert.ok(cancelled, 'the cancelled run is logged');
+    assert.strictEqual(cancelled.output.cancelled, true);
+    assert.ok(cancelled.output.completedSteps < fullRunSteps, `${cancelled.output.completedSteps} of ${fullRunSteps} steps completed`);
+    assert.strictEqual(await incidentCount(), filedBefore);
+});
@@ -0,0 +1,156 @@
+/**
+ * Alert rules (alert_rules.js) and their evaluation (alert_engine.js):
+ * validation, severity bands, the rule store, and which rules fire on
+ * synthetic daily buckets and on the sample data.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-alert-rules-'));
+process.env.ALERT_RULES_FILE = path.join(tmp, 'alert_rules.json');
+process.env.DATA_MODE = 'json';
+
+const alertRules = require('../alert_rules');
+const { evaluateRule, resolveRuleTargets } = require('../alert_engine');
+const { summarizeInvoices } = require('../data_layer');
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const rateRule = {
+    id: 'rate',
+    type: 'ANOMALY_SPIKE',
+    scope: { service: '*' },
+    metric: 'anomalyRate',
+    comparator: '>',
+    threshold: 10,
+    window: '3d',
+    severity: [{ above: 30, level: 'CRITICAL' }, { level: 'HIGH' }],
+};
+
+/**
+ * 20 USD invoices a day through March 2026, one underbilled by $10 each day
+ * (5%); from `spikeDay` on, `spikeCount` a day.
+ */
+function dailyBuckets(spikeDay = '2026-03-29', spikeCount = 8) {
+    const invoices = [];
+    for (let day = 1; day <= 31; day++) {
+        const date = `2026-03-${String(day).padStart(2, '0')}`;
+        const underbilled = date >= spikeDay ? spikeCount : 1;
+        for (let i = 0; i < 20; i++) {
+            invoices.push({
+                invoiceId: `inv-${date}-${i}`,
+                service: 'billing-service',
+                currency: 'USD',
+                amountExpected: 100,
+                amountBilled: i < underbilled ? 90 : 100,
+                timestamp: `${date}T12:00:00.000Z`,
+            });
+        }
+    }
+    return summarizeInvoices(invoices, 'day');
+}
+
+const endOf = day => `${day}T23:59:59.999Z`;
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+test('a complete rule is valid', () => {
+    assert.deepStrictEqual(alertRules.validateRule(rateRule), []);
+});
+
+test('invalid rules list every problem', () => {
+    assert.deepStrictEqual(alertRules.validateRule({
+        ...rateRule,
+        id: 'Bad Id',
+        scope: { tenant: 'acme' },
+        metric: 'driftFactor',
+        window: 'all',
+        severity: [{ above: 30, level: 'CRITICAL' }],
+        colour: 'red',
+    }), [
+        "unknown field 'colour'",
+        'id must be lowercase letters, digits, "-" or "_"',
+        'scope.tenant is not supported (use service, region, currency)',
+        'driftFactor compares against a baseline and needs a bounded window',
+        'the last severity band must be a catch-all (no above/below)',
+    ]);
+    assert.deepStrictEqual(alertRules.validateRule({ ...rateRule, window: '0d', baselineDays: 28 }), [
+        'window must be "<N>d" (N ≥ 1) or "all"',
+        'baselineDays only applies to drift metrics',
+    ]);
+});
+
+test('the first severity band containing the value wins', () => {
+    const bands = [{ above: 5000, level: 'CRITICAL' }, { above: 2000, level: 'HIGH' }, { level: 'MEDIUM' }];
+    assert.strictEqual(alertRules.resolveSeverity(bands, 6000), 'CRITICAL');
+    assert.strictEqual(alertRules.resolveSeverity(bands, 5000), 'HIGH');
+    assert.strictEqual(alertRules.resolveSeverity(bands, 10), 'MEDIUM');
+    assert.strictEqual(alertRules.resolveSeverity('LOW', 10), 'LOW');
+});
+
+// ─── Rule Store ──────────────────────────────────────────────────────────────
+
+test('rules are created, patched and deleted in the rules file', () => {
+    const saved = () => JSON.parse(fs.readFileSync(process.env.ALERT_RULES_FILE, 'utf8'));
+
+    const { rule } = alertRules.createRule(rateRule);
+    assert.strictEqual(rule.enabled, true);
+    assert.deepStrictEqual(saved().map(r => r.id), ['rate']);
+    assert.deepStrictEqual(alertRules.createRule(rateRule).errors, ["rule 'rate' already exists"]);
+
+    const patched = alertRules.updateRule('rate', { threshold: 20 }, { merge: true });
+    assert.strictEqual(patched.rule.threshold, 20);
+    assert.strictEqual(patched.rule.metric, 'anomalyRate');
+    assert.strictEqual(saved()[0].threshold, 20);
+    assert.deepStrictEqual(alertRules.updateRule('rate', { id: 'renamed' }, { merge: true }).errors, ['id cannot be changed']);
+    assert.strictEqual(alertRules.updateRule('missing', rateRule), null);
+
+    assert.strictEqual(alertRules.deleteRule('rate'), true);
+    assert.strictEqual(alertRules.deleteRule('rate'), false);
+    assert.deepStrictEqual(saved(), []);
+});
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+test('a rate rule fires over its window only once the spike is in it', () => {
+    const daily = dailyBuckets();
+    const target = { service: 'billing-service' };
+
+    assert.strictEqual(evaluateRule(rateRule, target, daily, endOf('2026-03-28')), null);
+
+    const alert = evaluateRule(rateRule, target, daily, endOf('2026-03-31'));
+    assert.strictEqual(alert.metric, 40);
+    assert.strictEqual(alert.severity, 'CRITICAL');
+    assert.strictEqual(alert.fingerprint, 'ANOMALY_SPIKE:billing-service:3d');
+    assert.strictEqual(alert.message, 'Anomaly rate at 40% for billing-service (baseline: 5%)');
+
+    // One spike day in the 3-day window: (5 + 5 + 40) / 3
+    const partial = evaluateRule(rateRule, target, daily, endOf('2026-03-29'));
+    assert.strictEqual(partial.metric, 16.67);
+    assert.strictEqual(partial.severity, 'HIGH');
+});
+
+test('drift and loss rules measure against the baseline and the whole history', () => {
+    const daily = dailyBuckets();
+    const target = { service: 'billing-service' };
+    const drift = evaluateRule({ ...rateRule, type: 'STATISTICAL_DRIFT', metric: 'driftFactor', threshold: 3, baselineDays: 28, severity: 'CRITICAL' }, target, daily, endOf('2026-03-31'));
+    assert.strictEqual(drift.metric, 8);
+
+    const loss = { ...rateRule, type: 'REVENUE_LOSS', metric: 'revenueLoss', threshold: 500, window: 'all', severity: 'HIGH' };
+    // 28 days × $10 + 3 days × $80
+    assert.strictEqual(evaluateRule(loss, target, daily, endOf('2026-03-31')).metric, 520);
+    assert.strictEqual(evaluateRule(loss, target, daily, endOf('2026-03-30')), null);
+});
+
+test('a "*" scope fans out over the values in the data', async () => {
+    const services = await resolveRuleTargets({ service: '*' });
+    assert.deepStrictEqual(services, [{ service: 'billing-service' }, { service: 'subscription-service' }, { service: 'tax-service' }]);
+
+    const pairs = await resolveRuleTargets({ service: 'tax-service', region: '*' });
+    assert.ok(pairs.length > 0);
+    assert.ok(pairs.every(t => t.service === 'tax-service' && typeof t.region === 'string'));
+});
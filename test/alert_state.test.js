@@ -0,0 +1,116 @@
+/**
+ * Alert lifecycle (alert_state.js): deduplication by fingerprint, operator
+ * acknowledge / snooze / resolve, snooze expiry, and reopening once a
+ * cleared condition fires again.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-alert-state-'));
+process.env.ALERT_STATE_FILE = path.join(tmp, 'alert_state.json');
+
+const alertState = require('../alert_state');
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let evaluations = 0;
+// A fresh evaluation of the same condition: new id and metric, same fingerprint
+const firing = (fingerprint, metric = 40) => ({ id: `alert-${++evaluations}`, fingerprint, type: fingerprint.split(':')[0], severity: 'HIGH', metric });
+const at = hour => `2026-03-01T${String(hour).padStart(2, '0')}:00:00.000Z`;
+const states = fingerprint => alertState.getAlertHistory({ fingerprint }).reverse().map(e => `${e.from}→${e.to}`);
+
+test('re-evaluating the same condition updates one alert', () => {
+    const fp = 'ANOMALY_SPIKE:billing-service:3d';
+    alertState.reconcileAlerts([firing(fp, 40)], at(0));
+    const [again] = alertState.reconcileAlerts([firing(fp, 45)], at(1));
+
+    assert.strictEqual(again.state, 'firing');
+    assert.strictEqual(again.metric, 45);
+    assert.strictEqual(again.occurrences, 1);
+    assert.strictEqual(again.firstSeen, at(0));
+    assert.strictEqual(again.lastSeen, at(1));
+    assert.strictEqual(alertState.listAlerts().filter(a => a.fingerprint === fp).length, 1);
+    assert.deepStrictEqual(states(fp), ['null→firing']);
+
+    // Persisted for the next process
+    const saved = JSON.parse(fs.readFileSync(process.env.ALERT_STATE_FILE, 'utf8'));
+    assert.strictEqual(saved.alerts[fp].metric, 45);
+});
+
+test('an acknowledged alert resolves when its condition clears and reopens when it fires again', () => {
+    const fp = 'STATISTICAL_DRIFT:tax-service:3d';
+    alertState.reconcileAlerts([firing(fp)], at(0));
+
+    const { alert } = alertState.applyAlertAction(fp, 'acknowledge', { by: 'alice' }, at(1));
+    assert.strictEqual(alert.state, 'acknowledged');
+    assert.strictEqual(alert.acknowledgedBy, 'alice');
+
+    alertState.reconcileAlerts([], at(2));
+    assert.strictEqual(alertState.getAlert(fp).state, 'resolved');
+    assert.strictEqual(alertState.getAlert(fp).resolvedAt, at(2));
+
+    const [reopened] = alertState.reconcileAlerts([firing(fp)], at(3));
+    assert.strictEqual(reopened.state, 'firing');
+    assert.strictEqual(reopened.occurrences, 2);
+    assert.strictEqual(reopened.acknowledgedBy, null);
+    assert.deepStrictEqual(states(fp), ['null→firing', 'firing→acknowledged', 'acknowledged→resolved', 'resolved→firing']);
+    assert.deepStrictEqual(alertState.getAlertHistory({ fingerprint: fp, limit: 1 }).map(e => e.note), ['Condition fired again']);
+});
+
+test('a snoozed alert fires again once the snooze expires', () => {
+    const fp = 'REVENUE_LOSS:billing-service:all';
+    alertState.reconcileAlerts([firing(fp)], at(0));
+
+    const { alert } = alertState.applyAlertAction(fp, 'snooze', { duration: '2h' }, at(1));
+    assert.strictEqual(alert.snoozedUntil, at(3));
+
+    assert.strictEqual(alertState.reconcileAlerts([firing(fp)], at(2))[0].state, 'snoozed');
+    const [woken] = alertState.reconcileAlerts([firing(fp)], at(3));
+    assert.strictEqual(woken.state, 'firing');
+    assert.strictEqual(woken.snoozedUntil, null);
+    assert.strictEqual(woken.occurrences, 1);
+});
+
+test('an operator resolve holds while the condition is still true', () => {
+    const fp = 'ANOMALY_SPIKE:subscription-service:3d';
+    alertState.reconcileAlerts([firing(fp)], at(0));
+    alertState.applyAlertAction(fp, 'resolve', { by: 'bob', note: 'known issue' }, at(1));
+
+    assert.strictEqual(alertState.reconcileAlerts([firing(fp)], at(2))[0].state, 'resolved');
+    alertState.reconcileAlerts([], at(3));
+    assert.strictEqual(alertState.reconcileAlerts([firing(fp)], at(4))[0].state, 'firing');
+    assert.deepStrictEqual(states(fp), ['null→firing', 'firing→resolved', 'resolved→firing']);
+});
+
+test('invalid actions are refused without changing the alert', () => {
+    const fp = 'ANOMALY_SPIKE:billing-service:7d';
+    alertState.reconcileAlerts([firing(fp)], at(0));
+
+    assert.strictEqual(alertState.applyAlertAction('NOPE:all:3d', 'acknowledge'), null);
+    assert.deepStrictEqual(alertState.applyAlertAction(fp, 'snooze', { duration: '0h' }, at(1)), {
+        error: "Snooze needs 'until' (ISO timestamp) or 'duration' (e.g. 30m, 2h, 1d)",
+        status: 400,
+    });
+    assert.deepStrictEqual(alertState.applyAlertAction(fp, 'snooze', { until: at(0) }, at(1)), { error: "'until' must be in the future", status: 400 });
+    assert.strictEqual(alertState.getAlert(fp).state, 'firing');
+
+    alertState.applyAlertAction(fp, 'resolve', {}, at(1));
+    assert.deepStrictEqual(alertState.applyAlertAction(fp, 'acknowledge', {}, at(2)), { error: 'Cannot acknowledge an alert that is resolved', status: 409 });
+});
+
+test('state changes reach the transition listener', () => {
+    const fp = 'ANOMALY_SPIKE:tax-service:1d';
+    const seen = [];
+    alertState.setTransitionListener((record, from, to) => seen.push([record.fingerprint, from, to]));
+    try {
+        alertState.reconcileAlerts([firing(fp)], at(0));
+        alertState.applyAlertAction(fp, 'acknowledge', {}, at(1));
+    } finally {
+        alertState.setTransitionListener(null);
+    }
+    assert.deepStrictEqual(seen.filter(([f]) => f === fp), [[fp, null, 'firing'], [fp, 'firing', 'acknowledged']]);
+});
@@ -0,0 +1,195 @@
+/**
+ * Change-point incident windows (change_points.js) and deployment
+ * attribution (causal_attribution.js) on synthetic invoices with a known
+ * onset and recovery, and the FIX / REGRESSION verdicts of a regression and
+ * its fix.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { summarizeInvoices } = require('../data_layer');
+const { locateIncidentWindow, describeIncidentWindow } = require('../change_points');
+const { attributeIncident, judgeDeployments } = require('../causal_attribution');
+
+const SERVICE = 'billing-service';
+const START = Date.parse('2026-03-01T00:00:00.000Z');
+const DAYS = 10;
+const EVERY_MS = 6 * 60 * 1000; // ten invoices an hour
+
+/**
+ * One invoice every 6 minutes over DAYS days. Every 50th is underbilled
+ * (2%); from `onset` until `recovered`, every 4th (25%).
+ */
+function invoicesFor(service, onset = null, recovered = null) {
+    const invoices = [];
+    for (let i = 0, ts = START; ts < START + DAYS * 24 * 3600 * 1000; i++, ts += EVERY_MS) {
+        const timestamp = new Date(ts).toISOString();
+        const elevated = onset && timestamp >= onset && !(recovered && timestamp >= recovered);
+        const leaking = elevated ? i % 4 === 0 : i % 50 === 0;
+        invoices.push({ invoiceId: `inv-${i}`, service, currency: 'USD', amountExpected: 100, amountBilled: leaking ? 80 : 100, timestamp });
+    }
+    return invoices;
+}
+
+const deployment = (service, version, timestamp) => ({ eventType: 'deployment', service, version, timestamp });
+
+function attribute(invoices, deployments, spikeStart) {
+    const evaluatedAt = invoices[invoices.length - 1].timestamp;
+    const incidentWindow = locateIncidentWindow(summarizeInvoices(invoices, 'hour'), { evaluatedAt });
+    const attribution = attributeIncident(summarizeInvoices(invoices, '5m'), deployments, { service: SERVICE, incidentWindow, spikeStart });
+    return { incidentWindow, attribution };
+}
+
+function judge(invoices, deployments) {
+    const { incidentWindow, attribution } = attribute(invoices, deployments, null);
+    return judgeDeployments(summarizeInvoices(invoices, '5m'), deployments, { incidentWindow, attribution });
+}
+
+test('a service without an incident gets no culprit, even with a deployment on the spike day', () => {
+    const invoices = invoicesFor(SERVICE);
+    const deployments = [deployment(SERVICE, 'v2.0.0', '2026-03-05T13:00:00.000Z')];
+    const { incidentWindow, attribution } = attribute(invoices, deployments, '2026-03-05');
+
+    assert.strictEqual(incidentWindow.incident, null);
+    assert.strictEqual(attribution.onset, null);
+    assert.strictEqual(attribution.top, null);
+    assert.deepStrictEqual(attribution.candidates, []);
+    assert.strictEqual(attribution.unexplained, 1);
+});
+
+test('the onset interval of a rate step contains the step', () => {
+    const onset = '2026-03-06T14:00:00.000Z';
+    const { incidentWindow } = attribute(invoicesFor(SERVICE, onset), [], null);
+
+    const { incident } = incidentWindow;
+    assert.ok(incident, 'an incident is located');
+    assert.strictEqual(incident.status, 'ONGOING');
+    assert.ok(incident.onset.interval.from <= onset && onset < incident.onset.interval.to, JSON.stringify(incident.onset.interval));
+    assert.strictEqual(incident.onset.shift, 'UP');
+    assert.ok(incident.peakRate > 20 && incident.baselineRate < 3, `${incident.baselineRate}% → ${incident.peakRate}%`);
+});
+
+test('an episode that ended has a recovery and a bounded duration', () => {
+    const invoices = invoicesFor(SERVICE, '2026-03-04T14:00:00.000Z', '2026-03-07T10:00:00.000Z');
+    const hourly = summarizeInvoices(invoices, 'hour');
+
+    const { resolution, episodes, incident } = locateIncidentWindow(hourly);
+    assert.strictEqual(resolution, 'hour');
+    assert.strictEqual(episodes.length, 1);
+    assert.strictEqual(incident.status, 'RECOVERED');
+    assert.strictEqual(incident.recovery.shift, 'DOWN');
+    assert.ok(incident.recovery.interval.from <= '2026-03-07T10:00:00.000Z' && '2026-03-07T10:00:00.000Z' <= incident.recovery.interval.to);
+    const { hours, low, high } = incident.duration;
+    assert.ok(low <= 68 && 68 <= high && low <= hours && hours <= high, JSON.stringify(incident.duration));
+    assert.match(describeIncidentWindow(incident), /^began 2026-03-04 1\d:00 UTC \(±\dh\), recovered 2026-03-07 \d\d:00 UTC \(±\dh\), lasting /);
+
+    // Evaluated before the recovery, the same episode is still ongoing
+    const earlier = locateIncidentWindow(hourly, { evaluatedAt: '2026-03-06T00:00:00.000Z' }).incident;
+    assert.strictEqual(earlier.status, 'ONGOING');
+    assert.strictEqual(earlier.recovery, null);
+    assert.match(describeIncidentWindow(earlier), /still ongoing/);
+});
+
+test('invoices in only a few hours a day are segmented by day', () => {
+    // 10 invoices at 09:00, 13:00 and 17:00; 30% underbilled from March 5th
+    const invoices = [];
+    for (let day = 0; day < DAYS; day++) {
+        [9, 13, 17].forEach(h => {
+            for (let k = 0; k < 10; k++) {
+                const timestamp = new Date(START + (day * 24 + h) * 3600 * 1000).toISOString();
+                const leaking = day >= 4 ? k < 3 : k === 0 && h === 9 && day % 2 === 0;
+                invoices.push({ invoiceId: `inv-${day}-${h}-${k}`, service: SERVICE, currency: 'USD', amountExpected: 100, amountBilled: leaking ? 80 : 100, timestamp });
+            }
+        });
+    }
+    const { resolution, incident } = locateIncidentWindow(summarizeInvoices(invoices, 'hour'));
+    assert.strictEqual(resolution, 'day');
+    assert.deepStrictEqual(incident.onset.interval, { from: '2026-03-05T00:00:00.000Z', to: '2026-03-06T00:00:00.000Z', mass: 1 });
+    assert.strictEqual(incident.status, 'ONGOING');
+});
+
+test('two deployments on the same day are told apart by the rate step', () => {
+    const onset = '2026-03-06T14:00:00.000Z';
+    const deployments = [
+        deployment(SERVICE, 'v2.0.0', '2026-03-06T10:00:00.000Z'),
+        deployment(SERVICE, 'v2.0.1', onset),
+    ];
+    const { attribution } = attribute(invoicesFor(SERVICE, onset), deployments, null);
+
+    assert.deepStrictEqual(attribution.candidates.map(c => c.deployment.version), ['v2.0.1', 'v2.0.0']);
+    const [culprit, innocent] = attribution.candidates;
+    assert.ok(culprit.probability >= 0.7, `culprit probability ${culprit.probability}`);
+    assert.strictEqual(culprit.classification, 'STRONG CAUSAL LINK');
+    assert.ok(innocent.probability < 0.05, `innocent probability ${innocent.probability}`);
+    assert.ok(innocent.evidence.step.logBayesFactor <= 0);
+    assert.ok(culprit.evidence.step.rateAfter > 20 && innocent.evidence.step.rateAfter < 5);
+
+    // Probabilities of all candidates and "no deployment" sum to 1
+    const total = attribution.candidates.reduce((s, c) => s + c.probability, attribution.unexplained);
+    assert.ok(Math.abs(total - 1) < 1e-3, `total ${total}`);
+    assert.strictEqual(attribution.separation.runnerUp, `${SERVICE} v2.0.0`);
+    assert.ok(attribution.separation.factors.some(f => f.factor === 'step' && f.logRatio > 0));
+});
+
+test('an unrelated service deploying at the onset ranks below the affected service', () => {
+    const onset = '2026-03-06T14:00:00.000Z';
+    const deployments = [
+        deployment('search-service', 'v9.0.0', onset),
+        deployment(SERVICE, 'v2.0.1', onset),
+    ];
+    const { attribution } = attribute(invoicesFor(SERVICE, onset), deployments, null);
+
+    assert.strictEqual(attribution.top.deployment.service, SERVICE);
+    assert.strictEqual(attribution.top.relation, 'SAME_SERVICE');
+    assert.strictEqual(attribution.candidates[1].relation, 'UNRELATED');
+});
+
+test('the deployment at the recovery is the fix and the one at the onset the regression', () => {
+    const onset = '2026-03-04T14:00:00.000Z';
+    const recovered = '2026-03-07T10:00:00.000Z';
+    const deployments = [
+        deployment(SERVICE, 'v2.0.0', '2026-03-02T09:00:00.000Z'),
+        deployment(SERVICE, 'v2.0.1', onset),
+        deployment(SERVICE, 'v2.0.2', recovered),
+        deployment(SERVICE, 'v2.0.3', '2026-03-08T12:00:00.000Z'),
+    ];
+    const verdicts = judge(invoicesFor(SERVICE, onset, recovered), deployments);
+
+    assert.deepStrictEqual(verdicts.map(v => [v.deployment.version, v.verdict]), [
+        ['v2.0.0', 'NEUTRAL'],
+        ['v2.0.1', 'REGRESSION'],
+        ['v2.0.2', 'FIX'],
+        ['v2.0.3', 'NEUTRAL'],
+    ]);
+    const [before, regression, fix, after] = verdicts;
+
+    // Before the episode there is nothing to recover from
+    assert.strictEqual(before.recoveryConfidence, 0);
+    assert.strictEqual(before.timeToRecover, null);
+
+    assert.ok(regression.regressionConfidence >= 0.7, `regression ${regression.regressionConfidence}`);
+    assert.ok(regression.recoveryConfidence < 0.01, `recovery ${regression.recoveryConfidence}`);
+    assert.strictEqual(regression.evidence.recovery.baseline.rateAfter, 25);
+
+    assert.strictEqual(fix.regressionConfidence, 0);
+    assert.ok(fix.recoveryConfidence >= 0.9, `recovery ${fix.recoveryConfidence}`);
+    assert.strictEqual(fix.evidence.recovery.timing.detail, 'deployed inside the recovery interval');
+    assert.strictEqual(fix.evidence.recovery.baseline.baselineRate, 2);
+    assert.strictEqual(fix.timeToRecover.hours, 0);
+
+    // Back at baseline, but a day late to have caused the recovery
+    assert.ok(after.recoveryConfidence < 0.5, `recovery ${after.recoveryConfidence}`);
+    assert.match(after.evidence.recovery.timing.detail, /after the recovery interval$/);
+});
+
+test('a deployment that does not bring the rate down is no fix', () => {
+    const onset = '2026-03-04T14:00:00.000Z';
+    const deployments = [deployment(SERVICE, 'v2.0.1', onset), deployment(SERVICE, 'v2.0.2', '2026-03-07T10:00:00.000Z')];
+    const [, attempt] = judge(invoicesFor(SERVICE, onset), deployments);
+
+    assert.strictEqual(attempt.verdict, 'NEUTRAL');
+    assert.strictEqual(attempt.evidence.recovery.timing.detail, 'no recovery change point yet');
+    assert.ok(attempt.recoveryConfidence < 0.1, `recovery ${attempt.recoveryConfidence}`);
+    assert.strictEqual(attempt.timeToRecover, null);
+});
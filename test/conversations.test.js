@@ -0,0 +1,132 @@
+/**
+ * Conversation sessions (conversations.js): follow-up questions filled from
+ * earlier turns, references to the culprit and to a numbered turn,
+ * retention, persistence and replay.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-conversations-'));
+process.env.CONVERSATION_STORE_FILE = path.join(tmp, 'conversations.json');
+process.env.CONVERSATIONS_FILE = path.join(tmp, 'config.json');
+fs.writeFileSync(process.env.CONVERSATIONS_FILE, JSON.stringify({ retention: { idleHours: 1, maxSessions: 3, maxTurns: 3 } }));
+
+const { parseQuestion } = require('../intent_parser');
+const conversations = require('../conversations');
+
+const known = {
+    services: ['billing-service', 'subscription-service', 'tax-service'],
+    regions: ['us-east', 'eu-west', 'ap-south'],
+    anchor: '2026-02-21T23:59:59.999Z',
+};
+const CULPRIT = { service: 'billing-service', version: 'v1.0.4', timestamp: '2026-02-10T14:00:00.000Z' };
+const HOUR_MS = 60 * 60 * 1000;
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+/** Ask `question` in session `id` the way /api/agent/ask does, and record the turn. */
+function ask(id, question, culprit = null) {
+    const query = conversations.applyContext(parseQuestion(question, known), conversations.getConversation(id));
+    conversations.recordTurn(id, { question, request: { question }, query, engine: 'mock', answer: `answer to ${question}`, culprit });
+    return query;
+}
+
+test('follow-ups take the scope they leave out from earlier turns', () => {
+    const { id } = conversations.createConversation();
+
+    const first = ask(id, 'which deploy broke billing-service?', CULPRIT);
+    assert.deepStrictEqual([first.intent, first.service, first.filled, first.basedOn], ['CAUSE', 'billing-service', {}, null]);
+
+    // Same intent, new service
+    const second = ask(id, 'and what about subscription-service?');
+    assert.deepStrictEqual([second.intent, second.service, second.filled, second.basedOn], ['CAUSE', 'subscription-service', { intent: 'conversation' }, 1]);
+
+    // The culprit of turn 1 survives a turn without one
+    const third = ask(id, 'top 10 invoices since that deploy');
+    assert.strictEqual(third.intent, 'INVOICES');
+    assert.strictEqual(third.service, 'billing-service');
+    assert.deepStrictEqual(third.window, { from: CULPRIT.timestamp, to: null, expression: 'since billing-service v1.0.4' });
+    assert.deepStrictEqual(third.filled, { service: 'conversation', window: 'conversation' });
+
+    // A named turn replaces the latest context; what the question says still wins
+    const fourth = ask(id, 'go back to answer 1, and in eu-west');
+    assert.deepStrictEqual([fourth.intent, fourth.service, fourth.region, fourth.basedOn], ['CAUSE', 'billing-service', 'eu-west', 1]);
+    assert.strictEqual(fourth.filled.region, undefined);
+});
+
+test('a turn dropped by retention is noted and the latest context used', () => {
+    const { id } = conversations.createConversation();
+    ask(id, 'how much did we lose on tax-service last week');
+    ask(id, 'and in eu-west?');
+    ask(id, 'and in us-east?');
+    ask(id, 'and in ap-south?');
+
+    const session = conversations.getConversation(id);
+    assert.deepStrictEqual(session.turns.map(t => t.turn), [2, 3, 4]);
+    assert.strictEqual(session.turnCount, 4);
+
+    const query = ask(id, 'go back to answer 1');
+    assert.deepStrictEqual(query.notes, ['Turn 1 is not in this conversation any more (retention); using the latest context']);
+    assert.deepStrictEqual([query.service, query.region, query.basedOn], ['tax-service', 'ap-south', 4]);
+});
+
+test('"that deploy" without a culprit is noted, not guessed', () => {
+    const { id } = conversations.createConversation();
+    ask(id, 'how much did we lose on tax-service last week');
+    const query = ask(id, 'top 10 invoices since that deploy');
+    assert.ok(query.notes.includes('No culprit deployment has been identified in this conversation yet'));
+    assert.strictEqual(query.service, 'tax-service');
+});
+
+test('sessions are persisted and can be deleted', () => {
+    const { id } = conversations.createConversation();
+    ask(id, 'which deploy broke billing-service?', CULPRIT);
+
+    const stored = JSON.parse(fs.readFileSync(process.env.CONVERSATION_STORE_FILE, 'utf8')).sessions.find(s => s.id === id);
+    assert.deepStrictEqual(stored.context.culprit, CULPRIT);
+    assert.strictEqual(stored.turns[0].question, 'which deploy broke billing-service?');
+
+    assert.strictEqual(conversations.deleteConversation(id), true);
+    assert.strictEqual(conversations.deleteConversation(id), false);
+    assert.strictEqual(conversations.getConversation(id), null);
+});
+
+test('a replay re-asks each kept turn in a scratch session and reports what changed', async () => {
+    const { id } = conversations.createConversation();
+    ask(id, 'which deploy broke billing-service?', CULPRIT);
+    ask(id, 'top 10 invoices since that deploy');
+
+    const seen = [];
+    const replay = await conversations.replayConversation(id, async (question, request, scratch) => {
+        const query = conversations.applyContext(parseQuestion(question, known), scratch);
+        seen.push(query);
+        if (query.intent === 'CAUSE') return { query, engine: 'mock', answer: `answer to ${question}`, culprit: CULPRIT };
+        return { query, engine: 'mock', answer: 'a different answer', culprit: null };
+    });
+
+    // The scratch session rebuilt the culprit context for the second turn
+    assert.strictEqual(seen[1].window.from, CULPRIT.timestamp);
+    assert.deepStrictEqual(replay.turns.map(t => [t.turn, t.changed]), [[1, false], [2, true]]);
+    assert.strictEqual(replay.changed, 1);
+    assert.strictEqual(replay.droppedTurns, 0);
+    assert.strictEqual(conversations.getConversation(id).turnCount, 2);
+
+    assert.strictEqual(await conversations.replayConversation('CONV-missing', async () => ({})), null);
+});
+
+test('idle sessions expire and only the most recently used are kept', () => {
+    const now = Date.now();
+    const idle = conversations.createConversation(new Date(now - 2 * HOUR_MS));
+    assert.strictEqual(conversations.getConversation(idle.id), null);
+
+    // Touched after every other session in the store
+    const created = [1, 2, 3, 4].map(minutes => conversations.createConversation(new Date(now + minutes * 60 * 1000)));
+    const kept = conversations.listConversations().map(s => s.id);
+    assert.strictEqual(kept.length, 3);
+    assert.deepStrictEqual(kept, created.slice(1).map(s => s.id).reverse());
+    assert.ok(conversations.listConversations().every(s => Date.parse(s.expiresAt) - Date.parse(s.updatedAt) === HOUR_MS));
+});
@@ -0,0 +1,104 @@
+/**
+ * Counterfactual deployment impact (counterfactual.js) on synthetic hourly
+ * invoices: a volume change is not a loss, a rate step is, a fix avoids
+ * loss, and the windows stop at neighbouring deployments.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+process.env.FX_RATES_FILE = path.join(os.tmpdir(), 'revenueguard-no-fx-rates.json');
+delete process.env.REPORTING_CURRENCY;
+
+const { estimateCounterfactual } = require('../counterfactual');
+
+const START = Date.parse('2026-03-01T00:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+const round2 = n => parseFloat(n.toFixed(2));
+const hour = h => new Date(START + h * HOUR_MS).toISOString();
+
+/**
+ * USD invoices of $100 from hour `from` for `hours` hours, one every `every`
+ * hours; every `leakEvery`th is billed `billed` instead of $100.
+ */
+function invoices({ from = 0, hours, every = 1, leakEvery = 20, billed = 90 }) {
+    const list = [];
+    for (let h = from, i = 0; h < from + hours; h += every, i++) {
+        list.push({ invoiceId: `inv-${h}`, currency: 'USD', amountExpected: 100, amountBilled: i % leakEvery === 0 ? billed : 100, timestamp: hour(h) });
+    }
+    return list;
+}
+
+// Ten days before and after the deployment
+const deployment = { service: 'billing-service', version: 'v2.0.0', timestamp: hour(240) };
+const estimate = (list, options) => estimateCounterfactual(list, deployment, [deployment], options);
+
+test('twice the volume at the same rate is not attributed to the deployment', () => {
+    const result = estimate([...invoices({ hours: 240 }), ...invoices({ from: 240, hours: 240, every: 0.5 })]);
+
+    assert.strictEqual(result.baseline.anomalyRate, 5);
+    assert.strictEqual(result.observed.anomalyRate, 5);
+    assert.strictEqual(result.observed.invoices, 480);
+    // The raw loss doubles, but the projection scales with the volume
+    assert.strictEqual(result.observed.loss, 240);
+    assert.ok(result.expected.loss > 200, `expected ${result.expected.loss}`);
+    assert.ok(result.attributable.low < 0 && result.attributable.high > 0, JSON.stringify(result.attributable));
+});
+
+test('a rate step is attributed, within bounds that exclude zero', () => {
+    const result = estimate([...invoices({ hours: 240 }), ...invoices({ from: 240, hours: 240, leakEvery: 4 })]);
+
+    assert.strictEqual(result.direction, 'underbilling');
+    assert.strictEqual(result.confidence, 0.9);
+    assert.strictEqual(result.observed.loss, 600);
+    assert.deepStrictEqual(result.severity, { source: 'baseline', lossPerAnomaly: 10 });
+    // Beta(1, 1) posterior mean: 13 / 242
+    assert.strictEqual(result.baseline.projectedRate, 5.37);
+    assert.strictEqual(result.expected.anomalies, 12.89);
+    assert.ok(result.expected.low < result.expected.loss && result.expected.loss < result.expected.high);
+    assert.strictEqual(result.attributable.loss, round2(600 - result.expected.loss));
+    assert.ok(result.attributable.low > 0, `low ${result.attributable.low}`);
+});
+
+test('a fix shows the loss it avoided', () => {
+    const result = estimate([...invoices({ hours: 240, leakEvery: 4 }), ...invoices({ from: 240, hours: 240 })]);
+    assert.ok(result.attributable.high < 0, `high ${result.attributable.high}`);
+});
+
+test('windows stop at the neighbouring deployments and the evaluation time', () => {
+    const previous = { ...deployment, version: 'v1.9.0', timestamp: hour(200) };
+    const next = { ...deployment, version: 'v2.0.1', timestamp: hour(300) };
+    const list = invoices({ hours: 480 });
+
+    const result = estimateCounterfactual(list, deployment, [next, deployment, previous]);
+    assert.deepStrictEqual([result.baseline.from, result.baseline.to], [previous.timestamp, deployment.timestamp]);
+    assert.deepStrictEqual([result.observed.from, result.observed.to], [deployment.timestamp, next.timestamp]);
+    assert.deepStrictEqual([result.baseline.invoices, result.observed.invoices], [40, 60]);
+    assert.strictEqual(result.observed.invoicesPerDay, 24);
+
+    const early = estimateCounterfactual(list, deployment, [deployment], { evaluatedAt: hour(252), baselineDays: 1 });
+    assert.strictEqual(early.baseline.from, hour(216));
+    assert.strictEqual(early.observed.to, hour(252));
+    assert.strictEqual(early.observed.invoices, 12);
+});
+
+test('a clean baseline borrows the loss per anomaly from earlier history', () => {
+    // Anomalies only in the first two days, then a clean week before the deployment
+    const list = [...invoices({ hours: 48, leakEvery: 4, billed: 70 }), ...invoices({ from: 48, hours: 192, billed: 100 }), ...invoices({ from: 240, hours: 48, leakEvery: 4 })];
+    const result = estimate(list, { baselineDays: 7 });
+    assert.strictEqual(result.baseline.anomalies, 0);
+    assert.deepStrictEqual(result.severity, { source: 'history', lossPerAnomaly: 30 });
+});
+
+test('the overbilling direction projects overcharges', () => {
+    const result = estimate([...invoices({ hours: 240, billed: 110 }), ...invoices({ from: 240, hours: 240, billed: 110, leakEvery: 4 })], { direction: 'overbilling' });
+    assert.strictEqual(result.direction, 'overbilling');
+    assert.strictEqual(result.observed.loss, 600);
+    assert.ok(result.attributable.low > 0);
+
+    const underbilling = estimate([...invoices({ hours: 240, billed: 110 }), ...invoices({ from: 240, hours: 240, billed: 110 })]);
+    assert.strictEqual(underbilling.observed.anomalies, 0);
+    assert.deepStrictEqual(underbilling.severity, { source: 'none', lossPerAnomaly: 0 });
+});
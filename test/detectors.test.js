@@ -0,0 +1,114 @@
+/**
+ * Pluggable anomaly detectors (detectors.js) on a synthetic daily series
+ * with a weekly pattern and a step: the common result shape, where each
+ * model flags, located change points and detector selection.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+// Built-in detector defaults
+process.env.DETECTORS_FILE = path.join(os.tmpdir(), 'revenueguard-no-detectors.json');
+
+const { DETECTORS, parseDetectorOptions, runDetector, runDetectors, logGamma } = require('../detectors');
+
+const NAMES = Object.keys(DETECTORS);
+const WEEK = [4, 5, 6, 5, 4, 6, 5];
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+const STEP_DAY = '2026-02-05';
+const dayKey = i => new Date(START + i * 24 * 3600 * 1000).toISOString().slice(0, 10);
+
+/** 40 days of 100 invoices; a weekly 4–6% underbilling pattern, 20% from STEP_DAY on. */
+function daily(step = true) {
+    return Array.from({ length: 40 }, (_, i) => {
+        const key = dayKey(i);
+        const anomalies = step && key >= STEP_DAY ? 20 : WEEK[i % 7];
+        return { key, total: 100, anomalies, loss: anomalies * 10, overbilled: 0, overcharge: 0 };
+    });
+}
+
+const endOf = day => `${day}T23:59:59.999Z`;
+
+test('every detector returns the common shape', () => {
+    NAMES.forEach(name => {
+        const result = runDetector(name, daily(), { evaluatedAt: endOf('2026-02-09') });
+        assert.strictEqual(result.detector, name);
+        assert.strictEqual(result.metric, 'anomalyRate');
+        assert.strictEqual(result.direction, 'underbilling');
+        assert.strictEqual(result.interval, '1d');
+        assert.strictEqual(result.evaluatedAt, endOf('2026-02-09'));
+        assert.strictEqual(typeof result.threshold, 'number');
+        assert.strictEqual(result.points.length, 40, name);
+        assert.deepStrictEqual(result.flaggedDays, result.points.filter(p => p.flagged).map(p => p.date));
+        assert.ok(Array.isArray(result.changePoints));
+    });
+});
+
+test('no detector flags the weekly pattern alone', () => {
+    const { flaggedNow, flaggedBy } = runDetectors(NAMES, daily(false), { evaluatedAt: endOf('2026-02-09') });
+    assert.deepStrictEqual(flaggedNow, []);
+    assert.deepStrictEqual(flaggedBy, {});
+});
+
+test('a step is flagged on the day it starts', () => {
+    const { flaggedNow, flaggedBy, results } = runDetectors(NAMES, daily(), { evaluatedAt: endOf(STEP_DAY) });
+    assert.deepStrictEqual(flaggedBy[STEP_DAY], NAMES);
+    // With one day past the step the Bayesian onset is still uncertain by a day
+    assert.deepStrictEqual(Object.keys(flaggedBy), ['2026-02-04', STEP_DAY]);
+    assert.deepStrictEqual(flaggedBy['2026-02-04'], ['bayesian']);
+
+    // The 3-day window mean is only about 2× the baseline so far
+    assert.deepStrictEqual(flaggedNow, NAMES.filter(name => name !== 'baseline'));
+    const baseline = results.find(r => r.detector === 'baseline');
+    assert.ok(baseline.score > 2 && baseline.score < baseline.threshold, `score ${baseline.score}`);
+
+    // Points after the evaluation day are not judged
+    assert.ok(results.every(r => r.points.every(p => p.date <= STEP_DAY)));
+});
+
+test('CUSUM and the Bayesian segmentation locate the step', () => {
+    const cusum = runDetector('cusum', daily(), { evaluatedAt: endOf('2026-02-09') });
+    // The run starts where the sum last left zero; the alarm is the step itself
+    assert.deepStrictEqual(cusum.changePoints, [{ date: '2026-02-03', alarmDate: STEP_DAY, shift: 'UP' }]);
+
+    const bayesian = runDetector('bayesian', daily(), { evaluatedAt: endOf('2026-02-09') });
+    assert.strictEqual(bayesian.flagged, true);
+    assert.strictEqual(bayesian.changePoints.length, 1);
+    const [change] = bayesian.changePoints;
+    assert.strictEqual(change.date, STEP_DAY);
+    assert.strictEqual(change.shift, 'UP');
+    assert.ok(change.probability >= 0.95, `probability ${change.probability}`);
+    assert.ok(change.credibleInterval.from <= STEP_DAY && STEP_DAY <= change.credibleInterval.to);
+    assert.strictEqual(change.after, 20);
+    assert.deepStrictEqual(bayesian.flaggedDays, ['2026-02-05', '2026-02-06', '2026-02-07', '2026-02-08', '2026-02-09']);
+});
+
+test('a rise over a history with no spread gets a capped score', () => {
+    const flat = daily(false).map(d => ({ ...d, anomalies: 5 }));
+    flat[flat.length - 1].anomalies = 9;
+    const mad = runDetector('mad', flat);
+    assert.strictEqual(mad.score, 100);
+    assert.strictEqual(mad.flagged, true);
+    assert.ok(mad.points.every(p => p.score === null || Number.isFinite(p.score)));
+});
+
+test('detectors are chosen per metric, by name or all', () => {
+    assert.deepStrictEqual(parseDetectorOptions({}), { metric: 'anomalyRate', detectors: ['baseline'] });
+    assert.deepStrictEqual(parseDetectorOptions({ metric: 'revenueLoss' }), { metric: 'revenueLoss', detectors: ['mad'] });
+    assert.deepStrictEqual(parseDetectorOptions({ detector: 'ewma, cusum' }), { metric: 'anomalyRate', detectors: ['ewma', 'cusum'] });
+    assert.deepStrictEqual(parseDetectorOptions({ detector: 'all' }).detectors, NAMES);
+    assert.deepStrictEqual(parseDetectorOptions({ detector: 'prophet' }), {
+        error: `Unknown detector: prophet. Expected ${NAMES.join(', ')} or 'all'.`,
+    });
+    assert.deepStrictEqual(parseDetectorOptions({ metric: 'churn' }), { error: "Unknown metric 'churn'. Expected anomalyRate, anomalyCount, revenueLoss." });
+});
+
+test('log-gamma matches factorials', () => {
+    [1, 2, 5, 10].forEach(n => {
+        const factorial = Array.from({ length: n - 1 }, (_, i) => i + 1).reduce((p, x) => p * x, 1);
+        assert.ok(Math.abs(logGamma(n) - Math.log(factorial)) < 1e-10, `logGamma(${n})`);
+    });
+    assert.ok(Math.abs(logGamma(0.5) - Math.log(Math.sqrt(Math.PI))) < 1e-10);
+});
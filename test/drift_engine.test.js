@@ -0,0 +1,146 @@
+/**
+ * Drift detection (drift_engine.js) over synthetic daily buckets:
+ * underbilling and overbilling as separate directions, the evaluation
+ * windows each drift is judged over, and sub-daily buckets.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+process.env.FX_RATES_FILE = path.join(os.tmpdir(), 'revenueguard-no-fx-rates.json');
+delete process.env.REPORTING_CURRENCY;
+
+const { summarizeInvoices } = require('../data_layer');
+const {
+    parseInterval,
+    intervalOfKey,
+    bucketStart,
+    computeDriftDetection,
+    computeDriftFromDaily,
+    computeDirectionalDrift,
+    findSpikeStart,
+} = require('../drift_engine');
+
+const EVALUATED_AT = '2026-03-31T23:59:59.999Z';
+
+/**
+ * 20 USD invoices a day through March 2026: one underbilled by $10 and one
+ * overbilled by $5 each day; from the 29th, `overbilled` overbilled a day.
+ */
+function invoices(overbilled = 6) {
+    const list = [];
+    for (let day = 1; day <= 31; day++) {
+        const date = `2026-03-${String(day).padStart(2, '0')}`;
+        const over = day >= 29 ? overbilled : 1;
+        for (let i = 0; i < 20; i++) {
+            let amountBilled = 100;
+            if (i === 0) amountBilled = 90;
+            else if (i <= over) amountBilled = 105;
+            list.push({ invoiceId: `inv-${date}-${i}`, currency: 'USD', amountExpected: 100, amountBilled, timestamp: `${date}T12:00:00.000Z` });
+        }
+    }
+    return list;
+}
+
+test('an overbilling spike drifts only in the overbilling direction', () => {
+    const daily = summarizeInvoices(invoices(), 'day');
+    const { underbilling, overbilling } = computeDirectionalDrift(daily, { evaluatedAt: EVALUATED_AT });
+
+    assert.strictEqual(underbilling.direction, 'underbilling');
+    assert.strictEqual(underbilling.baselineRate, 5);
+    assert.strictEqual(underbilling.currentRate, 5);
+    assert.strictEqual(underbilling.driftFactor, 1);
+    assert.strictEqual(underbilling.spike, false);
+
+    assert.strictEqual(overbilling.direction, 'overbilling');
+    assert.strictEqual(overbilling.baselineRate, 5);
+    assert.strictEqual(overbilling.currentRate, 30);
+    assert.strictEqual(overbilling.driftFactor, 6);
+    assert.strictEqual(overbilling.spike, true);
+    assert.deepStrictEqual(overbilling.dailyDrift.slice(-4).map(d => d.driftFactor), [1, 6, 6, 6]);
+});
+
+test('refund exposure and lost revenue are bucketed apart', () => {
+    const [all] = summarizeInvoices(invoices());
+    assert.strictEqual(all.anomalies, 31);
+    assert.strictEqual(all.loss, 310);
+    // 28 days × 1 + 3 days × 6 overbilled invoices, $5 each
+    assert.strictEqual(all.overbilled, 46);
+    assert.strictEqual(all.overcharge, 230);
+});
+
+test('the current window ends on the evaluation day and the baseline ends before it', () => {
+    const daily = summarizeInvoices(invoices(), 'day');
+    const drift = computeDriftFromDaily(daily, { evaluatedAt: '2026-03-30T23:59:59.999Z', currentDays: 2, baselineDays: 7, direction: 'overbilling' });
+
+    assert.deepStrictEqual(drift.windows, {
+        evaluatedAt: '2026-03-30T23:59:59.999Z',
+        baseline: { from: '2026-03-22', to: '2026-03-28', days: 7, daysWithData: 7, buckets: 7 },
+        current: { from: '2026-03-29', to: '2026-03-30', days: 2, daysWithData: 2, buckets: 2 },
+    });
+    // Days after the evaluation day are not part of the current window
+    assert.strictEqual(drift.currentRate, 30);
+    // A flat baseline has no spread, so the rise is not scored as a z-score
+    assert.strictEqual(drift.stdDev, 0);
+    assert.strictEqual(drift.zScore, 0);
+});
+
+test('without an evaluation time the last day with data is used', () => {
+    const daily = summarizeInvoices(invoices(), 'day');
+    const drift = computeDriftFromDaily(daily, { direction: 'overbilling' });
+    assert.strictEqual(drift.windows.evaluatedAt, EVALUATED_AT);
+    assert.strictEqual(drift.windows.current.from, '2026-03-29');
+});
+
+// ─── Sub-daily Buckets ───────────────────────────────────────────────────────
+
+/** Ten invoices an hour, March 1st to 10th: one in ten underbilled, and all of them at 13:00 on the 10th. */
+function hourlyInvoices() {
+    const list = [];
+    for (let day = 1; day <= 10; day++) {
+        for (let h = 0; h < 24; h++) {
+            for (let k = 0; k < 10; k++) {
+                const timestamp = `2026-03-${String(day).padStart(2, '0')}T${String(h).padStart(2, '0')}:${String(k * 6).padStart(2, '0')}:00.000Z`;
+                const underbilled = k === 0 || (day === 10 && h === 13);
+                list.push({ invoiceId: `inv-${day}-${h}-${k}`, currency: 'USD', amountExpected: 100, amountBilled: underbilled ? 90 : 100, timestamp });
+            }
+        }
+    }
+    return list;
+}
+
+test('intervals are validated and recognised from their bucket keys', () => {
+    assert.deepStrictEqual(parseInterval(undefined), { interval: '1d', groupBy: 'day', ms: 86400000 });
+    assert.deepStrictEqual(parseInterval('5m'), { interval: '5m', groupBy: '5m', ms: 300000 });
+    assert.deepStrictEqual(parseInterval('2h'), { error: "Invalid 'interval' value: 2h. Expected 5m, 1h, 1d." });
+
+    assert.deepStrictEqual(['2026-03-10', '2026-03-10T13', '2026-03-10T13:45'].map(intervalOfKey), ['1d', '1h', '5m']);
+    assert.deepStrictEqual(['2026-03-10', '2026-03-10T13', '2026-03-10T13:45'].map(bucketStart), [
+        '2026-03-10T00:00:00.000Z',
+        '2026-03-10T13:00:00.000Z',
+        '2026-03-10T13:45:00.000Z',
+    ]);
+});
+
+test('5-minute buckets start on the five-minute mark', () => {
+    const keys = summarizeInvoices(hourlyInvoices().slice(0, 10), '5m').map(b => b.key);
+    // 00:24 falls in 00:20, so 00:25 has no bucket
+    assert.deepStrictEqual(keys.map(k => k.slice(11)), ['00:00', '00:05', '00:10', '00:15', '00:20', '00:30', '00:35', '00:40', '00:45', '00:50']);
+});
+
+test('an hour-long spike hidden in the daily rate shows in hourly buckets', () => {
+    const daily = computeDriftDetection(hourlyInvoices());
+    assert.strictEqual(daily.interval, '1d');
+    assert.deepStrictEqual(daily.dailyDrift[daily.dailyDrift.length - 1], { date: '2026-03-10', anomalyRate: 13.75, driftFactor: 1.38 });
+    assert.strictEqual(findSpikeStart(daily.dailyDrift), null);
+
+    const hourly = computeDriftDetection(hourlyInvoices(), { interval: '1h' });
+    assert.strictEqual(hourly.interval, '1h');
+    assert.strictEqual(hourly.dailyDrift.length, 240);
+    assert.strictEqual(findSpikeStart(hourly.dailyDrift), '2026-03-10T13');
+    // The windows still count days, now holding 24 buckets each
+    assert.deepStrictEqual(hourly.windows.current, { from: '2026-03-08', to: '2026-03-10', days: 3, daysWithData: 3, buckets: 72 });
+    assert.strictEqual(hourly.windows.baseline.buckets, 7 * 24);
+});
@@ -0,0 +1,71 @@
+/**
+ * Drift drill-down (drilldown.js) on the sample data: the billing-service
+ * spike evaluated on 2026-02-12 localizes to the service, not to a region,
+ * and the plan breakdown joins subscriptions by customer.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.DATA_MODE = 'json';
+
+const { parseDimensions, drillDown } = require('../drilldown');
+
+const EVALUATED_AT = '2026-02-12T23:59:59.999Z';
+const sum = (list, fn) => list.reduce((s, x) => s + fn(x), 0);
+
+test('dimension lists are validated', () => {
+    assert.deepStrictEqual(parseDimensions(undefined), { dimensions: ['region'] });
+    assert.deepStrictEqual(parseDimensions('service, plan'), { dimensions: ['service', 'plan'] });
+    assert.deepStrictEqual(parseDimensions('service,tenant'), {
+        error: 'Unknown dimension: tenant. Expected any of service, region, currency, customerId, plan.',
+    });
+    assert.deepStrictEqual(parseDimensions('service,service'), { error: 'dimensions must list 1 to 3 distinct values' });
+    assert.deepStrictEqual(parseDimensions('service,region,currency,plan'), { error: 'dimensions must list 1 to 3 distinct values' });
+});
+
+test('the spike is concentrated in billing-service and spread across regions', async () => {
+    const result = await drillDown({}, { dimensions: ['service', 'region'], evaluatedAt: EVALUATED_AT });
+    assert.strictEqual(result.parent.spike, true);
+    assert.deepStrictEqual(result.windows.current, { from: '2026-02-10', to: '2026-02-12', days: 3, daysWithData: 3, buckets: 3 });
+
+    const [service, region] = result.localization;
+    assert.strictEqual(service.status, 'CONCENTRATED');
+    assert.strictEqual(service.value, 'billing-service');
+    assert.ok(service.share >= 80, `${service.share}%`);
+    assert.strictEqual(region.status, 'BROAD');
+    assert.strictEqual(region.value, null);
+    assert.match(region.statement, /^spread across region values \(/);
+
+    // Ranked by excess; the top slices are all billing-service
+    const excess = result.slices.map(s => s.excessAnomalies);
+    assert.deepStrictEqual(excess, [...excess].sort((a, b) => b - a));
+    assert.ok(result.slices.slice(0, 3).every(s => s.slice.service === 'billing-service'));
+    const shares = sum(result.slices.filter(s => s.excessAnomalies > 0), s => s.shareOfExcess);
+    assert.ok(Math.abs(shares - 100) < 0.1, `shares of excess sum to ${shares}`);
+});
+
+test('slices add up to the parent, and a quiet service shows no spike', async () => {
+    const all = await drillDown({}, { dimensions: ['service'], evaluatedAt: EVALUATED_AT });
+    assert.strictEqual(sum(all.slices, s => s.current.invoices), all.parent.current.invoices);
+    assert.strictEqual(sum(all.slices, s => s.current.anomalies), all.parent.current.anomalies);
+
+    const tax = await drillDown({ service: 'tax-service' }, { dimensions: ['region'], evaluatedAt: EVALUATED_AT });
+    assert.strictEqual(tax.parent.spike, false);
+    assert.strictEqual(tax.parent.statistical_significance, 'NOISE');
+});
+
+test('the overbilling direction finds nothing in the sample data', async () => {
+    const result = await drillDown({}, { dimensions: ['service'], evaluatedAt: EVALUATED_AT, direction: 'overbilling' });
+    assert.strictEqual(result.direction, 'overbilling');
+    assert.strictEqual(result.parent.current.anomalies, 0);
+    assert.deepStrictEqual(result.localization.map(l => [l.status, l.statement]), [['NO_EXCESS', 'No service value is above its baseline']]);
+});
+
+test('a plan breakdown joins subscribers by customer and leaves the rest unknown', async () => {
+    const result = await drillDown({}, { dimensions: ['plan'], evaluatedAt: EVALUATED_AT, limit: 10 });
+    const plans = result.slices.map(s => s.slice.plan).sort();
+    assert.deepStrictEqual(plans, ['Basic', 'Enterprise', 'Pro', 'unknown']);
+    assert.strictEqual(sum(result.slices, s => s.current.invoices), result.parent.current.invoices);
+    assert.ok(result.slices.find(s => s.slice.plan === 'unknown').current.invoices < result.parent.current.invoices);
+});
@@ -0,0 +1,115 @@
+/**
+ * Currency normalization (fx.js): the standing table, dated series, a
+ * different reporting currency, unknown currencies and invalid tables, and
+ * converted loss totals in the data layer's buckets.
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-fx-'));
+process.env.FX_RATES_FILE = path.join(tmp, 'fx_rates.json');
+delete process.env.REPORTING_CURRENCY;
+
+const fx = require('../fx');
+const { summarizeInvoices } = require('../data_layer');
+
+const TABLE = {
+    reportingCurrency: 'USD',
+    rates: { USD: 1, EUR: 1.1, GBP: 1.25 },
+    series: [
+        { date: '2026-02-10', rates: { EUR: 1.2 } },
+        { date: '2026-02-20', rates: { GBP: 1.5 } },
+    ],
+};
+
+function useTable(config) {
+    fs.writeFileSync(process.env.FX_RATES_FILE, JSON.stringify(config));
+    return fx.reloadRates();
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+beforeEach(() => {
+    delete process.env.REPORTING_CURRENCY;
+    useTable(TABLE);
+});
+
+after(() => {
+    fx.reloadRates();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('rates follow the series entry in effect on the invoice day', () => {
+    close(fx.rateFor('EUR', '2026-02-09T23:59:59.999Z'), 1.1);
+    close(fx.rateFor('EUR', '2026-02-10T00:00:00.000Z'), 1.2);
+    // The GBP change on the 20th keeps EUR from the 10th
+    close(fx.rateFor('EUR', '2026-02-25T12:00:00.000Z'), 1.2);
+    close(fx.rateFor('GBP', '2026-02-19T12:00:00.000Z'), 1.25);
+    close(fx.rateFor('GBP', '2026-02-20T12:00:00.000Z'), 1.5);
+    close(fx.rateFor('USD', '2026-02-20T12:00:00.000Z'), 1);
+});
+
+test('the reporting currency can be changed from the environment', () => {
+    process.env.REPORTING_CURRENCY = 'EUR';
+    const described = fx.reloadRates();
+
+    assert.strictEqual(fx.getReportingCurrency(), 'EUR');
+    assert.deepStrictEqual(described.toReporting, { USD: 0.909091, EUR: 1, GBP: 1.136364 });
+    close(fx.rateFor('USD', '2026-02-01T00:00:00.000Z') * 110, 100);
+    close(fx.rateFor('EUR', '2026-02-15T00:00:00.000Z'), 1);
+    assert.strictEqual(fx.formatMoney(12.5), '€12.50');
+});
+
+test('an invoice converts its loss or overcharge, never both', () => {
+    const eur = { currency: 'EUR', amountExpected: 100, amountBilled: 80, timestamp: '2026-02-12T09:00:00.000Z' };
+    const converted = fx.convertInvoice(eur);
+    close(converted.expected, 120);
+    close(converted.billed, 96);
+    close(converted.loss, 24);
+    assert.strictEqual(converted.overcharge, 0);
+
+    close(fx.invoiceOvercharge({ ...eur, amountBilled: 110 }), 12);
+    assert.strictEqual(fx.invoiceLoss({ ...eur, amountBilled: 110 }), 0);
+});
+
+test('a currency with no rate counts 1:1 and warns once', () => {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        assert.strictEqual(fx.rateFor('JPY', '2026-02-01T00:00:00.000Z'), 1);
+        assert.strictEqual(fx.rateFor('JPY', '2026-02-02T00:00:00.000Z'), 1);
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepStrictEqual(warnings, ['⚠️  No FX rate for JPY; counting it 1:1 in USD.']);
+});
+
+test('an invalid table is refused with every problem', () => {
+    assert.throws(() => useTable({ reportingCurrency: 'USD', rates: { USD: 1, EUR: -1 }, series: [{ date: 'Feb 1', rates: {} }] }), {
+        message: `Invalid FX table ${process.env.FX_RATES_FILE}: rates must map currency codes to positive numbers; series[0].date must be YYYY-MM-DD`,
+    });
+    assert.throws(() => useTable({ ...TABLE, reportingCurrency: 'CHF' }), { message: 'FX table has no rate for reporting currency CHF' });
+});
+
+test('buckets total converted amounts and keep native sums per currency', () => {
+    const invoices = [
+        { currency: 'USD', amountExpected: 100, amountBilled: 90, timestamp: '2026-02-12T09:00:00.000Z' },
+        { currency: 'EUR', amountExpected: 100, amountBilled: 90, timestamp: '2026-02-12T10:00:00.000Z' },
+        { currency: 'EUR', amountExpected: 50, amountBilled: 50, timestamp: '2026-02-01T10:00:00.000Z' },
+        { currency: 'GBP', amountExpected: 200, amountBilled: 210, timestamp: '2026-02-21T10:00:00.000Z' },
+    ];
+
+    const [all] = summarizeInvoices(invoices);
+    assert.strictEqual(all.loss, 22); // $10 + €10 × 1.2
+    assert.strictEqual(all.overcharge, 15); // £10 × 1.5
+    assert.strictEqual(all.expected, 575); // $100 + €100 × 1.2 + €50 × 1.1 + £200 × 1.5
+
+    const eur = summarizeInvoices(invoices, 'currency').find(b => b.key === 'EUR');
+    assert.strictEqual(eur.expected, 175);
+    assert.deepStrictEqual(eur.native, { currency: 'EUR', expected: 150, billed: 140, loss: 10, overcharge: 0 });
+});
@@ -0,0 +1,118 @@
+/**
+ * Incident records (incident_store.js): reports merged by service and spike
+ * window, repeated reports, operator status transitions, and closing on a
+ * confirmed fix.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-incidents-'));
+process.env.INCIDENTS_FILE = path.join(tmp, 'incidents.json');
+
+const incidents = require('../incident_store');
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const at = hour => `2026-03-01T${String(hour).padStart(2, '0')}:00:00.000Z`;
+const report = (verdict, requestId) => ({ metadata: { id: null, requestId }, verdict });
+const record = (service, spikeStart, body, now, extra = {}) =>
+    incidents.recordIncidentReport({ service, spikeStart, source: 'agent', report: body, ...extra }, now);
+const transitions = id => incidents.getIncident(id).statusHistory.map(e => `${e.from}→${e.to}`);
+
+test('reports on the same service and spike window share one incident', () => {
+    const first = record('billing-service', '2026-02-10', report('CAUSAL_LINK_CONFIRMED', 1), at(0), { observedLoss: 1234.567, linkedAlerts: ['ANOMALY_SPIKE:billing-service:3d'] });
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(first.reportId, `${first.incident.id}-R1`);
+    assert.strictEqual(first.incident.status, 'open');
+    assert.strictEqual(first.incident.observedLoss, 1234.57);
+
+    // A day later is the same spike; another service or a later spike is not
+    const next = record('billing-service', '2026-02-11', report('INCONCLUSIVE', 2), at(1));
+    assert.deepStrictEqual([next.created, next.incident.id, next.reportId], [false, first.incident.id, `${first.incident.id}-R2`]);
+    assert.strictEqual(record('tax-service', '2026-02-10', report('INCONCLUSIVE', 3), at(2)).created, true);
+    assert.strictEqual(record('billing-service', '2026-02-14', report('INCONCLUSIVE', 4), at(3)).created, true);
+
+    const stored = incidents.getIncident(first.incident.id);
+    assert.deepStrictEqual(stored.reports.map(r => r.report.metadata), [
+        { id: first.incident.id, requestId: 1, reportId: `${first.incident.id}-R1` },
+        { id: first.incident.id, requestId: 2, reportId: `${first.incident.id}-R2` },
+    ]);
+    assert.deepStrictEqual(stored.linkedAlerts, ['ANOMALY_SPIKE:billing-service:3d']);
+
+    const listed = incidents.listIncidents({ service: 'billing-service' });
+    assert.strictEqual(listed.length, 2);
+    assert.strictEqual(listed.find(i => i.id === first.incident.id).reportCount, 2);
+    assert.strictEqual(listed[0].reports, undefined);
+
+    // Persisted for the next process
+    const saved = JSON.parse(fs.readFileSync(process.env.INCIDENTS_FILE, 'utf8'));
+    assert.strictEqual(saved.incidents.length, 3);
+});
+
+test('an identical report is counted, not stored again', () => {
+    const first = record('subscription-service', '2026-02-20', report('INCONCLUSIVE', 10), at(4));
+    // Only the metadata differs
+    const again = record('subscription-service', '2026-02-20', report('INCONCLUSIVE', 11), at(5));
+    assert.strictEqual(again.repeated, true);
+    assert.strictEqual(again.reportId, first.reportId);
+
+    const [entry] = incidents.getIncident(first.incident.id).reports;
+    assert.deepStrictEqual([entry.repeatCount, entry.receivedAt, entry.lastSeenAt], [1, at(4), at(5)]);
+    assert.strictEqual(record('subscription-service', '2026-02-20', report('CAUSAL_LINK_CONFIRMED', 12), at(6)).repeated, false);
+});
+
+test('operators move incidents along the allowed transitions only', () => {
+    const { incident } = record('search-service', '2026-02-01', report('INCONCLUSIVE', 20), at(0));
+
+    assert.strictEqual(incidents.updateIncident('INC-9999', { status: 'resolved' }), null);
+    assert.deepStrictEqual(incidents.updateIncident(incident.id, { status: 'closed' }), {
+        error: 'Unknown status \'closed\'. Expected one of open, investigating, mitigated, resolved.',
+        status: 400,
+    });
+    assert.deepStrictEqual(incidents.updateIncident(incident.id, { owner: 42 }), { error: 'owner must be a string or null', status: 400 });
+
+    assert.ok(incidents.updateIncident(incident.id, { status: 'investigating', owner: 'sam', note: 'looking' }, at(1)).incident);
+    assert.deepStrictEqual(incidents.updateIncident(incident.id, { status: 'open' }), { error: 'Cannot move incident from investigating to open', status: 409 });
+    incidents.updateIncident(incident.id, { status: 'resolved' }, at(2));
+    incidents.updateIncident(incident.id, { status: 'investigating' }, at(3));
+
+    const updated = incidents.getIncident(incident.id);
+    assert.strictEqual(updated.owner, 'sam');
+    assert.deepStrictEqual(transitions(incident.id), ['null→open', 'open→investigating', 'investigating→resolved', 'resolved→investigating']);
+    assert.deepStrictEqual(updated.statusHistory[1], { at: at(1), from: 'open', to: 'investigating', by: 'operator', note: 'looking' });
+});
+
+test('a confirmed fix resolves the incident once, and a reopen by an operator sticks', () => {
+    const { incident } = record('ledger-service', '2026-02-05', report('CAUSAL_LINK_CONFIRMED', 30), at(0));
+    const fix = { service: 'ledger-service', version: 'v2.0.2', timestamp: '2026-02-07T10:00:00.000Z', recoveryConfidence: 0.934 };
+
+    const closed = incidents.resolveWithFix(incident.id, fix, at(1));
+    assert.strictEqual(closed.closed, true);
+    assert.strictEqual(closed.incident.status, 'resolved');
+    assert.deepStrictEqual(closed.incident.resolvedBy, { ...fix, confirmedAt: at(1) });
+    assert.strictEqual(closed.incident.statusHistory[1].note, 'Fix ledger-service v2.0.2 confirmed (recovery confidence 93.4%)');
+
+    incidents.updateIncident(incident.id, { status: 'investigating', note: 'still leaking in eu-west' }, at(2));
+    assert.strictEqual(incidents.resolveWithFix(incident.id, fix, at(3)).closed, false);
+    assert.strictEqual(incidents.getIncident(incident.id).status, 'investigating');
+
+    // A different fix may close it again
+    assert.strictEqual(incidents.resolveWithFix(incident.id, { ...fix, version: 'v2.0.3', timestamp: '2026-02-08T10:00:00.000Z' }, at(4)).closed, true);
+    assert.strictEqual(incidents.resolveWithFix('INC-9999', fix), null);
+});
+
+test('runbook runs replace their earlier state on the incident', () => {
+    const { incident } = record('payments-service', '2026-02-03', report('CAUSAL_LINK_CONFIRMED', 40), at(0));
+    incidents.attachRunbookRun(incident.id, { runId: 'RUN-1', status: 'PENDING_APPROVAL', updatedAt: at(1) });
+    incidents.attachRunbookRun(incident.id, { runId: 'RUN-2', status: 'DRY_RUN', updatedAt: at(2) });
+    incidents.attachRunbookRun(incident.id, { runId: 'RUN-1', status: 'SUCCEEDED', updatedAt: at(3) });
+
+    const stored = incidents.getIncident(incident.id);
+    assert.deepStrictEqual(stored.runbooks.map(r => [r.runId, r.status]), [['RUN-1', 'SUCCEEDED'], ['RUN-2', 'DRY_RUN']]);
+    assert.strictEqual(stored.updatedAt, at(3));
+    assert.strictEqual(incidents.attachRunbookRun('INC-9999', { runId: 'RUN-3' }), null);
+});
@@ -0,0 +1,85 @@
+/**
+ * Question parsing (intent_parser.js) and the /api/agent/ask route it feeds:
+ * the intent, service, region and window read from a question, and that the
+ * answer is scoped to them.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const { parseQuestion } = require('../intent_parser');
+const { startServer } = require('./server');
+
+const ANCHOR = '2026-02-21T23:59:59.999Z'; // a Saturday
+const LAST_WEEK = { from: '2026-02-09T00:00:00.000Z', to: '2026-02-15T23:59:59.999Z', expression: 'last week' };
+const known = {
+    services: ['billing-service', 'subscription-service', 'tax-service'],
+    regions: ['us-east', 'eu-west', 'ap-south'],
+    anchor: ANCHOR,
+};
+
+test('"how much did we lose in eu-west last week" is a loss question for eu-west over last week', () => {
+    const query = parseQuestion('how much did we lose in eu-west last week', known);
+    assert.strictEqual(query.intent, 'LOSS');
+    assert.strictEqual(query.metric, 'loss');
+    assert.strictEqual(query.service, null);
+    assert.strictEqual(query.region, 'eu-west');
+    assert.deepStrictEqual(query.window, LAST_WEEK);
+});
+
+test('"which deploy broke tax-service" is a cause question for tax-service over all data', () => {
+    const query = parseQuestion('which deploy broke tax-service', known);
+    assert.strictEqual(query.intent, 'CAUSE');
+    assert.strictEqual(query.service, 'tax-service');
+    assert.strictEqual(query.region, null);
+    assert.deepStrictEqual(query.window, { from: null, to: null, expression: null });
+});
+
+// ─── /api/agent/ask ──────────────────────────────────────────────────────────
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-ask-'));
+let server;
+
+const ask = async question => (await axios.post(`${server.url}/api/agent/ask`, { question })).data;
+
+before(async () => {
+    server = await startServer(tmp);
+});
+
+after(() => {
+    server.child.kill();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('a loss question is answered for its region and window only', async () => {
+    const scoped = await ask('how much did we lose in eu-west last week');
+    assert.strictEqual(scoped.engine, 'financial_loss');
+    assert.strictEqual(scoped.query.intent, 'LOSS');
+    assert.strictEqual(scoped.query.service, null);
+    assert.strictEqual(scoped.query.region, 'eu-west');
+    assert.strictEqual(scoped.query.anchor, ANCHOR);
+    assert.deepStrictEqual(scoped.query.window, LAST_WEEK);
+    assert.match(scoped.answer, /all services, eu-west, 2026-02-09 to 2026-02-15/);
+
+    // The same week across every region loses more than eu-west alone
+    const everywhere = await ask('how much did we lose last week');
+    assert.strictEqual(everywhere.query.region, null);
+    assert.deepStrictEqual(everywhere.query.window, LAST_WEEK);
+    assert.ok(scoped.data.total > 0 && scoped.data.total < everywhere.data.total, `${scoped.data.total} vs ${everywhere.data.total}`);
+});
+
+test('a cause question only consults the named service', async () => {
+    const cause = await ask('which deploy broke tax-service');
+    assert.strictEqual(cause.query.intent, 'CAUSE');
+    assert.strictEqual(cause.query.service, 'tax-service');
+    assert.strictEqual(cause.query.region, null);
+    assert.deepStrictEqual(cause.data.map(step => step.tool), ['get_incident_window', 'attribute_incident']);
+    assert.strictEqual(cause.data[0].output.service, 'tax-service');
+    assert.strictEqual(cause.culprit, null);
+    assert.match(cause.answer, /tax-service/);
+    assert.doesNotMatch(cause.answer, /billing-service|subscription-service/);
+});
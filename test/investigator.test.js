@@ -0,0 +1,169 @@
+/**
+ * Tool-calling investigator loop driven by the mock provider: the tool
+ * calls it makes, the results it cites, how it handles bad calls and the
+ * step limit, and how the keyword planner scopes its calls.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { investigate } = require('../investigator');
+const { createMockProvider } = require('../llm_providers');
+
+const serviceArg = { type: 'object', properties: { service: { type: 'string' } }, required: ['service'] };
+
+// Stand-ins for the agent tools; every call is recorded
+function makeTools() {
+    const received = [];
+    const tool = (name, output) => ({
+        name,
+        description: `Test double for ${name}`,
+        parameters: serviceArg,
+        handler: args => {
+            received.push({ name, args });
+            if (output instanceof Error) throw output;
+            return output;
+        },
+    });
+    return {
+        received,
+        tools: [
+            tool('get_anomaly_stats', { summary: 'billing-service anomaly rate rose from 1.2% to 6.1%', rate: 6.1 }),
+            tool('attribute_incident', { summary: 'billing-service v1.0.4 has 95.1% attribution probability', probability: 0.951 }),
+            tool('forecast_loss', new Error('No invoices in range')),
+        ],
+    };
+}
+
+const call = (id, name, args) => ({ id, name, arguments: args });
+
+test('tool results are cited back to the calls that produced them', async () => {
+    const { tools, received } = makeTools();
+    const provider = createMockProvider({
+        script: [
+            { toolCalls: [call('c1', 'get_anomaly_stats', { service: 'billing-service' })] },
+            { content: 'Checking the deployments.', toolCalls: [call('c2', 'attribute_incident', { service: 'billing-service' })] },
+            { content: 'Underbilling rose to 6.1% [T1] and v1.0.4 is the likely cause [T2]. Churn is unaffected [T7].' },
+        ],
+    });
+    const events = [];
+    const result = await investigate({ provider, tools, question: 'Why is billing leaking?', onStep: e => events.push(e.type) });
+
+    assert.strictEqual(result.stopReason, 'answered');
+    assert.strictEqual(result.steps, 3);
+    assert.deepStrictEqual(result.provider, { name: 'mock', model: 'scripted' });
+    assert.deepStrictEqual(received, [
+        { name: 'get_anomaly_stats', args: { service: 'billing-service' } },
+        { name: 'attribute_incident', args: { service: 'billing-service' } },
+    ]);
+    assert.deepStrictEqual(result.toolCalls.map(({ citation, step, tool, arguments: args, output, error }) => ({ citation, step, tool, args, output, error })), [
+        { citation: 'T1', step: 1, tool: 'get_anomaly_stats', args: { service: 'billing-service' }, output: { summary: 'billing-service anomaly rate rose from 1.2% to 6.1%', rate: 6.1 }, error: null },
+        { citation: 'T2', step: 2, tool: 'attribute_incident', args: { service: 'billing-service' }, output: { summary: 'billing-service v1.0.4 has 95.1% attribution probability', probability: 0.951 }, error: null },
+    ]);
+
+    assert.deepStrictEqual(result.citations, [
+        { id: 'T1', tool: 'get_anomaly_stats', arguments: { service: 'billing-service' }, summary: 'billing-service anomaly rate rose from 1.2% to 6.1%' },
+        { id: 'T2', tool: 'attribute_incident', arguments: { service: 'billing-service' }, summary: 'billing-service v1.0.4 has 95.1% attribution probability' },
+    ]);
+    assert.deepStrictEqual(result.unresolvedCitations, ['T7']);
+    assert.deepStrictEqual(events, ['tool_call', 'tool_result', 'tool_call', 'tool_result', 'answer']);
+
+    // The model saw each result tagged with the citation it then used
+    const toolMessages = result.messages.filter(m => m.role === 'tool');
+    assert.deepStrictEqual(toolMessages.map(m => [m.toolCallId, JSON.parse(m.content).citation]), [['c1', 'T1'], ['c2', 'T2']]);
+    assert.strictEqual(JSON.parse(toolMessages[0].content).rate, 6.1);
+});
+
+test('bad arguments, unknown tools and tool errors go back to the model', async () => {
+    const { tools, received } = makeTools();
+    const provider = createMockProvider({
+        script: [
+            {
+                toolCalls: [
+                    call('c1', 'get_anomaly_stats', { service: 42 }),
+                    call('c2', 'get_anomaly_stats', {}),
+                    call('c3', 'drop_tables', { service: 'billing-service' }),
+                    call('c4', 'forecast_loss', { service: 'billing-service' }),
+                ],
+            },
+            { content: 'The tools could not answer this [T4].' },
+        ],
+    });
+    const result = await investigate({ provider, tools, question: 'What will we lose?' });
+
+    assert.strictEqual(result.stopReason, 'answered');
+    assert.deepStrictEqual(received, [{ name: 'forecast_loss', args: { service: 'billing-service' } }]);
+    assert.deepStrictEqual(result.toolCalls.map(c => [c.citation, c.output, c.error]), [
+        ['T1', null, 'Invalid arguments: service must be of type string'],
+        ['T2', null, 'Invalid arguments: service is required'],
+        ['T3', null, 'Unknown tool'],
+        ['T4', null, 'No invoices in range'],
+    ]);
+    assert.deepStrictEqual(JSON.parse(result.messages.find(m => m.toolCallId === 'c3').content), { citation: 'T3', error: 'Unknown tool' });
+    assert.deepStrictEqual(result.citations, [{ id: 'T4', tool: 'forecast_loss', arguments: { service: 'billing-service' }, summary: null }]);
+});
+
+test('citation ids continue across a conversation', async () => {
+    const { tools } = makeTools();
+    const first = await investigate({
+        provider: createMockProvider({ script: [{ toolCalls: [call('c1', 'get_anomaly_stats', { service: 'billing-service' })] }, { content: 'Rate is 6.1% [T1].' }] }),
+        tools,
+        question: 'How bad is it?',
+    });
+    const second = await investigate({
+        provider: createMockProvider({ script: [{ toolCalls: [call('c2', 'attribute_incident', { service: 'billing-service' })] }, { content: 'It was v1.0.4 [T2].' }] }),
+        tools,
+        question: 'Which deployment?',
+        history: first.messages,
+    });
+
+    assert.deepStrictEqual(second.toolCalls.map(c => c.citation), ['T2']);
+    assert.deepStrictEqual(second.citations.map(c => c.id), ['T2']);
+    assert.deepStrictEqual(second.unresolvedCitations, []);
+});
+
+test('the loop stops after maxSteps model turns', async () => {
+    const { tools, received } = makeTools();
+    const provider = createMockProvider({ script: [{ toolCalls: [call('c', 'get_anomaly_stats', { service: 'billing-service' })] }] });
+    const result = await investigate({ provider, tools, question: 'Keep digging', maxSteps: 3 });
+
+    assert.strictEqual(result.stopReason, 'max_steps');
+    assert.strictEqual(result.answer, null);
+    assert.strictEqual(result.steps, 3);
+    assert.strictEqual(received.length, 3);
+    assert.deepStrictEqual(result.citations, []);
+});
+
+test('the keyword planner scopes its tool calls to the service and dates in the question', async () => {
+    const received = [];
+    const scope = { service: { type: 'string', enum: ['billing-service', 'tax-service'] }, from: { type: 'string' }, to: { type: 'string' } };
+    const tools = ['get_incident_window', 'attribute_incident', 'recommend_actions', 'forecast_loss'].map(name => ({
+        name,
+        description: `Test double for ${name}`,
+        parameters: { type: 'object', properties: scope, required: [] },
+        handler: args => {
+            received.push({ name, args });
+            return { summary: `${name} for ${args.service || 'the default service'}` };
+        },
+    }));
+    const context = ['Latest data: 2026-02-21T23:59:59.999Z (relative dates such as "last week" count back from it).'];
+
+    const cause = await investigate({ provider: createMockProvider(), tools, question: 'which deploy broke tax-service', context });
+    assert.deepStrictEqual(cause.toolCalls.map(c => [c.tool, c.arguments]), [
+        ['get_incident_window', { service: 'tax-service' }],
+        ['attribute_incident', { service: 'tax-service' }],
+        ['recommend_actions', { service: 'tax-service' }],
+    ]);
+    assert.deepStrictEqual(cause.citations.map(c => [c.id, c.arguments.service, c.summary]), [
+        ['T1', 'tax-service', 'get_incident_window for tax-service'],
+        ['T2', 'tax-service', 'attribute_incident for tax-service'],
+        ['T3', 'tax-service', 'recommend_actions for tax-service'],
+    ]);
+    assert.doesNotMatch(cause.answer, /billing-service|default service/);
+
+    received.length = 0;
+    await investigate({ provider: createMockProvider(), tools, question: 'what did the billing service cost us last week?', context });
+    assert.deepStrictEqual(received, [
+        { name: 'forecast_loss', args: { service: 'billing-service', from: '2026-02-09T00:00:00.000Z', to: '2026-02-15T23:59:59.999Z' } },
+    ]);
+});
@@ -0,0 +1,82 @@
+/**
+ * Incremental monitor (monitor_service.js --json --once) on the sample data:
+ * a poll reads only invoices after the saved cursor and reports only
+ * findings that opened or cleared since the previous poll.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-monitor-'));
+const STATE_FILE = path.join(tmp, 'monitor_state.json');
+const FINDING = 'REVENUE_LOSS:billing-service:all';
+
+const invoices = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'invoices.json'), 'utf8'))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.invoiceId.localeCompare(b.invoiceId));
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// One poll in a child process; returns its output without colour codes
+function poll() {
+    const output = execFileSync(process.execPath, [path.join(ROOT, 'monitor_service.js'), '--json', '--once'], {
+        env: { ...process.env, MONITOR_STATE_FILE: STATE_FILE, ALERT_STATE_FILE: path.join(tmp, 'alert_state.json'), MONITOR_NOTIFY: 'false' },
+        encoding: 'utf8',
+        timeout: 60000,
+    });
+    return output.replace(/\x1b\[\d+m/g, '');
+}
+
+const readState = () => JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+const writeState = state => fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+
+test('the first poll reads every invoice and reports what fires', () => {
+    const output = poll();
+    assert.match(output, /Checking for invoices after the beginning/);
+    assert.match(output, /🚨 NEW \[HIGH\] Cumulative revenue loss of .* detected in billing-service/);
+
+    const state = readState();
+    const newest = invoices[invoices.length - 1];
+    assert.strictEqual(state.processed, invoices.length);
+    assert.deepStrictEqual(state.cursor, { timestamp: newest.timestamp, invoiceId: newest.invoiceId });
+    assert.deepStrictEqual(Object.keys(state.findings), [FINDING]);
+});
+
+test('a poll with nothing new leaves the cursor where it was', () => {
+    const before = readState();
+    const output = poll();
+    assert.match(output, new RegExp(`Checking for invoices after ${before.cursor.timestamp.replace(/\./g, '\\.')}`));
+    assert.match(output, /No new invoices since the last check/);
+    assert.deepStrictEqual(readState(), before);
+});
+
+test('only invoices after the cursor are read, and a finding still firing is not repeated', () => {
+    const before = readState();
+    const previous = invoices[invoices.length - 2];
+    writeState({ ...before, cursor: { timestamp: previous.timestamp, invoiceId: previous.invoiceId } });
+
+    const output = poll();
+    assert.match(output, /: 1 new invoices,/);
+    assert.match(output, /No new findings \(1 still active\)/);
+    assert.doesNotMatch(output, /NEW \[/);
+
+    const state = readState();
+    assert.strictEqual(state.processed, before.processed + 1);
+    assert.deepStrictEqual(state.cursor, before.cursor);
+    assert.strictEqual(state.findings[FINDING].firstSeen, before.findings[FINDING].firstSeen);
+});
+
+test('a finding that stopped firing is reported cleared once', () => {
+    const before = readState();
+    const stale = { ruleId: 'anomaly-spike', service: 'tax-service', severity: 'HIGH', message: 'Anomaly spike in tax-service', firstSeen: before.updatedAt };
+    const previous = invoices[invoices.length - 2];
+    writeState({ ...before, cursor: { timestamp: previous.timestamp, invoiceId: previous.invoiceId }, findings: { ...before.findings, 'ANOMALY_SPIKE:tax-service:3d': stale } });
+
+    const output = poll();
+    assert.match(output, /✅ CLEARED Anomaly spike in tax-service/);
+    assert.deepStrictEqual(Object.keys(readState().findings), [FINDING]);
+});
@@ -0,0 +1,123 @@
+/**
+ * Webhook notifier against the local stand-in (webhook_stand_in.js):
+ * signatures, retry with backoff, and the dead-letter log.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const SECRET = 'test-secret';
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-notifier-'));
+process.env.NOTIFICATIONS_FILE = path.join(tmp, 'notifications.json');
+process.env.WEBHOOK_DEAD_LETTER_FILE = path.join(tmp, 'dead_letter.jsonl');
+
+const { notify, reloadWebhooks, getDeadLetters } = require('../notifier');
+
+const standIns = [];
+
+// Start a stand-in on a free port; resolves once it prints its address
+function startStandIn(env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(ROOT, 'webhook_stand_in.js')], {
+            env: { ...process.env, STAND_IN_PORT: '0', WEBHOOK_SECRET: SECRET, ...env },
+            stdio: ['ignore', 'pipe', 'inherit'],
+        });
+        const standIn = { child, output: '' };
+        standIns.push(standIn);
+        child.stdout.on('data', chunk => {
+            standIn.output += chunk;
+            const match = standIn.output.match(/listening on (http:\/\/\S+)/);
+            if (match && !standIn.url) {
+                standIn.url = match[1];
+                resolve(standIn);
+            }
+        });
+        child.on('exit', code => { if (!standIn.url) reject(new Error(`stand-in exited with ${code}`)); });
+    });
+}
+
+// The stand-in's log can reach us after its HTTP response does
+async function waitForOutput(standIn, pattern, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!pattern.test(standIn.output)) {
+        if (Date.now() > deadline) assert.fail(`stand-in never printed ${pattern}:\n${standIn.output}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function configure(webhooks) {
+    fs.writeFileSync(process.env.NOTIFICATIONS_FILE, JSON.stringify({ webhooks }));
+    reloadWebhooks();
+}
+
+const hook = (id, url, extra = {}) => ({
+    id,
+    url,
+    format: 'generic',
+    events: ['alert.opened'],
+    retry: { attempts: 3, backoffMs: 10 },
+    ...extra,
+});
+
+const alert = { event: 'alert.opened', summary: 'Underbilling spike', severity: 'HIGH', data: { rule: 'test' } };
+
+let healthy;
+let flaky;
+let down;
+
+before(async () => {
+    [healthy, flaky, down] = await Promise.all([
+        startStandIn(),
+        startStandIn({ FAIL_FIRST: '1' }),
+        startStandIn({ FAIL_FIRST: '100' }),
+    ]);
+    configure([
+        hook('signed', healthy.url, { secret: SECRET }),
+        hook('wrong-secret', healthy.url, { secret: 'not-the-secret' }),
+        hook('flaky', flaky.url, { secret: SECRET }),
+        hook('down', down.url, { secret: SECRET }),
+    ]);
+});
+
+after(() => {
+    standIns.forEach(standIn => standIn.child.kill());
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('a signed delivery passes the stand-in signature check', async () => {
+    const [record] = await notify(alert, { webhookId: 'signed' });
+    assert.deepStrictEqual(record, { webhook: 'signed', delivered: true, attempts: 1, status: 200 });
+    await waitForOutput(healthy, /alert\.opened \(signature OK\)/);
+});
+
+test('a bad signature is refused with 401 and not retried', async () => {
+    const [record] = await notify(alert, { webhookId: 'wrong-secret' });
+    assert.strictEqual(record.delivered, false);
+    assert.strictEqual(record.attempts, 1);
+    assert.strictEqual(record.error, 'HTTP 401');
+    await waitForOutput(healthy, /SIGNATURE MISMATCH/);
+});
+
+test('a failed attempt is retried until it succeeds', async () => {
+    const [record] = await notify(alert, { webhookId: 'flaky' });
+    assert.deepStrictEqual(record, { webhook: 'flaky', delivered: true, attempts: 2, status: 200 });
+    await waitForOutput(flaky, /simulated failure[\s\S]*signature OK/);
+});
+
+test('a delivery that exhausts its retries is dead-lettered', async () => {
+    const [record] = await notify(alert, { webhookId: 'down' });
+    assert.deepStrictEqual(record, { webhook: 'down', delivered: false, attempts: 3, error: 'HTTP 500' });
+
+    const [entry] = getDeadLetters(1);
+    assert.strictEqual(entry.webhook, 'down');
+    assert.strictEqual(entry.url, down.url);
+    assert.strictEqual(entry.event, 'alert.opened');
+    assert.strictEqual(entry.attempts, 3);
+    assert.strictEqual(entry.error, 'HTTP 500');
+    assert.strictEqual(entry.payload.summary, 'Underbilling spike');
+});
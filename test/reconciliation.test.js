@@ -0,0 +1,97 @@
+/**
+ * Pricing reconciliation (reconciliation.js): each mismatch class, which
+ * invoices are priced as plan charges, and the customer-id join.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+// Built-in USD-only FX table, so variances are the raw amounts
+process.env.FX_RATES_FILE = path.join(os.tmpdir(), 'revenueguard-no-fx-rates.json');
+delete process.env.REPORTING_CURRENCY;
+
+const { indexSubscriptions, findSubscription, reconcileInvoices } = require('../reconciliation');
+
+const PRICING = [
+    { version: 'v2', effectiveDate: '2026-02-01T00:00:00Z', plans: [{ name: 'Basic', price: 40 }, { name: 'Pro', price: 100 }] },
+    { version: 'v1', effectiveDate: '2026-01-01T00:00:00Z', plans: [{ name: 'Basic', price: 30 }, { name: 'Pro', price: 80 }] },
+];
+const SUBSCRIPTIONS = [
+    { id: 'sub-pro', customerId: 'cust_pro', plan: 'Pro', startDate: '2025-06-10T00:00:00.000Z' },
+    // Started half-way through February (14 of 28 days)
+    { id: 'sub-new', customerId: 'cust_new', plan: 'Basic', startDate: '2026-02-15T00:00:00.000Z' },
+    { id: 'sub-gone', customerId: 'cust_gone', plan: 'Pro', startDate: '2025-06-10T00:00:00.000Z', churnDate: '2026-01-20T00:00:00.000Z' },
+];
+
+let next = 0;
+const invoice = (subscriptionId, amountExpected, extra = {}) => ({
+    invoiceId: `inv-${++next}`,
+    subscriptionId,
+    customerId: `cust-${subscriptionId.slice(4)}`,
+    currency: 'USD',
+    amountExpected,
+    amountBilled: amountExpected,
+    timestamp: '2026-02-20T10:00:00.000Z',
+    ...extra,
+});
+
+const reconcileOne = inv => reconcileInvoices([inv], SUBSCRIPTIONS, PRICING);
+
+test('a plan charge at the catalog price reconciles', () => {
+    const { summary, mismatches } = reconcileOne(invoice('sub-pro', 100));
+    assert.strictEqual(summary.matched, 1);
+    assert.strictEqual(summary.correct, 1);
+    assert.deepStrictEqual(mismatches, []);
+});
+
+test('each wrong stored amount gets its class', () => {
+    const cases = [
+        [invoice('sub-pro', 80), 'STALE_VERSION', 'Priced on v1 instead of v2', 100],
+        [invoice('sub-pro', 40), 'WRONG_PLAN', 'Priced as Basic instead of Pro', 100],
+        [invoice('sub-new', 40), 'PRORATION_ERROR', 'Full price charged for 14/28 days of service', 20],
+        [invoice('sub-pro', 50), 'PRORATION_ERROR', 'Prorated to 14/28 days for a full month of service', 100],
+        [invoice('sub-pro', 100, { amountBilled: 120 }), 'OVERBILLING', 'Billed 20 above the catalog price', 100],
+        [invoice('sub-gone', 100), 'OVERBILLING', 'Charged for a month with no active subscription', 0],
+        [invoice('sub-pro', 73), 'PRICE_MISMATCH', 'Expected amount 27 below the catalog price', 100],
+    ];
+    cases.forEach(([inv, cls, detail, correctCharge]) => {
+        const { mismatches: [mismatch] } = reconcileOne(inv);
+        assert.deepStrictEqual([mismatch.class, mismatch.detail, mismatch.correctCharge], [cls, detail, correctCharge], `${inv.subscriptionId} at ${inv.amountExpected}`);
+    });
+});
+
+test('variances are totalled by class', () => {
+    const { summary } = reconcileInvoices([invoice('sub-pro', 80), invoice('sub-pro', 80), invoice('sub-pro', 100)], SUBSCRIPTIONS, PRICING);
+    assert.strictEqual(summary.mismatched, 2);
+    assert.deepStrictEqual(summary.byClass.STALE_VERSION, { count: 2, expectedVariance: -40, billedVariance: -40 });
+    assert.strictEqual(summary.expectedVariance, -40);
+    assert.strictEqual(summary.coverage, 100);
+});
+
+test('only invoices that name a subscription are priced', () => {
+    const product = { ...invoice('sub-pro', 249.99), subscriptionId: undefined };
+    const orphan = invoice('sub-unknown', 100);
+    const early = invoice('sub-pro', 100, { timestamp: '2025-12-20T10:00:00.000Z' });
+    const { summary, unmatched } = reconcileInvoices([product, orphan, early, invoice('sub-pro', 100)], SUBSCRIPTIONS, PRICING);
+
+    assert.deepStrictEqual(
+        [summary.matched, summary.unmatched, summary.unpriced, summary.mismatched],
+        [1, 2, 1, 0]);
+    assert.deepStrictEqual(unmatched.map(u => [u.invoiceId, u.reason]), [
+        [product.invoiceId, 'NOT_A_PLAN_CHARGE'],
+        [orphan.invoiceId, 'NO_SUBSCRIPTION'],
+        [early.invoiceId, 'NO_CATALOG_PRICE'],
+    ]);
+    assert.strictEqual(summary.coverage, 25);
+});
+
+test('invoices join their customer\'s subscription across id spellings', () => {
+    const index = indexSubscriptions(SUBSCRIPTIONS);
+    const product = { customerId: 'CUST-PRO', timestamp: '2026-02-20T10:00:00.000Z' };
+    assert.strictEqual(findSubscription(index, product).id, 'sub-pro');
+    assert.strictEqual(findSubscription(index, { customerId: 'cust-nobody', timestamp: product.timestamp }), null);
+    // The explicit link wins over the customer
+    assert.strictEqual(findSubscription(index, { ...product, subscriptionId: 'sub-new' }).id, 'sub-new');
+});
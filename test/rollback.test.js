@@ -0,0 +1,116 @@
+/**
+ * Rollback recommendations (rollback.js) from hand-built evidence: the
+ * last known-good version, pre-checks that block a rollback, the cost of
+ * delay and how the actions rank.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { recommendActions } = require('../rollback');
+
+const SERVICE = 'billing-service';
+const deployment = (version, timestamp, service = SERVICE) => ({ eventType: 'deployment', service, version, timestamp });
+const verdict = (dep, value, extra = {}) => ({ deployment: dep, verdict: value, recoveryConfidence: 0, timeToRecover: null, ...extra });
+
+const DEPLOYMENTS = [
+    deployment('v1.0.0', '2026-03-01T09:00:00.000Z'),
+    deployment('v1.0.1', '2026-03-03T09:00:00.000Z'),
+    deployment('v1.0.2', '2026-03-05T14:00:00.000Z'),
+    deployment('v9.0.0', '2026-03-05T14:00:00.000Z', 'tax-service'),
+];
+const CULPRIT = { service: SERVICE, version: 'v1.0.2', timestamp: '2026-03-05T14:00:00.000Z', confidence: 0.92 };
+const ONGOING = { status: 'ONGOING', onset: { timestamp: '2026-03-05T14:00:00.000Z' } };
+
+// Ten hours observed after the culprit, 500 attributable
+const COUNTERFACTUAL = {
+    direction: 'underbilling',
+    baseline: { anomalyRate: 2 },
+    observed: { from: '2026-03-05T14:00:00.000Z', to: null, invoices: 200, anomalies: 50, anomalyRate: 25 },
+    expected: { loss: 40 },
+    attributable: { loss: 500, low: 400, high: 600 },
+};
+const EVALUATED_AT = '2026-03-06T00:00:00.000Z';
+
+const statuses = checks => Object.fromEntries(checks.map(c => [c.check, c.status]));
+
+test('an ongoing incident is rolled back to the last version that was not a regression', () => {
+    const verdicts = [verdict(DEPLOYMENTS[0], 'NEUTRAL'), verdict(DEPLOYMENTS[1], 'REGRESSION'), verdict(DEPLOYMENTS[2], 'REGRESSION')];
+    const result = recommendActions({ culprit: CULPRIT, deployments: DEPLOYMENTS, verdicts, incident: ONGOING, counterfactual: COUNTERFACTUAL, evaluatedAt: EVALUATED_AT });
+
+    assert.deepStrictEqual(result.lastKnownGood, { service: SERVICE, version: 'v1.0.0', timestamp: '2026-03-01T09:00:00.000Z', verdict: 'NEUTRAL' });
+    assert.deepStrictEqual(result.intermediateDeployments, []);
+    assert.deepStrictEqual(result.lossAvoidedPerHour, { perHour: 50, low: 40, high: 60, hoursObserved: 10, active: true });
+    assert.ok(result.preChecks.every(c => c.status === 'PASS'), JSON.stringify(result.preChecks));
+
+    const [rollback, rebill] = result.actions;
+    assert.deepStrictEqual([rollback.rank, rollback.type, rollback.priority, rollback.status], [1, 'ROLLBACK', 'CRITICAL', 'RECOMMENDED']);
+    assert.strictEqual(rollback.summary, 'Roll back billing-service from v1.0.2 to v1.0.0');
+    assert.deepStrictEqual(rollback.target, { service: SERVICE, fromVersion: 'v1.0.2', toVersion: 'v1.0.0', reverts: ['v1.0.2'] });
+    assert.deepStrictEqual(rollback.expectedImpact, { lossAvoidedPerHour: 50, bounds: { low: 40, high: 60 } });
+    assert.ok(rollback.rationale.includes('Each hour of delay costs about 50 (40–60) in attributable loss'));
+
+    assert.deepStrictEqual([rebill.rank, rebill.type], [2, 'REBILL_UNDERBILLED']);
+    assert.deepStrictEqual(rebill.expectedImpact, { recoverableRevenue: 500, bounds: { low: 400, high: 600 } });
+    assert.strictEqual(result.actions.length, 2);
+});
+
+test('an intermediate fix blocks the rollback and is kept instead', () => {
+    const fix = deployment('v1.0.3', '2026-03-05T20:00:00.000Z');
+    const deployments = [...DEPLOYMENTS, fix];
+    const verdicts = [verdict(DEPLOYMENTS[2], 'REGRESSION'), verdict(fix, 'FIX', { recoveryConfidence: 0.88, timeToRecover: { hours: 0 } })];
+    const recovered = { ...ONGOING, status: 'RECOVERED', recovery: { timestamp: '2026-03-05T20:00:00.000Z' } };
+    const result = recommendActions({ culprit: CULPRIT, deployments, verdicts, incident: recovered, counterfactual: COUNTERFACTUAL, evaluatedAt: EVALUATED_AT });
+
+    assert.deepStrictEqual(statuses(result.preChecks), {
+        culprit_confidence: 'PASS',
+        incident_active: 'FAIL',
+        last_known_good: 'PASS',
+        intermediate_deployments: 'FAIL',
+    });
+    assert.strictEqual(result.lossAvoidedPerHour.active, false);
+
+    assert.deepStrictEqual(result.actions.map(a => [a.type, a.status]), [
+        ['REBILL_UNDERBILLED', 'RECOMMENDED'],
+        ['VERIFY_FIX', 'RECOMMENDED'],
+        ['ROLLBACK', 'BLOCKED'],
+    ]);
+    const rollback = result.actions[2];
+    assert.strictEqual(rollback.priority, 'LOW');
+    assert.deepStrictEqual(rollback.target.reverts, ['v1.0.2', 'v1.0.3']);
+    assert.deepStrictEqual(rollback.expectedImpact, { lossAvoidedPerHour: 0, bounds: null });
+    assert.ok(rollback.rationale.includes('Rollback would revert fix billing-service v1.0.3'));
+    assert.strictEqual(result.actions[1].summary, 'Keep billing-service v1.0.3 and confirm the recovery holds');
+});
+
+test('the first deployment of a service has nowhere to roll back to', () => {
+    const culprit = { ...CULPRIT, version: 'v1.0.0', timestamp: '2026-03-01T09:00:00.000Z' };
+    const result = recommendActions({ culprit, deployments: DEPLOYMENTS.slice(0, 1), incident: ONGOING });
+
+    assert.strictEqual(result.lastKnownGood, null);
+    assert.strictEqual(statuses(result.preChecks).last_known_good, 'FAIL');
+    const [rollback] = result.actions;
+    assert.deepStrictEqual([rollback.status, rollback.summary, rollback.target.toVersion], ['BLOCKED', 'Roll back billing-service v1.0.0', null]);
+});
+
+test('a weak culprit is investigated rather than trusted', () => {
+    const culprit = { ...CULPRIT, confidence: 0.3 };
+    const result = recommendActions({ culprit, deployments: DEPLOYMENTS, incident: ONGOING, unexplained: 0.6 });
+
+    assert.strictEqual(statuses(result.preChecks).culprit_confidence, 'WARN');
+    assert.deepStrictEqual(result.actions.map(a => [a.type, a.priority]), [['ROLLBACK', 'HIGH'], ['INVESTIGATE', 'MEDIUM']]);
+    assert.deepStrictEqual(result.actions[1].rationale, [
+        'The best candidate, billing-service v1.0.2, has only 30.0% attribution probability',
+        '60.0% of the attribution is left unexplained',
+    ]);
+});
+
+test('without a culprit only refunds and an investigation remain', () => {
+    const result = recommendActions({ overbilling: { overbilledCount: 4, refundExposure: 123.456 } });
+
+    assert.strictEqual(result.lastKnownGood, null);
+    assert.deepStrictEqual(result.preChecks, []);
+    assert.deepStrictEqual(result.actions.map(a => [a.rank, a.type]), [[1, 'REFUND_OVERBILLED'], [2, 'INVESTIGATE']]);
+    assert.deepStrictEqual(result.actions[0].expectedImpact, { refundExposure: 123.46 });
+    assert.deepStrictEqual(result.actions[1].rationale, ['No deployment lines up with the incident']);
+});
@@ -0,0 +1,182 @@
+/**
+ * Runbook runs against the local deploy API stub (deploy_stub.js): approval,
+ * rejection, dry runs, the shell allowlist and run-history pruning.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const SERVICE = 'billing-service';
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'revenueguard-runbooks-'));
+process.env.RUNBOOKS_FILE = path.join(tmp, 'runbooks.json');
+process.env.RUNBOOK_RUNS_FILE = path.join(tmp, 'runbook_runs.json');
+process.env.RUNBOOK_AUDIT_FILE = path.join(tmp, 'runbook_audit.jsonl');
+process.env.INCIDENTS_FILE = path.join(tmp, 'incidents.json');
+process.env.NOTIFICATIONS_FILE = path.join(tmp, 'notifications.json');
+
+// A full history: the oldest run still waits for approval, the rest are finished
+const SEEDED_AT = '2026-01-01T00:00:00.000Z';
+const seeded = Array.from({ length: 500 }, (_, i) => ({
+    id: `RUN-${String(i + 1).padStart(4, '0')}`,
+    runbook: 'rollback',
+    incidentId: null,
+    status: i === 0 ? 'PENDING_APPROVAL' : 'DRY_RUN',
+    dryRun: i !== 0,
+    steps: [],
+    createdAt: SEEDED_AT,
+    updatedAt: SEEDED_AT,
+}));
+fs.writeFileSync(process.env.RUNBOOK_RUNS_FILE, JSON.stringify({ nextId: 501, runs: seeded }));
+
+const runbooks = require('../runbooks');
+
+let stub;
+
+// Start the stub on a free port; resolves once it prints its address
+function startStub() {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(ROOT, 'deploy_stub.js')], {
+            env: { ...process.env, DEPLOY_STUB_PORT: '0', FAIL_FIRST: '0' },
+            stdio: ['ignore', 'pipe', 'inherit'],
+        });
+        const started = { child, output: '' };
+        child.stdout.on('data', chunk => {
+            started.output += chunk;
+            const match = started.output.match(/listening on (http:\/\/\S+)/);
+            if (match && !started.url) {
+                started.url = match[1];
+                resolve(started);
+            }
+        });
+        child.on('exit', code => { if (!started.url) reject(new Error(`deploy stub exited with ${code}`)); });
+    });
+}
+
+function configure(mode) {
+    fs.writeFileSync(process.env.RUNBOOKS_FILE, JSON.stringify({
+        mode,
+        approval: { minConfidence: 0.9, maxLoss: 1000 },
+        shell: { allow: ['echo', '/bin/rm'] },
+        ticketing: { url: `${stub.url}/tickets` },
+        vars: { deployApi: stub.url },
+        runbooks: [
+            {
+                id: 'rollback',
+                trigger: { verdict: 'CAUSAL_LINK_CONFIRMED', action: 'ROLLBACK' },
+                steps: [
+                    {
+                        name: 'rollback',
+                        type: 'http',
+                        url: '{{vars.deployApi}}/deployments/rollback',
+                        body: { service: '{{action.target.service}}', toVersion: '{{action.target.toVersion}}', reason: '{{action.summary}}' },
+                    },
+                    { name: 'record', type: 'shell', command: 'echo', args: ['rolled back {{action.target.service}}'] },
+                    { name: 'ticket', type: 'ticket', title: 'Rollback of {{action.target.service}} to {{action.target.toVersion}}' },
+                ],
+            },
+            {
+                id: 'wipe',
+                trigger: { action: 'ROLLBACK' },
+                steps: [{ name: 'wipe', type: 'shell', command: 'rm', args: ['-rf', '/'] }],
+            },
+            {
+                id: 'wipe-by-path',
+                trigger: { action: 'ROLLBACK' },
+                steps: [{ name: 'wipe', type: 'shell', command: '/bin/rm', args: ['-rf', '/'] }],
+            },
+        ],
+    }));
+    runbooks.reloadRunbooks();
+}
+
+// A confirmed regression; below the 0.9 confidence bar it needs approval
+const decision = (toVersion, confidence) => ({
+    verdict: 'CAUSAL_LINK_CONFIRMED',
+    actions: [{ type: 'ROLLBACK', summary: `Roll ${SERVICE} back to ${toVersion}`, target: { service: SERVICE, toVersion } }],
+    service: SERVICE,
+    confidence,
+    loss: 250,
+});
+
+const currentVersion = async () => (await axios.get(`${stub.url}/deployments`)).data[SERVICE];
+
+before(async () => {
+    stub = await startStub();
+    configure('execute');
+});
+
+after(() => {
+    stub.child.kill();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('runbooks with a non-allowlisted command are not loaded', async () => {
+    assert.deepStrictEqual(runbooks.listRunbooks().shellAllow, ['echo']);
+    assert.deepStrictEqual(runbooks.listRunbooks().runbooks.map(rb => rb.id), ['rollback']);
+    assert.strictEqual(await runbooks.runForIncident('wipe'), null);
+    assert.strictEqual(await runbooks.runForIncident('wipe-by-path'), null);
+});
+
+test('a low-confidence run waits for approval and executes once approved', async () => {
+    const [run] = await runbooks.triggerRunbooks(decision('v-approved', 0.5));
+    assert.strictEqual(run.status, 'PENDING_APPROVAL');
+    assert.deepStrictEqual(run.approval.reasons, ['Confidence 50.0% is below 90%']);
+    assert.ok(run.steps.every(step => step.status === 'PENDING'));
+
+    const { run: approved } = await runbooks.approveRun(run.id, { by: 'alice', note: 'go' });
+    assert.strictEqual(approved.status, 'SUCCEEDED');
+    assert.strictEqual(approved.approval.decision, 'APPROVED');
+    const [rollback, record, ticket] = approved.steps;
+    assert.strictEqual(rollback.result.status, 200);
+    assert.strictEqual(rollback.result.data.toVersion, 'v-approved');
+    assert.strictEqual(record.result.stdout, `rolled back ${SERVICE}\n`);
+    assert.strictEqual(ticket.result.status, 201);
+    assert.match(ticket.result.ticketId, /^TKT-\d+$/);
+    assert.strictEqual(await currentVersion(), 'v-approved');
+
+    const events = runbooks.getAuditTrail({ runId: run.id }).map(entry => entry.event).reverse();
+    assert.deepStrictEqual(events, ['RUN_CREATED', 'APPROVAL_REQUESTED', 'APPROVED', 'RUN_STARTED', 'STEP_SUCCEEDED', 'STEP_SUCCEEDED', 'STEP_SUCCEEDED', 'RUN_SUCCEEDED']);
+});
+
+test('a rejected run skips every step and cannot be decided again', async () => {
+    const previous = await currentVersion();
+    const [run] = await runbooks.triggerRunbooks(decision('v-rejected', 0.5));
+    const { run: rejected } = await runbooks.rejectRun(run.id, { by: 'bob', note: 'wrong culprit' });
+    assert.strictEqual(rejected.status, 'REJECTED');
+    assert.strictEqual(rejected.approval.decision, 'REJECTED');
+    assert.ok(rejected.steps.every(step => step.status === 'SKIPPED' && step.result === null));
+    assert.strictEqual(await currentVersion(), previous);
+
+    const again = await runbooks.approveRun(run.id);
+    assert.strictEqual(again.status, 409);
+});
+
+test('a dry run renders every step without calling the stub', async () => {
+    configure('dry-run');
+    try {
+        const previous = await currentVersion();
+        const [run] = await runbooks.triggerRunbooks(decision('v-dry', 0.5));
+        assert.strictEqual(run.status, 'DRY_RUN');
+        assert.strictEqual(run.dryRun, true);
+        assert.ok(run.steps.every(step => step.status === 'DRY_RUN' && step.result === null));
+        assert.deepStrictEqual(run.steps[0].request.body, { service: SERVICE, toVersion: 'v-dry', reason: `Roll ${SERVICE} back to v-dry` });
+        assert.deepStrictEqual(run.steps[1].request.args, [`rolled back ${SERVICE}`]);
+        assert.strictEqual(await currentVersion(), previous);
+    } finally {
+        configure('execute');
+    }
+});
+
+test('pruning drops the oldest finished runs but keeps pending ones', () => {
+    const runs = runbooks.listRuns();
+    assert.strictEqual(runs.length, 500);
+    assert.strictEqual(runbooks.getRun('RUN-0001').status, 'PENDING_APPROVAL');
+    assert.strictEqual(runbooks.getRun('RUN-0002'), null);
+    assert.strictEqual(runbooks.getRun('RUN-0005').status, 'DRY_RUN');
+});
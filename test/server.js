@@ -0,0 +1,43 @@
+/**
+ * Starts the dashboard server for route tests: sample JSON data, a free
+ * port, and every state file in `dir` so a run leaves data/ untouched.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+
+/** Resolves to { child, url, output } once the server logs its address. */
+function startServer(dir) {
+    return new Promise((resolve, reject) => {
+        const state = name => path.join(dir, name);
+        const child = spawn(process.execPath, [path.join(ROOT, 'revenueguard-server.js')], {
+            env: {
+                ...process.env,
+                PORT: '0',
+                DATA_MODE: 'json',
+                ALERT_STATE_FILE: state('alert_state.json'),
+                CONVERSATION_STORE_FILE: state('conversations.json'),
+                INCIDENTS_FILE: state('incidents.json'),
+                MONITOR_STATE_FILE: state('monitor_state.json'),
+                RUNBOOK_RUNS_FILE: state('runbook_runs.json'),
+                RUNBOOK_AUDIT_FILE: state('runbook_audit.jsonl'),
+                WEBHOOK_DEAD_LETTER_FILE: state('webhook_dead_letter.jsonl'),
+            },
+            stdio: ['ignore', 'pipe', 'inherit'],
+        });
+        const started = { child, output: '' };
+        child.stdout.on('data', chunk => {
+            started.output += chunk;
+            const match = started.output.match(/Dashboard:\s+(http:\/\/\S+)/);
+            if (match && !started.url) {
+                started.url = match[1];
+                resolve(started);
+            }
+        });
+        child.on('exit', code => { if (!started.url) reject(new Error(`server exited with ${code}`)); });
+    });
+}
+
+module.exports = { startServer };
@@ -6,7 +6,10 @@
  *  Inserts a deliberate underbilled invoice to test the monitoring service.
  *  amountExpected: 50
  *  amountBilled: 20
- *  invoiceDate: Current Timestamp
+ *  timestamp: Current Timestamp
+ *
+ *  The document follows the invoices schema so the monitor's cursor
+ *  (timestamp + invoiceId) picks it up on its next poll.
  */
 
 const { Client } = require('@elastic/elasticsearch');
@@ -19,14 +22,14 @@ async function triggerAlert() {
     console.log('🚀 Injecting test underbilled invoice...');
 
     const testInvoice = {
-        invoiceId: `TEST-${Date.now()}`,
-        subscriptionId: 'SUB-TRIGGER-001',
+        invoiceId: `inv-test-${Date.now()}`,
+        customerId: 'cust-trigger-001',
         amountExpected: 50.00,
         amountBilled: 20.00,
-        invoiceDate: new Date().toISOString(),
         currency: 'USD',
-        status: 'PAID',
-        pricingVersion: 'v2.4.1'
+        service: process.env.TRIGGER_SERVICE || 'billing-service',
+        region: 'us-east',
+        timestamp: new Date().toISOString(),
     };
 
     try {
@@ -38,7 +41,7 @@ async function triggerAlert() {
 
         console.log('✅ Underbilled invoice injected successfully.');
         console.log(`Document ID: ${response._id}`);
-        console.log('The monitor_service.js should detect this leak ($30.00) in its next sweep.');
+        console.log('The monitor_service.js should detect this leak ($30.00) in its next poll.');
 
     } catch (err) {
         console.error('❌ Failed to inject test invoice:', err.message);
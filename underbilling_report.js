@@ -3,8 +3,9 @@
  *  RevenueLeak AI — Underbilling Intelligence Report
  * ═══════════════════════════════════════════════════════════════════════════
  * 
- *  Autonomous script to aggregate underbilled instances by day.
- *  Targets: amountBilled < amountExpected
+ *  Autonomous script to aggregate billing anomalies by day, per direction.
+ *  Targets: amountBilled < amountExpected (underbilling)
+ *           amountBilled > amountExpected (overbilling)
  *  Marker: Deployment Date (2026-02-01T13:40:02.000Z)
  */
 
@@ -44,6 +45,16 @@ async function generateReport() {
                                         }
                                     }
                                 }
+                            },
+                            overbilled_instances: {
+                                filter: {
+                                    script: {
+                                        script: {
+                                            source: "doc['amountBilled'].value > doc['amountExpected'].value",
+                                            lang: "painless"
+                                        }
+                                    }
+                                }
                             }
                         }
                     }
@@ -59,6 +70,7 @@ async function generateReport() {
             return {
                 date: bucket.key_as_string.split('T')[0],
                 underbilling_count: bucket.underbilled_instances.doc_count,
+                overbilling_count: bucket.overbilled_instances.doc_count,
                 is_post_deployment: bucketTs >= deploymentTs,
                 is_deployment_day: bucket.key_as_string.split('T')[0] === DEPLOYMENT_DATE.split('T')[0]
             };
@@ -0,0 +1,53 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ *  RevenueGuard — Local Webhook Stand-In
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ *  A tiny HTTP receiver for exercising notifier.js without Slack or a real
+ *  endpoint. Prints every delivery and checks its signature.
+ *
+ *    WEBHOOK_SECRET=dev node webhook_stand_in.js
+ *
+ *  Environment:
+ *    STAND_IN_PORT   listen port (default 4000; 0 picks a free one)
+ *    WEBHOOK_SECRET  shared secret; signatures are verified when set
+ *    FAIL_FIRST      answer the first N requests with HTTP 500 to exercise
+ *                    retries and the dead-letter log (default 0)
+ */
+
+const http = require('http');
+const { signBody } = require('./notifier');
+
+const PORT = process.env.STAND_IN_PORT || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || null;
+let failuresLeft = parseInt(process.env.FAIL_FIRST || '0', 10);
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const event = req.headers['x-revenueguard-event'] || 'unknown';
+
+        if (failuresLeft > 0) {
+            failuresLeft--;
+            console.log(`💥 ${event}: simulated failure (${failuresLeft} left)`);
+            res.writeHead(500).end();
+            return;
+        }
+
+        let verdict = 'unsigned';
+        if (SECRET) {
+            const expected = signBody(SECRET, req.headers['x-revenueguard-timestamp'], body);
+            verdict = expected === req.headers['x-revenueguard-signature'] ? 'signature OK' : 'SIGNATURE MISMATCH';
+        }
+
+        console.log(`📨 ${event} (${verdict})`);
+        console.log(JSON.stringify(JSON.parse(body), null, 2));
+        res.writeHead(verdict === 'SIGNATURE MISMATCH' ? 401 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: true }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🪝 Webhook stand-in listening on http://localhost:${server.address().port}/webhook`);
+});